@@ -1,1018 +1,198 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useSyncExternalStore } from 'react';
 import { StatusBar } from 'expo-status-bar';
-import { StyleSheet, Text, View, TouchableOpacity, Dimensions, Platform, ScrollView } from 'react-native';
-import { Svg, Path } from 'react-native-svg';
-import { Audio } from 'expo-audio';
+import { StyleSheet, Text, View, TouchableOpacity, Dimensions, Platform, ScrollView, TextInput } from 'react-native';
+import { Svg, Path, Text as SvgText } from 'react-native-svg';
+import { ENVELOPE_LIMITS } from './audio/envelope';
+import { GLIDE_CURVES, MAX_GLIDE_TIME } from './audio/smoothing';
+import { MAX_SHAPE } from './audio/waveShapes';
+import { drawIntoCycle } from './audio/customWave';
+import { LFO_SHAPES, LFO_TARGETS, LFO_LIMITS } from './audio/lfo';
+import { SYNTHESIS_MODES, SYNTHESIS_LIMITS } from './audio/synthesis';
+import {
+  FILTER_TYPES,
+  FILTER_LIMITS,
+  getCutoffRatio,
+  getCutoffFromRatio
+} from './audio/filter';
+import { EFFECT_LIMITS } from './audio/effects';
+import {
+  SCALES,
+  DEFAULT_QUANTIZE,
+  clampQuantize,
+  getPitchMap,
+  getPadFrequency,
+  getPadPosition,
+  getScaleNotes
+} from './audio/scales';
+import {
+  NOTE_NAMES,
+  TUNING_LIMITS,
+  DEFAULT_TUNING_SETTINGS,
+  clampTuningSettings,
+  buildTuning,
+  formatNote,
+  getNoteInfo,
+  getNearestStep,
+  getStepFrequency,
+  getKeyStep,
+  parseScl,
+  parseKbm
+} from './audio/tuning';
+import { SEQUENCER_MODES, ARP_PATTERNS } from './audio/sequencer';
+import { WAV_BIT_DEPTHS } from './audio/wav';
+import { INPUT_SOURCES, MAX_INPUT_GAIN } from './audio/microphone';
+import { PITCH_FOLLOW_LIMITS } from './audio/pitchDetection';
+import { AUDIO_FILE_ACCEPT } from './audio/filePlayer';
+import { SPATIAL_MODES, SPATIAL_LIMITS } from './audio/spatial';
+import {
+  GESTURE_SOURCES,
+  GESTURE_DESTINATIONS,
+  GESTURE_CURVES,
+  MAX_GESTURE_ROUTES,
+  DEFAULT_ROUTE,
+  DEFAULT_GESTURE_MATRIX,
+  clampRoute,
+  clampGestureMatrix,
+  getGestureSourceValues,
+  getGestureTargets
+} from './audio/gestureMatrix';
+import {
+  isMidiSupported,
+  requestMidiAccess,
+  connectMidiInputs,
+  getPitchBendRatio,
+  pressNote,
+  releaseNote
+} from './audio/midi';
+import {
+  PARAMETERS,
+  PARAMETER_GROUPS,
+  getParameter,
+  getParameterValue,
+  clampParameterBindings
+} from './audio/parameters';
+import { AudioEngine } from './audio/AudioEngine';
+import { createPlatformBackends } from './audio/backends';
+import { createPresetStore } from './utils/presetStore';
+import { downloadFile } from './utils/download';
 
-// Real audio engine with platform-aware synthesis
-const useAudioEngine = () => {
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [frequency, setFrequency] = useState(440);
-  const [waveType, setWaveType] = useState('sine');
-  const [amplitude, setAmplitude] = useState(0.3);
-  const [masterVolume, setMasterVolume] = useState(0.7); // Master volume control (0 to 1)
-  const [highFreqAttenuation, setHighFreqAttenuation] = useState(0.5); // 0 = no attenuation, 1 = maximum attenuation
-  const [audioData, setAudioData] = useState(new Array(1024).fill(128));
-  const soundRef = useRef(null);
-  
-  // Web Audio API references (for web platform)
-  const audioContextRef = useRef(null);
-  const oscillatorRef = useRef(null);
-  const gainNodeRef = useRef(null);
-  const masterGainNodeRef = useRef(null); // Master volume gain node
-  const analyserRef = useRef(null);
-  
-  // HTML5 Audio fallback for mobile Safari
-  const audioElementRef = useRef(null);
-  const [usingFallbackAudio, setUsingFallbackAudio] = useState(false);
-  
-  // Timeout references for cleanup
-  const waveformSwitchTimeoutRef = useRef(null);
-
-  // Helper function to check if we should use Web Audio API
-  const shouldUseWebAudio = () => {
-    return Platform.OS === 'web' && !usingFallbackAudio; // Both desktop and mobile Safari use Web Audio, unless fallback is needed
-  };
-
-  // Fallback audio using HTML5 Audio element (for mobile Safari if Web Audio fails)
-  const createSimpleAudioTone = (freq, type, duration = 1) => {
-    // This creates a simple beep using data URL - basic fallback
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    const buffer = audioContext.createBuffer(1, audioContext.sampleRate * duration, audioContext.sampleRate);
-    const data = buffer.getChannelData(0);
-    
-    for (let i = 0; i < data.length; i++) {
-      const t = i / audioContext.sampleRate;
-      let sample;
-      switch (type) {
-        case 'sine': sample = Math.sin(2 * Math.PI * freq * t); break;
-        case 'square': sample = Math.sign(Math.sin(2 * Math.PI * freq * t)); break;
-        case 'sawtooth': sample = 2 * (freq * t - Math.floor(freq * t + 0.5)); break;
-        case 'triangle': sample = 2 * Math.abs(2 * (freq * t - Math.floor(freq * t + 0.5))) - 1; break;
-        default: sample = Math.sin(2 * Math.PI * freq * t);
-      }
-      data[i] = sample * amplitude * 0.3; // Apply amplitude
-    }
-    
-    return buffer;
-  };
-
-  // Volume compensation matrix for different waveforms and frequency attenuation
-  // Based on RMS (Root Mean Square), perceived loudness, and user-controlled frequency response
-  const getVolumeCompensation = (waveType, frequency = 440, attenuationLevel = highFreqAttenuation) => {
-    // Base compensation for waveform types
-    const waveCompensation = {
-      'sine': 1.0,      // Reference level (smoothest waveform)
-      'triangle': 0.7,  // Triangle waves are louder due to more harmonic content
-      'sawtooth': 0.5,  // Sawtooth is much louder due to rich harmonics
-      'square': 0.3     // Square waves are loudest due to fundamental + odd harmonics
-    };
-    
-    // User-controlled frequency-based attenuation
-    // attenuationLevel: 0 = no attenuation, 1 = maximum attenuation
-    const getFrequencyAttenuation = (freq, userAttenuation) => {
-      if (freq <= 200) {
-        // Very low frequencies: slight boost for audibility (not affected by attenuation control)
-        return 1.2;
-      } else if (freq <= 1000) {
-        // Mid frequencies: neutral (most comfortable range, minimal attenuation effect)
-        return 1.0 - (userAttenuation * 0.1); // Slight reduction at max attenuation
-      } else if (freq <= 4000) {
-        // High frequencies: user-controlled gentle attenuation
-        const baseAttenuation = Math.pow(1000 / freq, 0.2); // Gentler base curve
-        const userEffect = Math.pow(1000 / freq, userAttenuation * 0.6); // User control
-        return baseAttenuation * userEffect;
-      } else {
-        // Very high frequencies: user-controlled stronger attenuation
-        const baseAttenuation = Math.pow(1000 / freq, 0.3); // Moderate base curve
-        const userEffect = Math.pow(1000 / freq, userAttenuation * 0.8); // Strong user control
-        return baseAttenuation * userEffect;
-      }
-    };
-    
-    const waveComp = waveCompensation[waveType] || 1.0;
-    const freqAtten = getFrequencyAttenuation(frequency, attenuationLevel);
-    
-    return waveComp * freqAtten;
-  };
-
-  // Simple mobile Safari audio using existing AudioContext
-  const createMobileSafariAudio = async () => {
-    try {
-      // Since AudioContext is created but suspended, let's try to use it directly
-      if (audioContextRef.current) {
-        // Force resume more aggressively
-        if (audioContextRef.current.state === 'suspended') {
-          await audioContextRef.current.resume();
-        }
-        
-        // Try creating a simple oscillator immediately
-        try {
-          const testOsc = audioContextRef.current.createOscillator();
-          testOsc.frequency.setValueAtTime(440, audioContextRef.current.currentTime);
-          testOsc.connect(gainNodeRef.current);
-          testOsc.start();
-          testOsc.stop(audioContextRef.current.currentTime + 0.2); // 200ms beep
-          
-          setUsingFallbackAudio(false); // Use Web Audio, not fallback
-          return true;
-        } catch (oscError) {
-          console.warn('Oscillator test failed:', oscError.message);
-          return false;
-        }
-      }
-      
-      return false;
-    } catch (error) {
-      console.warn('Direct Web Audio failed:', error.message);
-      return false;
-    }
-  };
-
-  // Initialize audio system with platform detection
-  const initAudio = async () => {
-    try {
-      // Detect mobile Safari specifically
-      const isMobileSafari = Platform.OS === 'web' && 
-        /iPad|iPhone|iPod/.test(navigator.userAgent) && 
-        !window.MSStream;
-      
-      if (isMobileSafari) {
-        // For mobile Safari, try simple HTML5 Audio first
-        const fallbackSuccess = await createMobileSafariAudio();
-        
-        if (fallbackSuccess) {
-          return;
-        }
-        
-        // If fallback fails, try Web Audio API with very simple setup
-        try {
-          if (!audioContextRef.current) {
-            audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-            
-            // Create amplitude gain node (affects visualization)
-            gainNodeRef.current = audioContextRef.current.createGain();
-            gainNodeRef.current.gain.setValueAtTime(0.3, audioContextRef.current.currentTime);
-            
-            // Create master volume gain node (affects final output only)
-            masterGainNodeRef.current = audioContextRef.current.createGain();
-            masterGainNodeRef.current.gain.setValueAtTime(masterVolume, audioContextRef.current.currentTime);
-            
-            // Connect: gainNode -> masterGainNode -> destination
-            gainNodeRef.current.connect(masterGainNodeRef.current);
-            masterGainNodeRef.current.connect(audioContextRef.current.destination);
-          }
-          
-          // Enhanced Safari AudioContext resume with retries
-          if (audioContextRef.current.state === 'suspended') {
-            console.log('Safari AudioContext suspended, attempting aggressive resume...');
-            
-            // Try multiple resume attempts for Safari
-            for (let attempt = 1; attempt <= 3; attempt++) {
-              try {
-                await audioContextRef.current.resume();
-                console.log(`Safari AudioContext resumed on attempt ${attempt}`);
-                
-                // Verify the context is actually running
-                if (audioContextRef.current.state === 'running') {
-                  break;
-                } else {
-                  console.warn(`Safari AudioContext still ${audioContextRef.current.state} after attempt ${attempt}`);
-                  if (attempt < 3) {
-                    // Brief delay before retry
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                  }
-                }
-              } catch (resumeError) {
-                console.warn(`Safari AudioContext resume attempt ${attempt} failed:`, resumeError.message);
-                if (attempt === 3) {
-                  throw resumeError;
-                }
-              }
-            }
-          }
-        } catch (error) {
-          console.warn('Web Audio failed:', error.message);
-        }
-      } else if (Platform.OS === 'web') {
-        // Desktop web - full Web Audio API
-        if (!audioContextRef.current) {
-          audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-          
-          // Create amplitude gain node (affects visualization)
-          gainNodeRef.current = audioContextRef.current.createGain();
-          gainNodeRef.current.gain.setValueAtTime(0.3, audioContextRef.current.currentTime);
-          
-          // Create master volume gain node (affects final output only)
-          masterGainNodeRef.current = audioContextRef.current.createGain();
-          masterGainNodeRef.current.gain.setValueAtTime(masterVolume, audioContextRef.current.currentTime);
-          
-          analyserRef.current = audioContextRef.current.createAnalyser();
-          analyserRef.current.fftSize = 2048;
-          
-          // Connect: gainNode -> analyser -> masterGainNode -> destination
-          gainNodeRef.current.connect(analyserRef.current);
-          analyserRef.current.connect(masterGainNodeRef.current);
-          masterGainNodeRef.current.connect(audioContextRef.current.destination);
-        }
-        
-        if (audioContextRef.current && audioContextRef.current.state === 'suspended') {
-          await audioContextRef.current.resume();
-        }
-      } else {
-        // Native mobile - expo-audio
-        await Audio.setAudioModeAsync({
-          allowsRecordingIOS: false,
-          staysActiveInBackground: false,
-          playsInSilentModeIOS: true,
-          shouldDuckAndroid: true,
-          playThroughEarpieceAndroid: false,
-        });
-      }
-    } catch (error) {
-      console.error('Audio initialization failed:', error.message);
-    }
-  };
-
-  // Generate waveform data for visualization
-  const generateWaveform = (freq, type, amp) => {
-    return new Array(1024).fill(0).map((_, i) => {
-      let sample;
-      const cycles = 4; // Show 4 complete cycles for better visibility
-      const t = (i / 1024) * cycles * 2 * Math.PI;
-      
-      switch (type) {
-        case 'sine':
-          sample = Math.sin(t);
-          break;
-        case 'square':
-          sample = Math.sign(Math.sin(t));
-          break;
-        case 'sawtooth':
-          // Proper sawtooth: linear ramp from -1 to 1, then instant drop
-          const sawPhase = (t / (2 * Math.PI)) % 1;
-          sample = 2 * sawPhase - 1;
-          break;
-        case 'triangle':
-          // Proper triangle: up from -1 to 1, then down from 1 to -1
-          const triPhase = (t / (2 * Math.PI)) % 1;
-          sample = triPhase < 0.5 ? 4 * triPhase - 1 : 3 - 4 * triPhase;
-          break;
-        default:
-          sample = Math.sin(t);
-      }
-      
-      // Convert from -1 to 1 range to 0 to 255 range
-      return 128 + sample * amp * 127;
-    });
-  };
-
-  // Create and start oscillator (Web Audio API)
-  const startWebAudioOscillator = (waveTypeParam = waveType) => {
-    console.log('=== STARTING OSCILLATOR DEBUG ===');
-    console.log('audioContextRef.current exists:', !!audioContextRef.current);
-    console.log('oscillatorRef.current exists:', !!oscillatorRef.current);
-    console.log('gainNodeRef.current exists:', !!gainNodeRef.current);
-    
-    if (audioContextRef.current && !oscillatorRef.current) {
-      try {
-        // Detect mobile Safari
-        const isMobileSafari = Platform.OS === 'web' && 
-          /iPad|iPhone|iPod/.test(navigator.userAgent) && 
-          !window.MSStream;
-        
-        console.log('isMobileSafari:', isMobileSafari);
-        console.log('AudioContext state before oscillator:', audioContextRef.current.state);
-        
-        oscillatorRef.current = audioContextRef.current.createOscillator();
-        console.log('Oscillator created:', !!oscillatorRef.current);
-        
-        oscillatorRef.current.type = waveTypeParam;
-        console.log('Oscillator type set to:', waveTypeParam);
-        
-        // Ensure frequency is valid before setting
-        const safeFreq = isNaN(frequency) || !isFinite(frequency) ? 440 : frequency;
-        oscillatorRef.current.frequency.setValueAtTime(safeFreq, audioContextRef.current.currentTime);
-        console.log('Oscillator frequency set to:', safeFreq);
-        
-        // Connect to gain node
-        oscillatorRef.current.connect(gainNodeRef.current);
-        console.log('Oscillator connected to gain node');
-        
-        // For mobile Safari, ensure gain is connected to destination
-        if (isMobileSafari) {
-          console.log('Mobile Safari: ensuring gain -> destination connection');
-          // Check if already connected by trying to connect (will error if already connected)
-          try {
-            gainNodeRef.current.disconnect();
-            gainNodeRef.current.connect(audioContextRef.current.destination);
-            console.log('Mobile Safari: gain reconnected to destination');
-          } catch (e) {
-            console.log('Mobile Safari: gain connection error (may already be connected):', e.message);
-          }
-        } else {
-          // For desktop, connect to analyser if it exists
-          if (analyserRef.current) {
-            console.log('Desktop: ensuring gain -> analyser connection');
-            try {
-              gainNodeRef.current.disconnect();
-              gainNodeRef.current.connect(analyserRef.current);
-              console.log('Desktop: gain reconnected to analyser');
-            } catch (e) {
-              console.log('Desktop: gain connection error (may already be connected):', e.message);
-            }
-          }
-        }
-        
-        // Start the oscillator
-        console.log('Starting oscillator...');
-        oscillatorRef.current.start();
-        console.log('Oscillator started successfully');
-        
-        // Set volume with safety check and waveform compensation
-        const safeAmplitude = isNaN(amplitude) || !isFinite(amplitude) ? 0.3 : amplitude;
-        const compensation = getVolumeCompensation(waveTypeParam, safeFreq);
-        const adjustedGain = safeAmplitude * 0.8 * compensation;
-        gainNodeRef.current.gain.setValueAtTime(adjustedGain, audioContextRef.current.currentTime);
-        
-        console.log(`Started ${waveTypeParam} oscillator at ${safeFreq}Hz with amplitude ${safeAmplitude} (compensated gain: ${adjustedGain})`);
-        console.log('Final AudioContext state:', audioContextRef.current.state);
-        console.log('=== OSCILLATOR START COMPLETE ===');
-      } catch (error) {
-        console.error('Error in startWebAudioOscillator:', error);
-        oscillatorRef.current = null; // Reset on error
-      }
-    } else {
-      console.log('Skipping oscillator start - audioContext:', !!audioContextRef.current, 'oscillator already exists:', !!oscillatorRef.current);
-    }
-  };
-
-  // Stop oscillator (Web Audio API) with proper cleanup
-  const stopWebAudioOscillator = () => {
-    if (oscillatorRef.current) {
-      try {
-        // Properly stop the oscillator
-        oscillatorRef.current.stop();
-        
-        // Disconnect from all connected AudioNodes
-        oscillatorRef.current.disconnect();
-        
-        // Clear the reference to allow garbage collection
-        oscillatorRef.current = null;
-        
-        console.log('Oscillator stopped and cleaned up');
-      } catch (error) {
-        // Handle case where oscillator was already stopped
-        console.warn('Error stopping oscillator (may already be stopped):', error);
-        oscillatorRef.current = null; // Still clear the reference
-      }
-    }
-  };
-
-  // Update oscillator parameters
-  // Update oscillator parameters (frequency and gain only - type changes require restart)
-  const updateWebAudioOscillator = () => {
-    if (oscillatorRef.current && audioContextRef.current) {
-      // Ensure values are safe before setting
-      const safeFreq = isNaN(frequency) || !isFinite(frequency) ? 440 : frequency;
-      const safeAmplitude = isNaN(amplitude) || !isFinite(amplitude) ? 0.5 : amplitude;
-      
-      // Update frequency
-      oscillatorRef.current.frequency.setValueAtTime(safeFreq, audioContextRef.current.currentTime);
-      
-      // Update gain with volume compensation
-      const compensation = getVolumeCompensation(waveType, safeFreq);
-      const adjustedGain = safeAmplitude * 0.8 * compensation;
-      gainNodeRef.current.gain.setValueAtTime(adjustedGain, audioContextRef.current.currentTime);
-      
-      console.log(`Updated oscillator: frequency ${safeFreq}Hz, compensated gain: ${adjustedGain}`);
-    }
-  };
-
-  const togglePlayback = async () => {
-    try {
-      // Detect mobile Safari for special handling
-      const isMobileSafari = Platform.OS === 'web' && 
-        /iPad|iPhone|iPod/.test(navigator.userAgent) && 
-        !window.MSStream;
-      
-      if (isMobileSafari) {
-        if (isPlaying) {
-          // Stop audio
-          if (audioElementRef.current) {
-            audioElementRef.current.pause();
-            audioElementRef.current = null;
-          }
-          if (oscillatorRef.current) {
-            oscillatorRef.current.stop();
-            oscillatorRef.current = null;
-          }
-          setIsPlaying(false);
-        } else {
-          // Try Web Audio API first, with better Safari handling
-          try {
-            if (!audioContextRef.current) {
-              // Force re-initialization
-              await initAudio();
-            }
-            
-            // Enhanced Safari AudioContext handling
-            if (audioContextRef.current && audioContextRef.current.state === 'suspended') {
-              console.log('Safari: AudioContext suspended before playback, attempting resume...');
-              try {
-                await audioContextRef.current.resume();
-                
-                // Wait and verify the context is truly running
-                await new Promise(resolve => setTimeout(resolve, 50));
-                
-                if (audioContextRef.current.state !== 'running') {
-                  console.warn(`Safari: AudioContext still ${audioContextRef.current.state} after resume`);
-                  // Force a second resume attempt
-                  await audioContextRef.current.resume();
-                }
-                
-                console.log(`Safari: AudioContext state after resume: ${audioContextRef.current.state}`);
-              } catch (resumeError) {
-                console.error('Safari: AudioContext resume failed:', resumeError);
-                throw resumeError;
-              }
-            }
-            
-            // Use Web Audio API oscillator for real-time control
-            startWebAudioOscillator();
-            setUsingFallbackAudio(false);
-            
-          } catch (webAudioError) {
-            console.warn('Safari: Web Audio failed, falling back to HTML5 Audio:', webAudioError.message);
-            
-            // Fallback to HTML5 Audio with looping for continuous playback
-            try {
-              // Create audio element in direct user gesture (CRITICAL)
-              const audio = document.createElement('audio');
-              
-              // Generate a looping tone using data URL
-              const duration = 2.0; // Longer for smoother looping
-              const sampleRate = 22050; // Optimized sample rate for Safari
-              const currentFreq = frequency; // Use actual current frequency
-              const currentAmp = amplitude * 0.4; // Slightly reduce amplitude for Safari
-              
-              // Create WAV header (minimal but valid)
-              const samples = sampleRate * duration;
-              const buffer = new ArrayBuffer(44 + samples * 2);
-              const view = new DataView(buffer);
-              
-              // WAV header
-              const writeString = (offset, string) => {
-                for (let i = 0; i < string.length; i++) {
-                  view.setUint8(offset + i, string.charCodeAt(i));
-                }
-              };
-              
-              writeString(0, 'RIFF');
-              view.setUint32(4, 36 + samples * 2, true);
-              writeString(8, 'WAVE');
-              writeString(12, 'fmt ');
-              view.setUint32(16, 16, true);
-              view.setUint16(20, 1, true);
-              view.setUint16(22, 1, true);
-              view.setUint32(24, sampleRate, true);
-              view.setUint32(28, sampleRate * 2, true);
-              view.setUint16(32, 2, true);
-              view.setUint16(34, 16, true);
-              writeString(36, 'data');
-              view.setUint32(40, samples * 2, true);
-              
-              // Generate waveform data using current settings with volume compensation
-              const compensation = getVolumeCompensation(waveType, currentFreq);
-              const adjustedAmp = currentAmp * compensation;
-              
-              for (let i = 0; i < samples; i++) {
-                const t = i / sampleRate;
-                let sample;
-                
-                // Generate waveform based on current type
-                switch (waveType) {
-                  case 'square':
-                    sample = Math.sin(2 * Math.PI * currentFreq * t) >= 0 ? 1 : -1;
-                    break;
-                  case 'sawtooth':
-                    sample = 2 * (currentFreq * t - Math.floor(currentFreq * t + 0.5));
-                    break;
-                  case 'triangle':
-                    sample = 2 * Math.abs(2 * (currentFreq * t - Math.floor(currentFreq * t + 0.5))) - 1;
-                    break;
-                  default: // sine
-                    sample = Math.sin(2 * Math.PI * currentFreq * t);
-                }
-                
-                // Apply amplitude and convert to 16-bit PCM
-                const pcmSample = sample * adjustedAmp * 32767;
-                view.setInt16(44 + i * 2, Math.max(-32767, Math.min(32767, pcmSample)), true);
-              }
-              
-              // Create blob and set up looping
-              const blob = new Blob([buffer], { type: 'audio/wav' });
-              const url = URL.createObjectURL(blob);
-              
-              audio.src = url;
-              audio.loop = true; // Enable looping for continuous playback
-              // Apply master volume to HTML5 Audio element
-              audio.volume = Math.max(0, Math.min(1, masterVolume * 0.5)); // Cap at 50% for Safari safety
-              
-              // CRITICAL: play() must be called synchronously in user gesture
-              const playPromise = audio.play();
-              
-              if (playPromise) {
-                playPromise.then(() => {
-                  audioElementRef.current = audio;
-                  setUsingFallbackAudio(true);
-                  setIsPlaying(true);
-                  console.log('Safari: HTML5 Audio with looping started successfully');
-                }).catch(error => {
-                  console.warn('Safari: HTML5 Audio play failed:', error.message);
-                  URL.revokeObjectURL(url);
-                });
-              } else {
-                audioElementRef.current = audio;
-                setUsingFallbackAudio(true);
-                setIsPlaying(true);
-              }
-              
-            } catch (fallbackError) {
-              console.error('Safari: All audio methods failed:', fallbackError.message);
-              throw fallbackError;
-            }
-          }
-        }
-      } else {
-        // Desktop/other platforms - original logic
-        if (isPlaying) {
-          if (shouldUseWebAudio()) {
-            stopWebAudioOscillator();
-          } else {
-            if (soundRef.current) {
-              await soundRef.current.stopAsync();
-              await soundRef.current.unloadAsync();
-              soundRef.current = null;
-            }
-          }
-          setIsPlaying(false);
-          console.log('Audio stopped');
-        } else {
-          if (shouldUseWebAudio()) {
-            // Enhanced Safari AudioContext handling
-            if (audioContextRef.current && audioContextRef.current.state === 'suspended') {
-              console.log('Safari: AudioContext suspended before playback, attempting resume...');
-              try {
-                await audioContextRef.current.resume();
-                
-                // Wait and verify the context is truly running
-                await new Promise(resolve => setTimeout(resolve, 50));
-                
-                if (audioContextRef.current.state !== 'running') {
-                  console.warn(`Safari: AudioContext still ${audioContextRef.current.state} after resume`);
-                  // Force a second resume attempt
-                  await audioContextRef.current.resume();
-                }
-                
-                console.log(`Safari: AudioContext state after resume: ${audioContextRef.current.state}`);
-              } catch (resumeError) {
-                console.error('Safari: AudioContext resume failed:', resumeError);
-                throw resumeError;
-              }
-            }
-            startWebAudioOscillator();
-          } else {
-            console.log('Mobile audio playback would start here');
-          }
-          setIsPlaying(true);
-          console.log('Audio started');
-        }
-      }
-      
-      // Update visualization
-      const waveformData = generateWaveform(frequency, waveType, amplitude);
-      setAudioData(waveformData);
-    } catch (error) {
-      console.error('Failed to toggle playback:', error);
-    }
-  };
-
-  // Fallback function for mobile Safari
-  const tryWebAudioFallback = () => {
-    try {
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      const oscillator = audioContext.createOscillator();
-      const gainNode = audioContext.createGain();
-      
-      oscillator.connect(gainNode);
-      gainNode.connect(audioContext.destination);
-      
-      oscillator.frequency.setValueAtTime(440, audioContext.currentTime);
-      oscillator.type = 'sine';
-      gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-      
-      oscillator.start();
-      
-      audioContextRef.current = audioContext;
-      oscillatorRef.current = oscillator;
-      gainNodeRef.current = gainNode;
-      
-      setIsPlaying(true);
-    } catch (error) {
-      console.warn('Web Audio fallback failed:', error.message);
-    }
-  };
-
-  // Function to regenerate Safari HTML5 Audio with new parameters
-  const regenerateSafariAudio = async () => {
-    if (!usingFallbackAudio || !audioElementRef.current || !isPlaying) {
-      return;
-    }
-    
-    try {
-      console.log('Safari: Regenerating audio with new parameters');
-      
-      // Stop current audio
-      audioElementRef.current.pause();
-      const oldUrl = audioElementRef.current.src;
-      
-      // Generate new audio with current parameters
-      const duration = 2.0;
-      const sampleRate = 22050;
-      const currentFreq = frequency;
-      const currentAmp = amplitude * 0.4;
-      
-      const samples = sampleRate * duration;
-      const buffer = new ArrayBuffer(44 + samples * 2);
-      const view = new DataView(buffer);
-      
-      // WAV header
-      const writeString = (offset, string) => {
-        for (let i = 0; i < string.length; i++) {
-          view.setUint8(offset + i, string.charCodeAt(i));
-        }
-      };
-      
-      writeString(0, 'RIFF');
-      view.setUint32(4, 36 + samples * 2, true);
-      writeString(8, 'WAVE');
-      writeString(12, 'fmt ');
-      view.setUint32(16, 16, true);
-      view.setUint16(20, 1, true);
-      view.setUint16(22, 1, true);
-      view.setUint32(24, sampleRate, true);
-      view.setUint32(28, sampleRate * 2, true);
-      view.setUint16(32, 2, true);
-      view.setUint16(34, 16, true);
-      writeString(36, 'data');
-      view.setUint32(40, samples * 2, true);
-      
-      // Generate waveform with current parameters
-      const compensation = getVolumeCompensation(waveType, currentFreq);
-      const adjustedAmp = currentAmp * compensation;
-      
-      for (let i = 0; i < samples; i++) {
-        const t = i / sampleRate;
-        let sample;
-        
-        switch (waveType) {
-          case 'square':
-            sample = Math.sin(2 * Math.PI * currentFreq * t) >= 0 ? 1 : -1;
-            break;
-          case 'sawtooth':
-            sample = 2 * (currentFreq * t - Math.floor(currentFreq * t + 0.5));
-            break;
-          case 'triangle':
-            sample = 2 * Math.abs(2 * (currentFreq * t - Math.floor(currentFreq * t + 0.5))) - 1;
-            break;
-          default: // sine
-            sample = Math.sin(2 * Math.PI * currentFreq * t);
-        }
-        
-        const pcmSample = sample * adjustedAmp * 32767;
-        view.setInt16(44 + i * 2, Math.max(-32767, Math.min(32767, pcmSample)), true);
-      }
-      
-      // Create new audio
-      const blob = new Blob([buffer], { type: 'audio/wav' });
-      const url = URL.createObjectURL(blob);
-      
-      const newAudio = document.createElement('audio');
-      newAudio.src = url;
-      newAudio.loop = true;
-      newAudio.volume = Math.max(0, Math.min(1, masterVolume * 0.5));
-      
-      // Start new audio and cleanup old
-      const playPromise = newAudio.play();
-      if (playPromise) {
-        playPromise.then(() => {
-          audioElementRef.current = newAudio;
-          URL.revokeObjectURL(oldUrl);
-          console.log('Safari: Audio regenerated successfully');
-        }).catch(error => {
-          console.warn('Safari: Audio regeneration failed:', error);
-          URL.revokeObjectURL(url);
-        });
-      } else {
-        audioElementRef.current = newAudio;
-        URL.revokeObjectURL(oldUrl);
-      }
-      
-    } catch (error) {
-      console.error('Safari: Audio regeneration error:', error);
-    }
-  };
-
-  const updateFrequency = async (newFreq) => {
-    // Validate frequency value
-    if (isNaN(newFreq) || !isFinite(newFreq) || newFreq < 20 || newFreq > 20000) {
-      console.warn('Invalid frequency:', newFreq);
-      return;
-    }
-    
-    setFrequency(newFreq);
-    console.log('Frequency updated:', newFreq);
-    
-    if (shouldUseWebAudio() && isPlaying) {
-      updateWebAudioOscillator();
-    } else if (usingFallbackAudio && isPlaying) {
-      // Regenerate Safari audio with new frequency
-      await regenerateSafariAudio();
-    }
-    
-    // Update visualization
-    const waveformData = generateWaveform(newFreq, waveType, amplitude);
-    setAudioData(waveformData);
-  };
-
-  const updateWaveType = async (newType) => {
-    setWaveType(newType);
-    console.log('Wave type updated:', newType);
-    
-    if (shouldUseWebAudio() && isPlaying) {
-      // Clear any existing waveform switch timeout to prevent multiple oscillators
-      if (waveformSwitchTimeoutRef.current) {
-        clearTimeout(waveformSwitchTimeoutRef.current);
-        waveformSwitchTimeoutRef.current = null;
-      }
-      
-      // Stop current oscillator and ensure proper cleanup
-      // Web Audio oscillators cannot change type once started
-      stopWebAudioOscillator();
-      
-      // Wait for cleanup to complete before creating new oscillator
-      waveformSwitchTimeoutRef.current = setTimeout(async () => {
-        // Aggressive resume for mobile Safari on wave type changes
-        if (audioContextRef.current && audioContextRef.current.state === 'suspended') {
-          await audioContextRef.current.resume();
-          console.log('AudioContext resumed during wave type change');
-        }
-        startWebAudioOscillator(newType);
-        waveformSwitchTimeoutRef.current = null; // Clear reference after execution
-      }, 20);
-    } else if (usingFallbackAudio && isPlaying) {
-      // Regenerate Safari audio with new wave type
-      await regenerateSafariAudio();
-    }
-    
-    // Update visualization
-    const waveformData = generateWaveform(frequency, newType, amplitude);
-    setAudioData(waveformData);
-  };
-
-  const updateAmplitude = async (newAmplitude) => {
-    console.log('=== updateAmplitude called ===');
-    console.log('Input newAmplitude:', newAmplitude);
-    console.log('Current amplitude state:', amplitude);
-    console.log('isPlaying:', isPlaying);
-    console.log('gainNodeRef.current exists:', !!gainNodeRef.current);
-    console.log('audioContextRef.current exists:', !!audioContextRef.current);
-    
-    // Validate amplitude value
-    if (isNaN(newAmplitude) || !isFinite(newAmplitude)) {
-      console.warn('Invalid amplitude:', newAmplitude);
-      return;
-    }
-    
-    // Clamp amplitude between 0 and 1
-    const clampedAmplitude = Math.max(0, Math.min(1, newAmplitude));
-    console.log('Clamped amplitude:', clampedAmplitude);
-    
-    setAmplitude(clampedAmplitude);
-    
-    // Update Web Audio gain immediately if nodes exist
-    if (Platform.OS === 'web' && gainNodeRef.current && audioContextRef.current) {
-      // Apply volume compensation based on current waveform and frequency
-      const compensation = getVolumeCompensation(waveType, frequency);
-      const gainValue = clampedAmplitude * 0.8 * compensation;
-      try {
-        gainNodeRef.current.gain.setValueAtTime(gainValue, audioContextRef.current.currentTime);
-        console.log('Gain node updated to:', gainValue, 'compensation:', compensation, 'at time:', audioContextRef.current.currentTime);
-        console.log('Current gain value:', gainNodeRef.current.gain.value);
-      } catch (error) {
-        console.error('Error setting gain:', error);
-      }
-    } else if (usingFallbackAudio && isPlaying) {
-      // Regenerate Safari audio with new amplitude
-      regenerateSafariAudio();
-    } else {
-      console.log('Skipping gain update - web:', Platform.OS === 'web', 'gainNode:', !!gainNodeRef.current, 'audioContext:', !!audioContextRef.current);
-    }
-    
-    // Always update visualization immediately
-    const waveformData = generateWaveform(frequency, waveType, clampedAmplitude);
-    setAudioData(waveformData);
-    console.log('=== updateAmplitude complete ===');
-  };
-
-  const updateHighFreqAttenuation = async (newAttenuation) => {
-    // Validate attenuation value (0 to 1)
-    if (isNaN(newAttenuation) || !isFinite(newAttenuation)) {
-      console.warn('Invalid attenuation:', newAttenuation);
-      return;
-    }
-    
-    const clampedAttenuation = Math.max(0, Math.min(1, newAttenuation));
-    setHighFreqAttenuation(clampedAttenuation);
-    console.log('High frequency attenuation updated:', clampedAttenuation);
-    
-    // Update Web Audio gain immediately if oscillator is playing
-    if (Platform.OS === 'web' && gainNodeRef.current && audioContextRef.current && isPlaying) {
-      const compensation = getVolumeCompensation(waveType, frequency, clampedAttenuation);
-      const gainValue = amplitude * 0.8 * compensation;
-      try {
-        gainNodeRef.current.gain.setValueAtTime(gainValue, audioContextRef.current.currentTime);
-        console.log('Gain updated for new attenuation:', gainValue, 'attenuation level:', clampedAttenuation);
-      } catch (error) {
-        console.error('Error updating gain for attenuation:', error);
-      }
-    }
-    
-    // Update visualization
-    const waveformData = generateWaveform(frequency, waveType, amplitude);
-    setAudioData(waveformData);
-  };
-
-  const updateMasterVolume = async (newVolume) => {
-    // Validate volume value (0 to 1)
-    if (isNaN(newVolume) || !isFinite(newVolume)) {
-      console.warn('Invalid master volume:', newVolume);
-      return;
-    }
-    
-    const clampedVolume = Math.max(0, Math.min(1, newVolume));
-    setMasterVolume(clampedVolume);
-    console.log('Master volume updated:', clampedVolume);
-    
-    // Update Web Audio master gain immediately if playing
-    if (Platform.OS === 'web' && masterGainNodeRef.current && audioContextRef.current) {
-      try {
-        masterGainNodeRef.current.gain.setValueAtTime(clampedVolume, audioContextRef.current.currentTime);
-        console.log('Master gain updated:', clampedVolume);
-      } catch (error) {
-        console.error('Error updating master gain:', error);
-      }
-    }
-    
-    // For HTML5 Audio fallback (mobile Safari), update element volume
-    if (usingFallbackAudio && audioElementRef.current) {
-      try {
-        audioElementRef.current.volume = clampedVolume;
-        console.log('HTML5 Audio volume updated:', clampedVolume);
-      } catch (error) {
-        console.error('Error updating HTML5 Audio volume:', error);
-      }
-    }
-  };
+// Saved gesture matrix layouts, keyed by name, and the MIDI CC bindings
+const gestureLayoutStore = createPresetStore('gesture-layouts');
+const midiStore = createPresetStore('midi');
 
-  // Update real-time audio data from analyser
-  const updateAudioData = () => {
-    // For desktop with Web Audio API and analyser (exclude mobile Safari)
-    const isMobileSafari = Platform.OS === 'web' && /iPad|iPhone|iPod/.test(navigator.userAgent);
-    
-    if (Platform.OS === 'web' && analyserRef.current && isPlaying && !isMobileSafari) {
-      const bufferLength = analyserRef.current.frequencyBinCount;
-      const dataArray = new Uint8Array(bufferLength);
-      analyserRef.current.getByteTimeDomainData(dataArray);
-      
-      // Convert to our expected format (downsample if needed)
-      const downsampledData = [];
-      const step = Math.max(1, Math.floor(bufferLength / 1024));
-      for (let i = 0; i < bufferLength; i += step) {
-        if (downsampledData.length < 1024) {
-          // Use real audio data directly
-          downsampledData.push(dataArray[i]);
-        }
-      }
-      
-      // If we have enough real data, use it
-      if (downsampledData.length >= 512) {
-        // Pad to 1024 with the real data pattern
-        while (downsampledData.length < 1024) {
-          const sourceIndex = downsampledData.length % 512;
-          downsampledData.push(downsampledData[sourceIndex]);
-        }
-        setAudioData(downsampledData);
-        return;
-      }
-    }
-    
-    // For mobile Safari or when real audio data isn't available, use generated waveforms
-    // Always generate fresh waveforms with current parameters
-    const waveformData = generateWaveform(frequency, waveType, amplitude);
-    setAudioData(waveformData);
-  };
+// React adapter for the AudioEngine (see ./audio/AudioEngine): one engine per component,
+// re-rendering on every engine change. It runs the engine's per-frame visualizer updates while
+// sound is running (synth, sequencer or an imported file) or the microphone is open on web,
+// and disposes the engine on unmount.
+const useAudioEngine = () => {
+  const engineRef = useRef(null);
+  if (!engineRef.current) {
+    engineRef.current = new AudioEngine(createPlatformBackends());
+  }
+  const engine = engineRef.current;
+  const state = useSyncExternalStore(engine.subscribe, engine.getState);
+  const { isPlaying, sequencerRunning, inputSource, filePlayback } = state;
+  const listening = inputSource === 'microphone';
+  const filePlaying = filePlayback.playing;
 
-  // Animation loop for real-time audio data
+  // Animation loop for real-time audio data, the sounding sequencer step and the file playhead
   useEffect(() => {
     let animationId;
-    if (isPlaying && Platform.OS === 'web') {
+    if ((isPlaying || sequencerRunning || listening || filePlaying) && Platform.OS === 'web') {
       const animate = () => {
-        updateAudioData();
+        engine.updateAudioData();
+        engine.showSoundingStep();
+        engine.showFilePosition();
+        engine.trackInputPitch();
         animationId = requestAnimationFrame(animate);
       };
       animationId = requestAnimationFrame(animate);
     }
-    
+
     return () => {
       if (animationId) {
         cancelAnimationFrame(animationId);
       }
     };
-  }, [isPlaying, frequency, waveType, amplitude]);
-
-  // Update visualization when parameters change (especially important for mobile Safari)
-  useEffect(() => {
-    if (isPlaying) {
-      updateAudioData();
-    }
-  }, [frequency, waveType, amplitude, isPlaying]);
+  }, [isPlaying, sequencerRunning, listening, filePlaying]);
 
-  // Initialize with default waveform
-  useEffect(() => {
-    const waveformData = generateWaveform(frequency, waveType, amplitude);
-    setAudioData(waveformData);
-    
-    return () => {
-      if (Platform.OS === 'web') {
-        // Clean up any pending timeouts
-        if (waveformSwitchTimeoutRef.current) {
-          clearTimeout(waveformSwitchTimeoutRef.current);
-          waveformSwitchTimeoutRef.current = null;
-        }
-        
-        // Clean up oscillator first
-        stopWebAudioOscillator();
-        
-        // Clean up audio context
-        if (audioContextRef.current) {
-          try {
-            audioContextRef.current.close();
-            audioContextRef.current = null;
-          } catch (error) {
-            console.warn('Error closing AudioContext:', error);
-          }
-        }
-        
-        // Clear remaining references
-        gainNodeRef.current = null;
-        analyserRef.current = null;
-      } else {
-        if (soundRef.current) {
-          soundRef.current.unloadAsync().catch(console.error);
-          soundRef.current = null;
-        }
-      }
-    };
-  }, []);
+  useEffect(() => () => engine.dispose(), []);
 
   return {
-    initAudio,
-    togglePlayback,
-    updateFrequency,
-    updateWaveType,
-    updateAmplitude,
-    updateMasterVolume,
-    updateHighFreqAttenuation,
-    isPlaying,
-    frequency,
-    waveType,
-    amplitude,
-    masterVolume,
-    highFreqAttenuation,
-    audioData
+    initAudio: engine.initAudio,
+    togglePlayback: engine.togglePlayback,
+    updateFrequency: engine.updateFrequency,
+    setGate: engine.setGate,
+    updateWaveType: engine.updateWaveType,
+    updateShape: engine.updateShape,
+    updateCustomWave: engine.updateCustomWave,
+    saveCustomWave: engine.saveCustomWave,
+    loadCustomWave: engine.loadCustomWave,
+    deleteCustomWave: engine.deleteCustomWave,
+    updateAmplitude: engine.updateAmplitude,
+    updateMasterVolume: engine.updateMasterVolume,
+    updateHighFreqAttenuation: engine.updateHighFreqAttenuation,
+    playVoice: engine.playVoice,
+    releaseVoice: engine.releaseVoice,
+    releaseAllVoices: engine.releaseAllVoices,
+    updateVoiceLimit: engine.updateVoiceLimit,
+    updateEnvelope: engine.updateEnvelope,
+    updateGlide: engine.updateGlide,
+    updateLfo: engine.updateLfo,
+    updateSynthesis: engine.updateSynthesis,
+    updateFilter: engine.updateFilter,
+    updateFilterEnvelope: engine.updateFilterEnvelope,
+    updateEffect: engine.updateEffect,
+    moveEffectInChain: engine.moveEffectInChain,
+    startSequencer: engine.startSequencer,
+    stopSequencer: engine.stopSequencer,
+    updateSequencer: engine.updateSequencer,
+    updateSequencerStep: engine.updateSequencerStep,
+    startRecording: engine.startRecording,
+    stopRecording: engine.stopRecording,
+    startReplay: engine.startReplay,
+    stopReplay: engine.stopReplay,
+    updatePerformanceLoop: engine.updatePerformanceLoop,
+    savePerformance: engine.savePerformance,
+    loadPerformance: engine.loadPerformance,
+    deletePerformance: engine.deletePerformance,
+    exportPerformance: engine.exportPerformance,
+    importPerformance: engine.importPerformance,
+    exportAudio: engine.exportAudio,
+    startLiveRecording: engine.startLiveRecording,
+    stopLiveRecording: engine.stopLiveRecording,
+    auditionTake: engine.auditionTake,
+    downloadTake: engine.downloadTake,
+    deleteTake: engine.deleteTake,
+    setInputSource: engine.setInputSource,
+    updateInputGain: engine.updateInputGain,
+    updatePitchFollow: engine.updatePitchFollow,
+    updateSpatial: engine.updateSpatial,
+    updateStereoView: engine.updateStereoView,
+    loadAudioFile: engine.loadAudioFile,
+    playAudioFile: engine.playAudioFile,
+    pauseAudioFile: engine.pauseAudioFile,
+    seekAudioFile: engine.seekAudioFile,
+    updateAudioFileLoop: engine.updateAudioFileLoop,
+    unloadAudioFile: engine.unloadAudioFile,
+    ...state
   };
 };
 
 // SVG-based waveform visualization component
-const WaveformVisualizer = ({ audioData, onTouch, isPlaying, theme, onDragStart, onDragEnd, onDragMove }) => {
+// drawMode: touches draw one waveform cycle (reported through onDraw) instead of playing notes
+// pitchMap: pad frequency range and scale snapping (see ./audio/scales)
+// sequencerLength/sequencerStep: step columns, with the sounding step highlighted (-1 when stopped)
+// onTouch(x, y, touchId, { velocity, pressure }): x in pixels, y from 0 (top) to 1 (bottom)
+// stereoData: { left, right } to draw the channels in the top and bottom halves instead of audioData
+const WaveformVisualizer = ({ audioData, stereoData, onTouch, isPlaying, theme, onDragStart, onDragEnd, onDragMove, drawMode, drawCycle, onDraw, pitchMap, sequencerLength, sequencerStep }) => {
   const [screenData, setScreenData] = useState(() => {
     const { width, height } = Dimensions.get('window');
     return { width, height };
   });
   
   const [isDragging, setIsDragging] = useState(false);
+  const activeTouchesRef = useRef(new Map()); // Touch id -> last known position
   const [animationOffset, setAnimationOffset] = useState(0);
   const animationRef = useRef();
 
@@ -1084,21 +264,22 @@ const WaveformVisualizer = ({ audioData, onTouch, isPlaying, theme, onDragStart,
   }, [isPlaying, dimensions.width]);
 
   // Generate SVG path from audio data with responsive dimensions
-  const generatePath = () => {
-    if (!audioData || audioData.length === 0) return '';
+  // top/visualizerHeight: the band to draw in (the whole visualizer, or one channel's half)
+  const generatePath = (data = audioData, top = 0, visualizerHeight = dimensions.visualizerHeight) => {
+    if (!data || data.length === 0) return '';
 
-    const { width, visualizerHeight, amplitudeScale } = dimensions;
-    const sliceWidth = width / audioData.length;
+    const { width, amplitudeScale } = dimensions;
+    const sliceWidth = width / data.length;
     let pathData = '';
 
-    audioData.forEach((value, index) => {
+    data.forEach((value, index) => {
       const x = index * sliceWidth;
       
       // Safety check for NaN values
       const safeValue = isNaN(value) || !isFinite(value) ? 128 : value;
       
       // Center the waveform and scale it properly with responsive amplitude
-      const centerY = visualizerHeight / 2;
+      const centerY = top + visualizerHeight / 2;
       
       // Improved amplitude calculation for better centering on all screen sizes
       const maxSafeAmplitude = visualizerHeight * 0.35; // Maximum 35% of height
@@ -1119,8 +300,8 @@ const WaveformVisualizer = ({ audioData, onTouch, isPlaying, theme, onDragStart,
       
       // Improved bounds checking - keep within safe margins from edges
       const margin = amplitude * 0.1; // 10% margin
-      const minY = margin;
-      const maxY = visualizerHeight - margin;
+      const minY = top + margin;
+      const maxY = top + visualizerHeight - margin;
       const y = Math.max(minY, Math.min(maxY, rawY));
       
       // Ensure x and y are valid numbers
@@ -1137,46 +318,132 @@ const WaveformVisualizer = ({ audioData, onTouch, isPlaying, theme, onDragStart,
     return pathData;
   };
 
+  // One path for the waveform, or one per channel half in the stereo view
+  const waveformPaths = stereoData
+    ? [
+      generatePath(stereoData.left, 0, dimensions.visualizerHeight / 2),
+      generatePath(stereoData.right, dimensions.visualizerHeight / 2, dimensions.visualizerHeight / 2)
+    ]
+    : [generatePath()];
+
+  // SVG path for the cycle being drawn, spanning the full width
+  const generateDrawCyclePath = () => {
+    const { width, visualizerHeight } = dimensions;
+    const centerY = visualizerHeight / 2;
+    const scale = visualizerHeight / 2;
+    return drawCycle
+      .map((value, index) => {
+        const x = (index / (drawCycle.length - 1)) * width;
+        const y = centerY - value * scale;
+        return `${index === 0 ? 'M' : 'L'} ${x} ${y}`;
+      })
+      .join(' ');
+  };
+
   // Helper function to calculate frequency from X position
-  const calculateFrequencyFromX = (x) => {
-    const clampedX = Math.max(0, Math.min(dimensions.width, x));
-    const minFreq = 20;
-    const maxFreq = 20000;
-    const logMin = Math.log(minFreq);
-    const logMax = Math.log(maxFreq);
-    const logFreq = logMin + (clampedX / dimensions.width) * (logMax - logMin);
-    return Math.exp(logFreq);
+  const calculateFrequencyFromX = (x) => getPadFrequency(x / dimensions.width, pitchMap);
+
+  // Vertical gridline x positions for the notes of the snap scale
+  const scaleGridlines = getScaleNotes(pitchMap).map(note => ({
+    ...note,
+    x: getPadPosition(note.frequency, pitchMap) * dimensions.width
+  }));
+
+  // Extract every active touch as { id, pageX, pageY, relativeX, relativeY }
+  // Mouse input and platforms without a touches list fall back to a single touch with id 0
+  const getTouches = (event) => {
+    const { nativeEvent } = event;
+    const offsetLeft = nativeEvent.target?.offsetLeft || 0;
+    const offsetTop = nativeEvent.target?.offsetTop || 0;
+    const rawTouches = nativeEvent.touches && nativeEvent.touches.length > 0
+      ? Array.from(nativeEvent.touches)
+      : [{ identifier: 0, pageX: nativeEvent.pageX, pageY: nativeEvent.pageY, force: nativeEvent.force ?? nativeEvent.pressure }];
+    const time = Date.now();
+
+    return rawTouches
+      .map((touch) => ({
+        id: touch.identifier ?? 0,
+        pageX: touch.pageX,
+        pageY: touch.pageY,
+        relativeX: touch.pageX - offsetLeft,
+        relativeY: touch.pageY - offsetTop,
+        pressure: touch.force,
+        time,
+        velocity: 0
+      }))
+      .filter(({ relativeX }) => !isNaN(relativeX) && isFinite(relativeX));
+  };
+
+  // Diff the current touches against the previous ones and report starts, moves and ends
+  const syncTouches = (touches) => {
+    const previous = activeTouchesRef.current;
+    const current = new Map();
+
+    // Drawing follows the first finger only: X spans one cycle, Y is the sample value
+    if (drawMode) {
+      const touch = touches[0];
+      if (touch) {
+        const xRatio = touch.relativeX / dimensions.width;
+        const value = 1 - (2 * touch.relativeY) / dimensions.visualizerHeight;
+        onDraw && onDraw(xRatio, value, !previous.has(touch.id));
+        current.set(touch.id, touch);
+      }
+      activeTouchesRef.current = current;
+      return;
+    }
+
+    touches.forEach((touch) => {
+      const frequency = calculateFrequencyFromX(touch.relativeX);
+      // Drag speed in pixels per millisecond, smoothed over moves; a finger holding still keeps its last speed
+      const last = previous.get(touch.id);
+      if (last && touch.time > last.time) {
+        const speed = Math.hypot(touch.pageX - last.pageX, touch.pageY - last.pageY) / (touch.time - last.time);
+        touch.velocity = last.velocity * 0.5 + speed * 0.5;
+      } else if (last) {
+        touch.velocity = last.velocity;
+      }
+      current.set(touch.id, touch);
+      onTouch && onTouch(touch.relativeX, touch.relativeY / dimensions.visualizerHeight, touch.id, {
+        velocity: touch.velocity,
+        pressure: touch.pressure
+      });
+
+      if (previous.has(touch.id)) {
+        onDragMove && onDragMove(touch.pageX, touch.pageY, frequency, touch.id);
+      } else {
+        onDragStart && onDragStart(touch.pageX, touch.pageY, frequency, touch.id);
+      }
+    });
+
+    previous.forEach((_, id) => {
+      if (!current.has(id)) {
+        onDragEnd && onDragEnd(id);
+      }
+    });
+
+    activeTouchesRef.current = current;
   };
 
   const handleResponderMove = (event) => {
     if (!isDragging) return;
-    
-    const { pageX, pageY } = event.nativeEvent;
-    // Calculate relative X position within the visualizer
-    const relativeX = pageX - (event.nativeEvent.target?.offsetLeft || 0);
-    
-    if (!isNaN(relativeX) && isFinite(relativeX)) {
-      const frequency = calculateFrequencyFromX(relativeX);
-      onTouch && onTouch(relativeX, 0);
-      onDragMove && onDragMove(pageX, pageY, frequency);
-    }
+    syncTouches(getTouches(event));
   };
 
   const handleResponderGrant = (event) => {
     setIsDragging(true);
-    const { pageX, pageY } = event.nativeEvent;
-    const relativeX = pageX - (event.nativeEvent.target?.offsetLeft || 0);
-    
-    if (!isNaN(relativeX) && isFinite(relativeX)) {
-      const frequency = calculateFrequencyFromX(relativeX);
-      onTouch && onTouch(relativeX, 0);
-      onDragStart && onDragStart(pageX, pageY, frequency);
-    }
+    syncTouches(getTouches(event));
+  };
+
+  // Fingers added or lifted while other fingers stay down
+  // The last finger lifting is handled by handleResponderRelease
+  const handleResponderStartOrEnd = (event) => {
+    if (!isDragging || !event.nativeEvent.touches || event.nativeEvent.touches.length === 0) return;
+    syncTouches(getTouches(event));
   };
 
   const handleResponderRelease = () => {
     setIsDragging(false);
-    onDragEnd && onDragEnd();
+    syncTouches([]);
   };
 
   return (
@@ -1186,6 +453,8 @@ const WaveformVisualizer = ({ audioData, onTouch, isPlaying, theme, onDragStart,
       onMoveShouldSetResponder={() => true}
       onResponderGrant={handleResponderGrant}
       onResponderMove={handleResponderMove}
+      onResponderStart={handleResponderStartOrEnd}
+      onResponderEnd={handleResponderStartOrEnd}
       onResponderRelease={handleResponderRelease}
       onResponderTerminate={handleResponderRelease}
     >
@@ -1226,25 +495,118 @@ const WaveformVisualizer = ({ audioData, onTouch, isPlaying, theme, onDragStart,
           </>
         )}
         
+        {/* Note gridlines when snapping to a scale - roots stand out */}
+        {scaleGridlines.map(note => (
+          <Path
+            key={`note-${note.step}`}
+            d={`M ${note.x} 0 L ${note.x} ${dimensions.visualizerHeight}`}
+            stroke={note.isRoot ? theme.accent : '#444'}
+            strokeWidth={note.isRoot ? 2 : 1}
+            opacity={note.isRoot ? 0.6 : 0.4}
+          />
+        ))}
+        
+        {/* Sequencer step highlight - the column of the step sounding now */}
+        {sequencerStep >= 0 && (
+          <Path
+            d={`M ${(sequencerStep * dimensions.width) / sequencerLength} 0 H ${((sequencerStep + 1) * dimensions.width) / sequencerLength} V ${dimensions.visualizerHeight} H ${(sequencerStep * dimensions.width) / sequencerLength} Z`}
+            fill={theme.primary}
+            opacity={0.2}
+          />
+        )}
+        
+        {/* Stereo view - left channel on top, right below, split by a centre line */}
+        {stereoData && (
+          <>
+            <Path
+              d={`M 0 ${dimensions.visualizerHeight / 2} L ${dimensions.width} ${dimensions.visualizerHeight / 2}`}
+              stroke="#666"
+              strokeWidth="1"
+            />
+            <SvgText x={8} y={18} fill="#666" fontSize="14">L</SvgText>
+            <SvgText x={8} y={dimensions.visualizerHeight / 2 + 18} fill="#666" fontSize="14">R</SvgText>
+          </>
+        )}
+
         {/* Main waveform with responsive stroke width and theme colors */}
-        <Path
-          d={generatePath()}
-          stroke={isPlaying ? theme.primary : "#666"}
-          strokeWidth={dimensions.strokeWidth}
-          fill="none"
-          opacity={isPlaying ? 1.0 : 0.7}
-        />
+        {waveformPaths.map((path, index) => (
+          <Path
+            key={`waveform-${index}`}
+            d={path}
+            stroke={isPlaying ? theme.primary : "#666"}
+            strokeWidth={dimensions.strokeWidth}
+            fill="none"
+            opacity={isPlaying ? 1.0 : 0.7}
+          />
+        ))}
+        
+        {/* Cycle being drawn in custom waveform mode */}
+        {drawMode && drawCycle && (
+          <Path
+            d={generateDrawCyclePath()}
+            stroke={theme.accent}
+            strokeWidth={dimensions.strokeWidth}
+            strokeDasharray="6,4"
+            fill="none"
+          />
+        )}
         
         {/* Glow effect when playing - responsive with theme colors */}
-        {isPlaying && (
+        {isPlaying && waveformPaths.map((path, index) => (
           <Path
-            d={generatePath()}
+            key={`glow-${index}`}
+            d={path}
             stroke={theme.accent}
             strokeWidth={dimensions.strokeWidth * 2}
             fill="none"
             opacity="0.3"
           />
-        )}
+        ))}
+      </Svg>
+    </View>
+  );
+};
+
+// Whole-file amplitude envelope for an imported audio file, with its playhead; touching seeks
+// overview: peak per slice (0 to 1) across the file's duration in seconds
+const AudioFileOverview = ({ overview, duration, position, theme, onSeek }) => {
+  const [width, setWidth] = useState(() => Dimensions.get('window').width);
+  const height = 48;
+
+  const generateEnvelopePath = () => overview.map((peak, i) => {
+    const x = ((i + 0.5) * width) / overview.length;
+    const halfHeight = Math.max(0.5, (peak * height) / 2);
+    return `M ${x} ${height / 2 - halfHeight} V ${height / 2 + halfHeight}`;
+  }).join(' ');
+
+  const seekTo = (evt) => {
+    const ratio = Math.max(0, Math.min(1, evt.nativeEvent.locationX / width));
+    onSeek(ratio * duration);
+  };
+
+  const playheadX = duration > 0 ? (position / duration) * width : 0;
+
+  return (
+    <View
+      style={[styles.fileOverview, { height }]}
+      onLayout={(evt) => setWidth(evt.nativeEvent.layout.width)}
+      onStartShouldSetResponder={() => true}
+      onMoveShouldSetResponder={() => true}
+      onResponderGrant={seekTo}
+      onResponderMove={seekTo}
+    >
+      <Svg width={width} height={height}>
+        <Path
+          d={generateEnvelopePath()}
+          stroke={theme.primary}
+          strokeWidth={Math.max(1, width / overview.length)}
+          opacity={0.8}
+        />
+        <Path
+          d={`M ${playheadX} 0 V ${height}`}
+          stroke={theme.accent}
+          strokeWidth={2}
+        />
       </Svg>
     </View>
   );
@@ -1256,16 +618,95 @@ export default function App() {
     initAudio, 
     togglePlayback, 
     updateFrequency, 
+    setGate,
     updateWaveType, 
+    updateShape,
+    updateCustomWave,
+    saveCustomWave,
+    loadCustomWave,
+    deleteCustomWave,
     updateAmplitude,
     updateMasterVolume,
     updateHighFreqAttenuation,
+    playVoice,
+    releaseVoice,
+    updateVoiceLimit,
+    updateEnvelope,
+    updateGlide,
+    updateLfo,
+    updateSynthesis,
+    updateFilter,
+    updateFilterEnvelope,
+    updateEffect,
+    moveEffectInChain,
+    startSequencer,
+    stopSequencer,
+    updateSequencer,
+    updateSequencerStep,
+    startRecording,
+    stopRecording,
+    startReplay,
+    stopReplay,
+    updatePerformanceLoop,
+    savePerformance,
+    loadPerformance,
+    deletePerformance,
+    exportPerformance,
+    importPerformance,
+    exportAudio,
+    startLiveRecording,
+    stopLiveRecording,
+    auditionTake,
+    downloadTake,
+    deleteTake,
+    setInputSource,
+    updateInputGain,
+    updatePitchFollow,
+    updateSpatial,
+    updateStereoView,
+    loadAudioFile,
+    playAudioFile,
+    pauseAudioFile,
+    seekAudioFile,
+    updateAudioFileLoop,
+    unloadAudioFile,
     isPlaying, 
     frequency, 
     waveType,
+    shape,
+    customWave,
+    savedCustomWaves,
     amplitude,
     masterVolume,
     highFreqAttenuation,
+    voiceLimit,
+    activeVoices,
+    envelope,
+    glide,
+    lfos,
+    synthesis,
+    filter,
+    filterEnvelope,
+    effects,
+    sequencer,
+    sequencerRunning,
+    sequencerStep,
+    recordedPerformance,
+    performanceStatus,
+    performanceLoop,
+    savedPerformances,
+    liveRecording,
+    takes,
+    auditioningTakeId,
+    inputSource,
+    inputGain,
+    inputPitch,
+    pitchFollow,
+    audioFile,
+    filePlayback,
+    spatial,
+    stereoView,
+    stereoAudioData,
     audioData
   } = useAudioEngine();
   const [audioInitialized, setAudioInitialized] = useState(false);
@@ -1308,13 +749,8 @@ export default function App() {
   // Audio status dismissable state
   const [showAudioStatus, setShowAudioStatus] = useState(true);
   
-  // Drag tooltip state
-  const [dragTooltip, setDragTooltip] = useState({
-    visible: false,
-    x: 0,
-    y: 0,
-    frequency: 0
-  });
+  // Drag tooltip state, one entry per touch id: { x, y, frequency }
+  const [dragTooltips, setDragTooltips] = useState({});
 
   // Theme system with predefined color schemes
   const themes = [
@@ -1333,27 +769,266 @@ export default function App() {
   // Get screen dimensions for responsive styling
   const { width: screenWidth } = Dimensions.get('window');
 
-  const handleVisualizerTouch = (x, y) => {
+  // Scale snapping for the frequency pad
+  const [quantize, setQuantize] = useState(DEFAULT_QUANTIZE);
+  const updateQuantize = (changes) => {
+    setQuantize(clampQuantize({ ...quantize, ...changes }));
+  };
+
+  // Tuning system behind the snap scale and note names; just intonation is built on the snap root
+  const [tuningSettings, setTuningSettings] = useState(DEFAULT_TUNING_SETTINGS);
+  const [scalaText, setScalaText] = useState({ scl: '', kbm: '' });
+  const [scalaError, setScalaError] = useState(null);
+  const [showScalaImport, setShowScalaImport] = useState(false);
+  const tuning = buildTuning(tuningSettings, quantize.root);
+  const pitchMap = getPitchMap(quantize, tuning);
+  // Chromatic tuner reading of the microphone pitch, in the current tuning
+  const tunerNote = inputPitch ? getNoteInfo(inputPitch.frequency, tuning) : null;
+  const updateTuning = (changes) => {
+    setTuningSettings(clampTuningSettings({ ...tuningSettings, ...changes }, tuningSettings));
+  };
+
+  // Parse pasted (or opened) Scala files and switch to them
+  const loadScala = () => {
+    try {
+      const scale = parseScl(scalaText.scl);
+      const keyboard = scalaText.kbm.trim() ? parseKbm(scalaText.kbm) : null;
+      updateTuning({ system: 'scala', scale, keyboard });
+      setScalaError(null);
+      setShowScalaImport(false);
+      console.log(`Loaded Scala tuning "${scale.description}" (${scale.cents.length} notes)`);
+    } catch (error) {
+      console.warn('Could not load Scala file:', error.message);
+      setScalaError(error.message);
+    }
+  };
+
+  // Web only: read a .scl/.kbm file from disk into its text box
+  const openScalaFile = (kind) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = `.${kind}`;
+    input.onchange = () => {
+      const file = input.files && input.files[0];
+      if (file) {
+        file.text().then(text => setScalaText(current => ({ ...current, [kind]: text })));
+      }
+    };
+    input.click();
+  };
+
+  // Gesture matrix: X, Y, drag velocity and pressure routed to parameters (see ./audio/gestureMatrix)
+  // Layouts save by name so each performer can keep their own
+  const [gestureMatrix, setGestureMatrix] = useState(DEFAULT_GESTURE_MATRIX);
+  const [savedGestureLayouts, setSavedGestureLayouts] = useState(() => gestureLayoutStore.list());
+  const [gestureLayoutName, setGestureLayoutName] = useState('');
+  const modulationTouchIdRef = useRef(null); // Touch that owns the non-pitch routes
+
+  const updateGestureRoute = (index, changes) => {
+    setGestureMatrix(routes => routes.map((route, i) => (i === index ? clampRoute({ ...route, ...changes }, route) : route)));
+  };
+
+  const addGestureRoute = () => {
+    setGestureMatrix(routes => (routes.length < MAX_GESTURE_ROUTES ? [...routes, DEFAULT_ROUTE] : routes));
+  };
+
+  const removeGestureRoute = (index) => {
+    setGestureMatrix(routes => routes.filter((_, i) => i !== index));
+  };
+
+  const saveGestureLayout = (name) => {
+    const trimmedName = name.trim();
+    if (!trimmedName) {
+      console.warn('Gesture layout needs a name');
+      return;
+    }
+    gestureLayoutStore.save(trimmedName, gestureMatrix);
+    setSavedGestureLayouts(gestureLayoutStore.list());
+    console.log('Gesture layout saved:', trimmedName);
+  };
+
+  const loadGestureLayout = (name) => {
+    const routes = gestureLayoutStore.load(name);
+    if (routes) {
+      setGestureMatrix(clampGestureMatrix(routes));
+      console.log('Gesture layout loaded:', name);
+    }
+  };
+
+  const deleteGestureLayout = (name) => {
+    gestureLayoutStore.remove(name);
+    setSavedGestureLayouts(gestureLayoutStore.list());
+  };
+
+  // Set a parameter from a 0-1 position, for gesture routes and MIDI CC bindings (see ./audio/parameters)
+  const applyParameterRatio = (id, ratio) => {
+    const parameter = getParameter(id);
+    if (!parameter) {
+      return;
+    }
+    const { section, key } = parameter;
+    const value = getParameterValue(parameter, ratio);
+    switch (section) {
+      case 'frequency':
+        updateFrequency(getPadFrequency(ratio, pitchMap));
+        break;
+      case 'amplitude':
+        updateAmplitude(value);
+        break;
+      case 'highFreqAttenuation':
+        updateHighFreqAttenuation(value);
+        break;
+      case 'masterVolume':
+        updateMasterVolume(value);
+        break;
+      case 'shape':
+        updateShape(value);
+        break;
+      case 'glide':
+        updateGlide({ [key]: value });
+        break;
+      case 'synthesis':
+        if (synthesis.mode !== 'basic') {
+          updateSynthesis({ [key]: value });
+        }
+        break;
+      case 'envelope':
+        updateEnvelope({ [key]: value });
+        break;
+      case 'filter':
+        updateFilter({ [key]: value });
+        break;
+      case 'filterEnvelope':
+        updateFilterEnvelope({ [key]: value });
+        break;
+      case 'effect':
+        updateEffect(parameter.effect, { [key]: value });
+        break;
+      case 'spatial':
+        updateSpatial({ [key]: value });
+        break;
+      case 'lfo':
+        updateLfo(parameter.index, { [key]: value });
+        break;
+      case 'sequencer':
+        updateSequencer({ [key]: value });
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleVisualizerTouch = (x, y, touchId = 0, gesture = {}) => {
     const { width } = Dimensions.get('window');
-    // Map touch position to frequency (20Hz to 20kHz - full human hearing range)
-    // Use logarithmic scaling for more natural frequency distribution
     const safeX = isNaN(x) || x === undefined ? width / 2 : x;
-    const clampedX = Math.max(0, Math.min(width, safeX));
-    
-    // Logarithmic frequency mapping for better musical intervals
-    const minFreq = 20;   // 20Hz - lowest human hearing
-    const maxFreq = 20000; // 20kHz - highest human hearing
-    const logMin = Math.log(minFreq);
-    const logMax = Math.log(maxFreq);
-    const logFreq = logMin + (clampedX / width) * (logMax - logMin);
-    const newFreq = Math.exp(logFreq);
+    const sources = getGestureSourceValues({ x: safeX / width, y, velocity: gesture.velocity, pressure: gesture.pressure });
+    const targets = getGestureTargets(gestureMatrix, sources);
+
+    // Every finger plays its own voice, at the pitch route's note on the pad (logarithmic across
+    // 20Hz-20kHz, or across the chosen octaves and snapped to the scale when quantizing)
+    // Without a pitch route, fingers play the current frequency
+    const newFreq = targets.pitch !== undefined ? getPadFrequency(targets.pitch, pitchMap) : frequency;
     
     // Ensure frequency is valid
     if (!isNaN(newFreq) && isFinite(newFreq)) {
-      updateFrequency(newFreq);
+      playVoice(touchId, newFreq);
+    }
+    
+    // The first finger down owns the other routes so fingers don't fight
+    if (modulationTouchIdRef.current === null) {
+      modulationTouchIdRef.current = touchId;
+    }
+    if (modulationTouchIdRef.current === touchId) {
+      Object.keys(targets)
+        .filter(destination => destination !== 'pitch')
+        .forEach(destination => applyParameterRatio(destination, targets[destination]));
+    }
+  };
+
+  // Web MIDI: keys play the main note (last-note priority, velocity sets the amplitude) with pitch bend,
+  // and CCs move whichever parameters they are bound to; MIDI learn binds the next CC that moves
+  const [midiInputs, setMidiInputs] = useState(null); // Connected input names, null until MIDI is on
+  const [midiError, setMidiError] = useState(null);
+  const [midiLearnTarget, setMidiLearnTarget] = useState(null); // Parameter waiting for a CC
+  const [midiBindings, setMidiBindings] = useState(() => clampParameterBindings(midiStore.load('bindings'))); // CC number -> parameter id
+  const midiNotesRef = useRef([]); // Held keys, most recent last
+  const midiBendRef = useRef(0);
+  const midiHandlerRef = useRef(null); // Latest message handler, so the MIDI listener never goes stale
+  const midiDisconnectRef = useRef(null);
+
+  const updateMidiBindings = (bindings) => {
+    setMidiBindings(bindings);
+    midiStore.save('bindings', bindings);
+  };
+
+  // Sound the most recent held key, bent; with no keys held the gate closes
+  const playMidiNote = () => {
+    const held = midiNotesRef.current;
+    if (held.length === 0) {
+      setGate(false);
+      return;
+    }
+    const step = getKeyStep(tuning, held[held.length - 1]);
+    updateFrequency(getStepFrequency(tuning, step) * getPitchBendRatio(midiBendRef.current));
+    setGate(true);
+  };
+
+  midiHandlerRef.current = (message) => {
+    switch (message.type) {
+      case 'noteOn':
+        // Keys the keyboard mapping leaves out stay silent
+        if (getKeyStep(tuning, message.note) === null) {
+          return;
+        }
+        midiNotesRef.current = pressNote(midiNotesRef.current, message.note);
+        updateAmplitude(message.velocity / 127);
+        playMidiNote();
+        break;
+      case 'noteOff':
+        if (midiNotesRef.current.includes(message.note)) {
+          midiNotesRef.current = releaseNote(midiNotesRef.current, message.note);
+          playMidiNote();
+        }
+        break;
+      case 'pitchBend':
+        midiBendRef.current = message.value;
+        if (midiNotesRef.current.length > 0) {
+          playMidiNote();
+        }
+        break;
+      case 'controlChange':
+        if (midiLearnTarget) {
+          // One CC per parameter: learning a parameter again moves it to the new CC
+          const bindings = Object.fromEntries(
+            Object.entries(midiBindings).filter(([, destination]) => destination !== midiLearnTarget)
+          );
+          updateMidiBindings({ ...bindings, [message.controller]: midiLearnTarget });
+          console.log(`MIDI CC ${message.controller} bound to ${midiLearnTarget}`);
+          setMidiLearnTarget(null);
+        } else if (midiBindings[message.controller]) {
+          applyParameterRatio(midiBindings[message.controller], message.value / 127);
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleConnectMidi = async () => {
+    setMidiError(null);
+    try {
+      const access = await requestMidiAccess();
+      midiDisconnectRef.current && midiDisconnectRef.current();
+      midiDisconnectRef.current = connectMidiInputs(access, message => midiHandlerRef.current(message), setMidiInputs);
+      console.log('MIDI connected');
+    } catch (error) {
+      console.warn('Could not connect MIDI:', error.message);
+      setMidiError(error.message);
     }
   };
 
+  useEffect(() => () => midiDisconnectRef.current && midiDisconnectRef.current(), []);
+
   const handleButtonPress = async () => {
     try {
       if (!audioInitialized) {
@@ -1374,33 +1049,401 @@ export default function App() {
     }
   };
 
-  // Tooltip handlers for drag interaction
-  const handleDragStart = (x, y, frequency) => {
-    setDragTooltip({
-      visible: true,
-      x,
-      y,
-      frequency
-    });
-  };
-
-  const handleDragMove = (x, y, frequency) => {
-    setDragTooltip(prev => ({
+  // Tooltip handlers for drag interaction (one tooltip per touch)
+  const handleDragStart = (x, y, frequency, touchId = 0) => {
+    setDragTooltips(prev => ({
       ...prev,
-      x,
-      y,
-      frequency
+      [touchId]: { x, y, frequency }
     }));
   };
 
-  const handleDragEnd = () => {
-    setDragTooltip(prev => ({
+  const handleDragMove = (x, y, frequency, touchId = 0) => {
+    setDragTooltips(prev => ({
       ...prev,
-      visible: false
+      [touchId]: { x, y, frequency }
     }));
   };
 
-  const waveTypes = ['sine', 'square', 'sawtooth', 'triangle'];
+  const handleDragEnd = (touchId = 0) => {
+    setDragTooltips(prev => {
+      const { [touchId]: _removed, ...rest } = prev;
+      return rest;
+    });
+    if (modulationTouchIdRef.current === touchId) {
+      modulationTouchIdRef.current = null;
+    }
+    releaseVoice(touchId);
+  };
+
+  // Format a frequency for the overlay and tooltips
+  const formatFrequency = (freq) => (
+    freq >= 1000 ? `${(freq / 1000).toFixed(1)}kHz` : `${Math.round(freq)}Hz`
+  );
+
+  const waveTypes = ['sine', 'square', 'sawtooth', 'triangle', 'custom', 'white', 'pink', 'brown'];
+
+  // Step sequencer editing: the step being edited, and arpeggiator pattern names
+  const [selectedStep, setSelectedStep] = useState(0);
+  const editedStep = sequencer.steps[Math.min(selectedStep, sequencer.length - 1)];
+  const editedStepIndex = Math.min(selectedStep, sequencer.length - 1);
+  const arpPatternLabels = {
+    up: 'Up',
+    down: 'Down',
+    upDown: 'Up/Down',
+    random: 'Random'
+  };
+  const sequencerLengths = [8, 16, 32, 64];
+
+  // Performance capture: name for saving, and the JSON box used for export and import
+  const [performanceName, setPerformanceName] = useState('');
+  const [performanceJson, setPerformanceJson] = useState('');
+  const [performanceError, setPerformanceError] = useState(null);
+
+  // Fill the JSON box with the recording; on web also download it as a file
+  const handleExportPerformance = () => {
+    const json = exportPerformance();
+    setPerformanceJson(json);
+    if (json && Platform.OS === 'web') {
+      downloadFile(json, `${performanceName.trim() || 'performance'}.json`, 'application/json');
+    }
+  };
+
+  const handleImportPerformance = () => {
+    try {
+      importPerformance(performanceJson);
+      setPerformanceError(null);
+    } catch (error) {
+      console.warn('Could not import performance:', error.message);
+      setPerformanceError(error.message);
+    }
+  };
+
+  // Audio export: render length, sample format and channels of the WAV file
+  const [exportSettings, setExportSettings] = useState({ duration: 5, bitDepth: 16, channelCount: 2 });
+  const [exportStatus, setExportStatus] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const exportDurations = [2, 5, 10, 30];
+  const bitDepthLabels = { 16: '16-bit', 24: '24-bit', 32: '32-bit float' };
+
+  const handleExportAudio = async () => {
+    setExportError(null);
+    setExportStatus('Rendering...');
+    try {
+      const filename = await exportAudio(exportSettings);
+      setExportStatus(filename ? `Saved ${filename}` : null);
+    } catch (error) {
+      console.warn('Could not export audio:', error.message);
+      setExportStatus(null);
+      setExportError(error.message);
+    }
+  };
+
+  // Live recording: format for the next take, and any error starting or stopping it
+  const [liveRecordingFormat, setLiveRecordingFormat] = useState('compressed');
+  const [liveRecordingError, setLiveRecordingError] = useState(null);
+
+  const handleToggleLiveRecording = async () => {
+    setLiveRecordingError(null);
+    try {
+      if (liveRecording) {
+        await stopLiveRecording();
+      } else {
+        await startLiveRecording(liveRecordingFormat);
+      }
+    } catch (error) {
+      console.warn('Live recording failed:', error.message);
+      setLiveRecordingError(error.message);
+    }
+  };
+
+  // Visualizer input: any error opening the microphone (permission denied, no device)
+  const [inputError, setInputError] = useState(null);
+
+  const handleSelectInputSource = async (source) => {
+    setInputError(null);
+    try {
+      await setInputSource(source);
+    } catch (error) {
+      console.warn('Could not switch input source:', error.message);
+      setInputError(error.message);
+    }
+  };
+
+  // Imported audio file: any error reading or decoding it
+  const [audioFileError, setAudioFileError] = useState(null);
+
+  const openAudioFile = async (file) => {
+    setAudioFileError(null);
+    try {
+      await loadAudioFile(file.name, await file.arrayBuffer());
+    } catch (error) {
+      console.warn('Could not open audio file:', error.message);
+      setAudioFileError(error.message);
+    }
+  };
+
+  // Web only: choose a WAV/MP3/OGG file from disk
+  const pickAudioFile = () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = AUDIO_FILE_ACCEPT;
+    input.onchange = () => {
+      const file = input.files && input.files[0];
+      if (file) {
+        openAudioFile(file);
+      }
+    };
+    input.click();
+  };
+
+  // Web only: audio files dropped anywhere on the page load too
+  useEffect(() => {
+    if (Platform.OS !== 'web') {
+      return undefined;
+    }
+    const handleDragOver = (event) => event.preventDefault();
+    const handleDrop = (event) => {
+      const file = event.dataTransfer && event.dataTransfer.files[0];
+      if (file) {
+        event.preventDefault();
+        openAudioFile(file);
+      }
+    };
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('drop', handleDrop);
+    return () => {
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('drop', handleDrop);
+    };
+  }, []);
+
+  // m:ss for the recording timer and take lengths
+  const formatRecordingTime = (seconds) => {
+    const wholeSeconds = Math.floor(seconds);
+    return `${Math.floor(wholeSeconds / 60)}:${String(wholeSeconds % 60).padStart(2, '0')}`;
+  };
+
+  // Move a step's pitch one note of the tuning, or one scale note while snapping
+  const shiftStepPitch = (index, direction) => {
+    let { step } = getNearestStep(tuning, sequencer.steps[index].frequency);
+    do {
+      step += direction;
+    } while (pitchMap.quantize && !pitchMap.degrees.includes(((step % tuning.size) + tuning.size) % tuning.size));
+    updateSequencerStep(index, { frequency: getStepFrequency(tuning, step) });
+  };
+
+  // Custom waveform drawing state
+  const [drawMode, setDrawMode] = useState(false);
+  const [customWaveName, setCustomWaveName] = useState('');
+  const drawingCycleRef = useRef(null); // Cycle being drawn, ahead of engine state between renders
+  const lastDrawPointRef = useRef(null);
+
+  // Draw a segment from the previous point so fast strokes stay continuous
+  const handleDraw = (xRatio, value, isStart) => {
+    if (isStart || !drawingCycleRef.current) {
+      drawingCycleRef.current = customWave;
+    }
+    const from = isStart || !lastDrawPointRef.current ? { xRatio, value } : lastDrawPointRef.current;
+    drawingCycleRef.current = drawIntoCycle(drawingCycleRef.current, from.xRatio, from.value, xRatio, value);
+    lastDrawPointRef.current = { xRatio, value };
+    updateCustomWave(drawingCycleRef.current);
+  };
+
+  const toggleDrawMode = () => {
+    if (!drawMode && waveType !== 'custom') {
+      updateWaveType('custom');
+    }
+    lastDrawPointRef.current = null;
+    setDrawMode(!drawMode);
+  };
+
+  // Envelope stages shown in the control panel
+  const envelopeStages = [
+    { key: 'attack', label: 'Attack' },
+    { key: 'decay', label: 'Decay' },
+    { key: 'sustain', label: 'Sustain' },
+    { key: 'release', label: 'Release' }
+  ];
+
+  // Sustain is a level, the other stages are durations
+  const formatEnvelopeValue = (stage, value) => (
+    stage === 'sustain' ? `${Math.round(value * 100)}%` : `${Math.round(value * 1000)}ms`
+  );
+
+  // Map a 0-1 slider position onto an envelope stage's range
+  const setEnvelopeStageFromRatio = (stage, ratio) => {
+    const { min, max } = ENVELOPE_LIMITS[stage];
+    updateEnvelope({ [stage]: min + Math.max(0, Math.min(1, ratio)) * (max - min) });
+  };
+
+  // Pan and HRTF depth sliders (depth only places the sound in 3D mode)
+  const spatialSliders = [
+    { key: 'pan', label: 'Pan' },
+    { key: 'depth', label: 'Depth' }
+  ];
+
+  const formatSpatialValue = (key, value) => {
+    if (key === 'depth') {
+      return `${Math.round(value * 100)}%`;
+    }
+    return value === 0 ? 'Center' : `${Math.round(Math.abs(value) * 100)}% ${value < 0 ? 'L' : 'R'}`;
+  };
+
+  const getSpatialRatio = (key) => {
+    const { min, max } = SPATIAL_LIMITS[key];
+    return (spatial[key] - min) / (max - min);
+  };
+
+  const setSpatialFromRatio = (key, ratio) => {
+    const { min, max } = SPATIAL_LIMITS[key];
+    updateSpatial({ [key]: min + Math.max(0, Math.min(1, ratio)) * (max - min) });
+  };
+
+  // Synthesis mode names as shown on the buttons
+  const synthesisLabels = {
+    basic: 'Off',
+    fm: 'FM',
+    am: 'AM',
+    ring: 'Ring'
+  };
+
+  // Slider position (0-1) for a synthesis setting, and the reverse
+  const getSynthesisRatio = (key) => {
+    const { min, max } = SYNTHESIS_LIMITS[key];
+    return (synthesis[key] - min) / (max - min);
+  };
+
+  const setSynthesisFromRatio = (key, ratio) => {
+    const { min, max } = SYNTHESIS_LIMITS[key];
+    updateSynthesis({ [key]: min + Math.max(0, Math.min(1, ratio)) * (max - min) });
+  };
+
+  // Filter controls shown in the control panel, with their slider mappings
+  const filterSliders = [
+    {
+      key: 'cutoff',
+      label: 'Cutoff',
+      format: value => formatFrequency(value),
+      toRatio: getCutoffRatio,
+      fromRatio: getCutoffFromRatio
+    },
+    {
+      key: 'resonance',
+      label: 'Resonance',
+      format: value => value.toFixed(1),
+      toRatio: value => (value - FILTER_LIMITS.resonance.min) / (FILTER_LIMITS.resonance.max - FILTER_LIMITS.resonance.min),
+      fromRatio: ratio => FILTER_LIMITS.resonance.min + ratio * (FILTER_LIMITS.resonance.max - FILTER_LIMITS.resonance.min)
+    },
+    {
+      key: 'envAmount',
+      label: 'Env Amount',
+      format: value => `${value > 0 ? '+' : ''}${value.toFixed(1)} oct`,
+      toRatio: value => (value - FILTER_LIMITS.envAmount.min) / (FILTER_LIMITS.envAmount.max - FILTER_LIMITS.envAmount.min),
+      fromRatio: ratio => FILTER_LIMITS.envAmount.min + ratio * (FILTER_LIMITS.envAmount.max - FILTER_LIMITS.envAmount.min)
+    }
+  ];
+
+  const setFilterFromRatio = ({ key, fromRatio }, ratio) => {
+    updateFilter({ [key]: fromRatio(Math.max(0, Math.min(1, ratio))) });
+  };
+
+  const setFilterEnvelopeStageFromRatio = (stage, ratio) => {
+    const { min, max } = ENVELOPE_LIMITS[stage];
+    updateFilterEnvelope({ [stage]: min + Math.max(0, Math.min(1, ratio)) * (max - min) });
+  };
+
+  // Effect names and parameter sliders shown in the control panel
+  const effectLabels = {
+    distortion: 'Distortion',
+    delay: 'Delay',
+    reverb: 'Reverb'
+  };
+
+  const effectParams = {
+    distortion: [
+      { key: 'mix', label: 'Mix', format: value => `${Math.round(value * 100)}%` },
+      { key: 'drive', label: 'Drive', format: value => `${Math.round(value * 100)}%` }
+    ],
+    delay: [
+      { key: 'mix', label: 'Mix', format: value => `${Math.round(value * 100)}%` },
+      { key: 'time', label: 'Time', format: value => `${Math.round(value * 1000)}ms` },
+      { key: 'feedback', label: 'Feedback', format: value => `${Math.round(value * 100)}%` }
+    ],
+    reverb: [
+      { key: 'mix', label: 'Mix', format: value => `${Math.round(value * 100)}%` },
+      { key: 'decay', label: 'Decay', format: value => `${value.toFixed(1)}s` }
+    ]
+  };
+
+  const setEffectParamFromRatio = (type, key, ratio) => {
+    const { min, max } = EFFECT_LIMITS[type][key];
+    updateEffect(type, { [key]: min + Math.max(0, Math.min(1, ratio)) * (max - min) });
+  };
+
+  // Tuning system options
+  const tuningSystems = [
+    { key: 'equal', label: '12-TET' },
+    { key: 'just', label: 'Just' },
+    { key: 'edo', label: 'N-EDO' },
+    { key: 'scala', label: 'Scala' }
+  ];
+  const referencePresets = [415, 432, 440, 442];
+
+  // Scale names as shown on the buttons
+  const scaleLabels = {
+    chromatic: 'Chromatic',
+    major: 'Major',
+    minor: 'Minor',
+    majorPentatonic: 'Pentatonic',
+    minorPentatonic: 'Minor Pent.',
+    dorian: 'Dorian',
+    phrygian: 'Phrygian',
+    lydian: 'Lydian',
+    mixolydian: 'Mixolydian',
+    locrian: 'Locrian'
+  };
+
+  // Gesture matrix names as shown on the buttons
+  const gestureSourceLabels = {
+    x: 'X',
+    y: 'Y',
+    velocity: 'Velocity',
+    pressure: 'Pressure'
+  };
+
+  const gestureDestinationLabels = Object.fromEntries(
+    GESTURE_DESTINATIONS.map(destination => [destination, getParameter(destination).label])
+  );
+
+  const gestureCurveLabels = {
+    linear: 'Linear',
+    log: 'Log',
+    exponential: 'Exp'
+  };
+
+  // LFO target names as shown on the buttons
+  const lfoTargetLabels = {
+    frequency: 'Vibrato',
+    amplitude: 'Tremolo',
+    cutoff: 'Filter',
+    resonance: 'Resonance',
+    modulationIndex: 'FM/AM Index',
+    pan: 'Pan',
+    delayTime: 'Delay Time',
+    delayFeedback: 'Feedback',
+    masterVolume: 'Volume'
+  };
+
+  // LFO rate sliders are logarithmic so slow sweeps get as much travel as fast wobbles
+  const getLfoRateRatio = (rate) => {
+    const { min, max } = LFO_LIMITS.rate;
+    return Math.log(rate / min) / Math.log(max / min);
+  };
+
+  const setLfoRateFromRatio = (index, ratio) => {
+    const { min, max } = LFO_LIMITS.rate;
+    updateLfo(index, { rate: min * Math.pow(max / min, Math.max(0, Math.min(1, ratio))) });
+  };
 
   return (
     <View style={styles.container}>
@@ -1444,40 +1487,92 @@ export default function App() {
         </View>
       )}
       
+      {/* Imported audio file overview - whole-file envelope with the playhead */}
+      {audioFile && (
+        <AudioFileOverview
+          overview={audioFile.overview}
+          duration={audioFile.duration}
+          position={filePlayback.position}
+          theme={theme}
+          onSeek={seekAudioFile}
+        />
+      )}
+
       <WaveformVisualizer 
         audioData={audioData}
+        stereoData={stereoAudioData}
         onTouch={handleVisualizerTouch}
-        isPlaying={isPlaying}
+        isPlaying={isPlaying || sequencerRunning || inputSource === 'microphone' || filePlayback.playing}
         theme={theme}
         onDragStart={handleDragStart}
         onDragMove={handleDragMove}
         onDragEnd={handleDragEnd}
+        drawMode={drawMode}
+        drawCycle={customWave}
+        onDraw={handleDraw}
+        pitchMap={pitchMap}
+        sequencerLength={sequencer.length}
+        sequencerStep={sequencerStep}
       />
       
-      {/* Frequency Display - positioned top right */}
+      {/* Frequency Display - positioned top right, one line per held voice */}
       <View style={styles.frequencyOverlay}>
-        <Text style={styles.frequencyOverlayText}>
-          {frequency >= 1000 ? `${(frequency / 1000).toFixed(1)}kHz` : `${Math.round(frequency)}Hz`}
-        </Text>
+        {activeVoices.length > 1 ? (
+          activeVoices.map((voice) => (
+            <Text key={voice.id} style={styles.frequencyOverlayText}>
+              {formatFrequency(voice.primary ? frequency : voice.frequency)} · {formatNote(voice.primary ? frequency : voice.frequency, tuning)}
+            </Text>
+          ))
+        ) : (
+          <Text style={styles.frequencyOverlayText}>
+            {formatFrequency(frequency)} · {formatNote(frequency, tuning)}
+          </Text>
+        )}
+        {inputSource === 'microphone' && (
+          <>
+            <Text style={styles.frequencyOverlayText}>
+              🎤 {tunerNote
+                ? `${tunerNote.label} ${tunerNote.cents > 0 ? '+' : ''}${tunerNote.cents}¢ · ${formatFrequency(inputPitch.frequency)}`
+                : '—'}
+            </Text>
+            {/* Tuner needle: ±50¢ across the scale, green when within 5¢ */}
+            <View style={styles.tunerScale}>
+              <View style={styles.tunerCenter} />
+              {tunerNote && (
+                <View style={[
+                  styles.tunerNeedle,
+                  {
+                    left: `${Math.max(0, Math.min(100, 50 + tunerNote.cents))}%`,
+                    backgroundColor: Math.abs(tunerNote.cents) <= 5 ? '#44ff44' : theme.accent
+                  }
+                ]} />
+              )}
+            </View>
+          </>
+        )}
       </View>
       
-      {/* Drag Tooltip */}
-      {dragTooltip.visible && (
-        <View style={[
-          styles.tooltip,
-          {
-            position: 'absolute',
-            left: dragTooltip.x + 10,
-            top: dragTooltip.y - 40,
-            backgroundColor: theme.secondary,
-            borderColor: theme.primary,
-          }
-        ]}>
-          <Text style={[styles.tooltipText, { color: theme.text }]}>
-            {Math.round(dragTooltip.frequency)} Hz
-          </Text>
-        </View>
-      )}
+      {/* Drag Tooltips - one per touch */}
+      {Object.entries(dragTooltips).map(([touchId, tooltip]) => {
+        const voice = activeVoices.find(v => String(v.id) === touchId);
+        const tooltipFrequency = voice ? voice.frequency : tooltip.frequency;
+        return (
+          <View key={touchId} style={[
+            styles.tooltip,
+            {
+              position: 'absolute',
+              left: tooltip.x + 10,
+              top: tooltip.y - 40,
+              backgroundColor: theme.secondary,
+              borderColor: theme.primary,
+            }
+          ]}>
+            <Text style={[styles.tooltipText, { color: theme.text }]}>
+              {Math.round(tooltipFrequency)} Hz · {formatNote(tooltipFrequency, tuning)}
+            </Text>
+          </View>
+        );
+      })}
       
       {/* Welcome Message */}
       {showWelcomeMessage && (
@@ -1539,44 +1634,1563 @@ export default function App() {
               style={styles.dismissButton}
               onPress={() => setShowAudioStatus(false)}
             >
-              <Text style={styles.dismissButtonText}>×</Text>
+              <Text style={styles.dismissButtonText}>×</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+        
+        <TouchableOpacity 
+          style={[
+            styles.button, 
+            { 
+              backgroundColor: isPlaying ? theme.secondary : theme.primary,
+              marginBottom: screenWidth < 768 ? 20 : 15
+            }
+          ]}
+          onPress={handleButtonPress}
+        >
+          <Text style={styles.buttonText}>
+            {isPlaying ? 'STOP' : (!audioInitialized ? 'TAP TO START' : 'START')}
+          </Text>
+        </TouchableOpacity>
+        
+        {/* Wave Type Selector - moved below start button */}
+        <View style={[
+          styles.waveTypeContainer,
+          { marginVertical: screenWidth < 768 ? 8 : 6 }
+        ]}>
+          <View style={styles.waveTypeButtons}>
+            {waveTypes.map((type) => (
+              <TouchableOpacity
+                key={type}
+                style={[
+                  styles.waveTypeButton,
+                  waveType === type && { backgroundColor: theme.primary }
+                ]}
+                onPress={() => updateWaveType(type)}
+              >
+                <Text style={[
+                  styles.waveTypeButtonText,
+                  waveType === type && styles.waveTypeButtonTextActive
+                ]}>
+                  {type.charAt(0).toUpperCase() + type.slice(1)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+        
+        {/* Custom Waveform - draw, save and recall single cycles */}
+        {waveType === 'custom' && (
+          <View style={[
+            styles.customWaveContainer,
+            { marginVertical: screenWidth < 768 ? 8 : 6 }
+          ]}>
+            <View style={styles.waveTypeButtons}>
+              <TouchableOpacity
+                style={[
+                  styles.waveTypeButton,
+                  drawMode && { backgroundColor: theme.primary }
+                ]}
+                onPress={toggleDrawMode}
+              >
+                <Text style={[
+                  styles.waveTypeButtonText,
+                  drawMode && styles.waveTypeButtonTextActive
+                ]}>
+                  {drawMode ? 'Done Drawing' : 'Draw on Waveform'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+            <View style={styles.customWaveSaveRow}>
+              <TextInput
+                style={styles.textInput}
+                value={customWaveName}
+                onChangeText={setCustomWaveName}
+                placeholder="Waveform name"
+                placeholderTextColor="#777"
+              />
+              <TouchableOpacity
+                style={[styles.waveTypeButton, { backgroundColor: theme.primary }]}
+                onPress={() => {
+                  saveCustomWave(customWaveName);
+                  setCustomWaveName('');
+                }}
+              >
+                <Text style={[styles.waveTypeButtonText, styles.waveTypeButtonTextActive]}>Save</Text>
+              </TouchableOpacity>
+            </View>
+            {savedCustomWaves.length > 0 && (
+              <View style={styles.waveTypeButtons}>
+                {savedCustomWaves.map((name) => (
+                  <TouchableOpacity
+                    key={name}
+                    style={styles.waveTypeButton}
+                    onPress={() => loadCustomWave(name)}
+                    onLongPress={() => deleteCustomWave(name)}
+                  >
+                    <Text style={styles.waveTypeButtonText}>{name}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+          </View>
+        )}
+        
+        {/* Wave Shape Morph - continuous sine → triangle → sawtooth → square */}
+        <View style={[
+          styles.amplitudeContainer,
+          { marginVertical: screenWidth < 768 ? 8 : 6 }
+        ]}>
+          <Text style={styles.labelText}>
+            Shape: {shape.toFixed(2)} ({waveType})
+          </Text>
+          <View 
+            style={styles.amplitudeSlider}
+            onStartShouldSetResponder={() => true}
+            onMoveShouldSetResponder={() => true}
+            onResponderGrant={(evt) => {
+              const { locationX } = evt.nativeEvent;
+              const sliderWidth = 200; // Approximate slider width
+              updateShape(Math.max(0, Math.min(1, locationX / sliderWidth)) * MAX_SHAPE);
+            }}
+            onResponderMove={(evt) => {
+              const { locationX } = evt.nativeEvent;
+              const sliderWidth = 200; // Approximate slider width
+              updateShape(Math.max(0, Math.min(1, locationX / sliderWidth)) * MAX_SHAPE);
+            }}
+          >
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => updateShape(shape - 0.1)}
+            >
+              <Text style={styles.amplitudeButtonText}>-</Text>
+            </TouchableOpacity>
+            <View style={styles.amplitudeTrack}>
+              <View style={[styles.amplitudeBar, { 
+                width: `${(shape / MAX_SHAPE) * 100}%`,
+                backgroundColor: theme.primary
+              }]} />
+            </View>
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => updateShape(shape + 0.1)}
+            >
+              <Text style={styles.amplitudeButtonText}>+</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+        
+        {/* FM / AM Synthesis - modulator mode, ratio and index */}
+        <View style={[
+          styles.amplitudeContainer,
+          { marginVertical: screenWidth < 768 ? 8 : 6 }
+        ]}>
+          <Text style={styles.labelText}>
+            Modulation: {synthesisLabels[synthesis.mode]}
+            {synthesis.mode !== 'basic' && ` (ratio ${synthesis.ratio.toFixed(2)}, index ${synthesis.index.toFixed(1)})`}
+          </Text>
+          <View style={styles.waveTypeButtons}>
+            {SYNTHESIS_MODES.map((mode) => (
+              <TouchableOpacity
+                key={mode}
+                style={[
+                  styles.waveTypeButton,
+                  synthesis.mode === mode && { backgroundColor: theme.primary }
+                ]}
+                onPress={() => updateSynthesis({ mode })}
+              >
+                <Text style={[
+                  styles.waveTypeButtonText,
+                  synthesis.mode === mode && styles.waveTypeButtonTextActive
+                ]}>
+                  {synthesisLabels[mode]}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {synthesis.mode !== 'basic' && (
+            <>
+              <Text style={styles.labelText}>Ratio</Text>
+              <View 
+                style={styles.amplitudeSlider}
+                onStartShouldSetResponder={() => true}
+                onMoveShouldSetResponder={() => true}
+                onResponderGrant={(evt) => {
+                  const sliderWidth = 200; // Approximate slider width
+                  setSynthesisFromRatio('ratio', evt.nativeEvent.locationX / sliderWidth);
+                }}
+                onResponderMove={(evt) => {
+                  const sliderWidth = 200; // Approximate slider width
+                  setSynthesisFromRatio('ratio', evt.nativeEvent.locationX / sliderWidth);
+                }}
+              >
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => updateSynthesis({ ratio: synthesis.ratio - 0.25 })}
+                >
+                  <Text style={styles.amplitudeButtonText}>-</Text>
+                </TouchableOpacity>
+                <View style={styles.amplitudeTrack}>
+                  <View style={[styles.amplitudeBar, { 
+                    width: `${getSynthesisRatio('ratio') * 100}%`,
+                    backgroundColor: theme.primary
+                  }]} />
+                </View>
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => updateSynthesis({ ratio: synthesis.ratio + 0.25 })}
+                >
+                  <Text style={styles.amplitudeButtonText}>+</Text>
+                </TouchableOpacity>
+              </View>
+              <Text style={styles.labelText}>Index</Text>
+              <View 
+                style={styles.amplitudeSlider}
+                onStartShouldSetResponder={() => true}
+                onMoveShouldSetResponder={() => true}
+                onResponderGrant={(evt) => {
+                  const sliderWidth = 200; // Approximate slider width
+                  setSynthesisFromRatio('index', evt.nativeEvent.locationX / sliderWidth);
+                }}
+                onResponderMove={(evt) => {
+                  const sliderWidth = 200; // Approximate slider width
+                  setSynthesisFromRatio('index', evt.nativeEvent.locationX / sliderWidth);
+                }}
+              >
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => updateSynthesis({ index: synthesis.index - 0.5 })}
+                >
+                  <Text style={styles.amplitudeButtonText}>-</Text>
+                </TouchableOpacity>
+                <View style={styles.amplitudeTrack}>
+                  <View style={[styles.amplitudeBar, { 
+                    width: `${getSynthesisRatio('index') * 100}%`,
+                    backgroundColor: theme.accent
+                  }]} />
+                </View>
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => updateSynthesis({ index: synthesis.index + 0.5 })}
+                >
+                  <Text style={styles.amplitudeButtonText}>+</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+        </View>
+        
+        <View style={[
+          styles.amplitudeContainer,
+          { marginVertical: screenWidth < 768 ? 8 : 6 }
+        ]}>
+          <Text style={styles.labelText}>
+            Amplitude: {Math.round(amplitude * 100)}%
+          </Text>
+          <View 
+            style={styles.amplitudeSlider}
+            onStartShouldSetResponder={() => true}
+            onMoveShouldSetResponder={() => true}
+            onResponderGrant={(evt) => {
+              const { locationX } = evt.nativeEvent;
+              const sliderWidth = 200; // Approximate slider width
+              const newAmplitude = Math.max(0, Math.min(1, locationX / sliderWidth));
+              updateAmplitude(newAmplitude);
+            }}
+            onResponderMove={(evt) => {
+              const { locationX } = evt.nativeEvent;
+              const sliderWidth = 200; // Approximate slider width
+              const newAmplitude = Math.max(0, Math.min(1, locationX / sliderWidth));
+              updateAmplitude(newAmplitude);
+            }}
+          >
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => {
+                const newValue = Math.max(0.0, amplitude - 0.1);
+                console.log('Minus button: current =', amplitude, 'new =', newValue);
+                updateAmplitude(newValue);
+              }}
+            >
+              <Text style={styles.amplitudeButtonText}>-</Text>
+            </TouchableOpacity>
+            <View style={styles.amplitudeTrack}>
+              <View style={[
+                styles.amplitudeBar, 
+                { 
+                  width: `${amplitude * 100}%`,
+                  backgroundColor: theme.primary
+                }
+              ]} />
+            </View>
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => {
+                const newValue = Math.min(1.0, amplitude + 0.1);
+                console.log('Plus button: current =', amplitude, 'new =', newValue);
+                updateAmplitude(newValue);
+              }}
+            >
+              <Text style={styles.amplitudeButtonText}>+</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+        
+        <View style={[
+          styles.amplitudeContainer,
+          { marginVertical: screenWidth < 768 ? 8 : 6 }
+        ]}>
+          <Text style={styles.labelText}>
+            High Freq Attenuation: {Math.round(highFreqAttenuation * 100)}%
+          </Text>
+          <View 
+            style={styles.amplitudeSlider}
+            onStartShouldSetResponder={() => true}
+            onMoveShouldSetResponder={() => true}
+            onResponderGrant={(evt) => {
+              const { locationX } = evt.nativeEvent;
+              const sliderWidth = 200; // Approximate slider width
+              const newAttenuation = Math.max(0, Math.min(1, locationX / sliderWidth));
+              updateHighFreqAttenuation(newAttenuation);
+            }}
+            onResponderMove={(evt) => {
+              const { locationX } = evt.nativeEvent;
+              const sliderWidth = 200; // Approximate slider width
+              const newAttenuation = Math.max(0, Math.min(1, locationX / sliderWidth));
+              updateHighFreqAttenuation(newAttenuation);
+            }}
+          >
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => {
+                const newValue = Math.max(0.0, highFreqAttenuation - 0.1);
+                updateHighFreqAttenuation(newValue);
+              }}
+            >
+              <Text style={styles.amplitudeButtonText}>-</Text>
+            </TouchableOpacity>
+            <View style={styles.amplitudeTrack}>
+              <View style={[styles.amplitudeBar, { 
+                width: `${highFreqAttenuation * 100}%`,
+                backgroundColor: theme.secondary // Use secondary theme color for distinction
+              }]} />
+            </View>
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => {
+                const newValue = Math.min(1.0, highFreqAttenuation + 0.1);
+                updateHighFreqAttenuation(newValue);
+              }}
+            >
+              <Text style={styles.amplitudeButtonText}>+</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+        
+        {/* Master Volume Control */}
+        <View style={[
+          styles.amplitudeContainer,
+          { marginVertical: screenWidth < 768 ? 8 : 6 }
+        ]}>
+          <Text style={styles.labelText}>
+            Master Volume: {Math.round(masterVolume * 100)}%
+          </Text>
+          <View 
+            style={styles.amplitudeSlider}
+            onStartShouldSetResponder={() => true}
+            onMoveShouldSetResponder={() => true}
+            onResponderGrant={(evt) => {
+              const { locationX } = evt.nativeEvent;
+              const sliderWidth = 200; // Approximate slider width
+              const newVolume = Math.max(0, Math.min(1, locationX / sliderWidth));
+              updateMasterVolume(newVolume);
+            }}
+            onResponderMove={(evt) => {
+              const { locationX } = evt.nativeEvent;
+              const sliderWidth = 200; // Approximate slider width
+              const newVolume = Math.max(0, Math.min(1, locationX / sliderWidth));
+              updateMasterVolume(newVolume);
+            }}
+          >
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => {
+                const newValue = Math.max(0.0, masterVolume - 0.1);
+                updateMasterVolume(newValue);
+              }}
+            >
+              <Text style={styles.amplitudeButtonText}>-</Text>
+            </TouchableOpacity>
+            <View style={styles.amplitudeTrack}>
+              <View style={[styles.amplitudeBar, { 
+                width: `${masterVolume * 100}%`,
+                backgroundColor: theme.accent // Use accent theme color for distinction
+              }]} />
+            </View>
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => {
+                const newValue = Math.min(1.0, masterVolume + 0.1);
+                updateMasterVolume(newValue);
+              }}
+            >
+              <Text style={styles.amplitudeButtonText}>+</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+        
+        {/* Glide (portamento) Control */}
+        <View style={[
+          styles.amplitudeContainer,
+          { marginVertical: screenWidth < 768 ? 8 : 6 }
+        ]}>
+          <Text style={styles.labelText}>
+            Glide: {Math.round(glide.time * 1000)}ms
+          </Text>
+          <View 
+            style={styles.amplitudeSlider}
+            onStartShouldSetResponder={() => true}
+            onMoveShouldSetResponder={() => true}
+            onResponderGrant={(evt) => {
+              const { locationX } = evt.nativeEvent;
+              const sliderWidth = 200; // Approximate slider width
+              updateGlide({ time: Math.max(0, Math.min(1, locationX / sliderWidth)) * MAX_GLIDE_TIME });
+            }}
+            onResponderMove={(evt) => {
+              const { locationX } = evt.nativeEvent;
+              const sliderWidth = 200; // Approximate slider width
+              updateGlide({ time: Math.max(0, Math.min(1, locationX / sliderWidth)) * MAX_GLIDE_TIME });
+            }}
+          >
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => updateGlide({ time: glide.time - 0.05 })}
+            >
+              <Text style={styles.amplitudeButtonText}>-</Text>
+            </TouchableOpacity>
+            <View style={styles.amplitudeTrack}>
+              <View style={[styles.amplitudeBar, { 
+                width: `${(glide.time / MAX_GLIDE_TIME) * 100}%`,
+                backgroundColor: theme.primary
+              }]} />
+            </View>
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => updateGlide({ time: glide.time + 0.05 })}
+            >
+              <Text style={styles.amplitudeButtonText}>+</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={styles.waveTypeButtons}>
+            {GLIDE_CURVES.map((curve) => (
+              <TouchableOpacity
+                key={curve}
+                style={[
+                  styles.waveTypeButton,
+                  glide.curve === curve && { backgroundColor: theme.primary }
+                ]}
+                onPress={() => updateGlide({ curve })}
+              >
+                <Text style={[
+                  styles.waveTypeButtonText,
+                  glide.curve === curve && styles.waveTypeButtonTextActive
+                ]}>
+                  {curve.charAt(0).toUpperCase() + curve.slice(1)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+        
+        {/* Envelope Controls (ADSR) */}
+        {envelopeStages.map(({ key, label }) => {
+          const { min, max } = ENVELOPE_LIMITS[key];
+          const ratio = (envelope[key] - min) / (max - min);
+          return (
+            <View
+              key={key}
+              style={[
+                styles.amplitudeContainer,
+                { marginVertical: screenWidth < 768 ? 8 : 6 }
+              ]}
+            >
+              <Text style={styles.labelText}>
+                {label}: {formatEnvelopeValue(key, envelope[key])}
+              </Text>
+              <View 
+                style={styles.amplitudeSlider}
+                onStartShouldSetResponder={() => true}
+                onMoveShouldSetResponder={() => true}
+                onResponderGrant={(evt) => {
+                  const sliderWidth = 200; // Approximate slider width
+                  setEnvelopeStageFromRatio(key, evt.nativeEvent.locationX / sliderWidth);
+                }}
+                onResponderMove={(evt) => {
+                  const sliderWidth = 200; // Approximate slider width
+                  setEnvelopeStageFromRatio(key, evt.nativeEvent.locationX / sliderWidth);
+                }}
+              >
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => setEnvelopeStageFromRatio(key, ratio - 0.05)}
+                >
+                  <Text style={styles.amplitudeButtonText}>-</Text>
+                </TouchableOpacity>
+                <View style={styles.amplitudeTrack}>
+                  <View style={[styles.amplitudeBar, { 
+                    width: `${ratio * 100}%`,
+                    backgroundColor: theme.accent
+                  }]} />
+                </View>
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => setEnvelopeStageFromRatio(key, ratio + 0.05)}
+                >
+                  <Text style={styles.amplitudeButtonText}>+</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          );
+        })}
+        
+        {/* Filter - type, cutoff, resonance and envelope amount */}
+        <View style={[
+          styles.amplitudeContainer,
+          { marginVertical: screenWidth < 768 ? 8 : 6 }
+        ]}>
+          <Text style={styles.labelText}>Filter</Text>
+          <View style={styles.waveTypeButtons}>
+            {FILTER_TYPES.map((type) => (
+              <TouchableOpacity
+                key={type}
+                style={[
+                  styles.waveTypeButton,
+                  filter.type === type && { backgroundColor: theme.primary }
+                ]}
+                onPress={() => updateFilter({ type })}
+              >
+                <Text style={[
+                  styles.waveTypeButtonText,
+                  filter.type === type && styles.waveTypeButtonTextActive
+                ]}>
+                  {type.charAt(0).toUpperCase() + type.slice(1)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+        {filterSliders.map((slider) => {
+          const ratio = slider.toRatio(filter[slider.key]);
+          return (
+            <View
+              key={slider.key}
+              style={[
+                styles.amplitudeContainer,
+                { marginVertical: screenWidth < 768 ? 8 : 6 }
+              ]}
+            >
+              <Text style={styles.labelText}>
+                {slider.label}: {slider.format(filter[slider.key])}
+              </Text>
+              <View 
+                style={styles.amplitudeSlider}
+                onStartShouldSetResponder={() => true}
+                onMoveShouldSetResponder={() => true}
+                onResponderGrant={(evt) => {
+                  const sliderWidth = 200; // Approximate slider width
+                  setFilterFromRatio(slider, evt.nativeEvent.locationX / sliderWidth);
+                }}
+                onResponderMove={(evt) => {
+                  const sliderWidth = 200; // Approximate slider width
+                  setFilterFromRatio(slider, evt.nativeEvent.locationX / sliderWidth);
+                }}
+              >
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => setFilterFromRatio(slider, ratio - 0.05)}
+                >
+                  <Text style={styles.amplitudeButtonText}>-</Text>
+                </TouchableOpacity>
+                <View style={styles.amplitudeTrack}>
+                  <View style={[styles.amplitudeBar, { 
+                    width: `${ratio * 100}%`,
+                    backgroundColor: theme.primary
+                  }]} />
+                </View>
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => setFilterFromRatio(slider, ratio + 0.05)}
+                >
+                  <Text style={styles.amplitudeButtonText}>+</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          );
+        })}
+        
+        {/* Filter Envelope (ADSR) */}
+        {envelopeStages.map(({ key, label }) => {
+          const { min, max } = ENVELOPE_LIMITS[key];
+          const ratio = (filterEnvelope[key] - min) / (max - min);
+          return (
+            <View
+              key={`filter-${key}`}
+              style={[
+                styles.amplitudeContainer,
+                { marginVertical: screenWidth < 768 ? 8 : 6 }
+              ]}
+            >
+              <Text style={styles.labelText}>
+                Filter {label}: {formatEnvelopeValue(key, filterEnvelope[key])}
+              </Text>
+              <View 
+                style={styles.amplitudeSlider}
+                onStartShouldSetResponder={() => true}
+                onMoveShouldSetResponder={() => true}
+                onResponderGrant={(evt) => {
+                  const sliderWidth = 200; // Approximate slider width
+                  setFilterEnvelopeStageFromRatio(key, evt.nativeEvent.locationX / sliderWidth);
+                }}
+                onResponderMove={(evt) => {
+                  const sliderWidth = 200; // Approximate slider width
+                  setFilterEnvelopeStageFromRatio(key, evt.nativeEvent.locationX / sliderWidth);
+                }}
+              >
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => setFilterEnvelopeStageFromRatio(key, ratio - 0.05)}
+                >
+                  <Text style={styles.amplitudeButtonText}>-</Text>
+                </TouchableOpacity>
+                <View style={styles.amplitudeTrack}>
+                  <View style={[styles.amplitudeBar, { 
+                    width: `${ratio * 100}%`,
+                    backgroundColor: theme.accent
+                  }]} />
+                </View>
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => setFilterEnvelopeStageFromRatio(key, ratio + 0.05)}
+                >
+                  <Text style={styles.amplitudeButtonText}>+</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          );
+        })}
+        
+        {/* Tuning - reference pitch and the system note names and snapping use */}
+        <View style={[
+          styles.amplitudeContainer,
+          { marginVertical: screenWidth < 768 ? 8 : 6 }
+        ]}>
+          <Text style={styles.labelText}>Tuning: {tuning.name}</Text>
+          <View style={styles.waveTypeButtons}>
+            {tuningSystems.map(({ key, label }) => (
+              <TouchableOpacity
+                key={key}
+                style={[
+                  styles.waveTypeButton,
+                  tuningSettings.system === key && { backgroundColor: theme.primary }
+                ]}
+                onPress={() => key === 'scala' && !tuningSettings.scale ? setShowScalaImport(true) : updateTuning({ system: key })}
+              >
+                <Text style={[
+                  styles.waveTypeButtonText,
+                  tuningSettings.system === key && styles.waveTypeButtonTextActive
+                ]}>
+                  {label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.labelText}>
+            {tuningSettings.system === 'scala' && tuningSettings.keyboard
+              ? `Reference: ${tuningSettings.keyboard.referenceFrequency} Hz (from .kbm)`
+              : `Reference: A4 = ${tuningSettings.referenceFrequency} Hz`}
+          </Text>
+          <View style={styles.waveTypeButtons}>
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => updateTuning({ referenceFrequency: tuningSettings.referenceFrequency - 1 })}
+            >
+              <Text style={styles.amplitudeButtonText}>-</Text>
+            </TouchableOpacity>
+            {referencePresets.map((referenceFrequency) => (
+              <TouchableOpacity
+                key={referenceFrequency}
+                style={[
+                  styles.waveTypeButton,
+                  tuningSettings.referenceFrequency === referenceFrequency && { backgroundColor: theme.primary }
+                ]}
+                onPress={() => updateTuning({ referenceFrequency })}
+              >
+                <Text style={[
+                  styles.waveTypeButtonText,
+                  tuningSettings.referenceFrequency === referenceFrequency && styles.waveTypeButtonTextActive
+                ]}>
+                  {referenceFrequency}
+                </Text>
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => updateTuning({ referenceFrequency: tuningSettings.referenceFrequency + 1 })}
+            >
+              <Text style={styles.amplitudeButtonText}>+</Text>
+            </TouchableOpacity>
+          </View>
+          {tuningSettings.system === 'edo' && (
+            <>
+              <Text style={styles.labelText}>
+                Divisions: {tuningSettings.divisions} per octave ({TUNING_LIMITS.divisions.min}-{TUNING_LIMITS.divisions.max})
+              </Text>
+              <View style={styles.waveTypeButtons}>
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => updateTuning({ divisions: tuningSettings.divisions - 1 })}
+                >
+                  <Text style={styles.amplitudeButtonText}>-</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => updateTuning({ divisions: tuningSettings.divisions + 1 })}
+                >
+                  <Text style={styles.amplitudeButtonText}>+</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+          {tuningSettings.system === 'scala' || showScalaImport ? (
+            <>
+              {['scl', 'kbm'].map((kind) => (
+                <View key={kind} style={styles.customWaveSaveRow}>
+                  <TextInput
+                    style={[styles.textInput, styles.multilineInput]}
+                    value={scalaText[kind]}
+                    onChangeText={(text) => setScalaText({ ...scalaText, [kind]: text })}
+                    placeholder={kind === 'scl' ? 'Paste a Scala .scl scale' : 'Optional .kbm keyboard mapping'}
+                    placeholderTextColor="#777"
+                    multiline
+                  />
+                  {Platform.OS === 'web' && (
+                    <TouchableOpacity
+                      style={styles.waveTypeButton}
+                      onPress={() => openScalaFile(kind)}
+                    >
+                      <Text style={styles.waveTypeButtonText}>Open .{kind}</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              ))}
+              <View style={styles.waveTypeButtons}>
+                <TouchableOpacity
+                  style={[styles.waveTypeButton, { backgroundColor: theme.primary }]}
+                  onPress={loadScala}
+                >
+                  <Text style={[styles.waveTypeButtonText, styles.waveTypeButtonTextActive]}>Load Scala Tuning</Text>
+                </TouchableOpacity>
+              </View>
+              {scalaError && (
+                <Text style={styles.statusText}>⚠️ {scalaError}</Text>
+              )}
+            </>
+          ) : null}
+        </View>
+        
+        {/* Scale Snapping - root, scale and octave range of the frequency pad */}
+        <View style={[
+          styles.amplitudeContainer,
+          { marginVertical: screenWidth < 768 ? 8 : 6 }
+        ]}>
+          <Text style={styles.labelText}>
+            Snap to Scale: {quantize.enabled ? `${NOTE_NAMES[quantize.root]} ${scaleLabels[quantize.scale]}` : 'Off'}
+          </Text>
+          <View style={styles.waveTypeButtons}>
+            <TouchableOpacity
+              style={[
+                styles.waveTypeButton,
+                quantize.enabled && { backgroundColor: theme.primary }
+              ]}
+              onPress={() => updateQuantize({ enabled: !quantize.enabled })}
+            >
+              <Text style={[
+                styles.waveTypeButtonText,
+                quantize.enabled && styles.waveTypeButtonTextActive
+              ]}>
+                {quantize.enabled ? 'Snap On' : 'Snap Off'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+          {quantize.enabled && (
+            <>
+              <View style={styles.waveTypeButtons}>
+                {NOTE_NAMES.map((name, root) => (
+                  <TouchableOpacity
+                    key={name}
+                    style={[
+                      styles.waveTypeButton,
+                      quantize.root === root && { backgroundColor: theme.primary }
+                    ]}
+                    onPress={() => updateQuantize({ root })}
+                  >
+                    <Text style={[
+                      styles.waveTypeButtonText,
+                      quantize.root === root && styles.waveTypeButtonTextActive
+                    ]}>
+                      {name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <View style={styles.waveTypeButtons}>
+                {Object.keys(SCALES).map((scale) => (
+                  <TouchableOpacity
+                    key={scale}
+                    style={[
+                      styles.waveTypeButton,
+                      quantize.scale === scale && { backgroundColor: theme.primary }
+                    ]}
+                    onPress={() => updateQuantize({ scale })}
+                  >
+                    <Text style={[
+                      styles.waveTypeButtonText,
+                      quantize.scale === scale && styles.waveTypeButtonTextActive
+                    ]}>
+                      {scaleLabels[scale]}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <Text style={styles.labelText}>
+                Range: {NOTE_NAMES[quantize.root]}{quantize.lowOctave} + {quantize.octaves} octave{quantize.octaves === 1 ? '' : 's'}
+              </Text>
+              <View style={styles.waveTypeButtons}>
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => updateQuantize({ lowOctave: quantize.lowOctave - 1 })}
+                >
+                  <Text style={styles.amplitudeButtonText}>↓</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => updateQuantize({ lowOctave: quantize.lowOctave + 1 })}
+                >
+                  <Text style={styles.amplitudeButtonText}>↑</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => updateQuantize({ octaves: quantize.octaves - 1 })}
+                >
+                  <Text style={styles.amplitudeButtonText}>-</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => updateQuantize({ octaves: quantize.octaves + 1 })}
+                >
+                  <Text style={styles.amplitudeButtonText}>+</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+        </View>
+        
+        {/* Gesture Matrix - what X, Y, drag velocity and pressure on the waveform control */}
+        {gestureMatrix.map((route, index) => (
+          <View
+            key={`route-${index}`}
+            style={[
+              styles.amplitudeContainer,
+              { marginVertical: screenWidth < 768 ? 8 : 6 }
+            ]}
+          >
+            <Text style={styles.labelText}>
+              Gesture {index + 1}: {gestureSourceLabels[route.source]}{route.invert ? ' (inverted)' : ''} → {gestureDestinationLabels[route.destination]}, {Math.round(route.min * 100)}–{Math.round(route.max * 100)}%
+            </Text>
+            {[
+              { key: 'source', options: GESTURE_SOURCES, labels: gestureSourceLabels },
+              { key: 'destination', options: GESTURE_DESTINATIONS, labels: gestureDestinationLabels },
+              { key: 'curve', options: GESTURE_CURVES, labels: gestureCurveLabels }
+            ].map(({ key, options, labels }) => (
+              <View key={key} style={styles.waveTypeButtons}>
+                {options.map(option => (
+                  <TouchableOpacity
+                    key={option}
+                    style={[
+                      styles.waveTypeButton,
+                      route[key] === option && { backgroundColor: theme.primary }
+                    ]}
+                    onPress={() => updateGestureRoute(index, { [key]: option })}
+                  >
+                    <Text style={[
+                      styles.waveTypeButtonText,
+                      route[key] === option && styles.waveTypeButtonTextActive
+                    ]}>
+                      {labels[option]}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            ))}
+            <View style={styles.waveTypeButtons}>
+              {[['min', 'Min'], ['max', 'Max']].map(([key, label]) => (
+                <React.Fragment key={key}>
+                  <TouchableOpacity
+                    style={styles.waveTypeButton}
+                    onPress={() => updateGestureRoute(index, { [key]: route[key] - 0.05 })}
+                  >
+                    <Text style={styles.waveTypeButtonText}>-</Text>
+                  </TouchableOpacity>
+                  <Text style={styles.labelText}>{label} {Math.round(route[key] * 100)}%</Text>
+                  <TouchableOpacity
+                    style={styles.waveTypeButton}
+                    onPress={() => updateGestureRoute(index, { [key]: route[key] + 0.05 })}
+                  >
+                    <Text style={styles.waveTypeButtonText}>+</Text>
+                  </TouchableOpacity>
+                </React.Fragment>
+              ))}
+              <TouchableOpacity
+                style={[
+                  styles.waveTypeButton,
+                  route.invert && { backgroundColor: theme.primary }
+                ]}
+                onPress={() => updateGestureRoute(index, { invert: !route.invert })}
+              >
+                <Text style={[
+                  styles.waveTypeButtonText,
+                  route.invert && styles.waveTypeButtonTextActive
+                ]}>
+                  Invert
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.waveTypeButton} onPress={() => removeGestureRoute(index)}>
+                <Text style={styles.waveTypeButtonText}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
+
+        {/* Gesture layouts - add routes, and save or recall a whole matrix by name */}
+        <View style={[
+          styles.amplitudeContainer,
+          { marginVertical: screenWidth < 768 ? 8 : 6 }
+        ]}>
+          <Text style={styles.labelText}>Gesture Layout: {gestureMatrix.length} route{gestureMatrix.length === 1 ? '' : 's'}</Text>
+          <View style={styles.waveTypeButtons}>
+            <TouchableOpacity
+              style={styles.waveTypeButton}
+              onPress={addGestureRoute}
+              disabled={gestureMatrix.length >= MAX_GESTURE_ROUTES}
+            >
+              <Text style={styles.waveTypeButtonText}>+ Add Route</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.waveTypeButton} onPress={() => setGestureMatrix(DEFAULT_GESTURE_MATRIX)}>
+              <Text style={styles.waveTypeButtonText}>Reset</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={styles.customWaveSaveRow}>
+            <TextInput
+              style={styles.textInput}
+              value={gestureLayoutName}
+              onChangeText={setGestureLayoutName}
+              placeholder="Layout name"
+              placeholderTextColor="#777"
+            />
+            <TouchableOpacity
+              style={[styles.waveTypeButton, { backgroundColor: theme.primary }]}
+              onPress={() => {
+                saveGestureLayout(gestureLayoutName);
+                setGestureLayoutName('');
+              }}
+            >
+              <Text style={[styles.waveTypeButtonText, styles.waveTypeButtonTextActive]}>Save</Text>
+            </TouchableOpacity>
+          </View>
+          {savedGestureLayouts.length > 0 && (
+            <View style={styles.waveTypeButtons}>
+              {savedGestureLayouts.map((name) => (
+                <TouchableOpacity
+                  key={name}
+                  style={styles.waveTypeButton}
+                  onPress={() => loadGestureLayout(name)}
+                  onLongPress={() => deleteGestureLayout(name)}
+                >
+                  <Text style={styles.waveTypeButtonText}>{name}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </View>
+
+        {/* MIDI - hardware keys and knobs; learn binds a CC to any parameter (web only) */}
+        {Platform.OS === 'web' && (
+          <View style={[
+            styles.amplitudeContainer,
+            { marginVertical: screenWidth < 768 ? 8 : 6 }
+          ]}>
+            <Text style={styles.labelText}>
+              MIDI: {midiInputs
+                ? (midiInputs.length > 0 ? midiInputs.join(', ') : 'no devices connected')
+                : (isMidiSupported() ? 'off' : 'not available in this browser')}
+            </Text>
+            {isMidiSupported() && !midiInputs && (
+              <View style={styles.waveTypeButtons}>
+                <TouchableOpacity style={styles.waveTypeButton} onPress={handleConnectMidi}>
+                  <Text style={styles.waveTypeButtonText}>Connect MIDI</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+            {midiInputs && (
+              <>
+                <Text style={styles.statusText}>
+                  {midiLearnTarget
+                    ? `Move a knob or slider to bind it to ${getParameter(midiLearnTarget).group} ${getParameter(midiLearnTarget).label}`
+                    : 'MIDI Learn: tap a parameter, then move a control'}
+                </Text>
+                {PARAMETER_GROUPS.map(group => (
+                  <View key={group} style={styles.waveTypeButtons}>
+                    <Text style={styles.statusText}>{group}:</Text>
+                    {PARAMETERS.filter(parameter => parameter.group === group).map(({ id, label }) => {
+                      const controller = Object.keys(midiBindings).find(cc => midiBindings[cc] === id);
+                      return (
+                        <TouchableOpacity
+                          key={id}
+                          style={[
+                            styles.waveTypeButton,
+                            midiLearnTarget === id && { backgroundColor: theme.primary }
+                          ]}
+                          onPress={() => setMidiLearnTarget(midiLearnTarget === id ? null : id)}
+                        >
+                          <Text style={[
+                            styles.waveTypeButtonText,
+                            midiLearnTarget === id && styles.waveTypeButtonTextActive
+                          ]}>
+                            {label}{controller !== undefined ? ` (CC ${controller})` : ''}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                ))}
+                {Object.keys(midiBindings).length > 0 && (
+                  <View style={styles.waveTypeButtons}>
+                    <TouchableOpacity style={styles.waveTypeButton} onPress={() => updateMidiBindings({})}>
+                      <Text style={styles.waveTypeButtonText}>Clear CCs</Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+              </>
+            )}
+            {midiError && (
+              <Text style={styles.statusText}>⚠️ {midiError}</Text>
+            )}
+          </View>
+        )}
+
+        {/* Spatial - stereo pan or HRTF 3D position, and the left/right visualizer view (web only) */}
+        {Platform.OS === 'web' && (
+          <View style={[
+            styles.amplitudeContainer,
+            { marginVertical: screenWidth < 768 ? 8 : 6 }
+          ]}>
+            <Text style={styles.labelText}>Spatial: {spatial.mode === 'hrtf' ? '3D (HRTF, best on headphones)' : 'Stereo'}</Text>
+            <View style={styles.waveTypeButtons}>
+              {SPATIAL_MODES.map((mode) => (
+                <TouchableOpacity
+                  key={mode}
+                  style={[
+                    styles.waveTypeButton,
+                    spatial.mode === mode && { backgroundColor: theme.primary }
+                  ]}
+                  onPress={() => updateSpatial({ mode })}
+                >
+                  <Text style={[
+                    styles.waveTypeButtonText,
+                    spatial.mode === mode && styles.waveTypeButtonTextActive
+                  ]}>
+                    {mode === 'hrtf' ? '3D (HRTF)' : 'Stereo'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+              <TouchableOpacity
+                style={[
+                  styles.waveTypeButton,
+                  stereoView && { backgroundColor: theme.primary }
+                ]}
+                onPress={() => updateStereoView(!stereoView)}
+              >
+                <Text style={[
+                  styles.waveTypeButtonText,
+                  stereoView && styles.waveTypeButtonTextActive
+                ]}>
+                  L/R View
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+        {Platform.OS === 'web' && spatialSliders
+          .filter(({ key }) => key !== 'depth' || spatial.mode === 'hrtf')
+          .map(({ key, label }) => {
+            const ratio = getSpatialRatio(key);
+            return (
+              <View
+                key={`spatial-${key}`}
+                style={[
+                  styles.amplitudeContainer,
+                  { marginVertical: screenWidth < 768 ? 8 : 6 }
+                ]}
+              >
+                <Text style={styles.labelText}>
+                  {label}: {formatSpatialValue(key, spatial[key])}
+                </Text>
+                <View 
+                  style={styles.amplitudeSlider}
+                  onStartShouldSetResponder={() => true}
+                  onMoveShouldSetResponder={() => true}
+                  onResponderGrant={(evt) => {
+                    const sliderWidth = 200; // Approximate slider width
+                    setSpatialFromRatio(key, evt.nativeEvent.locationX / sliderWidth);
+                  }}
+                  onResponderMove={(evt) => {
+                    const sliderWidth = 200; // Approximate slider width
+                    setSpatialFromRatio(key, evt.nativeEvent.locationX / sliderWidth);
+                  }}
+                >
+                  <TouchableOpacity
+                    style={styles.amplitudeButton}
+                    onPress={() => setSpatialFromRatio(key, ratio - 0.05)}
+                  >
+                    <Text style={styles.amplitudeButtonText}>-</Text>
+                  </TouchableOpacity>
+                  <View style={styles.amplitudeTrack}>
+                    <View style={[styles.amplitudeBar, { 
+                      width: `${ratio * 100}%`,
+                      backgroundColor: theme.accent
+                    }]} />
+                  </View>
+                  <TouchableOpacity
+                    style={styles.amplitudeButton}
+                    onPress={() => setSpatialFromRatio(key, ratio + 0.05)}
+                  >
+                    <Text style={styles.amplitudeButtonText}>+</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            );
+          })}
+        
+        {/* LFO Controls - target, shape, rate and depth per LFO */}
+        {lfos.map((lfo, index) => (
+          <View
+            key={`lfo-${index}`}
+            style={[
+              styles.amplitudeContainer,
+              { marginVertical: screenWidth < 768 ? 8 : 6 }
+            ]}
+          >
+            <Text style={styles.labelText}>
+              LFO {index + 1}: {lfo.rate.toFixed(2)}Hz, depth {Math.round(lfo.depth * 100)}%
+            </Text>
+            <View style={styles.waveTypeButtons}>
+              {LFO_TARGETS.map((target) => (
+                <TouchableOpacity
+                  key={target}
+                  style={[
+                    styles.waveTypeButton,
+                    lfo.target === target && { backgroundColor: theme.primary }
+                  ]}
+                  onPress={() => updateLfo(index, { target })}
+                >
+                  <Text style={[
+                    styles.waveTypeButtonText,
+                    lfo.target === target && styles.waveTypeButtonTextActive
+                  ]}>
+                    {lfoTargetLabels[target]}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <View style={styles.waveTypeButtons}>
+              {LFO_SHAPES.map((lfoShape) => (
+                <TouchableOpacity
+                  key={lfoShape}
+                  style={[
+                    styles.waveTypeButton,
+                    lfo.shape === lfoShape && { backgroundColor: theme.primary }
+                  ]}
+                  onPress={() => updateLfo(index, { shape: lfoShape })}
+                >
+                  <Text style={[
+                    styles.waveTypeButtonText,
+                    lfo.shape === lfoShape && styles.waveTypeButtonTextActive
+                  ]}>
+                    {lfoShape.charAt(0).toUpperCase() + lfoShape.slice(1)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <View 
+              style={styles.amplitudeSlider}
+              onStartShouldSetResponder={() => true}
+              onMoveShouldSetResponder={() => true}
+              onResponderGrant={(evt) => {
+                const sliderWidth = 200; // Approximate slider width
+                setLfoRateFromRatio(index, evt.nativeEvent.locationX / sliderWidth);
+              }}
+              onResponderMove={(evt) => {
+                const sliderWidth = 200; // Approximate slider width
+                setLfoRateFromRatio(index, evt.nativeEvent.locationX / sliderWidth);
+              }}
+            >
+              <TouchableOpacity
+                style={styles.amplitudeButton}
+                onPress={() => setLfoRateFromRatio(index, getLfoRateRatio(lfo.rate) - 0.05)}
+              >
+                <Text style={styles.amplitudeButtonText}>-</Text>
+              </TouchableOpacity>
+              <View style={styles.amplitudeTrack}>
+                <View style={[styles.amplitudeBar, { 
+                  width: `${getLfoRateRatio(lfo.rate) * 100}%`,
+                  backgroundColor: theme.primary
+                }]} />
+              </View>
+              <TouchableOpacity
+                style={styles.amplitudeButton}
+                onPress={() => setLfoRateFromRatio(index, getLfoRateRatio(lfo.rate) + 0.05)}
+              >
+                <Text style={styles.amplitudeButtonText}>+</Text>
+              </TouchableOpacity>
+            </View>
+            <View 
+              style={styles.amplitudeSlider}
+              onStartShouldSetResponder={() => true}
+              onMoveShouldSetResponder={() => true}
+              onResponderGrant={(evt) => {
+                const sliderWidth = 200; // Approximate slider width
+                updateLfo(index, { depth: evt.nativeEvent.locationX / sliderWidth });
+              }}
+              onResponderMove={(evt) => {
+                const sliderWidth = 200; // Approximate slider width
+                updateLfo(index, { depth: evt.nativeEvent.locationX / sliderWidth });
+              }}
+            >
+              <TouchableOpacity
+                style={styles.amplitudeButton}
+                onPress={() => updateLfo(index, { depth: lfo.depth - 0.05 })}
+              >
+                <Text style={styles.amplitudeButtonText}>-</Text>
+              </TouchableOpacity>
+              <View style={styles.amplitudeTrack}>
+                <View style={[styles.amplitudeBar, { 
+                  width: `${lfo.depth * 100}%`,
+                  backgroundColor: theme.accent
+                }]} />
+              </View>
+              <TouchableOpacity
+                style={styles.amplitudeButton}
+                onPress={() => updateLfo(index, { depth: lfo.depth + 0.05 })}
+              >
+                <Text style={styles.amplitudeButtonText}>+</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
+        
+        {/* Effects Rack - in chain order, each with bypass, order and parameters */}
+        {effects.order.map((type, position) => (
+          <View
+            key={type}
+            style={[
+              styles.amplitudeContainer,
+              { marginVertical: screenWidth < 768 ? 8 : 6 }
+            ]}
+          >
+            <Text style={styles.labelText}>
+              {position + 1}. {effectLabels[type]}
+            </Text>
+            <View style={styles.waveTypeButtons}>
+              <TouchableOpacity
+                style={[
+                  styles.waveTypeButton,
+                  effects[type].enabled && { backgroundColor: theme.primary }
+                ]}
+                onPress={() => updateEffect(type, { enabled: !effects[type].enabled })}
+              >
+                <Text style={[
+                  styles.waveTypeButtonText,
+                  effects[type].enabled && styles.waveTypeButtonTextActive
+                ]}>
+                  {effects[type].enabled ? 'On' : 'Bypassed'}
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.waveTypeButton}
+                onPress={() => moveEffectInChain(type, -1)}
+              >
+                <Text style={styles.waveTypeButtonText}>↑</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.waveTypeButton}
+                onPress={() => moveEffectInChain(type, 1)}
+              >
+                <Text style={styles.waveTypeButtonText}>↓</Text>
+              </TouchableOpacity>
+            </View>
+            {effectParams[type].map(({ key, label, format }) => {
+              const { min, max } = EFFECT_LIMITS[type][key];
+              const ratio = (effects[type][key] - min) / (max - min);
+              return (
+                <View key={key} style={styles.effectParam}>
+                  <Text style={styles.labelText}>
+                    {label}: {format(effects[type][key])}
+                  </Text>
+                  <View 
+                    style={styles.amplitudeSlider}
+                    onStartShouldSetResponder={() => true}
+                    onMoveShouldSetResponder={() => true}
+                    onResponderGrant={(evt) => {
+                      const sliderWidth = 200; // Approximate slider width
+                      setEffectParamFromRatio(type, key, evt.nativeEvent.locationX / sliderWidth);
+                    }}
+                    onResponderMove={(evt) => {
+                      const sliderWidth = 200; // Approximate slider width
+                      setEffectParamFromRatio(type, key, evt.nativeEvent.locationX / sliderWidth);
+                    }}
+                  >
+                    <TouchableOpacity
+                      style={styles.amplitudeButton}
+                      onPress={() => setEffectParamFromRatio(type, key, ratio - 0.05)}
+                    >
+                      <Text style={styles.amplitudeButtonText}>-</Text>
+                    </TouchableOpacity>
+                    <View style={styles.amplitudeTrack}>
+                      <View style={[styles.amplitudeBar, { 
+                        width: `${ratio * 100}%`,
+                        backgroundColor: effects[type].enabled ? theme.primary : '#555'
+                      }]} />
+                    </View>
+                    <TouchableOpacity
+                      style={styles.amplitudeButton}
+                      onPress={() => setEffectParamFromRatio(type, key, ratio + 0.05)}
+                    >
+                      <Text style={styles.amplitudeButtonText}>+</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              );
+            })}
+          </View>
+        ))}
+        
+        {/* Step Sequencer - transport, timing, arpeggiator and per-step pitch/gate/velocity/wave */}
+        <View style={[
+          styles.amplitudeContainer,
+          { marginVertical: screenWidth < 768 ? 8 : 6 }
+        ]}>
+          <Text style={styles.labelText}>
+            Sequencer: {sequencer.tempo} BPM · swing {Math.round(sequencer.swing * 100)}%
+          </Text>
+          <View style={styles.waveTypeButtons}>
+            <TouchableOpacity
+              style={[
+                styles.waveTypeButton,
+                sequencerRunning && { backgroundColor: theme.primary }
+              ]}
+              onPress={sequencerRunning ? stopSequencer : startSequencer}
+            >
+              <Text style={[
+                styles.waveTypeButtonText,
+                sequencerRunning && styles.waveTypeButtonTextActive
+              ]}>
+                {sequencerRunning ? '■ Stop' : '▶ Play'}
+              </Text>
+            </TouchableOpacity>
+            {SEQUENCER_MODES.map((mode) => (
+              <TouchableOpacity
+                key={mode}
+                style={[
+                  styles.waveTypeButton,
+                  sequencer.mode === mode && { backgroundColor: theme.primary }
+                ]}
+                onPress={() => updateSequencer({ mode })}
+              >
+                <Text style={[
+                  styles.waveTypeButtonText,
+                  sequencer.mode === mode && styles.waveTypeButtonTextActive
+                ]}>
+                  {mode === 'arp' ? 'Arpeggiator' : 'Steps'}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.waveTypeButtons}>
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => updateSequencer({ tempo: sequencer.tempo - 5 })}
+            >
+              <Text style={styles.amplitudeButtonText}>-</Text>
+            </TouchableOpacity>
+            <Text style={styles.statusText}>Tempo</Text>
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => updateSequencer({ tempo: sequencer.tempo + 5 })}
+            >
+              <Text style={styles.amplitudeButtonText}>+</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => updateSequencer({ swing: sequencer.swing - 0.05 })}
+            >
+              <Text style={styles.amplitudeButtonText}>-</Text>
+            </TouchableOpacity>
+            <Text style={styles.statusText}>Swing</Text>
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => updateSequencer({ swing: sequencer.swing + 0.05 })}
+            >
+              <Text style={styles.amplitudeButtonText}>+</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={styles.waveTypeButtons}>
+            {sequencerLengths.map((length) => (
+              <TouchableOpacity
+                key={length}
+                style={[
+                  styles.waveTypeButton,
+                  sequencer.length === length && { backgroundColor: theme.primary }
+                ]}
+                onPress={() => updateSequencer({ length })}
+              >
+                <Text style={[
+                  styles.waveTypeButtonText,
+                  sequencer.length === length && styles.waveTypeButtonTextActive
+                ]}>
+                  {length} steps
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {sequencer.mode === 'arp' && (
+            <>
+              <Text style={styles.labelText}>
+                Arpeggiates notes held on the waveform · {sequencer.arpOctaves} octave{sequencer.arpOctaves === 1 ? '' : 's'}
+              </Text>
+              <View style={styles.waveTypeButtons}>
+                {ARP_PATTERNS.map((arpPattern) => (
+                  <TouchableOpacity
+                    key={arpPattern}
+                    style={[
+                      styles.waveTypeButton,
+                      sequencer.arpPattern === arpPattern && { backgroundColor: theme.primary }
+                    ]}
+                    onPress={() => updateSequencer({ arpPattern })}
+                  >
+                    <Text style={[
+                      styles.waveTypeButtonText,
+                      sequencer.arpPattern === arpPattern && styles.waveTypeButtonTextActive
+                    ]}>
+                      {arpPatternLabels[arpPattern]}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => updateSequencer({ arpOctaves: sequencer.arpOctaves - 1 })}
+                >
+                  <Text style={styles.amplitudeButtonText}>-</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => updateSequencer({ arpOctaves: sequencer.arpOctaves + 1 })}
+                >
+                  <Text style={styles.amplitudeButtonText}>+</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+          {/* Step grid - tap to edit a step, long press to mute/unmute it */}
+          <View style={styles.stepGrid}>
+            {sequencer.steps.slice(0, sequencer.length).map((step, index) => (
+              <TouchableOpacity
+                key={index}
+                style={[
+                  styles.stepCell,
+                  step.gate > 0 && { backgroundColor: theme.primary, opacity: 0.4 + step.velocity * 0.6 },
+                  index === editedStepIndex && { borderColor: 'white' },
+                  index === sequencerStep && { borderColor: theme.accent }
+                ]}
+                onPress={() => setSelectedStep(index)}
+                onLongPress={() => updateSequencerStep(index, { gate: step.gate > 0 ? 0 : 0.5 })}
+              />
+            ))}
+          </View>
+          <Text style={styles.labelText}>
+            Step {editedStepIndex + 1}: {sequencer.mode === 'arp' ? 'arp note' : formatNote(editedStep.frequency, tuning)} · gate {Math.round(editedStep.gate * 100)}% · velocity {Math.round(editedStep.velocity * 100)}%
+          </Text>
+          <View style={styles.waveTypeButtons}>
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => shiftStepPitch(editedStepIndex, -1)}
+            >
+              <Text style={styles.amplitudeButtonText}>↓</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => shiftStepPitch(editedStepIndex, 1)}
+            >
+              <Text style={styles.amplitudeButtonText}>↑</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.waveTypeButton}
+              onPress={() => updateSequencerStep(editedStepIndex, { frequency })}
+            >
+              <Text style={styles.waveTypeButtonText}>Use Pad Pitch</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={styles.waveTypeButtons}>
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => updateSequencerStep(editedStepIndex, { gate: editedStep.gate - 0.1 })}
+            >
+              <Text style={styles.amplitudeButtonText}>-</Text>
+            </TouchableOpacity>
+            <Text style={styles.statusText}>Gate</Text>
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => updateSequencerStep(editedStepIndex, { gate: editedStep.gate + 0.1 })}
+            >
+              <Text style={styles.amplitudeButtonText}>+</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => updateSequencerStep(editedStepIndex, { velocity: editedStep.velocity - 0.1 })}
+            >
+              <Text style={styles.amplitudeButtonText}>-</Text>
+            </TouchableOpacity>
+            <Text style={styles.statusText}>Velocity</Text>
+            <TouchableOpacity
+              style={styles.amplitudeButton}
+              onPress={() => updateSequencerStep(editedStepIndex, { velocity: editedStep.velocity + 0.1 })}
+            >
+              <Text style={styles.amplitudeButtonText}>+</Text>
             </TouchableOpacity>
           </View>
-        )}
-        
-        <TouchableOpacity 
-          style={[
-            styles.button, 
-            { 
-              backgroundColor: isPlaying ? theme.secondary : theme.primary,
-              marginBottom: screenWidth < 768 ? 20 : 15
-            }
-          ]}
-          onPress={handleButtonPress}
-        >
-          <Text style={styles.buttonText}>
-            {isPlaying ? 'STOP' : (!audioInitialized ? 'TAP TO START' : 'START')}
-          </Text>
-        </TouchableOpacity>
-        
-        {/* Wave Type Selector - moved below start button */}
-        <View style={[
-          styles.waveTypeContainer,
-          { marginVertical: screenWidth < 768 ? 8 : 6 }
-        ]}>
           <View style={styles.waveTypeButtons}>
             {waveTypes.map((type) => (
               <TouchableOpacity
                 key={type}
                 style={[
                   styles.waveTypeButton,
-                  waveType === type && { backgroundColor: theme.primary }
+                  editedStep.waveType === type && { backgroundColor: theme.primary }
                 ]}
-                onPress={() => updateWaveType(type)}
+                onPress={() => updateSequencerStep(editedStepIndex, { waveType: type })}
               >
                 <Text style={[
                   styles.waveTypeButtonText,
-                  waveType === type && styles.waveTypeButtonTextActive
+                  editedStep.waveType === type && styles.waveTypeButtonTextActive
                 ]}>
                   {type.charAt(0).toUpperCase() + type.slice(1)}
                 </Text>
@@ -1585,159 +3199,480 @@ export default function App() {
           </View>
         </View>
         
+        {/* Performance Capture - record parameter gestures, replay or loop them, save/load as JSON */}
         <View style={[
           styles.amplitudeContainer,
           { marginVertical: screenWidth < 768 ? 8 : 6 }
         ]}>
           <Text style={styles.labelText}>
-            Amplitude: {Math.round(amplitude * 100)}%
+            Performance: {recordedPerformance
+              ? `${recordedPerformance.duration.toFixed(1)}s, ${recordedPerformance.events.length} events`
+              : 'nothing recorded'}
           </Text>
-          <View 
-            style={styles.amplitudeSlider}
-            onStartShouldSetResponder={() => true}
-            onMoveShouldSetResponder={() => true}
-            onResponderGrant={(evt) => {
-              const { locationX } = evt.nativeEvent;
-              const sliderWidth = 200; // Approximate slider width
-              const newAmplitude = Math.max(0, Math.min(1, locationX / sliderWidth));
-              updateAmplitude(newAmplitude);
-            }}
-            onResponderMove={(evt) => {
-              const { locationX } = evt.nativeEvent;
-              const sliderWidth = 200; // Approximate slider width
-              const newAmplitude = Math.max(0, Math.min(1, locationX / sliderWidth));
-              updateAmplitude(newAmplitude);
-            }}
-          >
+          <View style={styles.waveTypeButtons}>
             <TouchableOpacity
-              style={styles.amplitudeButton}
-              onPress={() => {
-                const newValue = Math.max(0.0, amplitude - 0.1);
-                console.log('Minus button: current =', amplitude, 'new =', newValue);
-                updateAmplitude(newValue);
-              }}
+              style={[
+                styles.waveTypeButton,
+                performanceStatus === 'recording' && { backgroundColor: theme.primary }
+              ]}
+              onPress={performanceStatus === 'recording' ? stopRecording : startRecording}
+              disabled={performanceStatus === 'replaying'}
             >
-              <Text style={styles.amplitudeButtonText}>-</Text>
+              <Text style={[
+                styles.waveTypeButtonText,
+                performanceStatus === 'recording' && styles.waveTypeButtonTextActive
+              ]}>
+                {performanceStatus === 'recording' ? '■ Stop Recording' : '● Record'}
+              </Text>
             </TouchableOpacity>
-            <View style={styles.amplitudeTrack}>
-              <View style={[
-                styles.amplitudeBar, 
-                { 
-                  width: `${amplitude * 100}%`,
-                  backgroundColor: theme.primary
-                }
-              ]} />
-            </View>
             <TouchableOpacity
-              style={styles.amplitudeButton}
-              onPress={() => {
-                const newValue = Math.min(1.0, amplitude + 0.1);
-                console.log('Plus button: current =', amplitude, 'new =', newValue);
-                updateAmplitude(newValue);
-              }}
+              style={[
+                styles.waveTypeButton,
+                performanceStatus === 'replaying' && { backgroundColor: theme.primary }
+              ]}
+              onPress={performanceStatus === 'replaying' ? stopReplay : startReplay}
+              disabled={!recordedPerformance || performanceStatus === 'recording'}
             >
-              <Text style={styles.amplitudeButtonText}>+</Text>
+              <Text style={[
+                styles.waveTypeButtonText,
+                performanceStatus === 'replaying' && styles.waveTypeButtonTextActive
+              ]}>
+                {performanceStatus === 'replaying' ? '■ Stop Replay' : '▶ Replay'}
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[
+                styles.waveTypeButton,
+                performanceLoop && { backgroundColor: theme.primary }
+              ]}
+              onPress={() => updatePerformanceLoop(!performanceLoop)}
+            >
+              <Text style={[
+                styles.waveTypeButtonText,
+                performanceLoop && styles.waveTypeButtonTextActive
+              ]}>
+                {performanceLoop ? 'Loop On' : 'Loop Off'}
+              </Text>
             </TouchableOpacity>
           </View>
-        </View>
-        
-        <View style={[
-          styles.amplitudeContainer,
-          { marginVertical: screenWidth < 768 ? 8 : 6 }
-        ]}>
-          <Text style={styles.labelText}>
-            High Freq Attenuation: {Math.round(highFreqAttenuation * 100)}%
-          </Text>
-          <View 
-            style={styles.amplitudeSlider}
-            onStartShouldSetResponder={() => true}
-            onMoveShouldSetResponder={() => true}
-            onResponderGrant={(evt) => {
-              const { locationX } = evt.nativeEvent;
-              const sliderWidth = 200; // Approximate slider width
-              const newAttenuation = Math.max(0, Math.min(1, locationX / sliderWidth));
-              updateHighFreqAttenuation(newAttenuation);
-            }}
-            onResponderMove={(evt) => {
-              const { locationX } = evt.nativeEvent;
-              const sliderWidth = 200; // Approximate slider width
-              const newAttenuation = Math.max(0, Math.min(1, locationX / sliderWidth));
-              updateHighFreqAttenuation(newAttenuation);
-            }}
-          >
+          <View style={styles.customWaveSaveRow}>
+            <TextInput
+              style={styles.textInput}
+              value={performanceName}
+              onChangeText={setPerformanceName}
+              placeholder="Performance name"
+              placeholderTextColor="#777"
+            />
             <TouchableOpacity
-              style={styles.amplitudeButton}
+              style={[styles.waveTypeButton, { backgroundColor: theme.primary }]}
               onPress={() => {
-                const newValue = Math.max(0.0, highFreqAttenuation - 0.1);
-                updateHighFreqAttenuation(newValue);
+                savePerformance(performanceName);
+                setPerformanceName('');
               }}
             >
-              <Text style={styles.amplitudeButtonText}>-</Text>
+              <Text style={[styles.waveTypeButtonText, styles.waveTypeButtonTextActive]}>Save</Text>
             </TouchableOpacity>
-            <View style={styles.amplitudeTrack}>
-              <View style={[styles.amplitudeBar, { 
-                width: `${highFreqAttenuation * 100}%`,
-                backgroundColor: theme.secondary // Use secondary theme color for distinction
-              }]} />
+          </View>
+          {savedPerformances.length > 0 && (
+            <View style={styles.waveTypeButtons}>
+              {savedPerformances.map((name) => (
+                <TouchableOpacity
+                  key={name}
+                  style={styles.waveTypeButton}
+                  onPress={() => loadPerformance(name)}
+                  onLongPress={() => deletePerformance(name)}
+                >
+                  <Text style={styles.waveTypeButtonText}>{name}</Text>
+                </TouchableOpacity>
+              ))}
             </View>
+          )}
+          <View style={styles.customWaveSaveRow}>
+            <TextInput
+              style={[styles.textInput, styles.multilineInput]}
+              value={performanceJson}
+              onChangeText={setPerformanceJson}
+              placeholder="Performance JSON (export to copy, paste to import)"
+              placeholderTextColor="#777"
+              multiline
+            />
+          </View>
+          <View style={styles.waveTypeButtons}>
             <TouchableOpacity
-              style={styles.amplitudeButton}
-              onPress={() => {
-                const newValue = Math.min(1.0, highFreqAttenuation + 0.1);
-                updateHighFreqAttenuation(newValue);
-              }}
+              style={styles.waveTypeButton}
+              onPress={handleExportPerformance}
+              disabled={!recordedPerformance}
             >
-              <Text style={styles.amplitudeButtonText}>+</Text>
+              <Text style={styles.waveTypeButtonText}>Export JSON</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.waveTypeButton}
+              onPress={handleImportPerformance}
+            >
+              <Text style={styles.waveTypeButtonText}>Import JSON</Text>
             </TouchableOpacity>
           </View>
+          {performanceError && (
+            <Text style={styles.statusText}>⚠️ {performanceError}</Text>
+          )}
         </View>
+
+        {/* Visualizer Input - show the synth or live microphone sound; the mic never reaches the speakers (web only) */}
+        {Platform.OS === 'web' && (
+          <View style={[
+            styles.amplitudeContainer,
+            { marginVertical: screenWidth < 768 ? 8 : 6 }
+          ]}>
+            <Text style={styles.labelText}>
+              Visualizer Input: {inputSource === 'microphone' ? `Microphone (gain ${inputGain.toFixed(1)}x)` : 'Synth'}
+            </Text>
+            <View style={styles.waveTypeButtons}>
+              {INPUT_SOURCES.map((source) => (
+                <TouchableOpacity
+                  key={source}
+                  style={[
+                    styles.waveTypeButton,
+                    inputSource === source && { backgroundColor: theme.primary }
+                  ]}
+                  onPress={() => handleSelectInputSource(source)}
+                >
+                  <Text style={[
+                    styles.waveTypeButtonText,
+                    inputSource === source && styles.waveTypeButtonTextActive
+                  ]}>
+                    {source === 'microphone' ? '🎤 Microphone' : 'Synth'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            {inputSource === 'microphone' && (
+              <View style={styles.amplitudeSlider}>
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => updateInputGain(inputGain - 0.25)}
+                >
+                  <Text style={styles.amplitudeButtonText}>-</Text>
+                </TouchableOpacity>
+                <View style={styles.amplitudeTrack}>
+                  <View style={[styles.amplitudeBar, {
+                    width: `${(inputGain / MAX_INPUT_GAIN) * 100}%`,
+                    backgroundColor: theme.accent
+                  }]} />
+                </View>
+                <TouchableOpacity
+                  style={styles.amplitudeButton}
+                  onPress={() => updateInputGain(inputGain + 0.25)}
+                >
+                  <Text style={styles.amplitudeButtonText}>+</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+            {inputSource === 'microphone' && (
+              <View style={styles.waveTypeButtons}>
+                <TouchableOpacity
+                  style={[
+                    styles.waveTypeButton,
+                    pitchFollow.enabled && { backgroundColor: theme.primary }
+                  ]}
+                  onPress={() => updatePitchFollow({ enabled: !pitchFollow.enabled })}
+                >
+                  <Text style={[
+                    styles.waveTypeButtonText,
+                    pitchFollow.enabled && styles.waveTypeButtonTextActive
+                  ]}>
+                    Follow Pitch
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.waveTypeButton}
+                  onPress={() => updatePitchFollow({ interval: pitchFollow.interval - 1 })}
+                  disabled={pitchFollow.interval <= PITCH_FOLLOW_LIMITS.interval.min}
+                >
+                  <Text style={styles.waveTypeButtonText}>-</Text>
+                </TouchableOpacity>
+                <Text style={styles.labelText}>
+                  Interval: {pitchFollow.interval > 0 ? '+' : ''}{pitchFollow.interval} st
+                </Text>
+                <TouchableOpacity
+                  style={styles.waveTypeButton}
+                  onPress={() => updatePitchFollow({ interval: pitchFollow.interval + 1 })}
+                  disabled={pitchFollow.interval >= PITCH_FOLLOW_LIMITS.interval.max}
+                >
+                  <Text style={styles.waveTypeButtonText}>+</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+            {inputSource === 'microphone' && pitchFollow.enabled && (
+              <Text style={styles.statusText}>
+                Follow moves the synth while it plays; use headphones so the mic only hears you
+              </Text>
+            )}
+            {inputError && (
+              <Text style={styles.statusText}>⚠️ {inputError}</Text>
+            )}
+          </View>
+        )}
+
+        {/* Audio File - play an imported (or dropped) file through the visualizer (web only) */}
+        {Platform.OS === 'web' && (
+          <View style={[
+            styles.amplitudeContainer,
+            { marginVertical: screenWidth < 768 ? 8 : 6 }
+          ]}>
+            <Text style={styles.labelText}>
+              Audio File: {audioFile
+                ? `${audioFile.name} ${formatRecordingTime(filePlayback.position)} / ${formatRecordingTime(audioFile.duration)}`
+                : 'none (open or drop a WAV/MP3/OGG)'}
+            </Text>
+            <View style={styles.waveTypeButtons}>
+              <TouchableOpacity style={styles.waveTypeButton} onPress={pickAudioFile}>
+                <Text style={styles.waveTypeButtonText}>Open File</Text>
+              </TouchableOpacity>
+              {audioFile && (
+                <>
+                  <TouchableOpacity
+                    style={styles.waveTypeButton}
+                    onPress={() => seekAudioFile(filePlayback.position - 5)}
+                  >
+                    <Text style={styles.waveTypeButtonText}>-5s</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[
+                      styles.waveTypeButton,
+                      filePlayback.playing && { backgroundColor: theme.primary }
+                    ]}
+                    onPress={filePlayback.playing ? pauseAudioFile : playAudioFile}
+                  >
+                    <Text style={[
+                      styles.waveTypeButtonText,
+                      filePlayback.playing && styles.waveTypeButtonTextActive
+                    ]}>
+                      {filePlayback.playing ? '❚❚ Pause' : '▶ Play'}
+                    </Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={styles.waveTypeButton}
+                    onPress={() => seekAudioFile(filePlayback.position + 5)}
+                  >
+                    <Text style={styles.waveTypeButtonText}>+5s</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[
+                      styles.waveTypeButton,
+                      filePlayback.loop && { backgroundColor: theme.primary }
+                    ]}
+                    onPress={() => updateAudioFileLoop(!filePlayback.loop)}
+                  >
+                    <Text style={[
+                      styles.waveTypeButtonText,
+                      filePlayback.loop && styles.waveTypeButtonTextActive
+                    ]}>
+                      Loop
+                    </Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.waveTypeButton} onPress={unloadAudioFile}>
+                    <Text style={styles.waveTypeButtonText}>Remove</Text>
+                  </TouchableOpacity>
+                </>
+              )}
+            </View>
+            {audioFileError && (
+              <Text style={styles.statusText}>⚠️ {audioFileError}</Text>
+            )}
+          </View>
+        )}
+
+        {/* Live Recording - record the master output, then audition, download or delete takes (web only) */}
+        {Platform.OS === 'web' && (
+          <View style={[
+            styles.amplitudeContainer,
+            { marginVertical: screenWidth < 768 ? 8 : 6 }
+          ]}>
+            <Text style={styles.labelText}>
+              Live Recording: {liveRecording ? `● ${formatRecordingTime(liveRecording.elapsed)}` : `${takes.length} take${takes.length === 1 ? '' : 's'}`}
+            </Text>
+            <View style={styles.waveTypeButtons}>
+              {[['compressed', 'WebM/Opus'], ['wav', 'WAV']].map(([format, label]) => (
+                <TouchableOpacity
+                  key={format}
+                  style={[
+                    styles.waveTypeButton,
+                    liveRecordingFormat === format && { backgroundColor: theme.primary }
+                  ]}
+                  onPress={() => setLiveRecordingFormat(format)}
+                  disabled={!!liveRecording}
+                >
+                  <Text style={[
+                    styles.waveTypeButtonText,
+                    liveRecordingFormat === format && styles.waveTypeButtonTextActive
+                  ]}>
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+              <TouchableOpacity
+                style={[
+                  styles.waveTypeButton,
+                  liveRecording && { backgroundColor: theme.primary }
+                ]}
+                onPress={handleToggleLiveRecording}
+              >
+                <Text style={[
+                  styles.waveTypeButtonText,
+                  liveRecording && styles.waveTypeButtonTextActive
+                ]}>
+                  {liveRecording ? '■ Stop' : '● Record Output'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+            {liveRecording && (
+              <View style={styles.levelMeter}>
+                <View style={[
+                  styles.levelMeterFill,
+                  {
+                    width: `${Math.min(1, liveRecording.level) * 100}%`,
+                    backgroundColor: liveRecording.level >= 0.99 ? '#ff4444' : theme.primary
+                  }
+                ]} />
+              </View>
+            )}
+            {takes.map((take) => (
+              <View key={take.id} style={styles.waveTypeButtons}>
+                <Text style={styles.labelText}>
+                  {take.name} ({formatRecordingTime(take.duration)})
+                </Text>
+                <TouchableOpacity
+                  style={[
+                    styles.waveTypeButton,
+                    auditioningTakeId === take.id && { backgroundColor: theme.primary }
+                  ]}
+                  onPress={() => auditionTake(take.id)}
+                >
+                  <Text style={[
+                    styles.waveTypeButtonText,
+                    auditioningTakeId === take.id && styles.waveTypeButtonTextActive
+                  ]}>
+                    {auditioningTakeId === take.id ? '■' : '▶'}
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.waveTypeButton} onPress={() => downloadTake(take.id)}>
+                  <Text style={styles.waveTypeButtonText}>Download</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.waveTypeButton} onPress={() => deleteTake(take.id)}>
+                  <Text style={styles.waveTypeButtonText}>Delete</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+            {liveRecordingError && (
+              <Text style={styles.statusText}>⚠️ {liveRecordingError}</Text>
+            )}
+          </View>
+        )}
+
+        {/* Export Audio - render the current patch offline to a WAV file (web only) */}
+        {Platform.OS === 'web' && (
+          <View style={[
+            styles.amplitudeContainer,
+            { marginVertical: screenWidth < 768 ? 8 : 6 }
+          ]}>
+            <Text style={styles.labelText}>Export Audio: {exportSettings.duration}s</Text>
+            <View style={styles.waveTypeButtons}>
+              {exportDurations.map((duration) => (
+                <TouchableOpacity
+                  key={duration}
+                  style={[
+                    styles.waveTypeButton,
+                    exportSettings.duration === duration && { backgroundColor: theme.primary }
+                  ]}
+                  onPress={() => setExportSettings({ ...exportSettings, duration })}
+                >
+                  <Text style={[
+                    styles.waveTypeButtonText,
+                    exportSettings.duration === duration && styles.waveTypeButtonTextActive
+                  ]}>
+                    {duration}s
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <View style={styles.waveTypeButtons}>
+              {WAV_BIT_DEPTHS.map((bitDepth) => (
+                <TouchableOpacity
+                  key={bitDepth}
+                  style={[
+                    styles.waveTypeButton,
+                    exportSettings.bitDepth === bitDepth && { backgroundColor: theme.primary }
+                  ]}
+                  onPress={() => setExportSettings({ ...exportSettings, bitDepth })}
+                >
+                  <Text style={[
+                    styles.waveTypeButtonText,
+                    exportSettings.bitDepth === bitDepth && styles.waveTypeButtonTextActive
+                  ]}>
+                    {bitDepthLabels[bitDepth]}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+              {[1, 2].map((channelCount) => (
+                <TouchableOpacity
+                  key={channelCount}
+                  style={[
+                    styles.waveTypeButton,
+                    exportSettings.channelCount === channelCount && { backgroundColor: theme.primary }
+                  ]}
+                  onPress={() => setExportSettings({ ...exportSettings, channelCount })}
+                >
+                  <Text style={[
+                    styles.waveTypeButtonText,
+                    exportSettings.channelCount === channelCount && styles.waveTypeButtonTextActive
+                  ]}>
+                    {channelCount === 1 ? 'Mono' : 'Stereo'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <View style={styles.waveTypeButtons}>
+              <TouchableOpacity
+                style={[styles.waveTypeButton, { backgroundColor: theme.primary }]}
+                onPress={handleExportAudio}
+                disabled={exportStatus === 'Rendering...'}
+              >
+                <Text style={[styles.waveTypeButtonText, styles.waveTypeButtonTextActive]}>Export WAV</Text>
+              </TouchableOpacity>
+            </View>
+            {exportStatus && (
+              <Text style={styles.statusText}>{exportStatus}</Text>
+            )}
+            {exportError && (
+              <Text style={styles.statusText}>⚠️ {exportError}</Text>
+            )}
+          </View>
+        )}
         
-        {/* Master Volume Control */}
+        {/* Voice Limit Control */}
         <View style={[
           styles.amplitudeContainer,
           { marginVertical: screenWidth < 768 ? 8 : 6 }
         ]}>
           <Text style={styles.labelText}>
-            Master Volume: {Math.round(masterVolume * 100)}%
+            Voices: {voiceLimit} ({activeVoices.length} held)
           </Text>
-          <View 
-            style={styles.amplitudeSlider}
-            onStartShouldSetResponder={() => true}
-            onMoveShouldSetResponder={() => true}
-            onResponderGrant={(evt) => {
-              const { locationX } = evt.nativeEvent;
-              const sliderWidth = 200; // Approximate slider width
-              const newVolume = Math.max(0, Math.min(1, locationX / sliderWidth));
-              updateMasterVolume(newVolume);
-            }}
-            onResponderMove={(evt) => {
-              const { locationX } = evt.nativeEvent;
-              const sliderWidth = 200; // Approximate slider width
-              const newVolume = Math.max(0, Math.min(1, locationX / sliderWidth));
-              updateMasterVolume(newVolume);
-            }}
-          >
+          <View style={styles.amplitudeSlider}>
             <TouchableOpacity
               style={styles.amplitudeButton}
-              onPress={() => {
-                const newValue = Math.max(0.0, masterVolume - 0.1);
-                updateMasterVolume(newValue);
-              }}
+              onPress={() => updateVoiceLimit(voiceLimit - 1)}
             >
               <Text style={styles.amplitudeButtonText}>-</Text>
             </TouchableOpacity>
             <View style={styles.amplitudeTrack}>
               <View style={[styles.amplitudeBar, { 
-                width: `${masterVolume * 100}%`,
-                backgroundColor: theme.accent // Use accent theme color for distinction
+                width: `${voiceLimit * 10}%`,
+                backgroundColor: theme.primary
               }]} />
             </View>
             <TouchableOpacity
               style={styles.amplitudeButton}
-              onPress={() => {
-                const newValue = Math.min(1.0, masterVolume + 0.1);
-                updateMasterVolume(newValue);
-              }}
+              onPress={() => updateVoiceLimit(voiceLimit + 1)}
             >
               <Text style={styles.amplitudeButtonText}>+</Text>
             </TouchableOpacity>
@@ -1849,6 +3784,26 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     zIndex: 100,
   },
+  tunerScale: {
+    height: 6,
+    marginTop: 4,
+    borderRadius: 3,
+    backgroundColor: '#333',
+  },
+  tunerCenter: {
+    position: 'absolute',
+    left: '50%',
+    width: 1,
+    height: '100%',
+    backgroundColor: '#ccc',
+  },
+  tunerNeedle: {
+    position: 'absolute',
+    width: 4,
+    height: '100%',
+    marginLeft: -2,
+    borderRadius: 2,
+  },
   frequencyOverlayText: {
     color: 'white',
     fontSize: 16,
@@ -1915,6 +3870,65 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: 'bold',
   },
+  effectParam: {
+    alignItems: 'center',
+    width: '100%',
+  },
+  customWaveContainer: {
+    marginVertical: 10,
+    alignItems: 'center',
+    width: '80%',
+  },
+  customWaveSaveRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    width: '100%',
+    marginVertical: 5,
+  },
+  textInput: {
+    flex: 1,
+    backgroundColor: '#222',
+    color: 'white',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 5,
+    fontSize: 14,
+  },
+  stepGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginVertical: 5,
+  },
+  stepCell: {
+    width: 28,
+    height: 28,
+    margin: 2,
+    borderRadius: 4,
+    borderWidth: 2,
+    borderColor: 'transparent',
+    backgroundColor: '#333',
+  },
+  multilineInput: {
+    minHeight: 60,
+    textAlignVertical: 'top',
+  },
+  fileOverview: {
+    width: '100%',
+    backgroundColor: '#111',
+  },
+  levelMeter: {
+    width: '100%',
+    height: 8,
+    marginVertical: 5,
+    borderRadius: 4,
+    backgroundColor: '#333',
+    overflow: 'hidden',
+  },
+  levelMeterFill: {
+    height: '100%',
+  },
   amplitudeContainer: {
     marginVertical: 10,
     alignItems: 'center',
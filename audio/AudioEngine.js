@@ -0,0 +1,1190 @@
+// Audio engine core: parameters, voices, sequencer, performance capture, recording and visualizer data
+// The sound itself comes from a backend (see ./backends), so one engine drives Web Audio, the mobile
+// Safari HTML5 Audio fallback, expo-audio on iOS/Android and the silent null backend alike.
+// There is no React in here: read state with getState() and subscribe() to hear about changes.
+// Methods are bound, so they can be handed straight to UI callbacks.
+
+import { DEFAULT_ENVELOPE, clampEnvelope } from './envelope';
+import { DEFAULT_GLIDE, SMOOTHING_TIME_CONSTANT, clampGlide } from './smoothing';
+import { clampShape, getShapeForWaveType, getWaveTypeForShape } from './waveShapes';
+import { createSineCycle } from './customWave';
+import { DEFAULT_LFOS, clampLfo } from './lfo';
+import { DEFAULT_SYNTHESIS, clampSynthesis } from './synthesis';
+import { DEFAULT_FILTER, DEFAULT_FILTER_ENVELOPE, clampFilter, filterSamples } from './filter';
+import { EFFECT_TYPES, DEFAULT_EFFECTS, clampEffect, moveEffect } from './effects';
+import { DEFAULT_SPATIAL, clampSpatial } from './spatial';
+import { isNoiseType } from './noise';
+import {
+  SCHEDULER_INTERVAL,
+  SCHEDULE_AHEAD_TIME,
+  DEFAULT_SEQUENCER,
+  clampSequencer,
+  clampStep,
+  getStepDuration,
+  getSwingOffset,
+  getArpFrequency
+} from './sequencer';
+import { createPerformance, serializePerformance, parsePerformance, getDueEvents } from './performance';
+import { audioBufferToWav } from './wav';
+import { getRecordingExtension } from './liveRecorder';
+import { createWaveSampler, applyNoiseBand } from './loopSynth';
+import { INPUT_SOURCES, DEFAULT_INPUT_GAIN, clampInputGain } from './microphone';
+import {
+  DEFAULT_PITCH_FOLLOW,
+  FOLLOW_TOLERANCE_CENTS,
+  detectPitch,
+  isConfidentPitch,
+  clampPitchFollow,
+  getFollowFrequency
+} from './pitchDetection';
+import { createPresetStore } from '../utils/presetStore';
+import { downloadFile } from '../utils/download';
+
+// Saved hand-drawn waveforms and performances, keyed by name
+const customWaveStore = createPresetStore('custom-waves');
+const performanceStore = createPresetStore('performances');
+
+const WAVEFORM_LENGTH = 1024; // Visualizer samples
+
+// The wave currently playing: a morph shape value, 'custom' for the drawn cycle, or a noise type
+const getWaveSource = ({ waveType, shape }) => (waveType === 'custom' || isNoiseType(waveType) ? waveType : shape);
+
+const isValidFrequency = (freq) => !isNaN(freq) && isFinite(freq) && freq >= 20 && freq <= 20000;
+
+// Analyser bytes down to the visualizer's length, or null when there are too few to fill it
+const downsampleAudioData = (dataArray) => {
+  const downsampledData = [];
+  const step = Math.max(1, Math.floor(dataArray.length / WAVEFORM_LENGTH));
+  for (let i = 0; i < dataArray.length && downsampledData.length < WAVEFORM_LENGTH; i += step) {
+    downsampledData.push(dataArray[i]);
+  }
+
+  // If we have enough real data, pad to full length with the real data pattern
+  if (downsampledData.length < WAVEFORM_LENGTH / 2) {
+    return null;
+  }
+  while (downsampledData.length < WAVEFORM_LENGTH) {
+    downsampledData.push(downsampledData[downsampledData.length % (WAVEFORM_LENGTH / 2)]);
+  }
+  return downsampledData;
+};
+
+export class AudioEngine {
+  // backend makes the sound; fallbackBackend takes over when backend can't start a note
+  constructor({ backend, fallbackBackend = null }) {
+    this.backend = backend;
+    this.fallbackBackend = fallbackBackend;
+    this.activeBackend = backend; // The backend the last note started on
+    this.listeners = new Set();
+
+    // Polyphonic touch voices keyed by touch id
+    // The primary voice drives the main note; the backend gives every other voice its own nodes
+    this.voices = new Map();
+
+    // Keyboard gate (MIDI): whether keys are held, and whether the gate started the main note
+    this.gate = { open: false, starting: false, started: false };
+
+    // Step sequencer: notes are scheduled ahead on the backend's clock
+    this.sequencerTimer = null;
+    this.sequencerClock = null; // Next step to schedule: { gridTime, index, arpCounter }
+    this.sequencerQueue = []; // Scheduled { index, time } the visualizer hasn't reached yet
+
+    // Performance capture and replay, timed on the audio clock
+    this.recording = null; // { performance, startTime } while recording
+    this.replay = null; // { performance, cursor, loop } while replaying
+    this.replayTimer = null;
+
+    // Live recording of the master output
+    this.liveRecorder = null;
+    this.liveMeterFrame = null; // Timer and level meter animation while recording
+    this.takeCounter = 0;
+    this.audition = null; // HTML5 Audio element playing a take
+
+    this.state = {
+      isPlaying: false,
+      frequency: 440,
+      waveType: 'sine', // Basic wave closest to the current shape, 'custom' or a noise type
+      shape: 0, // Continuous morph: 0 sine, 1 triangle, 2 sawtooth, 3 square
+      customWave: createSineCycle(), // Hand-drawn single cycle for 'custom'
+      savedCustomWaves: customWaveStore.list(),
+      amplitude: 0.3,
+      masterVolume: 0.7, // Master volume control (0 to 1)
+      highFreqAttenuation: 0.5, // 0 = no attenuation, 1 = maximum attenuation
+      audioData: [],
+      stereoView: false, // Show the left and right channels separately
+      stereoAudioData: null, // { left, right } visualizer data while the stereo view has it
+      voiceLimit: 6, // Maximum simultaneous touch voices
+      activeVoices: [], // Snapshot of held voices for UI
+      envelope: DEFAULT_ENVELOPE, // ADSR amplitude envelope (seconds / sustain level)
+      glide: DEFAULT_GLIDE, // Portamento time and curve for frequency changes
+      lfos: DEFAULT_LFOS, // Rate/depth/shape/target for each LFO
+      synthesis: DEFAULT_SYNTHESIS, // FM/AM mode, modulator ratio and index
+      filter: DEFAULT_FILTER, // Filter type, cutoff, resonance and envelope amount
+      filterEnvelope: DEFAULT_FILTER_ENVELOPE, // ADSR for the cutoff sweep
+      effects: DEFAULT_EFFECTS, // Effects order plus per-effect bypass, mix and parameters
+      spatial: DEFAULT_SPATIAL, // Stereo pan or HRTF position of the synth output
+      sequencer: DEFAULT_SEQUENCER, // Steps, tempo, swing and arpeggiator settings
+      sequencerRunning: false,
+      sequencerStep: -1, // Step currently sounding, for the visualizer
+      recordedPerformance: null, // Last recorded or loaded performance
+      performanceStatus: 'idle', // 'idle', 'recording' or 'replaying'
+      performanceLoop: true,
+      savedPerformances: performanceStore.list(),
+      liveRecording: null, // { format, elapsed, level } while recording the output
+      takes: [], // This session's output recordings: { id, name, url, blob, duration }
+      auditioningTakeId: null,
+      inputSource: 'synth', // What the visualizer shows: 'synth' or 'microphone'
+      inputGain: DEFAULT_INPUT_GAIN, // Microphone level into the visualizer
+      inputPitch: null, // Confidently detected microphone pitch: { frequency, confidence }
+      pitchFollow: DEFAULT_PITCH_FOLLOW, // Oscillator tracking the microphone pitch, with a harmonizing interval
+      audioFile: null, // Imported file: { name, duration, overview } (overview: peak per slice, 0 to 1)
+      filePlayback: { playing: false, position: 0, loop: false } // Imported file transport
+    };
+    this.state.audioData = this.generateWaveform();
+  }
+
+  getState = () => this.state;
+
+  // Call listener after every state change; returns the unsubscribe function
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  setState = (changes) => {
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach(listener => listener());
+  };
+
+  // What the backends play: the current state plus the wave source
+  getPatch = () => ({ ...this.state, waveSource: getWaveSource(this.state) });
+
+  // Parameter changes reach the fallback backend too, so a held fallback note follows them
+  eachBackend = (apply) => {
+    apply(this.backend);
+    if (this.fallbackBackend) {
+      apply(this.fallbackBackend);
+    }
+  };
+
+  // Waveform data for visualization, from 0 to 255
+  // pitchRatio stretches the view for vibrato (more cycles when the pitch is bent up),
+  // gain scales it for tremolo and cutoffCents shifts the filter like its detune param (LFO and envelope sweeps)
+  // Backends with no filter (the sample loops) show the waveform unfiltered
+  generateWaveform = ({ pitchRatio = 1, gain = 1, cutoffCents = 0 } = {}) => {
+    const { frequency, amplitude, customWave, synthesis, filter } = this.state;
+    const source = getWaveSource(this.state);
+    const filterParam = this.activeBackend.capabilities.filter ? filter : null;
+    const sampler = createWaveSampler(source, customWave, synthesis);
+    const length = WAVEFORM_LENGTH;
+    const cycles = 4 * pitchRatio; // Show 4 complete cycles for better visibility
+
+    // Render an extra window first so the filters have settled by the part that is shown
+    const preRoll = filterParam || isNoiseType(source) ? length : 0;
+    const raw = new Array(length + preRoll).fill(0).map((_, i) => sampler(((i - preRoll) / length) * cycles));
+    const sampleRate = (length / cycles) * frequency * pitchRatio;
+    const banded = applyNoiseBand(raw, source, frequency * pitchRatio, sampleRate);
+    const samples = (filterParam ? filterSamples(banded, filterParam, sampleRate, cutoffCents) : banded).slice(preRoll);
+
+    return samples.map(sample => 128 + sample * amplitude * gain * 127);
+  };
+
+  showWaveform = () => {
+    this.setState({ audioData: this.generateWaveform(), stereoAudioData: null });
+  };
+
+  // Refresh the visualizer: the microphone or real analyser data where the backend has it, otherwise the
+  // generated waveform with its LFO and filter envelope movement
+  // (call once per animation frame while sounding or listening)
+  updateAudioData = () => {
+    const { isPlaying, sequencerRunning, inputSource, filePlayback } = this.state;
+    let dataArray = null;
+    if (inputSource === 'microphone' || filePlayback.playing) {
+      dataArray = this.backend.getTimeDomainData();
+    } else if (isPlaying || sequencerRunning) {
+      dataArray = this.activeBackend.getTimeDomainData();
+    }
+
+    // The stereo view shows the synth after panning, so not the microphone
+    const stereoData = this.state.stereoView && inputSource === 'synth' && dataArray
+      ? this.backend.getStereoTimeDomainData()
+      : null;
+    const stereoAudioData = stereoData
+      ? { left: downsampleAudioData(stereoData.left), right: downsampleAudioData(stereoData.right) }
+      : null;
+
+    const audioData = dataArray ? downsampleAudioData(dataArray) : null;
+    this.setState({
+      audioData: audioData || this.generateWaveform(this.activeBackend.getModulation(this.getPatch())),
+      stereoAudioData: stereoAudioData && stereoAudioData.left && stereoAudioData.right ? stereoAudioData : null
+    });
+  };
+
+  updateStereoView = (enabled) => {
+    this.setState({ stereoView: enabled, stereoAudioData: enabled ? this.state.stereoAudioData : null });
+  };
+
+  initAudio = async () => {
+    await this.backend.init(this.getPatch());
+  };
+
+  // Point the visualizer at the microphone or back at the synth
+  // The microphone only feeds the visualizer, never the speakers; throws with a message for the UI
+  setInputSource = async (source) => {
+    if (!INPUT_SOURCES.includes(source)) {
+      console.warn('Invalid input source:', source);
+      return;
+    }
+    if (source === this.state.inputSource) {
+      return;
+    }
+
+    if (source === 'microphone') {
+      await this.initAudio();
+      await this.backend.openMicrophone(this.getPatch());
+      this.setState({ inputSource: source });
+    } else {
+      this.backend.closeMicrophone();
+      this.setState({ inputSource: source, inputPitch: null });
+      this.showWaveform();
+    }
+    console.log('Input source:', source);
+  };
+
+  updateInputGain = (newGain) => {
+    if (isNaN(newGain) || !isFinite(newGain)) {
+      console.warn('Invalid input gain:', newGain);
+      return;
+    }
+
+    this.setState({ inputGain: clampInputGain(newGain) });
+    this.backend.setInputGain(this.getPatch());
+  };
+
+  // Start the main note, on the fallback backend when the backend can't play
+  startNote = async () => {
+    const patch = this.getPatch();
+    try {
+      await this.backend.start(patch);
+      this.activeBackend = this.backend;
+    } catch (error) {
+      if (!this.fallbackBackend) {
+        throw error;
+      }
+      console.warn(`${this.backend.name} failed, falling back to ${this.fallbackBackend.name}:`, error.message);
+      await this.fallbackBackend.start(patch);
+      this.activeBackend = this.fallbackBackend;
+    }
+  };
+
+  togglePlayback = async () => {
+    const { isPlaying } = this.state;
+    this.recordPerformanceEvent('playing', !isPlaying);
+    try {
+      if (isPlaying) {
+        // The release tail fades out before the note stops
+        const patch = this.getPatch();
+        this.activeBackend.stop(patch);
+        this.voices.forEach(voice => this.activeBackend.stopVoice(voice, patch));
+        this.setState({ isPlaying: false });
+        console.log('Audio stopped');
+      } else {
+        await this.startNote();
+        const patch = this.getPatch();
+        this.voices.forEach((voice) => {
+          if (!voice.primary) {
+            this.activeBackend.startVoice(voice, patch);
+          }
+        });
+        this.setState({ isPlaying: true });
+        console.log('Audio started');
+      }
+
+      this.showWaveform();
+    } catch (error) {
+      console.error('Failed to toggle playback:', error);
+    }
+  };
+
+  // Gate the main note from a keyboard (MIDI note on/off): opening starts it, and closing stops it
+  // only if the gate started it. Gate changes that arrive while the note is starting settle once it has
+  setGate = async (open) => {
+    this.gate.open = open;
+    if (this.gate.starting) {
+      return;
+    }
+    if (open && !this.state.isPlaying) {
+      this.gate.starting = true;
+      await this.togglePlayback();
+      this.gate.starting = false;
+      this.gate.started = this.state.isPlaying;
+      if (!this.gate.open) {
+        this.setGate(false);
+      }
+    } else if (!open && this.gate.started) {
+      this.gate.started = false;
+      if (this.state.isPlaying) {
+        this.togglePlayback();
+      }
+    }
+  };
+
+  // time (here and for the levels below) is when the change lands on the audio clock, for changes
+  // scheduled ahead by performance replay; left out, it lands now. The state moves right away.
+  updateFrequency = async (newFreq, time) => {
+    if (!isValidFrequency(newFreq)) {
+      console.warn('Invalid frequency:', newFreq);
+      return;
+    }
+
+    this.setState({ frequency: newFreq });
+    this.recordPerformanceEvent('frequency', newFreq);
+    console.log('Frequency updated:', newFreq);
+
+    const patch = this.getPatch();
+    this.eachBackend(backend => backend.setFrequency(patch, time));
+    this.showWaveform();
+  };
+
+  // Crossfade every backend to the wave source in the state
+  applyWaveSource = (timeConstant) => {
+    const patch = this.getPatch();
+    this.eachBackend(backend => backend.setWaveSource(patch, timeConstant));
+    this.showWaveform();
+  };
+
+  // Morph continuously between the basic waves (0 sine, 1 triangle, 2 sawtooth, 3 square)
+  // Shape changes always leave custom and noise modes
+  updateShape = async (newShape, timeConstant = SMOOTHING_TIME_CONSTANT) => {
+    if (isNaN(newShape) || !isFinite(newShape)) {
+      console.warn('Invalid shape:', newShape);
+      return;
+    }
+
+    const clampedShape = clampShape(newShape);
+    this.setState({ shape: clampedShape, waveType: getWaveTypeForShape(clampedShape) });
+    this.recordPerformanceEvent('shape', clampedShape);
+    console.log('Shape updated:', clampedShape);
+    this.applyWaveSource(timeConstant);
+  };
+
+  // Wave buttons crossfade to a basic wave, the drawn cycle or a noise type over ~10ms
+  // Basic waves are recorded as their shape by updateShape; noise turns frequency into the noise band
+  updateWaveType = async (newType) => {
+    console.log('Wave type updated:', newType);
+    if (newType !== 'custom' && !isNoiseType(newType)) {
+      await this.updateShape(getShapeForWaveType(newType), 0.01);
+      return;
+    }
+
+    this.recordPerformanceEvent('waveType', newType);
+    this.setState({ waveType: newType });
+    this.applyWaveSource(0.01);
+  };
+
+  // Replace the drawn cycle; plays immediately when custom mode is active
+  updateCustomWave = async (cycle) => {
+    if (!Array.isArray(cycle) || cycle.length === 0 || cycle.some(value => isNaN(value) || !isFinite(value))) {
+      console.warn('Invalid custom waveform');
+      return;
+    }
+
+    this.setState({ customWave: cycle });
+    const patch = this.getPatch();
+    this.eachBackend(backend => backend.setCustomWave(patch));
+    if (this.state.waveType === 'custom') {
+      this.showWaveform();
+    }
+  };
+
+  saveCustomWave = (name) => {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+      console.warn('Custom waveform needs a name');
+      return;
+    }
+
+    customWaveStore.save(trimmedName, this.state.customWave);
+    this.setState({ savedCustomWaves: customWaveStore.list() });
+    console.log('Custom waveform saved:', trimmedName);
+  };
+
+  loadCustomWave = async (name) => {
+    const cycle = customWaveStore.load(name);
+    if (!cycle) {
+      console.warn('No saved custom waveform named:', name);
+      return;
+    }
+
+    await this.updateCustomWave(cycle);
+    this.setState({ waveType: 'custom' });
+    this.applyWaveSource(0.01);
+    console.log('Custom waveform loaded:', name);
+  };
+
+  deleteCustomWave = (name) => {
+    customWaveStore.remove(name);
+    this.setState({ savedCustomWaves: customWaveStore.list() });
+  };
+
+  updateAmplitude = async (newAmplitude, time) => {
+    if (isNaN(newAmplitude) || !isFinite(newAmplitude)) {
+      console.warn('Invalid amplitude:', newAmplitude);
+      return;
+    }
+
+    const clampedAmplitude = Math.max(0, Math.min(1, newAmplitude));
+    this.setState({ amplitude: clampedAmplitude });
+    this.recordPerformanceEvent('amplitude', clampedAmplitude);
+    console.log('Amplitude updated:', clampedAmplitude);
+
+    const patch = this.getPatch();
+    this.eachBackend(backend => backend.setLevel(patch, time));
+    this.showWaveform();
+  };
+
+  updateHighFreqAttenuation = async (newAttenuation, time) => {
+    if (isNaN(newAttenuation) || !isFinite(newAttenuation)) {
+      console.warn('Invalid attenuation:', newAttenuation);
+      return;
+    }
+
+    const clampedAttenuation = Math.max(0, Math.min(1, newAttenuation));
+    this.setState({ highFreqAttenuation: clampedAttenuation });
+    this.recordPerformanceEvent('highFreqAttenuation', clampedAttenuation);
+    console.log('High frequency attenuation updated:', clampedAttenuation);
+
+    const patch = this.getPatch();
+    this.eachBackend(backend => backend.setLevel(patch, time));
+    this.showWaveform();
+  };
+
+  updateMasterVolume = async (newVolume, time) => {
+    if (isNaN(newVolume) || !isFinite(newVolume)) {
+      console.warn('Invalid master volume:', newVolume);
+      return;
+    }
+
+    const clampedVolume = Math.max(0, Math.min(1, newVolume));
+    this.setState({ masterVolume: clampedVolume });
+    this.recordPerformanceEvent('masterVolume', clampedVolume);
+    console.log('Master volume updated:', clampedVolume);
+
+    const patch = this.getPatch();
+    this.eachBackend(backend => backend.setMasterVolume(patch, time));
+  };
+
+  // A new sustain level applies to the held note right away; times apply from the next note
+  updateEnvelope = (changes) => {
+    this.setState({ envelope: clampEnvelope({ ...this.state.envelope, ...changes }) });
+    console.log('Envelope updated:', this.state.envelope);
+
+    const patch = this.getPatch();
+    this.eachBackend(backend => backend.setEnvelope(patch));
+  };
+
+  updateGlide = (changes) => {
+    this.setState({ glide: clampGlide({ ...this.state.glide, ...changes }) });
+    console.log('Glide updated:', this.state.glide);
+  };
+
+  // Switch FM/AM mode or change the modulator ratio/index on every sounding oscillator
+  updateSynthesis = async (changes) => {
+    this.setState({ synthesis: clampSynthesis({ ...this.state.synthesis, ...changes }) });
+
+    const patch = this.getPatch();
+    this.eachBackend(backend => backend.setSynthesis(patch));
+    this.showWaveform();
+  };
+
+  // Change filter type, cutoff, resonance or envelope amount
+  updateFilter = (changes) => {
+    const previousFilter = this.state.filter;
+    this.setState({ filter: clampFilter({ ...previousFilter, ...changes }) });
+
+    const patch = this.getPatch();
+    this.eachBackend(backend => backend.setFilter(patch, previousFilter));
+    this.showWaveform();
+  };
+
+  // Filter envelope times apply from the next note
+  updateFilterEnvelope = (changes) => {
+    this.setState({ filterEnvelope: clampEnvelope({ ...this.state.filterEnvelope, ...changes }) });
+    console.log('Filter envelope updated:', this.state.filterEnvelope);
+  };
+
+  applyEffects = (effects) => {
+    this.setState({ effects });
+    const patch = this.getPatch();
+    this.eachBackend(backend => backend.setEffects(patch));
+  };
+
+  // Change one effect's bypass, mix or parameters
+  updateEffect = (type, changes) => {
+    if (!EFFECT_TYPES.includes(type)) {
+      console.warn('Unknown effect:', type);
+      return;
+    }
+
+    const { effects } = this.state;
+    this.applyEffects({ ...effects, [type]: clampEffect(type, { ...effects[type], ...changes }, effects[type]) });
+    console.log(`Effect ${type} updated:`, this.state.effects[type]);
+  };
+
+  // Move an effect earlier (-1) or later (+1) in the chain
+  moveEffectInChain = (type, direction) => {
+    const { effects } = this.state;
+    this.applyEffects({ ...effects, order: moveEffect(effects.order, type, direction) });
+    console.log('Effects order:', this.state.effects.order.join(' -> '));
+  };
+
+  // Pan or place the synth output; pan runs -1 (left) to 1 (right), depth pushes it away in HRTF mode
+  updateSpatial = (changes) => {
+    this.setState({ spatial: clampSpatial({ ...this.state.spatial, ...changes }, this.state.spatial) });
+    const patch = this.getPatch();
+    this.eachBackend(backend => backend.setSpatial(patch));
+  };
+
+  // Change one LFO's rate, depth, shape or target; running LFOs follow without restarting
+  updateLfo = (index, changes) => {
+    const { lfos } = this.state;
+    if (!lfos[index]) {
+      console.warn('Invalid LFO index:', index);
+      return;
+    }
+
+    this.setState({ lfos: lfos.map((lfo, i) => (i === index ? clampLfo({ ...lfo, ...changes }, lfo) : lfo)) });
+    const patch = this.getPatch();
+    this.eachBackend(backend => backend.setLfos(patch));
+    console.log(`LFO ${index + 1} updated:`, this.state.lfos[index]);
+  };
+
+  // Publish a snapshot of the held voices for the overlay and tooltips
+  publishActiveVoices = () => {
+    const activeVoices = Array.from(this.voices.values())
+      .sort((a, b) => a.startedAt - b.startedAt)
+      .map(({ id, frequency, primary }) => ({ id, frequency, primary }));
+    this.setState({ activeVoices });
+  };
+
+  getOldestSecondaryVoice = () => {
+    let oldest = null;
+    this.voices.forEach((voice) => {
+      if (!voice.primary && (!oldest || voice.startedAt < oldest.startedAt)) {
+        oldest = voice;
+      }
+    });
+    return oldest;
+  };
+
+  // Steal the oldest secondary voice to make room for a new touch
+  stealVoice = () => {
+    const oldest = this.getOldestSecondaryVoice();
+    if (oldest) {
+      this.activeBackend.stopVoice(oldest, this.getPatch());
+      this.voices.delete(oldest.id);
+      console.log(`Voice ${oldest.id} stolen`);
+    }
+    return !!oldest;
+  };
+
+  // Start or move the voice belonging to a touch
+  // The first held touch becomes the primary voice and drives updateFrequency
+  playVoice = async (id, newFreq) => {
+    if (!isValidFrequency(newFreq)) {
+      console.warn('Invalid voice frequency:', newFreq);
+      return;
+    }
+
+    const { voiceLimit, isPlaying } = this.state;
+    let voice = this.voices.get(id);
+
+    if (!voice) {
+      const hasPrimary = Array.from(this.voices.values()).some(v => v.primary);
+
+      // Enforce the voice limit, stealing the oldest secondary voice when full
+      while (this.voices.size >= voiceLimit) {
+        if (!this.stealVoice()) {
+          console.log(`Voice limit ${voiceLimit} reached, ignoring touch ${id}`);
+          return;
+        }
+      }
+
+      voice = { id, frequency: newFreq, primary: !hasPrimary, startedAt: Date.now() };
+      this.voices.set(id, voice);
+
+      if (!voice.primary && isPlaying) {
+        this.activeBackend.startVoice(voice, this.getPatch());
+      }
+    } else {
+      voice.frequency = newFreq;
+      this.activeBackend.moveVoice(voice, this.getPatch());
+    }
+
+    this.publishActiveVoices();
+
+    if (voice.primary) {
+      await this.updateFrequency(newFreq);
+    }
+  };
+
+  // Release the voice belonging to a touch
+  // When the primary lifts while other touches are held, the oldest of them takes over the main note:
+  // the main note moves to its pitch and its own nodes stop, so the lifted pitch doesn't keep sounding
+  releaseVoice = (id) => {
+    const voice = this.voices.get(id);
+    if (!voice) {
+      return;
+    }
+
+    const patch = this.getPatch();
+    this.activeBackend.stopVoice(voice, patch);
+    this.voices.delete(id);
+
+    const successor = voice.primary ? this.getOldestSecondaryVoice() : null;
+    if (successor) {
+      this.activeBackend.stopVoice(successor, patch);
+      successor.primary = true;
+      console.log(`Voice ${successor.id} promoted to primary`);
+    }
+    this.publishActiveVoices();
+
+    if (successor) {
+      this.updateFrequency(successor.frequency);
+    }
+  };
+
+  // Release every held voice (e.g. when the responder is terminated)
+  releaseAllVoices = () => {
+    const patch = this.getPatch();
+    this.voices.forEach(voice => this.activeBackend.stopVoice(voice, patch));
+    this.voices.clear();
+    this.publishActiveVoices();
+  };
+
+  updateVoiceLimit = (newLimit) => {
+    if (isNaN(newLimit) || !isFinite(newLimit)) {
+      console.warn('Invalid voice limit:', newLimit);
+      return;
+    }
+
+    const clampedLimit = Math.max(1, Math.min(10, Math.round(newLimit)));
+    this.setState({ voiceLimit: clampedLimit });
+    console.log('Voice limit updated:', clampedLimit);
+
+    // Drop the oldest secondary voices that no longer fit
+    let excess = this.voices.size - clampedLimit;
+    while (excess > 0 && this.stealVoice()) {
+      excess--;
+    }
+    this.publishActiveVoices();
+  };
+
+  // Schedule every step starting before the horizon, advancing the sequencer clock
+  // Steps already in the past (e.g. after the timer was throttled in a background tab) are skipped
+  scheduleDueSteps = (now, horizon) => {
+    const { sequencer } = this.state;
+    const patch = this.getPatch();
+    const clock = this.sequencerClock;
+    const stepDuration = getStepDuration(sequencer.tempo);
+    let index = clock.index % sequencer.length;
+    let time = clock.gridTime + getSwingOffset(index, sequencer.tempo, sequencer.swing);
+
+    while (time < horizon) {
+      const step = sequencer.steps[index];
+      if (step.gate > 0 && time >= now) {
+        const noteFreq = sequencer.mode === 'arp'
+          ? getArpFrequency(
+            Array.from(this.voices.values()).map(voice => voice.frequency),
+            sequencer.arpPattern,
+            sequencer.arpOctaves,
+            clock.arpCounter++
+          )
+          : step.frequency;
+        if (noteFreq !== null && noteFreq <= 20000) {
+          this.backend.scheduleNote(noteFreq, step, time, step.gate * stepDuration, patch);
+        }
+      }
+      this.sequencerQueue.push({ index, time });
+
+      clock.gridTime += stepDuration;
+      index = (index + 1) % sequencer.length;
+      time = clock.gridTime + getSwingOffset(index, sequencer.tempo, sequencer.swing);
+    }
+    clock.index = index;
+  };
+
+  // Lookahead scheduler: the timer only wakes it up, every note is timed on the backend's clock
+  runSequencerScheduler = () => {
+    const now = this.backend.currentTime;
+    if (now === null || !this.sequencerClock) {
+      return;
+    }
+    this.scheduleDueSteps(now, now + SCHEDULE_AHEAD_TIME);
+    this.sequencerTimer = setTimeout(this.runSequencerScheduler, SCHEDULER_INTERVAL);
+  };
+
+  // The sequencer runs on the backend, so not while a fallback backend is playing
+  startSequencer = async () => {
+    if (this.sequencerClock) {
+      return;
+    }
+    await this.initAudio();
+    if (!this.backend.capabilities.sequencer || this.activeBackend !== this.backend || this.backend.currentTime === null) {
+      console.warn('The step sequencer needs the Web Audio API');
+      return;
+    }
+
+    const { sequencer } = this.state;
+    this.backend.prepareSequencer(this.getPatch());
+    this.sequencerQueue = [];
+    this.sequencerClock = {
+      gridTime: this.backend.currentTime + 0.05, // Small head start so the first step isn't late
+      index: 0,
+      arpCounter: 0
+    };
+    this.setState({ sequencerRunning: true });
+    this.runSequencerScheduler();
+    console.log(`Sequencer started: ${sequencer.length} steps at ${sequencer.tempo} BPM (${sequencer.mode})`);
+  };
+
+  // Stop scheduling; notes already sounding finish their release, queued ones never start
+  stopSequencer = () => {
+    clearTimeout(this.sequencerTimer);
+    this.sequencerTimer = null;
+    this.sequencerClock = null;
+    this.sequencerQueue = [];
+    this.backend.cancelScheduledNotes();
+
+    this.setState({ sequencerRunning: false, sequencerStep: -1 });
+    console.log('Sequencer stopped');
+  };
+
+  // Show the step that is sounding now, not the one just scheduled ahead (call once per animation frame)
+  showSoundingStep = () => {
+    const now = this.backend.currentTime;
+    let current = null;
+    while (now !== null && this.sequencerQueue.length > 0 && this.sequencerQueue[0].time <= now) {
+      current = this.sequencerQueue.shift().index;
+    }
+    if (current !== null) {
+      this.setState({ sequencerStep: current });
+    }
+  };
+
+  updateSequencer = (changes) => {
+    this.setState({ sequencer: clampSequencer({ ...this.state.sequencer, ...changes }, this.state.sequencer) });
+    console.log('Sequencer updated:', changes);
+  };
+
+  updateSequencerStep = (index, changes) => {
+    const { sequencer } = this.state;
+    if (!sequencer.steps[index]) {
+      console.warn('Invalid sequencer step:', index);
+      return;
+    }
+    const steps = sequencer.steps.slice();
+    steps[index] = clampStep({ ...steps[index], ...changes }, steps[index]);
+    this.setState({ sequencer: { ...sequencer, steps } });
+  };
+
+  // Render the patch and download it as a WAV file; returns the file name
+  exportAudio = async ({ duration = 5, bitDepth = 16, channelCount = 2 } = {}) => {
+    if (isNaN(duration) || !isFinite(duration) || duration <= 0) {
+      console.warn('Invalid export duration:', duration);
+      return null;
+    }
+
+    console.log(`Rendering ${duration}s of audio (${bitDepth}-bit, ${channelCount} channel${channelCount === 1 ? '' : 's'})`);
+    const rendered = await this.backend.renderPatch(this.getPatch(), duration, channelCount);
+    const filename = `audio-art-${Math.round(this.state.frequency)}hz-${duration}s.wav`;
+    downloadFile(audioBufferToWav(rendered, { bitDepth }), filename, 'audio/wav');
+    console.log('Audio exported:', filename);
+    return filename;
+  };
+
+  // Clock for recording and replay: the audio clock when there is one
+  getPerformanceClock = () => {
+    const time = this.backend.currentTime;
+    return time === null ? Date.now() / 1000 : time;
+  };
+
+  // Append a parameter change to the recording in progress (no-op otherwise)
+  recordPerformanceEvent = (type, value) => {
+    if (this.recording) {
+      this.recording.performance.events.push({ time: this.getPerformanceClock() - this.recording.startTime, type, value });
+    }
+  };
+
+  startRecording = async () => {
+    if (this.recording || this.replay) {
+      return;
+    }
+    // The clock has to exist (and run) before the first timestamp
+    await this.initAudio();
+
+    // Snapshot every parameter first; shape goes before any custom/noise wave type, START/STOP last
+    const { frequency, amplitude, shape, waveType, masterVolume, highFreqAttenuation, isPlaying } = this.state;
+    const snapshot = { frequency, amplitude, shape };
+    if (waveType === 'custom' || isNoiseType(waveType)) {
+      snapshot.waveType = waveType;
+    }
+    Object.assign(snapshot, { masterVolume, highFreqAttenuation, playing: isPlaying });
+
+    this.recording = { performance: createPerformance(snapshot), startTime: this.getPerformanceClock() };
+    this.setState({ performanceStatus: 'recording' });
+    console.log('Performance recording started');
+  };
+
+  stopRecording = () => {
+    const { recording } = this;
+    if (!recording) {
+      return;
+    }
+    this.recording = null;
+    const recorded = { ...recording.performance, duration: this.getPerformanceClock() - recording.startTime };
+    this.setState({ recordedPerformance: recorded, performanceStatus: 'idle' });
+    console.log(`Performance recorded: ${recorded.duration.toFixed(2)}s, ${recorded.events.length} events`);
+  };
+
+  // Apply one recorded event through the same update functions a person would use
+  // Scheduled types (see SCHEDULED_EVENT_TYPES) land on the audio clock at time; the rest apply now
+  dispatchPerformanceEvent = ({ type, value }, time) => {
+    switch (type) {
+      case 'playing':
+        if (value !== this.state.isPlaying) {
+          this.togglePlayback();
+        }
+        break;
+      case 'frequency':
+        this.updateFrequency(value, time);
+        break;
+      case 'amplitude':
+        this.updateAmplitude(value, time);
+        break;
+      case 'shape':
+        this.updateShape(value);
+        break;
+      case 'waveType':
+        this.updateWaveType(value);
+        break;
+      case 'masterVolume':
+        this.updateMasterVolume(value, time);
+        break;
+      case 'highFreqAttenuation':
+        this.updateHighFreqAttenuation(value, time);
+        break;
+      default:
+        console.warn('Unknown performance event:', type);
+    }
+  };
+
+  // Lookahead scheduler, like the sequencer's: pitch and level changes within SCHEDULE_AHEAD_TIME are
+  // scheduled at their exact time on the audio clock, so timer jitter (or a late wake-up) never
+  // reaches them; the timer only wakes this up. Other events are dispatched once they are due.
+  runPerformanceReplay = () => {
+    const { replay } = this;
+    if (!replay) {
+      return;
+    }
+    const now = this.getPerformanceClock();
+    // With no clock to schedule changes on, every event waits until it is due
+    const { scheduledChanges } = this.backend.capabilities;
+    const lookahead = scheduledChanges && this.backend.currentTime !== null ? SCHEDULE_AHEAD_TIME : 0;
+    const { events, cursor, nextTime, finished } = getDueEvents(replay.performance, replay.cursor, now, replay.loop, lookahead);
+    replay.cursor = cursor;
+    events.forEach(event => this.dispatchPerformanceEvent(event, lookahead > 0 ? Math.max(now, event.at) : undefined));
+
+    if (finished) {
+      this.stopReplay();
+      return;
+    }
+    // A START/STOP split the batch: give the UI a frame to render before the rest
+    const delay = nextTime > now ? (nextTime - now) * 1000 : 16;
+    this.replayTimer = setTimeout(this.runPerformanceReplay, delay);
+  };
+
+  startReplay = async () => {
+    const { recordedPerformance, performanceLoop } = this.state;
+    if (!recordedPerformance || this.recording || this.replay) {
+      return;
+    }
+    await this.initAudio();
+
+    this.replay = {
+      performance: recordedPerformance,
+      cursor: { startTime: this.getPerformanceClock(), index: 0 },
+      loop: performanceLoop
+    };
+    this.setState({ performanceStatus: 'replaying' });
+    this.runPerformanceReplay();
+    console.log(`Performance replay started (${performanceLoop ? 'looping' : 'once'})`);
+  };
+
+  // Stop replaying, leaving the parameters where the performance left them
+  stopReplay = () => {
+    clearTimeout(this.replayTimer);
+    this.replayTimer = null;
+    this.replay = null;
+    this.setState({ performanceStatus: 'idle' });
+    console.log('Performance replay stopped');
+  };
+
+  updatePerformanceLoop = (loop) => {
+    this.setState({ performanceLoop: !!loop });
+    if (this.replay) {
+      this.replay.loop = !!loop;
+    }
+  };
+
+  savePerformance = (name) => {
+    const trimmedName = (name || '').trim();
+    const { recordedPerformance } = this.state;
+    if (!trimmedName || !recordedPerformance) {
+      console.warn('Saving a performance needs a name and a recording');
+      return;
+    }
+
+    performanceStore.save(trimmedName, recordedPerformance);
+    this.setState({ savedPerformances: performanceStore.list() });
+    console.log('Performance saved:', trimmedName);
+  };
+
+  loadPerformance = (name) => {
+    const data = performanceStore.load(name);
+    if (!data) {
+      console.warn('No saved performance named:', name);
+      return;
+    }
+
+    try {
+      this.setState({ recordedPerformance: parsePerformance(data) });
+      console.log('Performance loaded:', name);
+    } catch (error) {
+      console.warn(`Saved performance "${name}" is unreadable:`, error.message);
+    }
+  };
+
+  deletePerformance = (name) => {
+    performanceStore.remove(name);
+    this.setState({ savedPerformances: performanceStore.list() });
+  };
+
+  // JSON text for sharing a performance, and back again (throws on unreadable JSON)
+  exportPerformance = () => {
+    const { recordedPerformance } = this.state;
+    return recordedPerformance ? serializePerformance(recordedPerformance) : '';
+  };
+
+  importPerformance = (json) => {
+    const imported = parsePerformance(json);
+    this.setState({ recordedPerformance: imported });
+    console.log(`Performance imported: ${imported.duration.toFixed(2)}s, ${imported.events.length} events`);
+  };
+
+  // Detect the microphone's pitch for the tuner, and move the oscillator to it in follow mode
+  // Detections under the confidence gate are dropped, so noise and breaths never move the note
+  // (call once per animation frame while the microphone is open)
+  trackInputPitch = () => {
+    if (this.state.inputSource !== 'microphone') {
+      return;
+    }
+    const input = this.backend.getInputSamples();
+    const detected = input ? detectPitch(input.samples, input.sampleRate) : null;
+    const pitch = isConfidentPitch(detected) ? detected : null;
+    if (pitch || this.state.inputPitch) {
+      this.setState({ inputPitch: pitch });
+    }
+
+    const { pitchFollow, frequency } = this.state;
+    if (pitch && pitchFollow.enabled) {
+      const target = getFollowFrequency(pitch.frequency, pitchFollow.interval);
+      if (isValidFrequency(target) && Math.abs(1200 * Math.log2(target / frequency)) >= FOLLOW_TOLERANCE_CENTS) {
+        this.updateFrequency(target);
+      }
+    }
+  };
+
+  updatePitchFollow = (changes) => {
+    this.setState({ pitchFollow: clampPitchFollow({ ...this.state.pitchFollow, ...changes }) });
+    console.log('Pitch follow updated:', this.state.pitchFollow);
+  };
+
+  // Decode a WAV/MP3/OGG file's bytes and cue it at the start; throws with a message for the UI
+  loadAudioFile = async (name, data) => {
+    await this.initAudio();
+    const { duration, overview } = await this.backend.loadFile(this.getPatch(), data);
+    this.backend.setFileLoop(this.state.filePlayback.loop);
+    this.setState({
+      audioFile: { name, duration, overview },
+      filePlayback: { ...this.state.filePlayback, playing: false, position: 0 }
+    });
+    console.log(`Audio file ready: ${name}`);
+  };
+
+  playAudioFile = async () => {
+    if (this.state.audioFile) {
+      await this.backend.playFile();
+      this.showFilePosition();
+    }
+  };
+
+  pauseAudioFile = () => {
+    this.backend.pauseFile();
+    this.showFilePosition();
+  };
+
+  seekAudioFile = (position) => {
+    if (isNaN(position) || !isFinite(position)) {
+      console.warn('Invalid file position:', position);
+      return;
+    }
+    this.backend.seekFile(position);
+    this.showFilePosition();
+  };
+
+  updateAudioFileLoop = (loop) => {
+    this.backend.setFileLoop(loop);
+    this.setState({ filePlayback: { ...this.state.filePlayback, loop } });
+  };
+
+  unloadAudioFile = () => {
+    this.backend.unloadFile();
+    this.showFilePosition();
+    this.setState({ audioFile: null });
+  };
+
+  // Follow the file's playhead, and notice it reaching the end
+  // (call once per animation frame while the file plays)
+  showFilePosition = () => {
+    const { filePlayback, isPlaying, sequencerRunning, inputSource } = this.state;
+    const playback = this.backend.getFilePlayback() || { playing: false, position: 0 };
+    if (playback.playing === filePlayback.playing && playback.position === filePlayback.position) {
+      return;
+    }
+    this.setState({ filePlayback: { ...filePlayback, ...playback } });
+
+    // Nothing left feeding the visualizer: go back to the still synth waveform
+    if (!playback.playing && !isPlaying && !sequencerRunning && inputSource === 'synth') {
+      this.showWaveform();
+    }
+  };
+
+  // Record exactly what leaves the master volume: 'compressed' (WebM/Opus where supported) or 'wav'
+  // Throws when the playing backend can't record
+  startLiveRecording = async (format = 'compressed') => {
+    if (this.liveRecorder) {
+      return;
+    }
+    await this.initAudio();
+    const recorder = this.activeBackend.createRecorder(format);
+    this.liveRecorder = recorder;
+
+    // Peak meter with a short fall-off so transients stay visible
+    let level = 0;
+    const meterStep = () => {
+      if (this.liveRecorder !== recorder) {
+        return;
+      }
+      level = Math.max(recorder.getLevel(), level * 0.9);
+      this.setState({
+        liveRecording: { format, elapsed: this.backend.currentTime - recorder.startTime, level }
+      });
+      this.liveMeterFrame = requestAnimationFrame(meterStep);
+    };
+    meterStep();
+    console.log(`Live recording started (${format})`);
+  };
+
+  stopLiveRecording = async () => {
+    const recorder = this.liveRecorder;
+    if (!recorder) {
+      return;
+    }
+    this.liveRecorder = null;
+    cancelAnimationFrame(this.liveMeterFrame);
+    this.setState({ liveRecording: null });
+
+    const { blob, duration } = await recorder.stop();
+    this.takeCounter += 1;
+    const take = {
+      id: this.takeCounter,
+      name: `Take ${this.takeCounter}`,
+      url: URL.createObjectURL(blob),
+      blob,
+      duration
+    };
+    this.setState({ takes: [...this.state.takes, take] });
+    console.log(`Live recording stopped: ${take.name}, ${duration.toFixed(2)}s, ${blob.size} bytes`);
+  };
+
+  stopAudition = () => {
+    if (this.audition) {
+      this.audition.pause();
+      this.audition = null;
+    }
+    this.setState({ auditioningTakeId: null });
+  };
+
+  // Play a take back through an HTML5 Audio element; pressing the playing take stops it
+  auditionTake = (id) => {
+    const wasPlaying = this.state.auditioningTakeId === id;
+    this.stopAudition();
+    const take = this.state.takes.find(item => item.id === id);
+    if (wasPlaying || !take) {
+      return;
+    }
+
+    const audio = new window.Audio(take.url);
+    audio.onended = () => {
+      if (this.audition === audio) {
+        this.audition = null;
+        this.setState({ auditioningTakeId: null });
+      }
+    };
+    this.audition = audio;
+    this.setState({ auditioningTakeId: id });
+    audio.play().catch((error) => {
+      console.warn('Could not audition take:', error.message);
+      this.stopAudition();
+    });
+  };
+
+  downloadTake = (id) => {
+    const take = this.state.takes.find(item => item.id === id);
+    if (take) {
+      downloadFile(take.blob, `${take.name.replace(/\s+/g, '-').toLowerCase()}.${getRecordingExtension(take.blob.type)}`);
+    }
+  };
+
+  deleteTake = (id) => {
+    const take = this.state.takes.find(item => item.id === id);
+    if (!take) {
+      return;
+    }
+    if (this.state.auditioningTakeId === id) {
+      this.stopAudition();
+    }
+    URL.revokeObjectURL(take.url);
+    this.setState({ takes: this.state.takes.filter(item => item.id !== id) });
+    console.log('Take deleted:', take.name);
+  };
+
+  // Stop timers, recording and audition, and release every backend without release tails
+  dispose = () => {
+    clearTimeout(this.sequencerTimer);
+    this.sequencerClock = null;
+    clearTimeout(this.replayTimer);
+    this.replay = null;
+    if (this.liveRecorder) {
+      cancelAnimationFrame(this.liveMeterFrame);
+      this.liveRecorder = null;
+    }
+    if (this.audition) {
+      this.audition.pause();
+      this.audition = null;
+    }
+    this.voices.clear();
+    this.eachBackend(backend => backend.dispose());
+  };
+}
@@ -0,0 +1,295 @@
+import { AudioEngine } from '../AudioEngine';
+import { createNullBackend } from '../backends/nullBackend';
+import { SCHEDULE_AHEAD_TIME, getStepDuration } from '../sequencer';
+
+const TICK = 0.005; // Seconds per step of the fake audio clock and timers
+
+// An engine on the null backend, with the audio clock and the timers moving together
+const createEngine = () => {
+  const backend = createNullBackend();
+  const engine = new AudioEngine({ backend });
+
+  const callsTo = name => backend.calls.filter(call => call.name === name);
+
+  const advance = async (seconds) => {
+    for (let elapsed = 0; elapsed < seconds - 1e-9; elapsed += TICK) {
+      backend.advanceTime(TICK);
+      await jest.advanceTimersByTimeAsync(TICK * 1000);
+    }
+  };
+
+  return { backend, engine, callsTo, advance };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('AudioEngine voices', () => {
+  it('makes the first touch primary and gives the others their own voices', async () => {
+    const { engine, callsTo } = createEngine();
+    await engine.togglePlayback();
+
+    await engine.playVoice(1, 300);
+    await engine.playVoice(2, 400);
+    expect(engine.getState().frequency).toBe(300);
+    expect(engine.getState().activeVoices).toEqual([
+      { id: 1, frequency: 300, primary: true },
+      { id: 2, frequency: 400, primary: false }
+    ]);
+    expect(callsTo('startVoice').map(call => call.args[0].id)).toEqual([2]);
+
+    // Moving a secondary voice leaves the main note alone
+    await engine.playVoice(2, 450);
+    expect(callsTo('moveVoice').map(call => call.args[0].frequency)).toEqual([450]);
+    expect(engine.getState().frequency).toBe(300);
+
+    engine.releaseVoice(2);
+    expect(callsTo('stopVoice').map(call => call.args[0].id)).toEqual([2]);
+    expect(engine.getState().activeVoices).toEqual([{ id: 1, frequency: 300, primary: true }]);
+    engine.dispose();
+  });
+
+  it('hands the main note to the oldest held touch when the primary lifts', async () => {
+    const { engine, callsTo } = createEngine();
+    await engine.togglePlayback();
+    const now = jest.spyOn(Date, 'now');
+
+    now.mockReturnValue(1000);
+    await engine.playVoice(1, 300);
+    now.mockReturnValue(1001);
+    await engine.playVoice(2, 400);
+    now.mockReturnValue(1002);
+    await engine.playVoice(3, 500);
+
+    engine.releaseVoice(1);
+    expect(engine.getState().frequency).toBe(400);
+    expect(engine.getState().activeVoices).toEqual([
+      { id: 2, frequency: 400, primary: true },
+      { id: 3, frequency: 500, primary: false }
+    ]);
+    // The promoted touch's own voice stops: the main note plays its pitch now
+    expect(callsTo('stopVoice').map(call => call.args[0].id)).toEqual([1, 2]);
+
+    // The new primary drives the main note from here
+    await engine.playVoice(2, 420);
+    expect(engine.getState().frequency).toBe(420);
+    engine.dispose();
+  });
+
+  it('steals the oldest secondary voice at the voice limit', async () => {
+    const { engine, callsTo } = createEngine();
+    engine.updateVoiceLimit(2);
+    const now = jest.spyOn(Date, 'now');
+
+    now.mockReturnValue(1000);
+    await engine.playVoice(1, 300);
+    now.mockReturnValue(1001);
+    await engine.playVoice(2, 400);
+    now.mockReturnValue(1002);
+    await engine.playVoice(3, 500);
+
+    expect(engine.getState().activeVoices.map(voice => voice.id)).toEqual([1, 3]);
+    expect(callsTo('stopVoice').map(call => call.args[0].id)).toEqual([2]);
+    engine.dispose();
+  });
+});
+
+describe('AudioEngine sequencer', () => {
+  it('schedules each step once, ahead of the clock and no further than the lookahead', async () => {
+    const { backend, engine, callsTo, advance } = createEngine();
+    await engine.startSequencer();
+    expect(callsTo('prepareSequencer')).toHaveLength(1);
+
+    // The first step is due 50ms in, inside the lookahead; the second isn't yet
+    expect(callsTo('scheduleNote').map(call => call.args[2])).toEqual([0.05]);
+
+    const stepDuration = getStepDuration(engine.getState().sequencer.tempo);
+    const scheduled = [];
+    for (let i = 0; i < 200; i++) {
+      const before = callsTo('scheduleNote').length;
+      await advance(TICK);
+      callsTo('scheduleNote').slice(before).forEach(({ args: [, , time] }) => {
+        expect(time).toBeGreaterThanOrEqual(backend.currentTime);
+        expect(time).toBeLessThan(backend.currentTime + SCHEDULE_AHEAD_TIME);
+        scheduled.push(time);
+      });
+    }
+
+    // One second in, the steps keep to the grid with none skipped or repeated
+    const times = [0.05, ...scheduled];
+    times.forEach((time, index) => expect(time).toBeCloseTo(0.05 + index * stepDuration, 9));
+    expect(times[times.length - 1]).toBeGreaterThan(backend.currentTime);
+
+    // Stopping cancels the queued notes and the timer
+    engine.stopSequencer();
+    const count = callsTo('scheduleNote').length;
+    await advance(0.5);
+    expect(callsTo('scheduleNote')).toHaveLength(count);
+    expect(callsTo('cancelScheduledNotes')).toHaveLength(1);
+    engine.dispose();
+  });
+
+  it('shows the step that is sounding, not the one scheduled ahead', async () => {
+    const { engine, advance } = createEngine();
+    await engine.startSequencer();
+    const stepDuration = getStepDuration(engine.getState().sequencer.tempo);
+
+    await advance(0.05 + stepDuration * 2.5);
+    engine.showSoundingStep();
+    expect(engine.getState().sequencerStep).toBe(2);
+    engine.dispose();
+  });
+});
+
+describe('AudioEngine performance', () => {
+  const recordPerformance = async ({ engine, advance }) => {
+    await engine.startRecording();
+    await engine.togglePlayback();
+    await advance(0.5);
+    await engine.updateFrequency(660);
+    await advance(0.5);
+    await engine.updateAmplitude(0.2);
+    await advance(0.5);
+    engine.stopRecording();
+  };
+
+  it('records parameter changes against the audio clock', async () => {
+    const setup = createEngine();
+    await recordPerformance(setup);
+
+    const { recordedPerformance, performanceStatus } = setup.engine.getState();
+    expect(performanceStatus).toBe('idle');
+    expect(recordedPerformance.duration).toBeCloseTo(1.5, 6);
+    const changes = recordedPerformance.events.filter(event => event.time > 0);
+    expect(changes.map(({ type, value }) => [type, value])).toEqual([['frequency', 660], ['amplitude', 0.2]]);
+    expect(changes[0].time).toBeCloseTo(0.5, 6);
+    expect(changes[1].time).toBeCloseTo(1, 6);
+    setup.engine.dispose();
+  });
+
+  it('replays the recording, scheduling pitch and level changes ahead at their recorded time', async () => {
+    const setup = createEngine();
+    const { backend, engine, callsTo, advance } = setup;
+    await recordPerformance(setup);
+
+    // Put things back so replay has something to change
+    await engine.togglePlayback();
+    await engine.updateFrequency(440);
+    await engine.updateAmplitude(0.3);
+    engine.updatePerformanceLoop(false);
+
+    const before = backend.calls.length;
+    const start = backend.currentTime;
+    await engine.startReplay();
+    expect(engine.getState().performanceStatus).toBe('replaying');
+
+    const whenCalled = [];
+    for (let elapsed = 0; elapsed < 1.6; elapsed += TICK) {
+      const count = backend.calls.length;
+      await advance(TICK);
+      backend.calls.slice(count).forEach(call => whenCalled.push({ call, now: backend.currentTime }));
+    }
+    const replayed = name => whenCalled.filter(({ call }) => call.name === name);
+
+    // The recorded note starts again
+    expect(callsTo('start').length).toBeGreaterThanOrEqual(2);
+    expect(backend.calls.slice(before).some(call => call.name === 'start')).toBe(true);
+
+    // The change recorded 0.5s in is handed over before then, timed for then
+    const pitch = replayed('setFrequency').find(({ call }) => call.args[0].frequency === 660);
+    expect(pitch.call.args[1]).toBeCloseTo(start + 0.5, 6);
+    expect(pitch.now).toBeLessThan(start + 0.5);
+    expect(pitch.now).toBeGreaterThanOrEqual(start + 0.5 - SCHEDULE_AHEAD_TIME);
+
+    const level = replayed('setLevel').find(({ call }) => call.args[0].amplitude === 0.2);
+    expect(level.call.args[1]).toBeCloseTo(start + 1, 6);
+    expect(level.now).toBeLessThan(start + 1);
+
+    // A one-shot stops at the end, leaving the parameters where the performance left them
+    expect(engine.getState().performanceStatus).toBe('idle');
+    expect(engine.getState().frequency).toBe(660);
+    expect(engine.getState().amplitude).toBe(0.2);
+    engine.dispose();
+  });
+});
+
+describe('AudioEngine setGate', () => {
+  // A backend whose note takes until release() to start, like a context still unlocking
+  const createSlowStart = (backend) => {
+    const pending = [];
+    backend.start = (...args) => {
+      backend.calls.push({ name: 'start', args });
+      return new Promise(resolve => pending.push(resolve));
+    };
+    return () => pending.splice(0).forEach(resolve => resolve());
+  };
+
+  const flush = () => jest.advanceTimersByTimeAsync(0);
+
+  it('starts the note on open and stops it on close', async () => {
+    const { engine, callsTo } = createEngine();
+    await engine.setGate(true);
+    expect(engine.getState().isPlaying).toBe(true);
+
+    await engine.setGate(false);
+    expect(engine.getState().isPlaying).toBe(false);
+    expect(callsTo('stop')).toHaveLength(1);
+    engine.dispose();
+  });
+
+  it('stops the note once it has started when the gate closed while it was starting', async () => {
+    const { backend, engine, callsTo } = createEngine();
+    const finishStart = createSlowStart(backend);
+
+    const opening = engine.setGate(true);
+    await engine.setGate(false);
+    expect(callsTo('stop')).toHaveLength(0);
+
+    finishStart();
+    await opening;
+    await flush();
+    expect(engine.getState().isPlaying).toBe(false);
+    expect(callsTo('start')).toHaveLength(1);
+    expect(callsTo('stop')).toHaveLength(1);
+    engine.dispose();
+  });
+
+  it('keeps the note when the gate closes and opens again while it is starting', async () => {
+    const { backend, engine, callsTo } = createEngine();
+    const finishStart = createSlowStart(backend);
+
+    const opening = engine.setGate(true);
+    await engine.setGate(false);
+    await engine.setGate(true);
+
+    finishStart();
+    await opening;
+    await flush();
+    expect(engine.getState().isPlaying).toBe(true);
+    expect(callsTo('start')).toHaveLength(1);
+    expect(callsTo('stop')).toHaveLength(0);
+
+    await engine.setGate(false);
+    expect(engine.getState().isPlaying).toBe(false);
+    engine.dispose();
+  });
+
+  it('leaves a note the gate did not start playing when it closes', async () => {
+    const { engine, callsTo } = createEngine();
+    await engine.togglePlayback();
+
+    await engine.setGate(true);
+    await engine.setGate(false);
+    expect(engine.getState().isPlaying).toBe(true);
+    expect(callsTo('start')).toHaveLength(1);
+    expect(callsTo('stop')).toHaveLength(0);
+    engine.dispose();
+  });
+});
@@ -0,0 +1,130 @@
+import { createHtml5Backend } from '../backends/html5Backend';
+import { renderLoop } from '../loopSynth';
+import { DEFAULT_SYNTHESIS } from '../synthesis';
+
+jest.mock('../loopSynth', () => ({
+  ...jest.requireActual('../loopSynth'),
+  renderLoop: jest.fn(() => new Float32Array(64))
+}));
+
+// <audio> elements whose play() resolves only when the test says so, like Safari starting playback
+const elements = [];
+
+const createElement = () => {
+  const element = { src: '', loop: false, volume: 1, playing: false, paused: false };
+  element.play = () => new Promise((resolve) => {
+    element.startPlaying = () => {
+      element.playing = true;
+      resolve();
+    };
+  });
+  element.pause = () => {
+    element.playing = false;
+    element.paused = true;
+  };
+  elements.push(element);
+  return element;
+};
+
+const patch = (overrides) => ({
+  waveSource: 0,
+  customWave: null,
+  synthesis: DEFAULT_SYNTHESIS,
+  frequency: 440,
+  amplitude: 0.5,
+  highFreqAttenuation: 0,
+  masterVolume: 0.8,
+  envelope: { attack: 0.01, decay: 0.05, sustain: 1, release: 0.1 },
+  ...overrides
+});
+
+describe('html5Backend loop swaps', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    elements.length = 0;
+    renderLoop.mockClear();
+    global.document = { createElement };
+    jest.spyOn(URL, 'createObjectURL').mockImplementation(() => `blob:${elements.length}`);
+    jest.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete global.document;
+  });
+
+  const startNote = async (backend) => {
+    const starting = backend.start(patch());
+    elements[0].startPlaying();
+    await starting;
+    jest.advanceTimersByTime(200); // Past the attack
+  };
+
+  // Resolve the pending play() of an element and let the swap that awaits it carry on
+  const startPlaying = async (element) => {
+    element.startPlaying();
+    await jest.advanceTimersByTimeAsync(0);
+  };
+
+  it('renders a burst of changes once per frame, using the latest', async () => {
+    const backend = createHtml5Backend();
+    await startNote(backend);
+    expect(renderLoop).toHaveBeenCalledTimes(1);
+
+    [450, 460, 470, 480].forEach(frequency => backend.setFrequency(patch({ frequency })));
+    expect(renderLoop).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(16);
+    expect(renderLoop).toHaveBeenCalledTimes(2);
+    expect(renderLoop.mock.calls[1][0].frequency).toBe(480);
+    expect(elements).toHaveLength(2);
+    backend.dispose();
+  });
+
+  it('releases an element whose play() resolves after a newer swap started', async () => {
+    const backend = createHtml5Backend();
+    await startNote(backend);
+
+    backend.setFrequency(patch({ frequency: 550 }));
+    jest.advanceTimersByTime(16);
+    backend.setFrequency(patch({ frequency: 660 }));
+    jest.advanceTimersByTime(16);
+    const [first, older, newer] = elements;
+
+    // The newer loop starts first, then the older one's play() finally resolves
+    await startPlaying(newer);
+    await startPlaying(older);
+    expect(older.paused).toBe(true);
+    expect(newer.paused).toBe(false);
+
+    jest.advanceTimersByTime(200);
+    expect(first.paused).toBe(true);
+    expect(newer.volume).toBeCloseTo(0.4);
+    backend.dispose();
+    expect(elements.filter(element => !element.paused)).toEqual([]);
+  });
+
+  it('releases a swapped-in element when the note stopped while it was starting', async () => {
+    const backend = createHtml5Backend();
+    await startNote(backend);
+
+    backend.setFrequency(patch({ frequency: 550 }));
+    jest.advanceTimersByTime(16);
+    backend.stop(patch(), false);
+    await startPlaying(elements[1]);
+    expect(elements.every(element => element.paused)).toBe(true);
+  });
+
+  it('drops a pending render when the note stops', async () => {
+    const backend = createHtml5Backend();
+    await startNote(backend);
+
+    backend.setFrequency(patch({ frequency: 550 }));
+    backend.stop(patch(), false);
+    jest.advanceTimersByTime(100);
+    expect(renderLoop).toHaveBeenCalledTimes(1);
+    expect(elements).toHaveLength(1);
+  });
+});
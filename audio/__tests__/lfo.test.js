@@ -0,0 +1,150 @@
+import { LFO_TARGETS, LFO_DIP_TARGETS, LFO_TARGET_RANGES, DEFAULT_LFOS, clampLfo, getLfoRestingGain } from '../lfo';
+import { SYNTHESIS_MODES, getSynthesisGains, getSynthesisIndexSlopes } from '../synthesis';
+import { createEffectsRack } from '../effects';
+import { createSpatialStage } from '../spatial';
+import { createMorphOscillator } from '../morphOscillator';
+
+// Just enough of an AudioContext to build the nodes and follow their connections
+const createFakeContext = () => {
+  const createParam = (node, name, value) => {
+    const param = { node, name, value, inputs: [] };
+    ['setValueAtTime', 'setTargetAtTime', 'linearRampToValueAtTime', 'cancelScheduledValues'].forEach((method) => {
+      param[method] = (target) => {
+        if (method !== 'cancelScheduledValues') {
+          param.value = target;
+        }
+        return param;
+      };
+    });
+    return param;
+  };
+
+  const createNode = (params = []) => {
+    const node = { outputs: [] };
+    params.forEach((name) => { node[name] = createParam(node, name, name === 'gain' ? 1 : 0); });
+    node.connect = (destination) => {
+      node.outputs.push(destination);
+      if (destination.inputs) {
+        destination.inputs.push(node);
+      }
+      return destination;
+    };
+    node.disconnect = (destination) => {
+      node.outputs = destination ? node.outputs.filter(output => output !== destination) : [];
+    };
+    node.start = () => {};
+    node.stop = () => {};
+    return node;
+  };
+
+  return {
+    currentTime: 0,
+    sampleRate: 8000,
+    createGain: () => createNode(['gain']),
+    createDelay: () => createNode(['delayTime']),
+    createWaveShaper: () => createNode(),
+    createConvolver: () => createNode(),
+    createBuffer: (channels, length) => ({ getChannelData: () => new Float32Array(length) }),
+    createStereoPanner: () => createNode(['pan']),
+    createPanner: () => createNode(['positionX', 'positionY', 'positionZ']),
+    createOscillator: () => ({ ...createNode(['frequency', 'detune']), setPeriodicWave: () => {} }),
+    createConstantSource: () => createNode(['offset']),
+    createBiquadFilter: () => createNode(['frequency', 'detune', 'Q']),
+    createBufferSource: () => createNode()
+  };
+};
+
+// Every node and param reachable from a node's outputs
+const getReachable = (start) => {
+  const seen = new Set();
+  const visit = (node) => {
+    (node.outputs || []).forEach((output) => {
+      if (!seen.has(output)) {
+        seen.add(output);
+        visit(output);
+      }
+    });
+  };
+  visit(start);
+  return seen;
+};
+
+describe('clampLfo', () => {
+  it.each(LFO_TARGETS)('keeps the %s target', (target) => {
+    expect(clampLfo({ ...DEFAULT_LFOS[0], target }).target).toBe(target);
+    expect(LFO_TARGET_RANGES[target]).toBeGreaterThan(0);
+  });
+
+  it('falls back for an unknown target', () => {
+    expect(clampLfo({ ...DEFAULT_LFOS[0], target: 'reverbDecay' }).target).toBe(DEFAULT_LFOS[0].target);
+  });
+});
+
+describe('getLfoRestingGain', () => {
+  it.each(LFO_DIP_TARGETS)('rests %s below unity by its LFOs\' swing, so the peak stays at the setting', (target) => {
+    const lfos = [
+      { rate: 1, depth: 0.5, shape: 'sine', target },
+      { rate: 2, depth: 1, shape: 'sine', target: 'frequency' }
+    ];
+    const resting = getLfoRestingGain(lfos, target);
+    expect(resting).toBeCloseTo(1 - 0.5 * LFO_TARGET_RANGES[target], 9);
+    expect(resting + 0.5 * LFO_TARGET_RANGES[target]).toBeCloseTo(1, 9);
+  });
+
+  it('rests at unity with no LFO on the target', () => {
+    expect(getLfoRestingGain(DEFAULT_LFOS, 'masterVolume')).toBe(1);
+  });
+});
+
+describe('getSynthesisIndexSlopes', () => {
+  it.each(SYNTHESIS_MODES)('moves the %s gains the way a change of index does', (mode) => {
+    const synthesis = { mode, ratio: 1.5, index: 2 };
+    const slopes = getSynthesisIndexSlopes(synthesis);
+    const base = getSynthesisGains(synthesis);
+    const raised = getSynthesisGains({ ...synthesis, index: 5 });
+    Object.keys(slopes).forEach((key) => {
+      expect(base[key] + 3 * slopes[key]).toBeCloseTo(raised[key], 9);
+    });
+  });
+});
+
+describe('LFO inputs on the audio graph', () => {
+  it('feeds the delay time and a feedback gain inside the delay loop', () => {
+    const context = createFakeContext();
+    const rack = createEffectsRack(context);
+    const { delayTime, delayFeedback } = rack.modulation;
+    expect(delayTime.value).toBeCloseTo(0.35);
+    expect(delayFeedback.value).toBe(1);
+
+    // Each is on the delay loop: the delay reaches the feedback gain and the feedback gain the delay
+    expect(getReachable(delayTime.node).has(delayFeedback.node)).toBe(true);
+    expect(getReachable(delayFeedback.node).has(delayTime.node)).toBe(true);
+  });
+
+  it('pans the stereo panner and the HRTF position from one input', () => {
+    const context = createFakeContext();
+    const stage = createSpatialStage(context, { mode: 'hrtf', pan: 0, depth: 1 });
+    const params = [...getReachable(stage.panInput)].filter(target => !target.connect);
+    expect(params.map(param => param.name).sort()).toEqual(['pan', 'positionX']);
+
+    // A full pan offset moves the HRTF source its whole distance to the side
+    const hrtfPanDepth = stage.panInput.outputs.find(output => output.connect);
+    expect(hrtfPanDepth.gain.value).toBeCloseTo(10, 9);
+  });
+
+  it('routes an index input into the FM deviation and the AM gains, scaled for the mode', () => {
+    const context = createFakeContext();
+    const oscillator = createMorphOscillator(context, { synthesis: { mode: 'am', ratio: 2, index: 4 } });
+    const lfo = context.createGain();
+    oscillator.connectModulationIndex(lfo);
+
+    const [indexInput] = lfo.outputs;
+    const slopes = indexInput.outputs.map(node => node.gain.value).sort((a, b) => a - b);
+    const { carrierGain, modulatorGain } = getSynthesisIndexSlopes({ mode: 'am', ratio: 2, index: 4 });
+    expect(slopes).toEqual([carrierGain, 0, modulatorGain]);
+    expect(indexInput.outputs.map(node => node.outputs[0].name)).toEqual(['gain', 'gain', 'gain']);
+
+    oscillator.disconnect();
+    expect(lfo.outputs).toEqual([]);
+  });
+});
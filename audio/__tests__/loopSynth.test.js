@@ -0,0 +1,133 @@
+import { renderLoop, getLoopPeriod, LOOP_LEVEL, LOOP_SAMPLE_RATE } from '../loopSynth';
+import { CUSTOM_WAVE_SIZE } from '../customWave';
+import { NOISE_TYPES } from '../noise';
+import { DEFAULT_SYNTHESIS } from '../synthesis';
+
+const tone = (overrides) => ({
+  source: 0,
+  cycle: null,
+  synthesis: DEFAULT_SYNTHESIS,
+  frequency: 440,
+  amplitude: 1,
+  attenuation: 0,
+  ...overrides
+});
+
+// Crossfaded loops (noise, FM/AM ratios with no short period): a seam is continuous when jumping from
+// the last sample back to the first is no bigger than the largest step between neighbouring samples
+const expectSeamlessLoop = (samples) => {
+  let largestStep = 0;
+  for (let i = 1; i < samples.length; i++) {
+    largestStep = Math.max(largestStep, Math.abs(samples[i] - samples[i - 1]));
+  }
+  expect(Math.abs(samples[0] - samples[samples.length - 1])).toBeLessThanOrEqual(largestStep);
+};
+
+// Periodic loops hold whole periods, so played on repeat all their energy sits on the tone's harmonics
+// (DFT bins that are multiples of the periods in the loop). A jump at the seam spreads energy between
+// them: even one sample too many or too few leaks around 1e-4 of it, where a whole-period loop leaks ~1e-8.
+const getLeakage = (samples, periods) => {
+  const length = samples.length;
+  let total = 0;
+  let dc = 0;
+  samples.forEach((sample) => {
+    total += sample * sample;
+    dc += sample;
+  });
+
+  let harmonic = (dc * dc) / length;
+  for (let bin = periods; bin < length / 2; bin += periods) {
+    // Rotate a unit phasor one bin step per sample rather than calling cos and sin for every sample
+    const stepRe = Math.cos((2 * Math.PI * bin) / length);
+    const stepIm = -Math.sin((2 * Math.PI * bin) / length);
+    let wRe = 1;
+    let wIm = 0;
+    let re = 0;
+    let im = 0;
+    for (let i = 0; i < length; i++) {
+      re += samples[i] * wRe;
+      im += samples[i] * wIm;
+      const nextRe = wRe * stepRe - wIm * stepIm;
+      wIm = wRe * stepIm + wIm * stepRe;
+      wRe = nextRe;
+    }
+    harmonic += (2 * (re * re + im * im)) / length;
+  }
+  return 1 - harmonic / total;
+};
+
+const expectWholePeriods = (tone) => {
+  const samples = renderLoop(tone);
+  // The tone repeats every getLoopPeriod carrier cycles; the pitch is only nudged by a fraction of a cent
+  const periods = Math.round((tone.frequency * samples.length) / LOOP_SAMPLE_RATE / getLoopPeriod(tone.source, tone.synthesis));
+  expect(getLeakage(samples, periods)).toBeLessThan(1e-6);
+};
+
+// A sawtooth-like drawn cycle with a kink, so it isn't one of the morph shapes
+const drawnCycle = Array.from({ length: CUSTOM_WAVE_SIZE }, (_, i) => (
+  i < CUSTOM_WAVE_SIZE / 4 ? (i / CUSTOM_WAVE_SIZE) * 4 : 1 - ((i / CUSTOM_WAVE_SIZE) - 0.25) * (8 / 3)
+));
+
+describe('renderLoop loop boundary', () => {
+  describe.each([0, 1, 2, 3])('shape %p', (shape) => {
+    it.each([110, 440, 1234.5])('holds whole periods at %p Hz', (frequency) => {
+      expectWholePeriods(tone({ source: shape, frequency }));
+    });
+
+    // At a whole number of samples per period, the step across the seam is the step one period earlier,
+    // flyback included for the sawtooth and square
+    it.each([200, 50, 10])('steps across the seam like one period earlier at %p samples per period', (period) => {
+      const samples = renderLoop(tone({ source: shape, frequency: LOOP_SAMPLE_RATE / period }));
+      const last = samples.length - 1;
+      expect(samples.length % period).toBe(0);
+      expect(samples[0] - samples[last]).toBeCloseTo(samples[period] - samples[period - 1], 6);
+      expect(samples[last]).toBeCloseTo(samples[last - period], 6);
+    });
+  });
+
+  it('holds whole periods for a morph between shapes', () => {
+    expectWholePeriods(tone({ source: 1.5, frequency: 333 }));
+  });
+
+  it.each([110, 440, 1234.5])('holds whole periods for a custom wave at %p Hz', (frequency) => {
+    expectWholePeriods(tone({ source: 'custom', cycle: drawnCycle, frequency }));
+  });
+
+  describe.each(['fm', 'am', 'ring'])('%s synthesis', (mode) => {
+    // Whole ratios repeat every cycle and 1.5 every two
+    it.each([1, 1.5, 7])('holds whole periods at ratio %p', (ratio) => {
+      expectWholePeriods(tone({ synthesis: { mode, ratio, index: 3 }, frequency: 220 }));
+    });
+
+    // 2.37 never repeats within the search, so its seam is crossfaded
+    it('joins up at ratio 2.37', () => {
+      expectSeamlessLoop(renderLoop(tone({ synthesis: { mode, ratio: 2.37, index: 3 }, frequency: 220 })));
+    });
+  });
+
+  it.each(NOISE_TYPES)('joins up for %s noise', (type) => {
+    expectSeamlessLoop(renderLoop(tone({ source: type, frequency: 440 })));
+  });
+});
+
+describe('renderLoop noise level', () => {
+  const getRms = samples => Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+  const getPeak = samples => samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+
+  describe.each(NOISE_TYPES)('%s noise', (type) => {
+    it.each([110, 440, 1000, 4000])('stays under LOOP_LEVEL and quieter than a sine at %p Hz', (frequency) => {
+      const noise = renderLoop(tone({ source: type, frequency }));
+      const sine = renderLoop(tone({ source: 0, frequency }));
+      // Loops are Float32Arrays, so a peak scaled to exactly LOOP_LEVEL reads back as its float32 rounding
+      expect(getPeak(noise)).toBeLessThanOrEqual(Math.fround(LOOP_LEVEL));
+      expect(getRms(noise)).toBeLessThan(getRms(sine));
+    });
+
+    it('keeps a similar level as the band moves up', () => {
+      const low = getRms(renderLoop(tone({ source: type, frequency: 220, attenuation: 0 })));
+      const high = getRms(renderLoop(tone({ source: type, frequency: 1000, attenuation: 0 })));
+      expect(high / low).toBeGreaterThan(0.7);
+      expect(high / low).toBeLessThan(1.4);
+    });
+  });
+});
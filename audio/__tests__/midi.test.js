@@ -0,0 +1,167 @@
+import {
+  parseMidiMessage,
+  getPitchBendRatio,
+  pressNote,
+  releaseNote,
+  connectMidiInputs,
+  isMidiSupported,
+  requestMidiAccess,
+  PITCH_BEND_RANGE
+} from '../midi';
+
+// Stand-in for a browser MIDIAccess: inputs is a Map like the real one, and plugging a device
+// in or out fires onstatechange
+const createFakeAccess = (inputs = []) => {
+  const access = {
+    inputs: new Map(inputs.map(input => [input.id, input])),
+    onstatechange: null,
+    plug(input) {
+      access.inputs.set(input.id, input);
+      access.onstatechange && access.onstatechange({ port: input });
+    },
+    unplug(input) {
+      access.inputs.delete(input.id);
+      access.onstatechange && access.onstatechange({ port: input });
+    }
+  };
+  return access;
+};
+
+const createFakeInput = (id, name) => ({
+  id,
+  name,
+  onmidimessage: null,
+  send(data) {
+    this.onmidimessage && this.onmidimessage({ data: Uint8Array.from(data) });
+  }
+});
+
+describe('parseMidiMessage', () => {
+  it('parses note on and off with their channel', () => {
+    expect(parseMidiMessage([0x93, 60, 100])).toEqual({ type: 'noteOn', channel: 3, note: 60, velocity: 100 });
+    expect(parseMidiMessage([0x80, 60, 64])).toEqual({ type: 'noteOff', channel: 0, note: 60, velocity: 64 });
+  });
+
+  it('treats note on with velocity 0 as note off', () => {
+    expect(parseMidiMessage([0x90, 64, 0])).toEqual({ type: 'noteOff', channel: 0, note: 64, velocity: 0 });
+  });
+
+  it('parses control changes', () => {
+    expect(parseMidiMessage([0xb1, 74, 127])).toEqual({ type: 'controlChange', channel: 1, controller: 74, value: 127 });
+  });
+
+  it('centres pitch bend on 0', () => {
+    expect(parseMidiMessage([0xe0, 0x00, 0x40]).value).toBe(0);
+    expect(parseMidiMessage([0xe0, 0x00, 0x00]).value).toBe(-8192);
+    expect(parseMidiMessage([0xe0, 0x7f, 0x7f]).value).toBe(8191);
+  });
+
+  it('ignores messages the app does not use', () => {
+    expect(parseMidiMessage([0xf8])).toBeNull(); // Clock
+    expect(parseMidiMessage([0xd0, 40])).toBeNull(); // Channel aftertouch
+    expect(parseMidiMessage([])).toBeNull();
+  });
+});
+
+describe('getPitchBendRatio', () => {
+  it('bends by the range in semitones at full travel', () => {
+    expect(getPitchBendRatio(0)).toBe(1);
+    expect(getPitchBendRatio(8192)).toBeCloseTo(Math.pow(2, PITCH_BEND_RANGE / 12), 9);
+    expect(getPitchBendRatio(-8192)).toBeCloseTo(Math.pow(2, -PITCH_BEND_RANGE / 12), 9);
+  });
+});
+
+describe('pressNote / releaseNote', () => {
+  it('plays the last key still held', () => {
+    let held = pressNote([], 60);
+    held = pressNote(held, 64);
+    held = pressNote(held, 67);
+    expect(held[held.length - 1]).toBe(67);
+
+    held = releaseNote(held, 67);
+    expect(held[held.length - 1]).toBe(64);
+
+    // Releasing a key underneath leaves the sounding one alone
+    held = releaseNote(held, 60);
+    expect(held).toEqual([64]);
+
+    expect(releaseNote(held, 64)).toEqual([]);
+  });
+
+  it('moves a pressed-again key to the top without repeating it', () => {
+    expect(pressNote([60, 64], 60)).toEqual([64, 60]);
+  });
+});
+
+describe('connectMidiInputs', () => {
+  it('parses messages from every input and reports input names', () => {
+    const keys = createFakeInput('1', 'Keys');
+    const pads = createFakeInput('2', 'Pads');
+    const access = createFakeAccess([keys, pads]);
+    const onMessage = jest.fn();
+    const onInputsChange = jest.fn();
+
+    connectMidiInputs(access, onMessage, onInputsChange);
+    expect(onInputsChange).toHaveBeenLastCalledWith(['Keys', 'Pads']);
+
+    keys.send([0x90, 60, 100]);
+    pads.send([0xb0, 1, 20]);
+    keys.send([0xfe]); // Active sensing is dropped
+    expect(onMessage).toHaveBeenCalledTimes(2);
+    expect(onMessage).toHaveBeenNthCalledWith(1, { type: 'noteOn', channel: 0, note: 60, velocity: 100 }, keys);
+    expect(onMessage).toHaveBeenNthCalledWith(2, { type: 'controlChange', channel: 0, controller: 1, value: 20 }, pads);
+  });
+
+  it('picks up devices plugged in later', () => {
+    const access = createFakeAccess();
+    const onMessage = jest.fn();
+    const onInputsChange = jest.fn();
+
+    connectMidiInputs(access, onMessage, onInputsChange);
+    expect(onInputsChange).toHaveBeenLastCalledWith([]);
+
+    const keys = createFakeInput('1', 'Keys');
+    access.plug(keys);
+    expect(onInputsChange).toHaveBeenLastCalledWith(['Keys']);
+    keys.send([0x90, 62, 90]);
+    expect(onMessage).toHaveBeenCalledWith({ type: 'noteOn', channel: 0, note: 62, velocity: 90 }, keys);
+
+    access.unplug(keys);
+    expect(onInputsChange).toHaveBeenLastCalledWith([]);
+  });
+
+  it('stops listening when disconnected', () => {
+    const keys = createFakeInput('1', 'Keys');
+    const access = createFakeAccess([keys]);
+    const onMessage = jest.fn();
+    const onInputsChange = jest.fn();
+
+    const disconnect = connectMidiInputs(access, onMessage, onInputsChange);
+    disconnect();
+
+    expect(access.onstatechange).toBeNull();
+    expect(keys.onmidimessage).toBeNull();
+    keys.send([0x90, 60, 100]);
+    access.plug(createFakeInput('2', 'Pads'));
+    expect(onMessage).not.toHaveBeenCalled();
+    expect(onInputsChange).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('requestMidiAccess', () => {
+  it('explains a browser without Web MIDI', async () => {
+    expect(isMidiSupported({})).toBe(false);
+    await expect(requestMidiAccess({})).rejects.toThrow('no Web MIDI support');
+  });
+
+  it('explains a denied permission', async () => {
+    const denied = Object.assign(new Error('denied'), { name: 'NotAllowedError' });
+    const nav = { requestMIDIAccess: () => Promise.reject(denied) };
+    await expect(requestMidiAccess(nav)).rejects.toThrow('MIDI permission was denied');
+  });
+
+  it('resolves with the access object', async () => {
+    const access = createFakeAccess();
+    await expect(requestMidiAccess({ requestMIDIAccess: () => Promise.resolve(access) })).resolves.toBe(access);
+  });
+});
@@ -0,0 +1,139 @@
+import { createNativeBackend } from '../backends/nativeBackend';
+import { renderLoopWav } from '../loopSynth';
+import { DEFAULT_SYNTHESIS } from '../synthesis';
+
+// expo-audio players and cache files, recorded instead of played
+jest.mock('expo-audio', () => {
+  const players = [];
+  return {
+    players,
+    setAudioModeAsync: jest.fn(() => Promise.resolve()),
+    createAudioPlayer: jest.fn((source) => {
+      const player = { source, volume: 1, loop: false, playing: false, removed: false };
+      player.play = () => { player.playing = true; };
+      player.pause = () => { player.playing = false; };
+      player.remove = () => { player.removed = true; };
+      players.push(player);
+      return player;
+    })
+  };
+});
+
+jest.mock('expo-file-system', () => ({
+  Paths: { cache: 'cache' },
+  File: jest.fn().mockImplementation((directory, name) => {
+    const file = { uri: `file:///${directory}/${name}`, exists: false };
+    file.create = () => { file.exists = true; };
+    file.delete = () => { file.exists = false; };
+    file.write = () => {};
+    return file;
+  })
+}));
+
+jest.mock('../loopSynth', () => ({
+  ...jest.requireActual('../loopSynth'),
+  renderLoopWav: jest.fn(() => new ArrayBuffer(44))
+}));
+
+const { players } = jest.requireMock('expo-audio');
+
+const patch = (overrides) => ({
+  waveSource: 0,
+  customWave: null,
+  synthesis: DEFAULT_SYNTHESIS,
+  frequency: 440,
+  amplitude: 0.5,
+  highFreqAttenuation: 0,
+  masterVolume: 0.8,
+  envelope: { attack: 0.01, decay: 0.05, sustain: 1, release: 0.1 },
+  ...overrides
+});
+
+describe('nativeBackend loop swaps', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    players.length = 0;
+    renderLoopWav.mockClear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const startNote = async (backend) => {
+    await backend.start(patch());
+    jest.advanceTimersByTime(200); // Past the attack
+  };
+
+  it('renders a burst of changes once per frame, using the latest', async () => {
+    const backend = createNativeBackend();
+    await startNote(backend);
+    expect(renderLoopWav).toHaveBeenCalledTimes(1);
+
+    [450, 460, 470, 480].forEach(frequency => backend.setFrequency(patch({ frequency })));
+    expect(renderLoopWav).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(16);
+    expect(renderLoopWav).toHaveBeenCalledTimes(2);
+    expect(renderLoopWav.mock.calls[1][0].frequency).toBe(480);
+    backend.dispose();
+  });
+
+  it('crossfades to the new loop instead of replacing it in place', async () => {
+    const backend = createNativeBackend();
+    await startNote(backend);
+    const [first] = players;
+    expect(first.volume).toBeCloseTo(0.8);
+
+    backend.setFrequency(patch({ frequency: 550 }));
+    jest.advanceTimersByTime(16);
+    const second = players[1];
+    expect(second.source.uri).not.toBe(first.source.uri);
+    expect(second.volume).toBeLessThan(0.8);
+    expect(first.playing).toBe(true);
+
+    // Midway both loops sound, with equal power
+    jest.advanceTimersByTime(32);
+    expect(first.volume).toBeGreaterThan(0);
+    expect(second.volume).toBeGreaterThan(0);
+    expect(first.volume ** 2 + second.volume ** 2).toBeCloseTo(0.64, 1);
+
+    jest.advanceTimersByTime(100);
+    expect(second.volume).toBeCloseTo(0.8);
+    expect(first.removed).toBe(true);
+    backend.dispose();
+  });
+
+  it('fades a half-faded-in loop out from where it got to when another swap arrives', async () => {
+    const backend = createNativeBackend();
+    await startNote(backend);
+
+    backend.setFrequency(patch({ frequency: 550 }));
+    jest.advanceTimersByTime(48);
+    const second = players[1];
+    const reached = second.volume;
+    expect(reached).toBeGreaterThan(0);
+
+    backend.setFrequency(patch({ frequency: 660 }));
+    jest.advanceTimersByTime(16);
+    expect(second.volume).toBeGreaterThan(0);
+    expect(second.volume).toBeLessThanOrEqual(reached + 0.2);
+
+    jest.advanceTimersByTime(200);
+    expect(second.removed).toBe(true);
+    expect(players[2].volume).toBeCloseTo(0.8);
+    backend.dispose();
+  });
+
+  it('drops a pending render when the note stops', async () => {
+    const backend = createNativeBackend();
+    await startNote(backend);
+
+    backend.setFrequency(patch({ frequency: 550 }));
+    backend.stop(patch(), false);
+    jest.advanceTimersByTime(100);
+    expect(renderLoopWav).toHaveBeenCalledTimes(1);
+    expect(players[0].removed).toBe(true);
+    backend.dispose();
+  });
+});
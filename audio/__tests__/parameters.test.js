@@ -0,0 +1,105 @@
+import {
+  PARAMETERS,
+  PARAMETER_GROUPS,
+  getParameter,
+  getParameterValue,
+  clampParameterBindings
+} from '../parameters';
+import { GESTURE_DESTINATIONS } from '../gestureMatrix';
+import { ENVELOPE_LIMITS } from '../envelope';
+import { EFFECT_LIMITS } from '../effects';
+import { DEFAULT_LFOS, LFO_LIMITS } from '../lfo';
+import { getCutoffFromRatio } from '../filter';
+
+describe('PARAMETERS', () => {
+  it('gives every parameter its own id', () => {
+    const ids = PARAMETERS.map(parameter => parameter.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('keeps every gesture destination under its original id', () => {
+    GESTURE_DESTINATIONS.forEach(destination => expect(getParameter(destination)).not.toBeNull());
+  });
+
+  it('covers both envelopes, every effect setting and each LFO', () => {
+    const find = (section, key, extra = {}) => PARAMETERS.find(parameter => (
+      parameter.section === section && parameter.key === key
+        && Object.entries(extra).every(([name, value]) => parameter[name] === value)
+    ));
+
+    ['envelope', 'filterEnvelope'].forEach((section) => {
+      Object.keys(ENVELOPE_LIMITS).forEach(stage => expect(find(section, stage)).toBeDefined());
+    });
+    Object.entries(EFFECT_LIMITS).forEach(([effect, limits]) => {
+      Object.keys(limits).forEach(key => expect(find('effect', key, { effect })).toBeDefined());
+    });
+    DEFAULT_LFOS.forEach((lfo, index) => {
+      Object.keys(LFO_LIMITS).forEach(key => expect(find('lfo', key, { index })).toBeDefined());
+    });
+    ['glide', 'tempo', 'swing'].forEach(id => expect(getParameter(id)).not.toBeNull());
+  });
+
+  it('lists each group once, in the order its parameters appear', () => {
+    expect(PARAMETER_GROUPS[0]).toBe('Voice');
+    expect(new Set(PARAMETER_GROUPS).size).toBe(PARAMETER_GROUPS.length);
+    PARAMETERS.forEach(parameter => expect(PARAMETER_GROUPS).toContain(parameter.group));
+  });
+});
+
+describe('getParameterValue', () => {
+  const ranged = PARAMETERS.filter(parameter => parameter.scale !== 'pitch');
+
+  it.each(ranged.map(parameter => [parameter.id, parameter]))('sweeps %s from its minimum to its maximum', (id, parameter) => {
+    expect(getParameterValue(parameter, 0)).toBeCloseTo(parameter.min, 9);
+    expect(getParameterValue(parameter, 1)).toBeCloseTo(parameter.max, 9);
+    expect(getParameterValue(parameter, -1)).toBeCloseTo(parameter.min, 9);
+    expect(getParameterValue(parameter, 2)).toBeCloseTo(parameter.max, 9);
+    expect(getParameterValue(parameter, NaN)).toBeCloseTo(parameter.min, 9);
+  });
+
+  it('moves the cutoff and LFO rates logarithmically, as their sliders do', () => {
+    [0.1, 0.5, 0.9].forEach((ratio) => {
+      expect(getParameterValue(getParameter('cutoff'), ratio)).toBeCloseTo(getCutoffFromRatio(ratio), 6);
+    });
+    const { min, max } = LFO_LIMITS.rate;
+    expect(getParameterValue(getParameter('lfo1.rate'), 0.5)).toBeCloseTo(Math.sqrt(min * max), 9);
+  });
+
+  it('moves the others linearly', () => {
+    const { min, max } = EFFECT_LIMITS.delay.time;
+    expect(getParameterValue(getParameter('delay.time'), 0.25)).toBeCloseTo(min + 0.25 * (max - min), 9);
+    expect(getParameterValue(getParameter('pan'), 0.5)).toBeCloseTo(0, 9);
+  });
+
+  it('snaps the tempo to whole BPM', () => {
+    [0.1, 0.33, 0.777].forEach((ratio) => {
+      expect(Number.isInteger(getParameterValue(getParameter('tempo'), ratio))).toBe(true);
+    });
+  });
+
+  it('leaves pitch to the pad\'s pitch map', () => {
+    expect(getParameterValue(getParameter('pitch'), 0.5)).toBeUndefined();
+  });
+});
+
+describe('clampParameterBindings', () => {
+  it('keeps bindings to known parameters on real CCs', () => {
+    const bindings = { 1: 'cutoff', 74: 'envelope.attack', 127: 'lfo2.depth' };
+    expect(clampParameterBindings(bindings)).toEqual(bindings);
+  });
+
+  it('drops unknown parameters and CCs out of range', () => {
+    expect(clampParameterBindings({
+      1: 'cutoff',
+      2: 'warpDrive',
+      128: 'resonance',
+      '-1': 'pan',
+      1.5: 'depth',
+      x: 'amplitude'
+    })).toEqual({ 1: 'cutoff' });
+  });
+
+  it.each([null, undefined, 'cutoff', [1, 2], 42])('starts empty from %p', (bindings) => {
+    expect(clampParameterBindings(bindings)).toEqual({});
+  });
+});
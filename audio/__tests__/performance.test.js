@@ -0,0 +1,79 @@
+import { getDueEvents, parsePerformance, serializePerformance, createPerformance } from '../performance';
+
+const performance = {
+  duration: 1,
+  events: [
+    { time: 0, type: 'frequency', value: 220 },
+    { time: 0, type: 'playing', value: true },
+    { time: 0.3, type: 'shape', value: 1 },
+    { time: 0.32, type: 'frequency', value: 330 },
+    { time: 0.5, type: 'amplitude', value: 0.5 },
+    { time: 0.8, type: 'masterVolume', value: 0.4 }
+  ]
+};
+
+const describeEvents = events => events.map(({ type, value, at }) => [type, value, Number(at.toFixed(3))]);
+
+describe('getDueEvents', () => {
+  it('returns events due by now with their clock time', () => {
+    const { events, cursor } = getDueEvents(performance, { startTime: 10, index: 2 }, 10.6, false);
+    expect(describeEvents(events)).toEqual([
+      ['shape', 1, 10.3],
+      ['frequency', 330, 10.32],
+      ['amplitude', 0.5, 10.5]
+    ]);
+    expect(cursor).toEqual({ startTime: 10, index: 5 });
+  });
+
+  it('returns a START/STOP on its own', () => {
+    const first = getDueEvents(performance, { startTime: 10, index: 0 }, 10, false);
+    expect(describeEvents(first.events)).toEqual([['frequency', 220, 10]]);
+    const second = getDueEvents(performance, first.cursor, 10, false);
+    expect(describeEvents(second.events)).toEqual([['playing', true, 10]]);
+  });
+
+  it('hands over scheduled types a lookahead early and wakes up as they enter it', () => {
+    const early = getDueEvents(performance, { startTime: 10, index: 4 }, 10.45, false, 0.1);
+    expect(describeEvents(early.events)).toEqual([['amplitude', 0.5, 10.5]]);
+    expect(early.nextTime).toBeCloseTo(10.7);
+
+    // Without a lookahead the same event waits until it is due
+    const late = getDueEvents(performance, { startTime: 10, index: 4 }, 10.45, false);
+    expect(late.events).toEqual([]);
+    expect(late.nextTime).toBeCloseTo(10.5);
+  });
+
+  it('keeps order: an unscheduled event that is not due holds back the ones after it', () => {
+    const { events, nextTime } = getDueEvents(performance, { startTime: 10, index: 2 }, 10.25, false, 0.1);
+    expect(events).toEqual([]);
+    expect(nextTime).toBeCloseTo(10.3);
+  });
+
+  it('moves a loop on to its next pass once that pass is inside the lookahead', () => {
+    const { events, cursor } = getDueEvents(performance, { startTime: 10, index: 6 }, 10.95, true, 0.1);
+    expect(describeEvents(events)).toEqual([['frequency', 220, 11]]);
+    expect(cursor).toEqual({ startTime: 11, index: 1 });
+  });
+
+  it('finishes a one-shot once its length has passed', () => {
+    expect(getDueEvents(performance, { startTime: 10, index: 6 }, 10.95, false, 0.1).finished).toBe(false);
+    expect(getDueEvents(performance, { startTime: 10, index: 6 }, 11, false, 0.1).finished).toBe(true);
+  });
+});
+
+describe('parsePerformance', () => {
+  it('round-trips a recording and drops malformed events', () => {
+    const recorded = { ...createPerformance({ frequency: 440, playing: false }), duration: 2 };
+    recorded.events.push({ time: 1, type: 'frequency', value: 'loud' }, { time: 1.5, type: 'amplitude', value: 0.2 });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const parsed = parsePerformance(serializePerformance(recorded));
+    expect(parsed.events.map(event => event.type)).toEqual(['frequency', 'playing', 'amplitude']);
+    expect(parsed.duration).toBe(2);
+    expect(warn).toHaveBeenCalledWith('Dropped 1 invalid performance events');
+    warn.mockRestore();
+  });
+
+  it('rejects files that are not recordings', () => {
+    expect(() => parsePerformance('{}')).toThrow('Not a performance recording');
+  });
+});
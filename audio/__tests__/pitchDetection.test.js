@@ -0,0 +1,88 @@
+import {
+  detectPitch,
+  isConfidentPitch,
+  clampPitchFollow,
+  getFollowFrequency,
+  MIN_PITCH_CONFIDENCE,
+  PITCH_FOLLOW_LIMITS
+} from '../pitchDetection';
+
+const SAMPLE_RATE = 48000;
+const BLOCK_SIZE = 2048; // The microphone analyser's fftSize
+
+const sine = phase => 0.5 * Math.sin(2 * Math.PI * phase);
+const sawtooth = phase => 0.5 * (2 * phase - 1);
+
+const render = (wave, frequency, length = BLOCK_SIZE) => Float32Array.from(
+  { length },
+  (_, i) => wave(((i * frequency) / SAMPLE_RATE) % 1)
+);
+
+const getCents = (frequency, reference) => 1200 * Math.log2(frequency / reference);
+
+// Park-Miller generator, so the noise block is the same on every run
+const createRandom = (seed = 1) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed / 2147483647) * 2 - 1;
+};
+
+describe('detectPitch', () => {
+  describe.each([
+    ['sine', sine],
+    ['sawtooth', sawtooth]
+  ])('%s', (name, wave) => {
+    it.each([60, 220, 1000])('finds %p Hz within a few cents', (frequency) => {
+      const pitch = detectPitch(render(wave, frequency), SAMPLE_RATE);
+      expect(Math.abs(getCents(pitch.frequency, frequency))).toBeLessThan(5);
+      expect(isConfidentPitch(pitch)).toBe(true);
+    });
+  });
+
+  it('returns null for silence', () => {
+    expect(detectPitch(new Float32Array(BLOCK_SIZE), SAMPLE_RATE)).toBeNull();
+  });
+
+  it('returns null for a quiet hiss below the input level', () => {
+    const random = createRandom();
+    expect(detectPitch(Float32Array.from({ length: BLOCK_SIZE }, () => 0.001 * random()), SAMPLE_RATE)).toBeNull();
+  });
+
+  it.each([
+    [60, 1200],
+    [60, 1500],
+    [220, 300],
+    [220, 400]
+  ])('returns null for %p Hz in a block of %p samples (under two periods)', (frequency, length) => {
+    expect(detectPitch(render(sine, frequency, length), SAMPLE_RATE)).toBeNull();
+    expect(detectPitch(render(sawtooth, frequency, length), SAMPLE_RATE)).toBeNull();
+  });
+
+  it('has low confidence on white noise', () => {
+    const random = createRandom();
+    const pitch = detectPitch(Float32Array.from({ length: BLOCK_SIZE }, () => 0.3 * random()), SAMPLE_RATE);
+    expect(pitch.confidence).toBeLessThan(MIN_PITCH_CONFIDENCE);
+    expect(isConfidentPitch(pitch)).toBe(false);
+  });
+});
+
+describe('clampPitchFollow', () => {
+  it('rounds the interval to whole semitones and keeps it in range', () => {
+    expect(clampPitchFollow({ enabled: true, interval: 6.6 })).toEqual({ enabled: true, interval: 7 });
+    expect(clampPitchFollow({ enabled: true, interval: 99 }).interval).toBe(PITCH_FOLLOW_LIMITS.interval.max);
+    expect(clampPitchFollow({ enabled: true, interval: -99 }).interval).toBe(PITCH_FOLLOW_LIMITS.interval.min);
+  });
+
+  it('falls back to defaults for invalid values', () => {
+    expect(clampPitchFollow({ enabled: 1, interval: NaN })).toEqual({ enabled: true, interval: 0 });
+    expect(clampPitchFollow({ interval: Infinity })).toEqual({ enabled: false, interval: 0 });
+  });
+});
+
+describe('getFollowFrequency', () => {
+  it('shifts by the interval in semitones', () => {
+    expect(getFollowFrequency(440, 0)).toBe(440);
+    expect(getFollowFrequency(440, 12)).toBeCloseTo(880, 6);
+    expect(getFollowFrequency(440, -12)).toBeCloseTo(220, 6);
+    expect(getFollowFrequency(440, 7)).toBeCloseTo(659.255, 3);
+  });
+});
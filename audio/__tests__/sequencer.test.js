@@ -0,0 +1,27 @@
+import { STEP_WAVE_TYPES, DEFAULT_SEQUENCER, clampStep, clampSequencer } from '../sequencer';
+
+const fallback = DEFAULT_SEQUENCER.steps[0];
+
+describe('clampStep', () => {
+  it.each(STEP_WAVE_TYPES)('keeps the %s wave type', (waveType) => {
+    expect(clampStep({ ...fallback, waveType }, fallback).waveType).toBe(waveType);
+  });
+
+  it.each(['organ', '', 'Sine', 3, null, undefined])('falls back for the unknown wave type %p', (waveType) => {
+    expect(clampStep({ ...fallback, waveType }, fallback).waveType).toBe(fallback.waveType);
+  });
+
+  it('clamps the other fields', () => {
+    const step = clampStep({ frequency: 50000, gate: 2, velocity: NaN, waveType: 'pink' }, fallback);
+    expect(step).toEqual({ frequency: 20000, gate: 1, velocity: fallback.velocity, waveType: 'pink' });
+  });
+});
+
+describe('clampSequencer', () => {
+  it('repairs a stored pattern step by step', () => {
+    const steps = DEFAULT_SEQUENCER.steps.map((step, index) => (index === 2 ? { ...step, waveType: 'kazoo' } : step));
+    const sequencer = clampSequencer({ ...DEFAULT_SEQUENCER, steps: steps.slice(0, 3) });
+    expect(sequencer.steps).toHaveLength(DEFAULT_SEQUENCER.steps.length);
+    expect(sequencer.steps[2].waveType).toBe(DEFAULT_SEQUENCER.steps[2].waveType);
+  });
+});
@@ -0,0 +1,192 @@
+import {
+  parseScl,
+  parseKbm,
+  buildTuning,
+  createEqualTuning,
+  createJustTuning,
+  getKeyStep,
+  getStepFrequency,
+  getStepCents,
+  getNearestStep,
+  getNoteInfo,
+  formatNote
+} from '../tuning';
+
+// 12-TET as a Scala file
+const SCL = ['! 12-tet.scl', '12-TET', ' 12', '!',
+  ...Array.from({ length: 11 }, (_, i) => `${(i + 1) * 100}.0`), '2/1'].join('\n');
+
+// A 12-key map: middle key 60, reference key and frequency, octave degree 12, then the map
+const createKbm = ({ firstNote = 0, lastNote = 127, referenceNote = 69, referenceFrequency = 440, map }) => [
+  '! test.kbm', '12', `${firstNote}`, `${lastNote}`, '60', `${referenceNote}`, `${referenceFrequency}`, '12',
+  ...map
+].join('\n');
+
+const FULL_MAP = Array.from({ length: 12 }, (_, i) => `${i}`);
+
+const buildScala = kbm => buildTuning({
+  system: 'scala',
+  referenceFrequency: 440,
+  scale: parseScl(SCL),
+  keyboard: parseKbm(kbm)
+});
+
+const TWELVE_TET = buildTuning({ system: 'equal', referenceFrequency: 440 });
+
+const detune = (frequency, cents) => frequency * Math.pow(2, cents / 1200);
+
+const getKeyFrequency = (tuning, key) => getStepFrequency(tuning, getKeyStep(tuning, key));
+
+describe('.kbm reference key', () => {
+  it('puts the reference frequency on the reference key', () => {
+    const tuning = buildScala(createKbm({ referenceFrequency: 432, map: FULL_MAP }));
+    expect(getKeyFrequency(tuning, 69)).toBeCloseTo(432, 6);
+    expect(getKeyFrequency(tuning, 81)).toBeCloseTo(864, 6);
+  });
+
+  it('anchors on a reference key outside the playable range', () => {
+    const tuning = buildScala(createKbm({ firstNote: 48, lastNote: 60, map: FULL_MAP }));
+    expect(getKeyStep(tuning, 69)).toBeNull();
+    expect(getKeyFrequency(tuning, 57)).toBeCloseTo(220, 6);
+  });
+
+  it('rejects a map that leaves the reference key unmapped', () => {
+    const map = FULL_MAP.map((degree, slot) => (slot === 9 ? 'x' : degree));
+    expect(() => parseKbm(createKbm({ map }))).toThrow('The reference key 69 is unmapped');
+  });
+
+  it('still accepts unmapped keys other than the reference', () => {
+    const map = FULL_MAP.map((degree, slot) => (slot === 1 ? 'x' : degree));
+    const tuning = buildScala(createKbm({ map }));
+    expect(getKeyStep(tuning, 61)).toBeNull();
+    expect(getKeyFrequency(tuning, 69)).toBeCloseTo(440, 6);
+  });
+
+  it('rejects a header cut short instead of reading the missing keys as 0', () => {
+    expect(() => parseKbm(['12', '0', '127', '60', '69', '440'].join('\n'))).toThrow('Expected a whole number for the formal octave degree');
+  });
+});
+
+describe('getNoteInfo', () => {
+  it.each([
+    [440, 'A4', 69, 0],
+    [261.6256, 'C4', 60, 0],
+    [27.5, 'A0', 21, 0],
+    [4186.01, 'C8', 108, 0],
+    [446, 'A4', 69, 23],
+    [430, 'A4', 69, -40],
+    [detune(440, 49), 'A4', 69, 49],
+    [detune(440, 51), 'A#4', 70, -49],
+    [detune(261.6256, -30), 'C4', 60, -30]
+  ])('names %p Hz as %s, %p cents', (frequency, label, step, cents) => {
+    expect(getNoteInfo(frequency, TWELVE_TET)).toMatchObject({ label, step, cents });
+  });
+
+  it('follows the reference frequency', () => {
+    const tuning = buildTuning({ system: 'equal', referenceFrequency: 432 });
+    expect(getNoteInfo(432, tuning)).toMatchObject({ label: 'A4', cents: 0 });
+    expect(getNoteInfo(440, tuning)).toMatchObject({ label: 'A4', cents: 32 });
+  });
+});
+
+describe('getNearestStep', () => {
+  it.each([
+    [440, 69, 0],
+    [detune(440, 49.9), 69, 49.9],
+    [detune(440, 50.1), 70, -49.9],
+    [detune(440, -50.1), 68, 49.9]
+  ])('puts %p Hz on step %p, %p cents off', (frequency, step, cents) => {
+    const nearest = getNearestStep(TWELVE_TET, frequency);
+    expect(nearest.step).toBe(step);
+    expect(nearest.cents).toBeCloseTo(cents, 6);
+  });
+});
+
+describe('formatNote', () => {
+  it.each([
+    [440, 'A4'],
+    [446, 'A4 +23¢'],
+    [430, 'A4 -40¢'],
+    [detune(440, 51), 'A#4 -49¢'],
+    [0, ''],
+    [NaN, ''],
+    [Infinity, '']
+  ])('formats %p Hz as %p', (frequency, label) => {
+    expect(formatNote(frequency, TWELVE_TET)).toBe(label);
+  });
+});
+
+describe('N-EDO', () => {
+  it.each([5, 19, 31, 72])('steps %p-EDO by an equal division of the octave', (divisions) => {
+    const tuning = createEqualTuning(divisions, 440);
+    const step = tuning.referenceStep;
+    expect(getStepCents(tuning, step + 1) - getStepCents(tuning, step)).toBeCloseTo(1200 / divisions, 9);
+    expect(getStepFrequency(tuning, step + 1) / getStepFrequency(tuning, step)).toBeCloseTo(Math.pow(2, 1 / divisions), 12);
+    expect(getStepFrequency(tuning, step + divisions)).toBeCloseTo(2 * getStepFrequency(tuning, step), 9);
+  });
+
+  it('puts degree 0 of octave 4 on 12-TET C4 and numbers the degrees', () => {
+    const tuning = createEqualTuning(19, 440);
+    expect(getStepFrequency(tuning, tuning.referenceStep)).toBeCloseTo(261.6256, 3);
+    expect(getNoteInfo(detune(261.6256, (7 * 1200) / 19), tuning)).toMatchObject({ label: '[7]4', degree: 7, cents: 0 });
+    expect(formatNote(detune(261.6256, (7 * 1200) / 19 + 10), tuning)).toBe('[7]4 +10¢');
+  });
+});
+
+describe('just intonation', () => {
+  const just = createJustTuning(0, 440);
+
+  it.each([
+    ['major third', 64, 5 / 4],
+    ['fourth', 65, 4 / 3],
+    ['fifth', 67, 3 / 2],
+    ['major sixth', 69, 5 / 3],
+    ['octave', 72, 2]
+  ])('tunes the %s above C to its ratio', (_, step, ratio) => {
+    expect(getStepFrequency(just, step) / getStepFrequency(just, 60)).toBeCloseTo(ratio, 12);
+  });
+
+  it('keeps A4 on the reference frequency', () => {
+    expect(getStepFrequency(just, 69)).toBeCloseTo(440, 9);
+    expect(getStepFrequency(just, 60)).toBeCloseTo(264, 9);
+  });
+
+  it('builds the ratios on another tonic', () => {
+    const onD = createJustTuning(2, 440);
+    expect(getStepFrequency(onD, 66) / getStepFrequency(onD, 62)).toBeCloseTo(5 / 4, 12);
+  });
+
+  it('shows an equal-tempered third against the just one', () => {
+    expect(formatNote(329.6276, just)).toBe('E4 -2¢');
+  });
+});
+
+describe('parseScl', () => {
+  it('reads ratios and cents, skipping comment lines and trailing text', () => {
+    const scale = parseScl(['! a.scl', '!', 'My scale', ' 3 ! count', '!', ' 3/2 fifth', ' 400.0 third', '! comment', '2/1', ''].join('\n'));
+    expect(scale.description).toBe('My scale');
+    expect(scale.period).toBeCloseTo(1200, 9);
+    expect(scale.cents).toHaveLength(3);
+    [0, 400, 701.955].forEach((cents, degree) => expect(scale.cents[degree]).toBeCloseTo(cents, 3));
+  });
+
+  it('takes a period other than the octave', () => {
+    const scale = parseScl(['Bohlen-Pierce', '2', '9/7', '3/1'].join('\n'));
+    expect(scale.period).toBeCloseTo(1901.955, 3);
+    expect(scale.cents[1]).toBeCloseTo(435.084, 3);
+  });
+
+  it.each([
+    ['a count that is not a number', ['d', 'twelve'], 'Expected a whole number for the number of notes, got "twelve"'],
+    ['a missing count', ['d'], 'Expected a whole number for the number of notes'],
+    ['fewer pitches than the count', ['d', '3', '100.0'], 'Expected 3 pitches, found 1'],
+    ['a count of 0', ['d', '0'], 'Expected 0 pitches, found 0'],
+    ['a malformed ratio', ['d', '2', '3/x', '2/1'], 'Invalid ratio "3/x"'],
+    ['a negative ratio', ['d', '2', '-3/2', '2/1'], 'Invalid ratio "-3/2"'],
+    ['a zero ratio', ['d', '1', '0/1'], 'Invalid ratio "0/1"'],
+    ['malformed cents', ['d', '2', '1.2.3', '2/1'], 'Invalid cents value "1.2.3"'],
+    ['a period below 1/1', ['d', '1', '-100.0'], 'The last pitch (the period) must be above 1/1']
+  ])('rejects %s', (_, lines, message) => {
+    expect(() => parseScl(lines.join('\n'))).toThrow(message);
+  });
+});
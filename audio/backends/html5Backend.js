@@ -0,0 +1,231 @@
+// HTML5 Audio backend: the mobile Safari fallback when Web Audio won't start
+// Plays a rendered loop of the current tone (see ../loopSynth) in an <audio> element and renders a
+// new loop whenever the tone changes. With no AudioParams, the envelope and the swap between loops
+// are animated on the element's volume. There is no filter, effects, panning, LFOs, polyphony or sequencer.
+
+import { LOOP_SAMPLE_RATE, ELEMENT_CROSSFADE_TIME, renderLoop, getLoopTone } from '../loopSynth';
+import { createWavBlob } from '../wav';
+import { createVolumeEnvelope } from './volumeEnvelope';
+
+// Elements play at up to half the master volume, for Safari safety
+const ELEMENT_VOLUME = 0.5;
+
+const getElementVolume = (patch) => Math.max(0, Math.min(1, patch.masterVolume * ELEMENT_VOLUME));
+
+// A held note sits at the sustain level
+const getHeldVolume = (patch) => getElementVolume(patch) * patch.envelope.sustain;
+
+// A looping element for the patch's tone (a 16-bit mono WAV), starting silent
+const createLoopElement = (patch) => {
+  const audio = document.createElement('audio');
+  audio.src = URL.createObjectURL(createWavBlob([renderLoop(getLoopTone(patch))], LOOP_SAMPLE_RATE));
+  audio.loop = true;
+  audio.volume = 0;
+  return audio;
+};
+
+const releaseElement = (audio) => {
+  audio.pause();
+  URL.revokeObjectURL(audio.src);
+};
+
+// play() has to be called synchronously in the user gesture; older Safari returns no promise
+const playElement = async (audio) => {
+  try {
+    await audio.play();
+  } catch (error) {
+    URL.revokeObjectURL(audio.src);
+    throw error;
+  }
+};
+
+export const createHtml5Backend = () => {
+  let audio = null; // Element playing the held note
+  let crossfade = null; // Running swap between elements: { frameId, finish }
+  let pendingPatch = null; // Latest tone change, rendered on the next frame
+  let renderFrameId = null;
+  let swapToken = 0; // Bumped by every swap, start and stop, so a late play() knows it was overtaken
+  const volumeEnvelope = createVolumeEnvelope();
+
+  // Settle a running crossfade: the new element at full volume, the old one stopped
+  const finishCrossfade = () => {
+    if (crossfade) {
+      crossfade.finish();
+    }
+  };
+
+  // Equal-power crossfade from one element to another, so swapping loops never clicks
+  const crossfadeElements = (oldAudio, newAudio, targetVolume) => {
+    finishCrossfade();
+    // Any attack still animating would fight the fade, so let the held level take over
+    volumeEnvelope.cancel();
+
+    const startVolume = oldAudio.volume;
+    const startTime = performance.now();
+    const fade = {
+      frameId: null,
+      finish: () => {
+        cancelAnimationFrame(fade.frameId);
+        crossfade = null;
+        newAudio.volume = targetVolume;
+        releaseElement(oldAudio);
+      }
+    };
+
+    const step = () => {
+      const progress = Math.min(1, (performance.now() - startTime) / 1000 / ELEMENT_CROSSFADE_TIME);
+      oldAudio.volume = startVolume * Math.cos((progress * Math.PI) / 2);
+      newAudio.volume = targetVolume * Math.sin((progress * Math.PI) / 2);
+      if (progress >= 1) {
+        fade.finish();
+      } else {
+        fade.frameId = requestAnimationFrame(step);
+      }
+    };
+
+    fade.frameId = requestAnimationFrame(step);
+    crossfade = fade;
+  };
+
+  const cancelPendingLoop = () => {
+    if (renderFrameId !== null) {
+      cancelAnimationFrame(renderFrameId);
+      renderFrameId = null;
+    }
+  };
+
+  // Render the held note's tone again and crossfade over to it
+  // play() resolves in its own time, so an element that starts after a newer swap (or after the note
+  // stopped) is released instead of taking over with a stale tone
+  const swapLoop = async (patch) => {
+    if (!audio) {
+      return;
+    }
+
+    const token = ++swapToken;
+    try {
+      const newAudio = createLoopElement(patch);
+      await playElement(newAudio);
+      if (!audio || token !== swapToken) {
+        releaseElement(newAudio);
+        return;
+      }
+      const oldAudio = audio;
+      audio = newAudio;
+      crossfadeElements(oldAudio, newAudio, getHeldVolume(patch));
+      console.log('Safari: Audio regenerated successfully');
+    } catch (error) {
+      console.warn('Safari: Audio regeneration failed:', error.message);
+    }
+  };
+
+  // Rendering a loop is heavy synchronous work, so changes are rendered at most once per frame:
+  // a drag's stream of moves collapses into its latest
+  const updateLoop = (patch) => {
+    if (!audio) {
+      return;
+    }
+    pendingPatch = patch;
+    if (renderFrameId === null) {
+      renderFrameId = requestAnimationFrame(() => {
+        renderFrameId = null;
+        swapLoop(pendingPatch);
+      });
+    }
+  };
+
+  const setVolume = (patch) => {
+    if (audio && !volumeEnvelope.running) {
+      finishCrossfade();
+      audio.volume = getHeldVolume(patch);
+    }
+  };
+
+  const start = async (patch) => {
+    cancelPendingLoop();
+    swapToken++;
+    const element = createLoopElement(patch);
+    await playElement(element);
+    audio = element;
+    volumeEnvelope.run(element, getElementVolume(patch), patch.envelope);
+    console.log('Safari: HTML5 Audio with looping started successfully');
+  };
+
+  // Let the release tail fade out before pausing the element
+  const stop = (patch, useRelease = true) => {
+    cancelPendingLoop();
+    swapToken++;
+    finishCrossfade();
+    if (!audio) {
+      volumeEnvelope.cancel();
+      return;
+    }
+
+    const element = audio;
+    audio = null;
+    if (useRelease) {
+      volumeEnvelope.run(element, element.volume, patch.envelope, true).then(() => releaseElement(element));
+    } else {
+      volumeEnvelope.cancel();
+      releaseElement(element);
+    }
+  };
+
+  return {
+    name: 'html5',
+    capabilities: { filter: false, sequencer: false, scheduledChanges: false },
+    currentTime: null,
+    init: async () => {},
+    start,
+    stop,
+    setFrequency: updateLoop,
+    setWaveSource: updateLoop,
+    setCustomWave: patch => (patch.waveType === 'custom' ? updateLoop(patch) : undefined),
+    setLevel: updateLoop, // Amplitude and attenuation are rendered into the loop
+    setMasterVolume: setVolume,
+    setEnvelope: setVolume,
+    setSynthesis: updateLoop,
+    setFilter: () => {},
+    setEffects: () => {},
+    setSpatial: () => {},
+    setLfos: () => {},
+    startVoice: () => {},
+    moveVoice: () => {},
+    stopVoice: () => {},
+    prepareSequencer: () => {},
+    scheduleNote: () => {},
+    cancelScheduledNotes: () => {},
+    getTimeDomainData: () => null,
+    getStereoTimeDomainData: () => null,
+    getModulation: () => ({ pitchRatio: 1, gain: 1, cutoffCents: 0 }),
+
+    openMicrophone: async () => {
+      throw new Error('Microphone input needs the Web Audio API');
+    },
+
+    closeMicrophone: () => {},
+    setInputGain: () => {},
+    getInputSamples: () => null,
+
+    loadFile: async () => {
+      throw new Error('Audio file playback needs the Web Audio API');
+    },
+
+    playFile: async () => {},
+    pauseFile: () => {},
+    seekFile: () => {},
+    setFileLoop: () => {},
+    getFilePlayback: () => null,
+    unloadFile: () => {},
+
+    renderPatch: async () => {
+      throw new Error('Offline rendering needs the Web Audio API');
+    },
+
+    createRecorder: () => {
+      throw new Error('Recording the output needs the Web Audio API');
+    },
+
+    dispose: () => stop(null, false)
+  };
+};
@@ -0,0 +1,28 @@
+// Audio backends for the AudioEngine, and the choice of backend for each platform
+// Desktop web runs on Web Audio; mobile Safari tries Web Audio and falls back to HTML5 Audio;
+// iOS/Android play through expo-audio. The null backend is silent, for tests and headless use.
+
+import { Platform } from 'react-native';
+import { createWebAudioBackend } from './webAudioBackend';
+import { createHtml5Backend } from './html5Backend';
+import { createNativeBackend } from './nativeBackend';
+import { createNullBackend } from './nullBackend';
+
+export { createWebAudioBackend, createHtml5Backend, createNativeBackend, createNullBackend };
+
+export const isMobileSafari = () => (
+  Platform.OS === 'web' &&
+  /iPad|iPhone|iPod/.test(navigator.userAgent) &&
+  !window.MSStream
+);
+
+// AudioEngine options for the running platform: { backend, fallbackBackend }
+export const createPlatformBackends = () => {
+  if (Platform.OS !== 'web') {
+    return { backend: createNativeBackend() };
+  }
+  if (isMobileSafari()) {
+    return { backend: createWebAudioBackend({ mobileSafari: true }), fallbackBackend: createHtml5Backend() };
+  }
+  return { backend: createWebAudioBackend() };
+};
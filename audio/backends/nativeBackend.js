@@ -0,0 +1,235 @@
+// Native backend (iOS/Android): expo-audio looping a rendered tone (see ../nativePlayer)
+// The player's volume carries the envelope, animated the same way as an HTML5 Audio element's, and
+// tone changes crossfade to a freshly rendered player the way the HTML5 backend swaps elements.
+// There is no filter, effects, panning, LFOs, polyphony or sequencer.
+
+import { ELEMENT_CROSSFADE_TIME, getLoopTone } from '../loopSynth';
+import { setNativeAudioMode, createNativeTonePlayer } from '../nativePlayer';
+import { createVolumeEnvelope } from './volumeEnvelope';
+
+// A held note sits at the sustain level
+const getHeldVolume = (patch) => patch.masterVolume * patch.envelope.sustain;
+
+export const createNativeBackend = () => {
+  let ready = false; // Audio mode is set up
+  let player = null; // Player looping the held note
+  let fadeIn = null; // The held note's player while it fades in after a swap: { player, targetVolume, startTime }
+  let fadingOut = []; // Replaced players fading to silence: { player, startVolume, startTime }
+  let fadeFrameId = null;
+  let pendingPatch = null; // Latest tone change, rendered on the next frame
+  let renderFrameId = null;
+  const volumeEnvelope = createVolumeEnvelope();
+
+  const init = async () => {
+    try {
+      await setNativeAudioMode();
+      ready = true;
+    } catch (error) {
+      console.error('Native audio initialization failed:', error.message);
+    }
+  };
+
+  // Move every running fade on by a frame; replaced players stop once they are silent
+  const stepFades = () => {
+    const now = performance.now();
+    const getProgress = startTime => Math.min(1, (now - startTime) / 1000 / ELEMENT_CROSSFADE_TIME);
+
+    if (fadeIn) {
+      const progress = getProgress(fadeIn.startTime);
+      fadeIn.player.volume = fadeIn.targetVolume * Math.sin((progress * Math.PI) / 2);
+      if (progress >= 1) {
+        fadeIn = null;
+      }
+    }
+    fadingOut = fadingOut.filter((fade) => {
+      const progress = getProgress(fade.startTime);
+      fade.player.volume = fade.startVolume * Math.cos((progress * Math.PI) / 2);
+      if (progress >= 1) {
+        fade.player.stop();
+        return false;
+      }
+      return true;
+    });
+
+    fadeFrameId = fadeIn || fadingOut.length > 0 ? requestAnimationFrame(stepFades) : null;
+  };
+
+  const runFades = () => {
+    if (fadeFrameId === null) {
+      fadeFrameId = requestAnimationFrame(stepFades);
+    }
+  };
+
+  // Fade a replaced player out from whatever volume it had reached
+  const fadeOut = (oldPlayer) => {
+    if (fadeIn && fadeIn.player === oldPlayer) {
+      fadeIn = null;
+    }
+    fadingOut.push({ player: oldPlayer, startVolume: oldPlayer.volume, startTime: performance.now() });
+    runFades();
+  };
+
+  const cancelPendingLoop = () => {
+    if (renderFrameId !== null) {
+      cancelAnimationFrame(renderFrameId);
+      renderFrameId = null;
+    }
+  };
+
+  // Loop a rendered tone, with the attack animated on the player volume
+  // Each note gets a fresh player, so restarting mid-release never cuts the new note
+  const start = async (patch) => {
+    if (!ready) {
+      await init();
+    }
+    if (!ready) {
+      throw new Error('Native audio is unavailable');
+    }
+    cancelPendingLoop();
+    fadeIn = null;
+    const newPlayer = createNativeTonePlayer();
+    newPlayer.play(getLoopTone(patch), 0);
+    if (player) {
+      fadeOut(player);
+    }
+    player = newPlayer;
+    volumeEnvelope.run(player, patch.masterVolume, patch.envelope);
+  };
+
+  // Let the release tail fade out before stopping the loop
+  const stop = (patch, useRelease = true) => {
+    cancelPendingLoop();
+    if (!player || !player.playing) {
+      return;
+    }
+
+    const released = player;
+    player = null;
+    fadeIn = null;
+    if (useRelease) {
+      volumeEnvelope.run(released, released.volume, patch.envelope, true).then(() => released.stop());
+    } else {
+      volumeEnvelope.cancel();
+      released.stop();
+    }
+  };
+
+  // Equal-power crossfade from the playing loop to one of the patch's tone, so swapping never clicks
+  // A swap during a swap fades the half-faded-in loop back out from where it got to
+  const swapLoop = (patch) => {
+    if (!player) {
+      return;
+    }
+
+    try {
+      const newPlayer = createNativeTonePlayer();
+      newPlayer.play(getLoopTone(patch), 0);
+      // Any attack still animating would fight the fade, so let the held level take over
+      volumeEnvelope.cancel();
+      fadeOut(player);
+      player = newPlayer;
+      fadeIn = { player: newPlayer, targetVolume: getHeldVolume(patch), startTime: performance.now() };
+      runFades();
+    } catch (error) {
+      console.warn('Native: loop regeneration failed:', error.message);
+    }
+  };
+
+  // Rendering a loop, writing its file and starting a player is heavy work on the JS thread, so
+  // changes are rendered at most once per frame: a drag's stream of moves collapses into its latest
+  const updateLoop = (patch) => {
+    if (!player) {
+      return;
+    }
+    pendingPatch = patch;
+    if (renderFrameId === null) {
+      renderFrameId = requestAnimationFrame(() => {
+        renderFrameId = null;
+        swapLoop(pendingPatch);
+      });
+    }
+  };
+
+  const setVolume = (patch) => {
+    if (!player || !player.playing || volumeEnvelope.running) {
+      return;
+    }
+    if (fadeIn) {
+      fadeIn.targetVolume = getHeldVolume(patch);
+    } else {
+      player.volume = getHeldVolume(patch);
+    }
+  };
+
+  return {
+    name: 'native',
+    capabilities: { filter: false, sequencer: false, scheduledChanges: false },
+    currentTime: null,
+    init,
+    start,
+    stop,
+    setFrequency: updateLoop,
+    setWaveSource: updateLoop,
+    setCustomWave: patch => (patch.waveType === 'custom' ? updateLoop(patch) : undefined),
+    setLevel: updateLoop, // Amplitude and attenuation are rendered into the loop
+    setMasterVolume: setVolume,
+    setEnvelope: setVolume,
+    setSynthesis: updateLoop,
+    setFilter: () => {},
+    setEffects: () => {},
+    setSpatial: () => {},
+    setLfos: () => {},
+    startVoice: () => {},
+    moveVoice: () => {},
+    stopVoice: () => {},
+    prepareSequencer: () => {},
+    scheduleNote: () => {},
+    cancelScheduledNotes: () => {},
+    getTimeDomainData: () => null,
+    getStereoTimeDomainData: () => null,
+    getModulation: () => ({ pitchRatio: 1, gain: 1, cutoffCents: 0 }),
+
+    openMicrophone: async () => {
+      throw new Error('Microphone input needs the Web Audio API');
+    },
+
+    closeMicrophone: () => {},
+    setInputGain: () => {},
+    getInputSamples: () => null,
+
+    loadFile: async () => {
+      throw new Error('Audio file playback needs the Web Audio API');
+    },
+
+    playFile: async () => {},
+    pauseFile: () => {},
+    seekFile: () => {},
+    setFileLoop: () => {},
+    getFilePlayback: () => null,
+    unloadFile: () => {},
+
+    renderPatch: async () => {
+      throw new Error('Offline rendering needs the Web Audio API');
+    },
+
+    createRecorder: () => {
+      throw new Error('Recording the output needs the Web Audio API');
+    },
+
+    dispose: () => {
+      volumeEnvelope.cancel();
+      cancelPendingLoop();
+      if (fadeFrameId !== null) {
+        cancelAnimationFrame(fadeFrameId);
+        fadeFrameId = null;
+      }
+      fadingOut.forEach(fade => fade.player.stop());
+      fadingOut = [];
+      fadeIn = null;
+      if (player) {
+        player.stop();
+        player = null;
+      }
+    }
+  };
+};
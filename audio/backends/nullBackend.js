@@ -0,0 +1,105 @@
+// Null backend: makes no sound, for tests and headless use
+// Every call is logged in calls, and the clock only moves on advanceTime(), so sequencer and
+// performance timing can be stepped through deterministically.
+//
+// Every backend implements this interface (patch is the engine's state plus waveSource):
+//   capabilities                 { filter, sequencer, scheduledChanges }: what the engine and visualizer may rely on
+//                                (scheduledChanges: setFrequency/setLevel/setMasterVolume honour a future time)
+//   currentTime                  clock in seconds, or null when the backend has none
+//   init(patch)                  set up and unlock output; safe to call again, logs instead of throwing
+//   start(patch)                 start the main note; throws when the backend can't play
+//   stop(patch, useRelease)      release the main note (patch may be null when useRelease is false)
+//   setFrequency, setLevel, setMasterVolume(patch, time)   time: clock time to land on, now when left out
+//                                (backends without scheduledChanges apply it now)
+//   setCustomWave, setEnvelope, setSynthesis, setEffects, setSpatial, setLfos(patch)
+//   setWaveSource(patch, timeConstant), setFilter(patch, previousFilter)
+//   startVoice(voice, patch), moveVoice(voice, patch), stopVoice(voice, patch, useRelease)
+//   prepareSequencer(patch), scheduleNote(frequency, step, time, duration, patch), cancelScheduledNotes()
+//   getTimeDomainData()          analyser bytes, or null to show the generated waveform
+//   getStereoTimeDomainData()    { left, right } analyser bytes after panning, or null
+//   getModulation(patch)         { pitchRatio, gain, cutoffCents } the generated waveform follows
+//   openMicrophone(patch)        route the microphone to getTimeDomainData(); throws with a message for the UI
+//   closeMicrophone(), setInputGain(patch)
+//   getInputSamples()            { samples, sampleRate } from the open microphone (for pitch detection), or null
+//   loadFile(patch, data)        decode an audio file's bytes: { duration, overview }; throws with a message for the UI
+//   playFile(), pauseFile(), seekFile(position), setFileLoop(loop), unloadFile()
+//   getFilePlayback()            { playing, position } of the loaded file, or null
+//   renderPatch(patch, duration, channelCount), createRecorder(format)   throw when unsupported
+//   dispose()
+
+export const createNullBackend = () => {
+  let time = 0;
+  const calls = []; // { name, args } in call order
+
+  const record = name => (...args) => {
+    calls.push({ name, args });
+  };
+
+  const recordAsync = name => async (...args) => {
+    calls.push({ name, args });
+  };
+
+  return {
+    name: 'null',
+    capabilities: { filter: true, sequencer: true, scheduledChanges: true },
+    calls,
+
+    get currentTime() {
+      return time;
+    },
+
+    advanceTime(seconds) {
+      time += seconds;
+    },
+
+    init: recordAsync('init'),
+    start: recordAsync('start'),
+    stop: record('stop'),
+    setFrequency: record('setFrequency'),
+    setWaveSource: record('setWaveSource'),
+    setCustomWave: record('setCustomWave'),
+    setLevel: record('setLevel'),
+    setMasterVolume: record('setMasterVolume'),
+    setEnvelope: record('setEnvelope'),
+    setSynthesis: record('setSynthesis'),
+    setFilter: record('setFilter'),
+    setEffects: record('setEffects'),
+    setSpatial: record('setSpatial'),
+    setLfos: record('setLfos'),
+    startVoice: record('startVoice'),
+    moveVoice: record('moveVoice'),
+    stopVoice: record('stopVoice'),
+    prepareSequencer: record('prepareSequencer'),
+    scheduleNote: record('scheduleNote'),
+    cancelScheduledNotes: record('cancelScheduledNotes'),
+    getTimeDomainData: () => null,
+    getStereoTimeDomainData: () => null,
+    getModulation: () => ({ pitchRatio: 1, gain: 1, cutoffCents: 0 }),
+    openMicrophone: recordAsync('openMicrophone'),
+    closeMicrophone: record('closeMicrophone'),
+    setInputGain: record('setInputGain'),
+    getInputSamples: () => null,
+
+    loadFile: async (...args) => {
+      calls.push({ name: 'loadFile', args });
+      return { duration: 0, overview: [] };
+    },
+
+    playFile: recordAsync('playFile'),
+    pauseFile: record('pauseFile'),
+    seekFile: record('seekFile'),
+    setFileLoop: record('setFileLoop'),
+    getFilePlayback: () => null,
+    unloadFile: record('unloadFile'),
+
+    renderPatch: async () => {
+      throw new Error('The null backend renders no audio');
+    },
+
+    createRecorder: () => {
+      throw new Error('The null backend has no output to record');
+    },
+
+    dispose: record('dispose')
+  };
+};
@@ -0,0 +1,53 @@
+// Envelopes animated on a player's volume, for backends with no AudioParam automation
+// (HTML5 Audio elements and expo-audio players). Volume only moves once per animation frame.
+
+import { getEnvelopeLevel } from '../envelope';
+
+// One envelope animation at a time: starting another (or cancel) settles the one running
+export const createVolumeEnvelope = () => {
+  let running = null; // { frameId, resolve }
+
+  const cancel = () => {
+    if (running) {
+      cancelAnimationFrame(running.frameId);
+      running.resolve();
+      running = null;
+    }
+  };
+
+  // Attack runs from silence to baseVolume * sustain; release fades from baseVolume to silence
+  // Resolves once the stage has finished (or been cancelled)
+  const run = (player, baseVolume, envelope, releasing = false) => {
+    cancel();
+
+    return new Promise((resolve) => {
+      const startTime = performance.now();
+      const duration = releasing ? envelope.release : envelope.attack + envelope.decay;
+
+      const step = () => {
+        const elapsed = (performance.now() - startTime) / 1000;
+        const level = releasing
+          ? getEnvelopeLevel(envelope, 0, elapsed, 1)
+          : getEnvelopeLevel(envelope, elapsed);
+        player.volume = Math.max(0, Math.min(1, baseVolume * level));
+
+        if (elapsed >= duration) {
+          running = null;
+          resolve();
+        } else {
+          running = { frameId: requestAnimationFrame(step), resolve };
+        }
+      };
+
+      running = { frameId: requestAnimationFrame(step), resolve };
+    });
+  };
+
+  return {
+    get running() {
+      return running !== null;
+    },
+    run,
+    cancel
+  };
+};
@@ -0,0 +1,908 @@
+// Web Audio backend: morph oscillators, LFOs, filter and effects running on an AudioContext
+// Graph: oscillators -> modulationGain (tremolo) -> filterNode -> gainNode (envelope) -> effects rack
+// -> spatial stage (pan / HRTF) -> analyser -> masterGain -> masterModulation (master volume LFOs) -> destination.
+// gainNode's gain belongs to the envelope, so tremolo scales the envelope instead of adding to it and can't
+// sound during a silent release.
+// The spatial stage also feeds a pair of left/right analysers for the stereo view.
+// Mobile Safari gets no analysers, and start() throws when its context won't run, so the engine can
+// fall back to HTML5 Audio. An open microphone (see ../microphone) has its own analyser, which the
+// visualizer reads instead of the synth's. An imported audio file (see ../filePlayer) plays through a
+// gain of its own, set by the amplitude, into the analyser alongside the synth, so it shows on the
+// visualizer and follows the amplitude and master volume like the synth does.
+
+import { scheduleAttack, retargetEnvelope, scheduleRelease, scheduleNote } from '../envelope';
+import { smoothParam, glideParam } from '../smoothing';
+import { MORPH_WAVE_TYPES, getShapeForWaveType } from '../waveShapes';
+import { createMorphOscillator } from '../morphOscillator';
+import { normalizeCycle, cycleToHarmonics } from '../customWave';
+import { LFO_DIP_TARGETS, getLfoAmount, getLfoValue, getLfoRestingGain, createLfo } from '../lfo';
+import { getFilterEnvelopeCents } from '../filter';
+import { createEffectsRack } from '../effects';
+import { isNoiseType, createNoiseBuffers } from '../noise';
+import {
+  getWaveCompensation,
+  getFrequencyAttenuation,
+  getCustomWaveCompensation,
+  getNoiseCompensation,
+  getNoiseBandCompensation
+} from '../compensation';
+import { createLiveRecorder } from '../liveRecorder';
+import { createSpatialStage } from '../spatial';
+import { createMicrophoneInput } from '../microphone';
+import { decodeAudioFile, getAmplitudeOverview, createFilePlayer } from '../filePlayer';
+
+// Morph oscillators carry the wave compensation in their mix gains,
+// so the amplitude gain only compensates for frequency
+const getMorphWaveGains = () => MORPH_WAVE_TYPES.map(getWaveCompensation);
+
+// Noise mix gains are set for a band at the reference frequency; the amplitude gain follows the band
+const getNoiseGains = () => ({
+  white: getNoiseCompensation('white'),
+  pink: getNoiseCompensation('pink'),
+  brown: getNoiseCompensation('brown')
+});
+
+// Amplitude gain peak for a frequency, with its compensation (waveform compensation is in the morph mix)
+const getPeakGain = (patch, freq = patch.frequency) => (
+  patch.amplitude * 0.8 * getFrequencyAttenuation(freq, patch.highFreqAttenuation) *
+  getNoiseBandCompensation(patch.waveSource, freq)
+);
+
+// PeriodicWave for a drawn cycle
+const createCustomPeriodicWave = (cycle, context) => {
+  const { real, imag } = cycleToHarmonics(normalizeCycle(cycle));
+  return context.createPeriodicWave(real, imag);
+};
+
+// Where each LFO target lands in a synth chain (see ensureSynthChain)
+// For the dip targets (LFO_DIP_TARGETS) this is also the gain that rests below unity
+const getLfoTargetInput = (target, chain) => {
+  switch (target) {
+    case 'frequency':
+      return chain.vibratoBus;
+    case 'amplitude':
+      return chain.modulationGain ? chain.modulationGain.gain : null;
+    case 'cutoff':
+      return chain.filterNode ? chain.filterNode.detune : null;
+    case 'resonance':
+      return chain.resonanceDepth || null;
+    case 'modulationIndex':
+      return chain.indexBus || null;
+    case 'pan':
+      return chain.spatialStage ? chain.spatialStage.panInput : null;
+    case 'delayTime':
+    case 'delayFeedback':
+      return chain.effectsRack ? chain.effectsRack.modulation[target] : null;
+    case 'masterVolume':
+      return chain.masterModulation ? chain.masterModulation.gain : null;
+    default:
+      return null;
+  }
+};
+
+// Rest every dip target's gain below unity by its LFOs' swing, so they swing down from the setting
+const setLfoRestingGains = (lfos, chain, now) => {
+  LFO_DIP_TARGETS.forEach((target) => {
+    const param = getLfoTargetInput(target, chain);
+    param && smoothParam(param, getLfoRestingGain(lfos, target), now);
+  });
+};
+
+// Secondary voices only attack and release; decay/sustain already apply on the shared amplitude gain
+const getVoiceEnvelope = (patch) => ({ ...patch.envelope, sustain: 1 });
+
+export const createWebAudioBackend = ({ mobileSafari = false } = {}) => {
+  let context = null;
+  let gainNode = null; // Amplitude gain (affects visualization)
+  let masterGain = null; // Master volume (affects final output only)
+  let masterModulation = null; // Master volume LFOs, after the master gain
+  let analyser = null;
+  let effectsRack = null; // Delay/reverb/distortion between the amplitude gain and the spatial stage
+  let spatialStage = null; // Stereo pan / HRTF position between the effects and the analyser/master
+  let channelAnalysers = null; // { left, right } analysers after the spatial stage, for the stereo view
+  let noiseBuffers = null; // Looping noise buffers for the current context, by noise type
+  let amplitudeDestination = null; // Where routeAmplitudeOutput last sent the amplitude gain
+  let oscillator = null; // Main oscillator while the note is held
+  let envelopeState = null; // Attack/decay timing of the main oscillator's envelope
+
+  // Synth chain ahead of the amplitude gain, built the first time an oscillator needs it
+  // vibratoBus and indexBus sum LFOs into every oscillator's detune and modulation index;
+  // resonanceDepth scales resonance LFOs by the resonance setting on their way to the filter's Q
+  let chain = null; // { vibratoBus, indexBus, modulationGain, filterNode, resonanceDepth, effectsRack, spatialStage, masterModulation }
+  let filterEnvelopeState = null; // Attack/decay timing of the filter envelope (on the filter's detune)
+  let lfoNodes = []; // Running LFOs aligned with the patch's lfos: { node, target }
+  let lfoStartTime = 0; // Context time the LFOs started, for the generated visualizer
+
+  const voices = new Set(); // Secondary voices with running nodes
+
+  // Step sequencer notes play into sequencerBus, which joins the amplitude gain's output
+  let sequencerBus = null;
+  const sequencerNotes = new Set(); // Scheduled notes, so stopping can cut ones not yet started
+
+  let microphone = null; // Open microphone input, shown on the visualizer in place of the synth
+  let filePlayer = null; // Imported audio file at the amplitude, playing into the analyser (the master gain on mobile Safari)
+
+  // Noise buffers are tied to an AudioContext, so build them once per context
+  // Other contexts (offline renders) get their own, uncached
+  const getNoiseBuffers = (target = context) => {
+    if (target !== context) {
+      return createNoiseBuffers(target);
+    }
+    if (!noiseBuffers || noiseBuffers.context !== context) {
+      noiseBuffers = { context, buffers: createNoiseBuffers(context) };
+    }
+    return noiseBuffers.buffers;
+  };
+
+  // Options shared by every morph oscillator the backend creates
+  const getMorphOscillatorOptions = (patch, target = context) => ({
+    shape: patch.shape,
+    waveGains: getMorphWaveGains(),
+    periodicWave: createCustomPeriodicWave(patch.customWave, target),
+    customGain: getCustomWaveCompensation(patch.customWave),
+    customMix: patch.waveType === 'custom' ? 1 : 0,
+    synthesis: patch.synthesis,
+    noiseBuffers: getNoiseBuffers(target),
+    noiseGains: getNoiseGains(),
+    noiseType: isNoiseType(patch.waveType) ? patch.waveType : null
+  });
+
+  // Connect the amplitude gain to a destination through the effects rack
+  // Reconnecting always goes through here so the rack stays in the chain
+  const routeAmplitudeOutput = (destination) => {
+    amplitudeDestination = destination;
+    const input = effectsRack ? effectsRack.input : destination;
+    gainNode.disconnect();
+    gainNode.connect(input);
+    if (sequencerBus) {
+      sequencerBus.disconnect();
+      sequencerBus.connect(input);
+    }
+    if (effectsRack) {
+      effectsRack.output.disconnect();
+      effectsRack.output.connect(destination);
+    }
+  };
+
+  // Resume a suspended context, retrying a few times for Safari
+  const resume = async () => {
+    const attempts = mobileSafari ? 3 : 2;
+    for (let attempt = 1; context && context.state === 'suspended' && attempt <= attempts; attempt++) {
+      await context.resume();
+      if (context.state !== 'running' && attempt < attempts) {
+        console.warn(`AudioContext still ${context.state} after resume attempt ${attempt}`);
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+    }
+  };
+
+  const init = async (patch) => {
+    try {
+      if (!context) {
+        context = new (window.AudioContext || window.webkitAudioContext)();
+        gainNode = context.createGain();
+        gainNode.gain.setValueAtTime(0.3, context.currentTime);
+        masterGain = context.createGain();
+        masterGain.gain.setValueAtTime(patch.masterVolume, context.currentTime);
+        masterModulation = context.createGain();
+        masterGain.connect(masterModulation);
+        effectsRack = createEffectsRack(context, patch.effects);
+        spatialStage = createSpatialStage(context, patch.spatial);
+        routeAmplitudeOutput(spatialStage.input);
+
+        if (mobileSafari) {
+          // Connect: gainNode -> effects -> spatial -> masterGain -> masterModulation -> destination
+          spatialStage.output.connect(masterGain);
+        } else {
+          // Connect: gainNode -> effects -> spatial -> analyser -> masterGain -> masterModulation -> destination
+          analyser = context.createAnalyser();
+          analyser.fftSize = 2048;
+          spatialStage.output.connect(analyser);
+          analyser.connect(masterGain);
+
+          // Left and right channels split off to their own analysers, which go nowhere else
+          const splitter = context.createChannelSplitter(2);
+          channelAnalysers = { left: context.createAnalyser(), right: context.createAnalyser() };
+          spatialStage.output.connect(splitter);
+          splitter.connect(channelAnalysers.left, 0);
+          splitter.connect(channelAnalysers.right, 1);
+          channelAnalysers.left.fftSize = 2048;
+          channelAnalysers.right.fftSize = 2048;
+        }
+        masterModulation.connect(context.destination);
+      }
+      await resume();
+    } catch (error) {
+      console.error('Audio initialization failed:', error.message);
+    }
+  };
+
+  // Push LFO settings to the running nodes, rerouting any LFO whose target changed
+  const applyLfos = (lfos, now = context.currentTime) => {
+    lfos.forEach((lfo, index) => {
+      const entry = lfoNodes[index];
+      if (!entry) {
+        return;
+      }
+      entry.node.update(lfo, now);
+      if (entry.target !== lfo.target) {
+        entry.node.disconnect();
+        const input = getLfoTargetInput(lfo.target, chain);
+        input && entry.node.connect(input);
+        entry.target = lfo.target;
+      }
+    });
+
+    setLfoRestingGains(lfos, chain, now);
+  };
+
+  // Build the tremolo and filter stages and start the LFOs the first time an oscillator needs them
+  // The LFOs also reach the effects, spatial stage and master volume, which init built
+  const ensureSynthChain = (patch) => {
+    if (chain || !context || !gainNode) {
+      return;
+    }
+
+    const filterNode = context.createBiquadFilter();
+    filterNode.type = patch.filter.type;
+    filterNode.frequency.value = patch.filter.cutoff;
+    filterNode.Q.value = patch.filter.resonance;
+    filterNode.connect(gainNode);
+    const resonanceDepth = context.createGain();
+    resonanceDepth.gain.value = patch.filter.resonance;
+    resonanceDepth.connect(filterNode.Q);
+
+    const modulationGain = context.createGain();
+    modulationGain.connect(filterNode);
+    chain = {
+      vibratoBus: context.createGain(),
+      indexBus: context.createGain(),
+      modulationGain,
+      filterNode,
+      resonanceDepth,
+      effectsRack,
+      spatialStage,
+      masterModulation
+    };
+
+    lfoStartTime = context.currentTime;
+    lfoNodes = patch.lfos.map((lfo) => {
+      const node = createLfo(context, lfo);
+      const input = getLfoTargetInput(lfo.target, chain);
+      input && node.connect(input);
+      node.start(lfoStartTime);
+      return { node, target: lfo.target };
+    });
+    applyLfos(patch.lfos, lfoStartTime);
+    console.log('LFOs started:', patch.lfos.length);
+  };
+
+  // Stop the LFOs and drop the tremolo and filter stages (the context is going away)
+  // Disconnecting the LFOs detaches them from the effects, spatial stage and master volume too
+  const teardownSynthChain = () => {
+    lfoNodes.forEach(({ node }) => {
+      try {
+        node.stop();
+      } catch (error) {
+        console.warn('Error stopping LFO:', error);
+      }
+    });
+    lfoNodes = [];
+    chain = null;
+    filterEnvelopeState = null;
+  };
+
+  // Main oscillator plus every sounding secondary voice
+  const getMorphOscillators = () => {
+    const oscillators = oscillator ? [oscillator] : [];
+    voices.forEach(voice => oscillators.push(voice.oscillator));
+    return oscillators;
+  };
+
+  // Sweep the filter's detune from the cutoff to cutoff × 2^envAmount and down to the sustain level
+  const triggerFilterEnvelope = (patch, now) => {
+    if (chain) {
+      filterEnvelopeState = scheduleAttack(chain.filterNode.detune, getFilterEnvelopeCents(patch.filter), patch.filterEnvelope, now);
+    }
+  };
+
+  const releaseFilterEnvelope = (patch, now) => {
+    if (chain) {
+      filterEnvelopeState = null;
+      scheduleRelease(chain.filterNode.detune, patch.filterEnvelope, now);
+    }
+  };
+
+  // Context time for a change: now, or a time it was scheduled ahead for (never in the past)
+  const getChangeTime = time => (time === undefined ? context.currentTime : Math.max(time, context.currentTime));
+
+  // Set the amplitude gain peak, respecting any attack/decay still in progress
+  const applyAmplitudeGain = (patch, time) => {
+    retargetEnvelope(gainNode.gain, envelopeState, getPeakGain(patch), patch.envelope, getChangeTime(time));
+  };
+
+  // Throws when the context won't run, so the engine can fall back
+  const start = async (patch) => {
+    if (!context) {
+      await init(patch);
+    }
+    if (!context) {
+      throw new Error('Web Audio is unavailable');
+    }
+    await resume();
+    console.log(`AudioContext state before oscillator: ${context.state}`);
+
+    if (oscillator) {
+      return;
+    }
+    try {
+      ensureSynthChain(patch);
+
+      // Morph oscillator: waves crossfade by shape instead of restarting
+      // It plays through the tremolo stage, and takes vibrato on detune
+      oscillator = createMorphOscillator(context, { ...getMorphOscillatorOptions(patch), frequency: patch.frequency });
+      oscillator.connect(chain.modulationGain);
+      oscillator.connectDetune(chain.vibratoBus);
+      oscillator.connectModulationIndex(chain.indexBus);
+      oscillator.start();
+
+      const now = context.currentTime;
+      envelopeState = scheduleAttack(gainNode.gain, getPeakGain(patch), patch.envelope, now);
+      triggerFilterEnvelope(patch, now);
+      console.log(`Started shape ${patch.shape} oscillator at ${patch.frequency}Hz (compensated gain: ${getPeakGain(patch)})`);
+    } catch (error) {
+      console.error('Error starting oscillator:', error);
+      oscillator = null;
+    }
+  };
+
+  // By default the envelope release plays out before the oscillator stops and disconnects
+  const stop = (patch, useRelease = true) => {
+    if (!oscillator) {
+      return;
+    }
+
+    // Clear the reference right away so a new oscillator can start during the release tail
+    const released = oscillator;
+    oscillator = null;
+    envelopeState = null;
+
+    try {
+      const now = context ? context.currentTime : 0;
+      const endTime = useRelease && gainNode ? scheduleRelease(gainNode.gain, patch.envelope, now) : now;
+      if (useRelease) {
+        releaseFilterEnvelope(patch, now);
+      }
+
+      // Disconnect from all connected AudioNodes once the tail has finished
+      released.onended = () => released.disconnect();
+      released.stop(endTime);
+      console.log(`Oscillator stopping, release ends at ${endTime}`);
+    } catch (error) {
+      // Handle case where oscillator was already stopped
+      console.warn('Error stopping oscillator (may already be stopped):', error);
+      released.disconnect();
+    }
+  };
+
+  // Glide to the new frequency over the portamento time, moving the gain with its compensation
+  const setFrequency = (patch, time) => {
+    if (oscillator && context) {
+      glideParam(oscillator.frequency, patch.frequency, getChangeTime(time), patch.glide);
+      applyAmplitudeGain(patch, time);
+    }
+  };
+
+  // Crossfade every sounding oscillator to the patch's wave: a shape, the drawn cycle or a noise type
+  // The oscillators keep running, so this never restarts them or resets phase
+  const setWaveSource = (patch, timeConstant) => {
+    if (!context) {
+      return;
+    }
+    const now = context.currentTime;
+    getMorphOscillators().forEach((morph) => {
+      if (patch.waveSource === 'custom') {
+        morph.setCustomMix(1, now, timeConstant);
+        morph.setNoise(null, now, timeConstant);
+      } else if (isNoiseType(patch.waveSource)) {
+        morph.setNoise(patch.waveSource, now, timeConstant);
+      } else {
+        morph.setShape(patch.waveSource, now, timeConstant);
+        morph.setCustomMix(0, now, timeConstant);
+        morph.setNoise(null, now, timeConstant);
+      }
+    });
+    // Noise levels depend on the band, so switching to or from noise moves the amplitude gain
+    if (oscillator) {
+      applyAmplitudeGain(patch);
+    }
+  };
+
+  const setCustomWave = (patch) => {
+    if (context) {
+      const periodicWave = createCustomPeriodicWave(patch.customWave, context);
+      const compensation = getCustomWaveCompensation(patch.customWave);
+      getMorphOscillators().forEach(morph => morph.setPeriodicWave(periodicWave, compensation));
+    }
+  };
+
+  // Amplitude, attenuation and sustain all land on the held note's gain
+  // The file only follows the amplitude; attenuation depends on a pitch the file doesn't have
+  const setLevel = (patch, time) => {
+    if (filePlayer) {
+      filePlayer.setGain(patch.amplitude, getChangeTime(time));
+    }
+    if (oscillator && context) {
+      applyAmplitudeGain(patch, time);
+    }
+  };
+
+  const setMasterVolume = (patch, time) => {
+    if (masterGain && context) {
+      smoothParam(masterGain.gain, patch.masterVolume, getChangeTime(time));
+    }
+  };
+
+  const setSynthesis = (patch) => {
+    if (context) {
+      const now = context.currentTime;
+      getMorphOscillators().forEach(morph => morph.setSynthesis(patch.synthesis, now));
+    }
+  };
+
+  // Cutoff and resonance glide; a held note moves to a new envelope amount without retriggering
+  const setFilter = (patch, previousFilter) => {
+    if (!chain || !context) {
+      return;
+    }
+    const { filterNode } = chain;
+    const now = context.currentTime;
+    if (filterNode.type !== patch.filter.type) {
+      filterNode.type = patch.filter.type;
+    }
+    smoothParam(filterNode.frequency, patch.filter.cutoff, now);
+    smoothParam(filterNode.Q, patch.filter.resonance, now);
+    smoothParam(chain.resonanceDepth.gain, patch.filter.resonance, now);
+
+    if (oscillator && patch.filter.envAmount !== previousFilter.envAmount) {
+      retargetEnvelope(filterNode.detune, filterEnvelopeState, getFilterEnvelopeCents(patch.filter), patch.filterEnvelope, now);
+    }
+  };
+
+  const setEffects = (patch) => {
+    if (effectsRack && context) {
+      effectsRack.update(patch.effects, context.currentTime);
+    }
+  };
+
+  const setSpatial = (patch) => {
+    if (spatialStage && context) {
+      spatialStage.update(patch.spatial, context.currentTime);
+    }
+  };
+
+  // Running LFOs follow without restarting
+  const setLfos = (patch) => {
+    if (chain && context) {
+      applyLfos(patch.lfos);
+    }
+  };
+
+  // Gain for a secondary voice, relative to the main oscillator's compensated gain
+  // gainNode already carries amplitude and compensation for the main frequency
+  const getVoiceGain = (patch, voiceFreq) => {
+    const mainCompensation = getFrequencyAttenuation(patch.frequency, patch.highFreqAttenuation);
+    return mainCompensation > 0 ? getFrequencyAttenuation(voiceFreq, patch.highFreqAttenuation) / mainCompensation : 1;
+  };
+
+  // Create the oscillator/gain pair for a secondary voice
+  const startVoice = (voice, patch) => {
+    if (voice.oscillator || !context || !gainNode) {
+      return;
+    }
+
+    try {
+      ensureSynthChain(patch);
+      const now = context.currentTime;
+      const voiceGain = context.createGain();
+      voice.envelopeState = scheduleAttack(voiceGain.gain, getVoiceGain(patch, voice.frequency), getVoiceEnvelope(patch), now);
+      voiceGain.connect(chain.modulationGain);
+
+      const voiceOscillator = createMorphOscillator(context, { ...getMorphOscillatorOptions(patch), frequency: voice.frequency });
+      voiceOscillator.connect(voiceGain);
+      voiceOscillator.connectDetune(chain.vibratoBus);
+      voiceOscillator.connectModulationIndex(chain.indexBus);
+      voiceOscillator.start();
+
+      voice.oscillator = voiceOscillator;
+      voice.gain = voiceGain;
+      voices.add(voice);
+      console.log(`Voice ${voice.id} started at ${voice.frequency}Hz`);
+    } catch (error) {
+      console.error('Error starting voice:', error);
+      voice.oscillator = null;
+      voice.gain = null;
+    }
+  };
+
+  const moveVoice = (voice, patch) => {
+    if (voice.oscillator && context) {
+      const now = context.currentTime;
+      glideParam(voice.oscillator.frequency, voice.frequency, now, patch.glide);
+      retargetEnvelope(voice.gain.gain, voice.envelopeState, getVoiceGain(patch, voice.frequency), getVoiceEnvelope(patch), now);
+    }
+  };
+
+  // Stop and disconnect a secondary voice's nodes, after its release tail by default
+  const stopVoice = (voice, patch, useRelease = true) => {
+    const { oscillator: voiceOscillator, gain } = voice;
+    voice.oscillator = null;
+    voice.gain = null;
+    voice.envelopeState = null;
+    voices.delete(voice);
+
+    if (voiceOscillator) {
+      try {
+        const now = context ? context.currentTime : 0;
+        const endTime = useRelease && gain ? scheduleRelease(gain.gain, patch.envelope, now) : now;
+        voiceOscillator.onended = () => {
+          voiceOscillator.disconnect();
+          gain && gain.disconnect();
+        };
+        voiceOscillator.stop(endTime);
+      } catch (error) {
+        console.warn('Error stopping voice (may already be stopped):', error);
+        voiceOscillator.disconnect();
+        gain && gain.disconnect();
+      }
+    } else if (gain) {
+      gain.disconnect();
+    }
+  };
+
+  // The sequencer needs the LFOs (for vibrato) and its own bus alongside the amplitude gain
+  const prepareSequencer = (patch) => {
+    ensureSynthChain(patch);
+    if (!sequencerBus && context) {
+      sequencerBus = context.createGain();
+      routeAmplitudeOutput(amplitudeDestination);
+    }
+  };
+
+  // Queue one note with its own oscillator, filter (carrying the filter envelope) and enveloped gain
+  // The step's wave type overrides the patch's wave
+  const scheduleSequencerNote = (noteFreq, step, startTime, duration, patch) => {
+    const { filter, filterEnvelope, envelope } = patch;
+    const noteFilter = context.createBiquadFilter();
+    noteFilter.type = filter.type;
+    noteFilter.frequency.value = filter.cutoff;
+    noteFilter.Q.value = filter.resonance;
+    scheduleNote(noteFilter.detune, getFilterEnvelopeCents(filter), filterEnvelope, startTime, duration);
+
+    const noteGain = context.createGain();
+    noteGain.gain.value = 0;
+    const endTime = scheduleNote(noteGain.gain, getPeakGain(patch, noteFreq) * step.velocity, envelope, startTime, duration);
+
+    const noteOscillator = createMorphOscillator(context, {
+      ...getMorphOscillatorOptions(patch),
+      shape: MORPH_WAVE_TYPES.includes(step.waveType) ? getShapeForWaveType(step.waveType) : patch.shape,
+      customMix: step.waveType === 'custom' ? 1 : 0,
+      noiseType: isNoiseType(step.waveType) ? step.waveType : null,
+      frequency: noteFreq
+    });
+    noteOscillator.connect(noteFilter);
+    noteFilter.connect(noteGain);
+    noteGain.connect(sequencerBus);
+    noteOscillator.connectDetune(chain.vibratoBus);
+    noteOscillator.connectModulationIndex(chain.indexBus);
+
+    const note = { oscillator: noteOscillator, gain: noteGain, startTime };
+    sequencerNotes.add(note);
+    noteOscillator.onended = () => {
+      noteOscillator.disconnect();
+      noteFilter.disconnect();
+      noteGain.disconnect();
+      sequencerNotes.delete(note);
+    };
+    noteOscillator.start(startTime);
+    noteOscillator.stop(endTime);
+  };
+
+  // Notes already sounding finish their release, queued ones never start
+  const cancelScheduledNotes = () => {
+    const now = context ? context.currentTime : 0;
+    sequencerNotes.forEach((note) => {
+      if (note.startTime > now) {
+        note.gain.disconnect();
+        try {
+          note.oscillator.stop(note.startTime);
+        } catch (error) {
+          console.warn('Error cancelling sequencer note:', error);
+        }
+      }
+    });
+  };
+
+  const getTimeDomainData = () => {
+    const source = microphone ? microphone.analyser : analyser;
+    if (!source) {
+      return null;
+    }
+    const data = new Uint8Array(source.frequencyBinCount);
+    source.getByteTimeDomainData(data);
+    return data;
+  };
+
+  // { left, right } analyser bytes after panning, or null without the channel analysers
+  const getStereoTimeDomainData = () => {
+    if (!channelAnalysers) {
+      return null;
+    }
+    const read = (channelAnalyser) => {
+      const data = new Uint8Array(channelAnalyser.frequencyBinCount);
+      channelAnalyser.getByteTimeDomainData(data);
+      return data;
+    };
+    return { left: read(channelAnalysers.left), right: read(channelAnalysers.right) };
+  };
+
+  // Throws with a message for the UI when the microphone can't be opened
+  const openMicrophone = async (patch) => {
+    if (microphone) {
+      return;
+    }
+    if (!context) {
+      await init(patch);
+    }
+    if (!context) {
+      throw new Error('Microphone input needs the Web Audio API');
+    }
+    microphone = await createMicrophoneInput(context, patch.inputGain);
+    console.log('Microphone input opened');
+  };
+
+  const closeMicrophone = () => {
+    if (microphone) {
+      microphone.stop();
+      microphone = null;
+      console.log('Microphone input closed');
+    }
+  };
+
+  // { samples, sampleRate } from the open microphone, or null
+  const getInputSamples = () => (
+    microphone && context ? { samples: microphone.getSamples(), sampleRate: context.sampleRate } : null
+  );
+
+  const setInputGain = (patch) => {
+    if (microphone && context) {
+      microphone.setGain(patch.inputGain, context.currentTime);
+    }
+  };
+
+  // Current LFO and filter envelope effect for the generated waveform: pitch ratio, gain multiplier and cutoff shift
+  // (the other LFO targets leave the generated waveform alone)
+  const getModulation = (patch) => {
+    const modulation = { pitchRatio: 1, gain: 1, cutoffCents: 0 };
+    if (!chain || !context) {
+      return modulation;
+    }
+
+    const elapsed = context.currentTime - lfoStartTime;
+    patch.lfos.forEach((lfo) => {
+      const amount = getLfoAmount(lfo);
+      const value = getLfoValue(lfo, elapsed) * amount;
+      if (lfo.target === 'frequency') {
+        modulation.pitchRatio *= Math.pow(2, value / 1200);
+      } else if (lfo.target === 'amplitude') {
+        modulation.gain += value - amount;
+      } else if (lfo.target === 'cutoff') {
+        modulation.cutoffCents += value;
+      }
+    });
+    if (oscillator) {
+      modulation.cutoffCents += getFilterEnvelopeCents(patch.filter) * patch.filterEnvelope.sustain;
+    }
+    return modulation;
+  };
+
+  // Decode a file and get it ready to play from the start; throws with a message for the UI
+  const loadFile = async (patch, data) => {
+    if (!context) {
+      await init(patch);
+    }
+    if (!context) {
+      throw new Error('Audio file playback needs the Web Audio API');
+    }
+    const buffer = await decodeAudioFile(context, data);
+    unloadFile();
+    filePlayer = createFilePlayer(context, buffer, analyser || masterGain, patch.amplitude);
+    console.log(`Audio file loaded: ${buffer.duration.toFixed(2)}s, ${buffer.numberOfChannels} channel(s)`);
+    return { duration: buffer.duration, overview: getAmplitudeOverview(buffer) };
+  };
+
+  const playFile = async () => {
+    if (filePlayer) {
+      await resume();
+      filePlayer.play();
+    }
+  };
+
+  const pauseFile = () => filePlayer && filePlayer.pause();
+  const seekFile = position => filePlayer && filePlayer.seek(position);
+  const setFileLoop = loop => filePlayer && filePlayer.setLoop(loop);
+
+  // { playing, position } of the loaded file, or null without one
+  const getFilePlayback = () => (
+    filePlayer ? { playing: filePlayer.playing, position: filePlayer.getPosition() } : null
+  );
+
+  const unloadFile = () => {
+    if (filePlayer) {
+      filePlayer.dispose();
+      filePlayer = null;
+    }
+  };
+
+  // Render the patch as one held note through an OfflineAudioContext
+  // Mirrors the live chain: oscillator -> tremolo -> filter -> envelope -> effects -> spatial -> master volume,
+  // with LFOs running on every target and the release timed to finish as the render ends
+  const renderPatch = async (patch, duration, channelCount = 2) => {
+    const OfflineContext = typeof window !== 'undefined' && (window.OfflineAudioContext || window.webkitOfflineAudioContext);
+    if (!OfflineContext) {
+      throw new Error('Offline rendering needs the Web Audio API');
+    }
+
+    const sampleRate = context ? context.sampleRate : 44100;
+    const offline = new OfflineContext(channelCount, Math.ceil(duration * sampleRate), sampleRate);
+    const holdTime = Math.max(0, duration - patch.envelope.release);
+
+    const rack = createEffectsRack(offline, patch.effects);
+    const spatial = createSpatialStage(offline, patch.spatial);
+    const master = offline.createGain();
+    master.gain.value = patch.masterVolume;
+    const renderChain = {
+      vibratoBus: offline.createGain(),
+      indexBus: offline.createGain(),
+      modulationGain: offline.createGain(),
+      filterNode: offline.createBiquadFilter(),
+      resonanceDepth: offline.createGain(),
+      effectsRack: rack,
+      spatialStage: spatial,
+      masterModulation: offline.createGain()
+    };
+    LFO_DIP_TARGETS.forEach((target) => {
+      getLfoTargetInput(target, renderChain).value = getLfoRestingGain(patch.lfos, target);
+    });
+    renderChain.filterNode.type = patch.filter.type;
+    renderChain.filterNode.frequency.value = patch.filter.cutoff;
+    renderChain.filterNode.Q.value = patch.filter.resonance;
+    renderChain.resonanceDepth.gain.value = patch.filter.resonance;
+    renderChain.resonanceDepth.connect(renderChain.filterNode.Q);
+    scheduleNote(renderChain.filterNode.detune, getFilterEnvelopeCents(patch.filter), patch.filterEnvelope, 0, holdTime);
+
+    const amplitudeGain = offline.createGain();
+    amplitudeGain.gain.value = 0;
+    scheduleNote(amplitudeGain.gain, getPeakGain(patch), patch.envelope, 0, holdTime);
+
+    const renderOscillator = createMorphOscillator(offline, { ...getMorphOscillatorOptions(patch, offline), frequency: patch.frequency });
+    renderOscillator.connect(renderChain.modulationGain);
+    renderOscillator.connectDetune(renderChain.vibratoBus);
+    renderOscillator.connectModulationIndex(renderChain.indexBus);
+    renderChain.modulationGain.connect(renderChain.filterNode);
+    renderChain.filterNode.connect(amplitudeGain);
+    amplitudeGain.connect(rack.input);
+    rack.output.connect(spatial.input);
+    spatial.output.connect(master);
+    master.connect(renderChain.masterModulation);
+    renderChain.masterModulation.connect(offline.destination);
+
+    patch.lfos.forEach((lfo) => {
+      const node = createLfo(offline, lfo);
+      const input = getLfoTargetInput(lfo.target, renderChain);
+      input && node.connect(input);
+      node.start(0);
+    });
+    renderOscillator.start(0);
+
+    // Older Safari only reports completion through oncomplete
+    return new Promise((resolve, reject) => {
+      offline.oncomplete = (event) => resolve(event.renderedBuffer);
+      const rendering = offline.startRendering();
+      rendering && rendering.then(resolve, reject);
+    });
+  };
+
+  // Record exactly what leaves the master volume
+  const createRecorder = (format) => {
+    if (!context || !masterGain) {
+      throw new Error('Recording the output needs the Web Audio API');
+    }
+    return createLiveRecorder(context, masterModulation, format);
+  };
+
+  // Stop everything without release tails and close the context
+  const dispose = () => {
+    closeMicrophone();
+    unloadFile();
+    stop(null, false);
+    voices.forEach(voice => stopVoice(voice, null, false));
+    teardownSynthChain();
+    if (effectsRack) {
+      effectsRack.disconnect();
+      effectsRack = null;
+    }
+    if (spatialStage) {
+      spatialStage.disconnect();
+      spatialStage = null;
+    }
+    if (context) {
+      try {
+        context.close();
+      } catch (error) {
+        console.warn('Error closing AudioContext:', error);
+      }
+    }
+    context = null;
+    gainNode = null;
+    masterGain = null;
+    masterModulation = null;
+    analyser = null;
+    channelAnalysers = null;
+    sequencerBus = null;
+    sequencerNotes.clear();
+  };
+
+  return {
+    name: 'webAudio',
+    // Holding a param at a future time needs cancelAndHoldAtTime (Firefox has none), so changes
+    // are only scheduled ahead where it exists
+    capabilities: {
+      filter: true,
+      sequencer: true,
+      scheduledChanges: typeof AudioParam !== 'undefined' && !!AudioParam.prototype.cancelAndHoldAtTime
+    },
+
+    get currentTime() {
+      return context ? context.currentTime : null;
+    },
+
+    init,
+    start,
+    stop,
+    setFrequency,
+    setWaveSource,
+    setCustomWave,
+    setLevel,
+    setMasterVolume,
+    setEnvelope: setLevel, // A new sustain level applies to the held note right away
+    setSynthesis,
+    setFilter,
+    setEffects,
+    setSpatial,
+    setLfos,
+    startVoice,
+    moveVoice,
+    stopVoice,
+    prepareSequencer,
+    scheduleNote: scheduleSequencerNote,
+    cancelScheduledNotes,
+    getTimeDomainData,
+    getStereoTimeDomainData,
+    getModulation,
+    openMicrophone,
+    closeMicrophone,
+    setInputGain,
+    getInputSamples,
+    loadFile,
+    playFile,
+    pauseFile,
+    seekFile,
+    setFileLoop,
+    getFilePlayback,
+    unloadFile,
+    renderPatch,
+    createRecorder,
+    dispose
+  };
+};
@@ -0,0 +1,82 @@
+// Volume compensation: keeps every wave and frequency at a similar perceived loudness
+// Shared by the Web Audio engine and the sample-based loops, so every backend sounds the same.
+
+import { MORPH_WAVE_TYPES, getMorphWeights } from './waveShapes';
+import { normalizeCycle, getCycleRms } from './customWave';
+import { NOISE_LEVELS, NOISE_REFERENCE_FREQUENCY, NOISE_BAND_SLOPES, isNoiseType } from './noise';
+
+// Base compensation for waveform types
+// Based on RMS (Root Mean Square) and perceived loudness
+const WAVE_COMPENSATION = {
+  'sine': 1.0,      // Reference level (smoothest waveform)
+  'triangle': 0.7,  // Triangle waves are louder due to more harmonic content
+  'sawtooth': 0.5,  // Sawtooth is much louder due to rich harmonics
+  'square': 0.3     // Square waves are loudest due to fundamental + odd harmonics
+};
+
+export const getWaveCompensation = (waveType) => WAVE_COMPENSATION[waveType] || 1.0;
+
+// Compensation for a morphed shape, blended the same way as the waves themselves
+export const getShapeCompensation = (shapeValue) => {
+  return getMorphWeights(shapeValue).reduce(
+    (sum, weight, index) => sum + weight * getWaveCompensation(MORPH_WAVE_TYPES[index]),
+    0
+  );
+};
+
+// User-controlled frequency-based attenuation
+// userAttenuation: 0 = no attenuation, 1 = maximum attenuation
+export const getFrequencyAttenuation = (freq, userAttenuation) => {
+  if (freq <= 200) {
+    // Very low frequencies: slight boost for audibility (not affected by attenuation control)
+    return 1.2;
+  } else if (freq <= 1000) {
+    // Mid frequencies: neutral (most comfortable range, minimal attenuation effect)
+    return 1.0 - (userAttenuation * 0.1); // Slight reduction at max attenuation
+  } else if (freq <= 4000) {
+    // High frequencies: user-controlled gentle attenuation
+    const baseAttenuation = Math.pow(1000 / freq, 0.2); // Gentler base curve
+    const userEffect = Math.pow(1000 / freq, userAttenuation * 0.6); // User control
+    return baseAttenuation * userEffect;
+  } else {
+    // Very high frequencies: user-controlled stronger attenuation
+    const baseAttenuation = Math.pow(1000 / freq, 0.3); // Moderate base curve
+    const userEffect = Math.pow(1000 / freq, userAttenuation * 0.8); // Strong user control
+    return baseAttenuation * userEffect;
+  }
+};
+
+// Volume compensation matrix for different waveforms and frequency attenuation
+export const getVolumeCompensation = (waveType, frequency, attenuationLevel) => {
+  return getWaveCompensation(waveType) * getFrequencyAttenuation(frequency, attenuationLevel);
+};
+
+// Drawn waves land between sine and square compensation depending on how much energy they carry
+export const getCustomWaveCompensation = (cycle) => {
+  const sineRms = Math.SQRT1_2;
+  const rms = getCycleRms(normalizeCycle(cycle));
+  const loudness = Math.max(0, Math.min(1, (rms - sineRms) / (1 - sineRms)));
+  return getWaveCompensation('sine') + loudness * (getWaveCompensation('square') - getWaveCompensation('sine'));
+};
+
+// Evens out band-passed noise as its band moves away from the reference frequency (1 for tones)
+export const getNoiseBandCompensation = (source, freq) => {
+  if (!isNoiseType(source)) {
+    return 1;
+  }
+  return Math.pow(NOISE_REFERENCE_FREQUENCY / Math.max(1, freq), NOISE_BAND_SLOPES[source]);
+};
+
+// Noise is band-passed around the played frequency, so it needs make-up gain on top of the sine level
+export const getNoiseCompensation = (type, freq = NOISE_REFERENCE_FREQUENCY) => (
+  NOISE_LEVELS[type] * getWaveCompensation('sine') * getNoiseBandCompensation(type, freq)
+);
+
+// Compensation for a wave source: a morph shape value, 'custom' (with its cycle) or a noise type
+// freq only matters for noise, whose level depends on where its band sits
+export const getSourceCompensation = (source, cycle, freq) => {
+  if (isNoiseType(source)) {
+    return getNoiseCompensation(source, freq);
+  }
+  return source === 'custom' ? getCustomWaveCompensation(cycle) : getShapeCompensation(source);
+};
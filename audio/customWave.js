@@ -0,0 +1,79 @@
+// Hand-drawn single-cycle waveforms
+// A cycle is an array of CUSTOM_WAVE_SIZE samples (-1 to 1) covering one period.
+// cycleToHarmonics turns it into the real/imag coefficients createPeriodicWave expects.
+
+export const CUSTOM_WAVE_SIZE = 256;
+
+// Enough harmonics for recognisable shapes; the browser band-limits the PeriodicWave further
+export const CUSTOM_WAVE_HARMONICS = 64;
+
+// Starting point before anything is drawn
+export const createSineCycle = (size = CUSTOM_WAVE_SIZE) => {
+  return Array.from({ length: size }, (_, i) => Math.sin((2 * Math.PI * i) / size));
+};
+
+// Draw a stroke segment into a copy of the cycle
+// x positions are 0-1 across one period, values are -1 (bottom) to 1 (top)
+export const drawIntoCycle = (cycle, fromX, fromValue, toX, toValue) => {
+  const size = cycle.length;
+  const next = cycle.slice();
+  const clampValue = value => Math.max(-1, Math.min(1, value));
+  const fromIndex = Math.round(Math.max(0, Math.min(1, fromX)) * (size - 1));
+  const toIndex = Math.round(Math.max(0, Math.min(1, toX)) * (size - 1));
+  const steps = Math.abs(toIndex - fromIndex);
+
+  // Fill every index the stroke crossed so fast drags leave no gaps
+  for (let step = 0; step <= steps; step++) {
+    const ratio = steps === 0 ? 1 : step / steps;
+    const index = fromIndex + Math.sign(toIndex - fromIndex) * step;
+    next[index] = clampValue(fromValue + (toValue - fromValue) * ratio);
+  }
+
+  return next;
+};
+
+// Linearly interpolated sample at a phase in cycles (wraps every period)
+export const sampleCycle = (cycle, phase) => {
+  const size = cycle.length;
+  const position = (phase - Math.floor(phase)) * size;
+  const index = Math.floor(position);
+  const fraction = position - index;
+  const current = cycle[index % size];
+  const next = cycle[(index + 1) % size];
+  return current + (next - current) * fraction;
+};
+
+// Remove DC offset and scale to a peak of 1, matching how the PeriodicWave will sound
+export const normalizeCycle = (cycle) => {
+  const mean = cycle.reduce((sum, value) => sum + value, 0) / cycle.length;
+  const centered = cycle.map(value => value - mean);
+  const peak = centered.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+  return peak > 0 ? centered.map(value => value / peak) : centered;
+};
+
+export const getCycleRms = (cycle) => {
+  const sumOfSquares = cycle.reduce((sum, value) => sum + value * value, 0);
+  return Math.sqrt(sumOfSquares / cycle.length);
+};
+
+// Fourier coefficients for createPeriodicWave(real, imag)
+// Index 0 (DC) is left at zero; index k holds the cosine/sine amplitude of harmonic k
+export const cycleToHarmonics = (cycle, harmonics = CUSTOM_WAVE_HARMONICS) => {
+  const size = cycle.length;
+  const real = new Float32Array(harmonics + 1);
+  const imag = new Float32Array(harmonics + 1);
+
+  for (let k = 1; k <= harmonics; k++) {
+    let cosSum = 0;
+    let sinSum = 0;
+    for (let n = 0; n < size; n++) {
+      const angle = (2 * Math.PI * k * n) / size;
+      cosSum += cycle[n] * Math.cos(angle);
+      sinSum += cycle[n] * Math.sin(angle);
+    }
+    real[k] = (2 / size) * cosSum;
+    imag[k] = (2 / size) * sinSum;
+  }
+
+  return { real, imag };
+};
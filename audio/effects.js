@@ -0,0 +1,237 @@
+// Effects rack: feedback delay, convolution reverb and waveshaper distortion
+// Each effect is a unit with a dry path and a wet path through its processor; bypassing
+// mutes the wet path and opens the dry one, so units stay wired and can be reordered live.
+// The rack's modulation params take LFOs: the delay time, and a gain inside the feedback loop that
+// rests at unity (the feedback setting stays on its own gain, so an LFO only ever lowers it).
+
+import { SMOOTHING_TIME_CONSTANT, smoothParam } from './smoothing';
+
+export const EFFECT_TYPES = ['distortion', 'delay', 'reverb'];
+
+export const EFFECT_LIMITS = {
+  distortion: {
+    mix: { min: 0, max: 1 },
+    drive: { min: 0, max: 1 }
+  },
+  delay: {
+    mix: { min: 0, max: 1 },
+    time: { min: 0.01, max: 2 },    // Seconds
+    feedback: { min: 0, max: 0.9 }  // Kept below 1 so repeats always die away
+  },
+  reverb: {
+    mix: { min: 0, max: 1 },
+    decay: { min: 0.2, max: 6 }     // Impulse response length in seconds
+  }
+};
+
+export const DEFAULT_EFFECTS = {
+  order: ['distortion', 'delay', 'reverb'],
+  distortion: { enabled: false, mix: 1, drive: 0.4 },
+  delay: { enabled: false, mix: 0.3, time: 0.35, feedback: 0.4 },
+  reverb: { enabled: false, mix: 0.3, decay: 2 }
+};
+
+const MAX_DELAY_TIME = EFFECT_LIMITS.delay.time.max;
+
+// Clamp one effect's settings, keeping the previous value for anything invalid
+export const clampEffect = (type, settings, fallback = DEFAULT_EFFECTS[type]) => {
+  const limits = EFFECT_LIMITS[type];
+  return Object.keys(limits).reduce((result, key) => {
+    const { min, max } = limits[key];
+    const value = settings[key];
+    result[key] = isNaN(value) || !isFinite(value) ? fallback[key] : Math.max(min, Math.min(max, value));
+    return result;
+  }, { enabled: typeof settings.enabled === 'boolean' ? settings.enabled : fallback.enabled });
+};
+
+// Move an effect one slot earlier (-1) or later (+1) in the chain
+export const moveEffect = (order, type, direction) => {
+  const index = order.indexOf(type);
+  const target = index + direction;
+  if (index === -1 || target < 0 || target >= order.length) {
+    return order;
+  }
+  const next = order.slice();
+  next[index] = order[target];
+  next[target] = type;
+  return next;
+};
+
+// Soft-clipping transfer curve; drive 0 is nearly linear, 1 is heavy saturation
+export const createDistortionCurve = (drive, size = 2048) => {
+  const k = drive * 100;
+  const curve = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    const x = (i * 2) / (size - 1) - 1;
+    curve[i] = ((1 + k) * x) / (1 + k * Math.abs(x));
+  }
+  return curve;
+};
+
+// One channel of a reverb impulse: decaying noise with a short fade-in to avoid a click
+export const createImpulseChannel = (length, sampleRate, decay, random = Math.random) => {
+  const channel = new Float32Array(length);
+  const fadeIn = Math.min(length, Math.round(sampleRate * 0.005));
+  for (let i = 0; i < length; i++) {
+    const t = i / sampleRate;
+    const envelope = Math.pow(1 - i / length, 2) * Math.exp((-3 * t) / decay);
+    const fade = i < fadeIn ? i / fadeIn : 1;
+    channel[i] = (random() * 2 - 1) * envelope * fade;
+  }
+  return channel;
+};
+
+// Stereo impulse response generated in place of a downloaded one
+const createImpulseResponse = (context, decay) => {
+  const length = Math.max(1, Math.round(context.sampleRate * decay));
+  const buffer = context.createBuffer(2, length, context.sampleRate);
+  for (let channel = 0; channel < 2; channel++) {
+    buffer.getChannelData(channel).set(createImpulseChannel(length, context.sampleRate, decay));
+  }
+  return buffer;
+};
+
+// Dry/wet wrapper around a processor subgraph (processorIn -> ... -> processorOut)
+const createEffectUnit = (context, processorIn, processorOut) => {
+  const input = context.createGain();
+  const output = context.createGain();
+  const dry = context.createGain();
+  const wet = context.createGain();
+  wet.gain.value = 0;
+  input.connect(dry);
+  dry.connect(output);
+  input.connect(processorIn);
+  processorOut.connect(wet);
+  wet.connect(output);
+
+  return {
+    input,
+    output,
+    // Bypassed units pass the dry signal only
+    setMix(enabled, mix, now) {
+      smoothParam(dry.gain, enabled ? 1 - mix : 1, now, SMOOTHING_TIME_CONSTANT);
+      smoothParam(wet.gain, enabled ? mix : 0, now, SMOOTHING_TIME_CONSTANT);
+    },
+    disconnect() {
+      [input, output, dry, wet, processorIn, processorOut].forEach(node => node.disconnect());
+    }
+  };
+};
+
+const createDistortionUnit = (context, settings) => {
+  const shaper = context.createWaveShaper();
+  shaper.curve = createDistortionCurve(settings.drive);
+  shaper.oversample = '4x';
+  const unit = createEffectUnit(context, shaper, shaper);
+  let currentDrive = settings.drive;
+
+  return {
+    ...unit,
+    update(nextSettings, now) {
+      if (nextSettings.drive !== currentDrive) {
+        shaper.curve = createDistortionCurve(nextSettings.drive);
+        currentDrive = nextSettings.drive;
+      }
+      unit.setMix(nextSettings.enabled, nextSettings.mix, now);
+    }
+  };
+};
+
+const createDelayUnit = (context, settings) => {
+  const delay = context.createDelay(MAX_DELAY_TIME);
+  const feedback = context.createGain();
+  const feedbackModulation = context.createGain();
+  delay.delayTime.value = settings.time;
+  feedback.gain.value = settings.feedback;
+  delay.connect(feedback);
+  feedback.connect(feedbackModulation);
+  feedbackModulation.connect(delay);
+  const unit = createEffectUnit(context, delay, delay);
+
+  return {
+    ...unit,
+    modulation: { delayTime: delay.delayTime, delayFeedback: feedbackModulation.gain },
+    update(nextSettings, now) {
+      smoothParam(delay.delayTime, nextSettings.time, now, SMOOTHING_TIME_CONSTANT);
+      smoothParam(feedback.gain, nextSettings.feedback, now, SMOOTHING_TIME_CONSTANT);
+      unit.setMix(nextSettings.enabled, nextSettings.mix, now);
+    },
+    disconnect() {
+      feedback.disconnect();
+      feedbackModulation.disconnect();
+      unit.disconnect();
+    }
+  };
+};
+
+const createReverbUnit = (context, settings) => {
+  const convolver = context.createConvolver();
+  convolver.buffer = createImpulseResponse(context, settings.decay);
+  const unit = createEffectUnit(context, convolver, convolver);
+  let currentDecay = settings.decay;
+
+  return {
+    ...unit,
+    update(nextSettings, now) {
+      if (nextSettings.decay !== currentDecay) {
+        convolver.buffer = createImpulseResponse(context, nextSettings.decay);
+        currentDecay = nextSettings.decay;
+      }
+      unit.setMix(nextSettings.enabled, nextSettings.mix, now);
+    }
+  };
+};
+
+const UNIT_FACTORIES = {
+  distortion: createDistortionUnit,
+  delay: createDelayUnit,
+  reverb: createReverbUnit
+};
+
+// The whole rack: input -> units in order -> output
+export const createEffectsRack = (context, effects = DEFAULT_EFFECTS) => {
+  const input = context.createGain();
+  const output = context.createGain();
+  const units = EFFECT_TYPES.reduce((result, type) => {
+    result[type] = UNIT_FACTORIES[type](context, effects[type]);
+    return result;
+  }, {});
+  let currentOrder = [];
+
+  const wire = (order) => {
+    input.disconnect();
+    EFFECT_TYPES.forEach(type => units[type].output.disconnect());
+
+    let previous = input;
+    order.forEach((type) => {
+      previous.connect(units[type].input);
+      previous = units[type].output;
+    });
+    previous.connect(output);
+    currentOrder = order;
+  };
+
+  const rack = {
+    input,
+    output,
+    // AudioParams an LFO can modulate, by LFO target
+    modulation: EFFECT_TYPES.reduce((result, type) => ({ ...result, ...units[type].modulation }), {}),
+
+    // Apply settings for every effect, rewiring only when the order changed
+    update(nextEffects, now = context.currentTime) {
+      if (nextEffects.order.join() !== currentOrder.join()) {
+        wire(nextEffects.order);
+      }
+      EFFECT_TYPES.forEach(type => units[type].update(nextEffects[type], now));
+    },
+
+    disconnect() {
+      input.disconnect();
+      output.disconnect();
+      EFFECT_TYPES.forEach(type => units[type].disconnect());
+    }
+  };
+
+  rack.update(effects, context.currentTime);
+  return rack;
+};
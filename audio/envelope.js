@@ -0,0 +1,110 @@
+// ADSR amplitude envelope helpers
+// Scheduling works on any AudioParam; getEnvelopeLevel is pure for non-Web Audio paths
+
+import { holdParam, smoothParam } from './smoothing';
+
+export const DEFAULT_ENVELOPE = {
+  attack: 0.02,  // Seconds from silence to peak
+  decay: 0.15,   // Seconds from peak to sustain level
+  sustain: 0.8,  // Fraction of peak held while the note is on
+  release: 0.3   // Seconds from current level to silence
+};
+
+// Allowed range for each envelope stage
+export const ENVELOPE_LIMITS = {
+  attack: { min: 0.001, max: 2 },
+  decay: { min: 0.001, max: 2 },
+  sustain: { min: 0, max: 1 },
+  release: { min: 0.005, max: 5 }
+};
+
+// Clamp every stage into its allowed range, falling back to defaults for invalid values
+export const clampEnvelope = (envelope) => {
+  return Object.keys(ENVELOPE_LIMITS).reduce((result, stage) => {
+    const { min, max } = ENVELOPE_LIMITS[stage];
+    const value = envelope[stage];
+    result[stage] = isNaN(value) || !isFinite(value)
+      ? DEFAULT_ENVELOPE[stage]
+      : Math.max(min, Math.min(max, value));
+    return result;
+  }, {});
+};
+
+// Schedule attack and decay from silence; returns the envelope state for retargeting
+export const scheduleAttack = (param, peak, envelope, startTime) => {
+  const attackEnd = startTime + envelope.attack;
+  const decayEnd = attackEnd + envelope.decay;
+
+  param.cancelScheduledValues(startTime);
+  param.setValueAtTime(0, startTime);
+  param.linearRampToValueAtTime(peak, attackEnd);
+  param.linearRampToValueAtTime(peak * envelope.sustain, decayEnd);
+
+  return { startTime, attackEnd, decayEnd };
+};
+
+// Move the envelope to a new peak without restarting it
+// Mid-attack or mid-decay the remaining ramps are rescheduled toward the new peak
+export const retargetEnvelope = (param, state, peak, envelope, now) => {
+  if (state && now < state.decayEnd) {
+    holdParam(param, now);
+    if (now < state.attackEnd) {
+      param.linearRampToValueAtTime(peak, state.attackEnd);
+    }
+    param.linearRampToValueAtTime(peak * envelope.sustain, state.decayEnd);
+  } else {
+    smoothParam(param, peak * envelope.sustain, now);
+  }
+};
+
+// Schedule the release tail from the current level; returns the time the tail reaches silence
+export const scheduleRelease = (param, envelope, startTime) => {
+  const endTime = startTime + envelope.release;
+
+  holdParam(param, startTime);
+  param.linearRampToValueAtTime(0, endTime);
+
+  return endTime;
+};
+
+// Envelope level (0 to 1) at a point in time, for paths without AudioParam automation
+// elapsed: seconds since note on; releaseElapsed: seconds since note off (null while held)
+export const getEnvelopeLevel = (envelope, elapsed, releaseElapsed = null, releaseFrom = null) => {
+  if (releaseElapsed !== null) {
+    const startLevel = releaseFrom !== null ? releaseFrom : envelope.sustain;
+    return Math.max(0, startLevel * (1 - releaseElapsed / envelope.release));
+  }
+
+  if (elapsed < envelope.attack) {
+    return elapsed / envelope.attack;
+  }
+
+  const decayElapsed = elapsed - envelope.attack;
+  if (decayElapsed < envelope.decay) {
+    return 1 - (1 - envelope.sustain) * (decayElapsed / envelope.decay);
+  }
+
+  return envelope.sustain;
+};
+
+// Schedule a whole note ahead of time: attack/decay from startTime, release after duration
+// Works from known levels rather than the param's current value, so it can be queued in advance
+// Returns the time the release tail reaches silence
+export const scheduleNote = (param, peak, envelope, startTime, duration) => {
+  const releaseStart = startTime + duration;
+  const attackEnd = startTime + envelope.attack;
+  const decayEnd = attackEnd + envelope.decay;
+  const releaseLevel = peak * getEnvelopeLevel(envelope, duration);
+
+  param.setValueAtTime(0, startTime);
+  if (releaseStart > attackEnd) {
+    param.linearRampToValueAtTime(peak, attackEnd);
+  }
+  if (releaseStart > decayEnd) {
+    param.linearRampToValueAtTime(peak * envelope.sustain, decayEnd);
+  }
+  param.linearRampToValueAtTime(releaseLevel, releaseStart);
+  param.linearRampToValueAtTime(0, releaseStart + envelope.release);
+
+  return releaseStart + envelope.release;
+};
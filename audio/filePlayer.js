@@ -0,0 +1,138 @@
+// Audio file playback (Web Audio API): a decoded file with play/pause/seek/loop transport
+// AudioBufferSourceNodes only play once, so every play or seek starts a fresh source at the offset,
+// and the position is worked out from the context clock.
+
+import { smoothParam } from './smoothing';
+
+export const AUDIO_FILE_ACCEPT = '.wav,.mp3,.ogg,audio/wav,audio/mpeg,audio/ogg';
+
+export const OVERVIEW_LENGTH = 400; // Amplitude envelope bins for the whole file
+
+// Decode a file's bytes; older Safari only reports through the callbacks
+export const decodeAudioFile = (context, data) => new Promise((resolve, reject) => {
+  const fail = () => reject(new Error('Could not decode the file. Use a WAV, MP3 or OGG file.'));
+  const decoding = context.decodeAudioData(data, resolve, fail);
+  decoding && decoding.then(resolve, fail);
+});
+
+// Peak level (0 to 1) of each slice of a buffer across all channels, for the overview strip
+export const getAmplitudeOverview = (buffer, length = OVERVIEW_LENGTH) => {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) => buffer.getChannelData(channel));
+  const binSize = Math.max(1, Math.floor(buffer.length / length));
+  const bins = Math.min(length, Math.ceil(buffer.length / binSize));
+  return Array.from({ length: bins }, (_, bin) => {
+    const start = bin * binSize;
+    const end = Math.min(buffer.length, start + binSize);
+    let peak = 0;
+    channels.forEach((samples) => {
+      for (let i = start; i < end; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+      }
+    });
+    return Math.min(1, peak);
+  });
+};
+
+// Play a decoded buffer into destination through a gain of its own (the synth's amplitude gain
+// belongs to its envelope); playing stops (and rewinds) at the end unless looping
+export const createFilePlayer = (context, buffer, destination, gain = 1) => {
+  const output = context.createGain();
+  output.gain.value = gain;
+  output.connect(destination);
+
+  let source = null;
+  let startedAt = 0; // Context time the file's start would have played at
+  let offset = 0; // Position while paused
+  let loop = false;
+
+  const getPosition = () => {
+    if (!source) {
+      return offset;
+    }
+    const elapsed = context.currentTime - startedAt;
+    return loop ? elapsed % buffer.duration : Math.min(buffer.duration, elapsed);
+  };
+
+  const stopSource = () => {
+    if (source) {
+      source.onended = null;
+      try {
+        source.stop();
+      } catch (error) {
+        console.warn('Error stopping file source (may already be stopped):', error);
+      }
+      source.disconnect();
+      source = null;
+    }
+  };
+
+  const play = () => {
+    if (source) {
+      return;
+    }
+    const node = context.createBufferSource();
+    node.buffer = buffer;
+    node.loop = loop;
+    node.connect(output);
+    node.onended = () => {
+      if (source === node) {
+        node.disconnect();
+        source = null;
+        offset = 0;
+      }
+    };
+    node.start(0, offset);
+    startedAt = context.currentTime - offset;
+    source = node;
+  };
+
+  const pause = () => {
+    offset = getPosition();
+    stopSource();
+  };
+
+  const seek = (position) => {
+    const wasPlaying = !!source;
+    stopSource();
+    offset = Math.max(0, Math.min(buffer.duration, position));
+    if (offset >= buffer.duration) {
+      offset = 0;
+    }
+    if (wasPlaying) {
+      play();
+    }
+  };
+
+  // Keep the position where it is when looping turns off past the first pass
+  const setLoop = (value) => {
+    const position = getPosition();
+    loop = value;
+    if (source) {
+      source.loop = value;
+      startedAt = context.currentTime - position;
+    }
+  };
+
+  return {
+    duration: buffer.duration,
+
+    get playing() {
+      return !!source;
+    },
+
+    getPosition,
+    play,
+    pause,
+    seek,
+    setLoop,
+
+    setGain: (value, now = context.currentTime) => {
+      smoothParam(output.gain, value, now);
+    },
+
+    dispose: () => {
+      stopSource();
+      output.disconnect();
+    }
+  };
+};
@@ -0,0 +1,134 @@
+// Resonant filter settings and a sample-domain copy of BiquadFilterNode
+// The envelope sweeps the node's detune (in cents) so it stacks with cutoff changes and LFOs.
+// filterSamples follows the Web Audio spec's biquad formulas, so generated waveforms match what is heard.
+
+export const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass', 'notch'];
+
+// resonance is the node's Q: dB of peak for lowpass/highpass, bandwidth Q for bandpass/notch
+// envAmount is the envelope's peak sweep in octaves (negative sweeps down)
+export const FILTER_LIMITS = {
+  cutoff: { min: 20, max: 20000 },
+  resonance: { min: 0.1, max: 20 },
+  envAmount: { min: -4, max: 4 }
+};
+
+export const DEFAULT_FILTER = {
+  type: 'lowpass',
+  cutoff: 20000,
+  resonance: 1,
+  envAmount: 0
+};
+
+// Filter envelope times share the ADSR shape of the amplitude envelope
+export const DEFAULT_FILTER_ENVELOPE = {
+  attack: 0.01,
+  decay: 0.4,
+  sustain: 0.3,
+  release: 0.4
+};
+
+export const clampFilter = (filter) => {
+  const clampValue = (key) => {
+    const { min, max } = FILTER_LIMITS[key];
+    const value = filter[key];
+    return isNaN(value) || !isFinite(value) ? DEFAULT_FILTER[key] : Math.max(min, Math.min(max, value));
+  };
+
+  return {
+    type: FILTER_TYPES.includes(filter.type) ? filter.type : DEFAULT_FILTER.type,
+    cutoff: clampValue('cutoff'),
+    resonance: clampValue('resonance'),
+    envAmount: clampValue('envAmount')
+  };
+};
+
+// Envelope peak in cents for the node's detune param
+export const getFilterEnvelopeCents = (filter) => filter.envAmount * 1200;
+
+// Slider position (0-1) for a cutoff, logarithmic like the ear, and the reverse
+export const getCutoffRatio = (cutoff) => {
+  const { min, max } = FILTER_LIMITS.cutoff;
+  return Math.log(cutoff / min) / Math.log(max / min);
+};
+
+export const getCutoffFromRatio = (ratio) => {
+  const { min, max } = FILTER_LIMITS.cutoff;
+  return min * Math.pow(max / min, Math.max(0, Math.min(1, ratio)));
+};
+
+// Normalised biquad coefficients (a0 = 1) for the BiquadFilterNode at a sample rate
+const getBiquadCoefficients = ({ type, cutoff, resonance }, sampleRate, detuneCents = 0) => {
+  const nyquist = sampleRate / 2;
+  const ratio = (cutoff * Math.pow(2, detuneCents / 1200)) / nyquist;
+  const passThrough = { b0: 1, b1: 0, b2: 0, a1: 0, a2: 0 };
+  const silence = { b0: 0, b1: 0, b2: 0, a1: 0, a2: 0 };
+
+  // Edge cases as the spec defines them for cutoffs at 0 Hz or Nyquist and beyond
+  if (ratio >= 1) {
+    return type === 'highpass' || type === 'bandpass' ? silence : passThrough;
+  }
+  if (ratio <= 0) {
+    return type === 'lowpass' || type === 'bandpass' ? silence : passThrough;
+  }
+
+  const w0 = Math.PI * ratio;
+  const cosW0 = Math.cos(w0);
+  const sinW0 = Math.sin(w0);
+  let alpha;
+  let b0;
+  let b1;
+  let b2;
+
+  switch (type) {
+    case 'highpass':
+      alpha = sinW0 / (2 * Math.pow(10, resonance / 20));
+      b0 = (1 + cosW0) / 2;
+      b1 = -(1 + cosW0);
+      b2 = (1 + cosW0) / 2;
+      break;
+    case 'bandpass':
+      alpha = sinW0 / (2 * resonance);
+      b0 = alpha;
+      b1 = 0;
+      b2 = -alpha;
+      break;
+    case 'notch':
+      alpha = sinW0 / (2 * resonance);
+      b0 = 1;
+      b1 = -2 * cosW0;
+      b2 = 1;
+      break;
+    default:
+      alpha = sinW0 / (2 * Math.pow(10, resonance / 20));
+      b0 = (1 - cosW0) / 2;
+      b1 = 1 - cosW0;
+      b2 = (1 - cosW0) / 2;
+  }
+
+  const a0 = 1 + alpha;
+  return {
+    b0: b0 / a0,
+    b1: b1 / a0,
+    b2: b2 / a0,
+    a1: (-2 * cosW0) / a0,
+    a2: (1 - alpha) / a0
+  };
+};
+
+// Run samples through the filter (direct form I); returns a new array
+export const filterSamples = (samples, filter, sampleRate, detuneCents = 0) => {
+  const { b0, b1, b2, a1, a2 } = getBiquadCoefficients(filter, sampleRate, detuneCents);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+
+  return samples.map((x0) => {
+    const y0 = b0 * x0 + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1;
+    x1 = x0;
+    y2 = y1;
+    y1 = y0;
+    return y0;
+  });
+};
@@ -0,0 +1,100 @@
+// Modulation matrix for visualizer gestures
+// A route takes one gesture source (X, Y, drag velocity or touch pressure, each 0 to 1) through an
+// optional invert, a response curve and a sub-range, giving a 0 to 1 position on a destination
+// parameter. The UI turns that position into the parameter's own units (pitch goes through the pad's
+// pitch map, cutoff through its log scale). Everything here is pure so layouts can be saved as JSON.
+
+export const GESTURE_SOURCES = ['x', 'y', 'velocity', 'pressure'];
+
+export const GESTURE_DESTINATIONS = [
+  'pitch',
+  'amplitude',
+  'highFreqAttenuation',
+  'masterVolume',
+  'cutoff',
+  'resonance',
+  'modIndex',
+  'pan',
+  'depth'
+];
+
+export const GESTURE_CURVES = ['linear', 'log', 'exponential'];
+
+export const MAX_GESTURE_ROUTES = 8;
+export const MAX_DRAG_SPEED = 2; // Pixels per millisecond that count as full velocity
+export const DEFAULT_PRESSURE = 0.5; // Mice and touchscreens without force sensing
+
+export const DEFAULT_ROUTE = {
+  source: 'y',
+  destination: 'cutoff',
+  min: 0,          // Sub-range of the destination, as fractions of its full range
+  max: 1,
+  curve: 'linear',
+  invert: false
+};
+
+// X plays the pad and Y bends the modulation index, as the visualizer always has
+export const DEFAULT_GESTURE_MATRIX = [
+  { ...DEFAULT_ROUTE, source: 'x', destination: 'pitch' },
+  { ...DEFAULT_ROUTE, source: 'y', destination: 'modIndex' }
+];
+
+const clampUnit = (value, fallback) => (
+  isNaN(value) || !isFinite(value) ? fallback : Math.max(0, Math.min(1, value))
+);
+
+// Clamp one route, keeping the fallback's value for anything invalid
+export const clampRoute = (route, fallback = DEFAULT_ROUTE) => ({
+  source: GESTURE_SOURCES.includes(route.source) ? route.source : fallback.source,
+  destination: GESTURE_DESTINATIONS.includes(route.destination) ? route.destination : fallback.destination,
+  min: clampUnit(route.min, fallback.min),
+  max: clampUnit(route.max, fallback.max),
+  curve: GESTURE_CURVES.includes(route.curve) ? route.curve : fallback.curve,
+  invert: typeof route.invert === 'boolean' ? route.invert : fallback.invert
+});
+
+// Clamp a whole layout (e.g. one loaded from storage); anything that isn't a route list gets the default
+export const clampGestureMatrix = (routes) => {
+  if (!Array.isArray(routes)) {
+    return DEFAULT_GESTURE_MATRIX;
+  }
+  return routes
+    .filter(route => route && typeof route === 'object')
+    .slice(0, MAX_GESTURE_ROUTES)
+    .map(route => clampRoute(route));
+};
+
+// Response curves over 0 to 1: log rises fast then levels off, exponential is its mirror image
+export const applyGestureCurve = (value, curve) => {
+  switch (curve) {
+    case 'log':
+      return Math.log10(1 + 9 * value);
+    case 'exponential':
+      return (Math.pow(10, value) - 1) / 9;
+    default:
+      return value;
+  }
+};
+
+// Normalize a touch: x as a fraction of the width, y from the top (0) to the bottom (1),
+// velocity in pixels per millisecond and pressure as reported (0 or missing when unsupported)
+// Y counts up from the bottom so higher fingers mean more
+export const getGestureSourceValues = ({ x, y, velocity = 0, pressure }) => ({
+  x: clampUnit(x, 0.5),
+  y: 1 - clampUnit(y, 0.5),
+  velocity: clampUnit(velocity / MAX_DRAG_SPEED, 0),
+  pressure: pressure > 0 ? clampUnit(pressure, DEFAULT_PRESSURE) : DEFAULT_PRESSURE
+});
+
+// Position (0 to 1) a route gives its destination for a source value
+export const getRouteRatio = (route, sourceValue) => {
+  const value = clampUnit(sourceValue, 0);
+  const shaped = applyGestureCurve(route.invert ? 1 - value : value, route.curve);
+  return route.min + shaped * (route.max - route.min);
+};
+
+// Destination positions for a touch's source values; when routes share a destination the later one wins
+export const getGestureTargets = (routes, sources) => routes.reduce((targets, route) => {
+  targets[route.destination] = getRouteRatio(route, sources[route.source]);
+  return targets;
+}, {});
@@ -0,0 +1,120 @@
+// Low-frequency oscillators for vibrato, tremolo, filter sweeps and other parameter movement
+// Each LFO is an OscillatorNode feeding a depth GainNode, so modulation runs on the audio thread.
+// getLfoValue mirrors the node output for paths that can't read it back (the generated visualizer).
+
+import { getWaveSample } from './waveShapes';
+import { SMOOTHING_TIME_CONSTANT, smoothParam } from './smoothing';
+
+export const LFO_SHAPES = ['sine', 'triangle', 'sawtooth', 'square'];
+
+// What an LFO can modulate; the engine maps each target to an AudioNode or AudioParam
+export const LFO_TARGETS = [
+  'frequency',
+  'amplitude',
+  'cutoff',
+  'resonance',
+  'modulationIndex',
+  'pan',
+  'delayTime',
+  'delayFeedback',
+  'masterVolume'
+];
+
+// Peak swing at depth 1, in the target's units
+export const LFO_TARGET_RANGES = {
+  frequency: 100,      // Cents of detune (±1 semitone)
+  amplitude: 0.5,      // Gain swing below unity (depth 1 dips to silence)
+  cutoff: 2400,        // Cents of filter detune (±2 octaves)
+  resonance: 0.9,      // Fraction of the resonance setting, so Q never swings below zero
+  modulationIndex: 2,  // FM index (AM/ring depth as a fraction of MAX_MODULATION_INDEX)
+  pan: 1,              // Pan position (hard left to hard right around the centre)
+  delayTime: 0.05,     // Seconds of delay time
+  delayFeedback: 0.5,  // Feedback gain swing below the setting (depth 1 dips to none)
+  masterVolume: 0.5    // Master gain swing below the setting (depth 1 dips to silence)
+};
+
+// Targets that swing a gain down from its setting, like tremolo, so modulation never makes them
+// louder (or the delay feedback run away); see getLfoRestingGain
+export const LFO_DIP_TARGETS = ['amplitude', 'delayFeedback', 'masterVolume'];
+
+export const LFO_LIMITS = {
+  rate: { min: 0.05, max: 20 }, // Hz
+  depth: { min: 0, max: 1 }
+};
+
+// Depth 0 leaves an LFO connected but silent
+export const DEFAULT_LFOS = [
+  { rate: 5, depth: 0, shape: 'sine', target: 'frequency' },
+  { rate: 4, depth: 0, shape: 'triangle', target: 'amplitude' }
+];
+
+// Clamp rate/depth and fall back to defaults for unknown shapes or targets
+export const clampLfo = (lfo, fallback = DEFAULT_LFOS[0]) => {
+  const clampValue = (key) => {
+    const { min, max } = LFO_LIMITS[key];
+    const value = lfo[key];
+    return isNaN(value) || !isFinite(value) ? fallback[key] : Math.max(min, Math.min(max, value));
+  };
+
+  return {
+    rate: clampValue('rate'),
+    depth: clampValue('depth'),
+    shape: LFO_SHAPES.includes(lfo.shape) ? lfo.shape : fallback.shape,
+    target: LFO_TARGETS.includes(lfo.target) ? lfo.target : fallback.target
+  };
+};
+
+// Modulation amount in target units for an LFO's depth
+export const getLfoAmount = (lfo) => lfo.depth * (LFO_TARGET_RANGES[lfo.target] || 0);
+
+// Resting gain of a dip target: lowered by each of its LFOs' swing, so the LFOs move it between
+// the setting and below it (stacked LFOs past full depth dip below zero, i.e. invert phase at the trough)
+export const getLfoRestingGain = (lfos, target) => 1 - lfos
+  .filter(lfo => lfo.target === target)
+  .reduce((sum, lfo) => sum + getLfoAmount(lfo), 0);
+
+// LFO output (-1 to 1, before depth) at a time in seconds since it started
+// Assumes a constant rate, so it drifts from the audio after rate changes; fine for visuals
+export const getLfoValue = (lfo, elapsed) => getWaveSample(lfo.shape, lfo.rate * elapsed);
+
+// Running LFO node pair; connect() takes any AudioNode or AudioParam
+export const createLfo = (context, lfo) => {
+  const oscillator = context.createOscillator();
+  const depthGain = context.createGain();
+  oscillator.type = lfo.shape;
+  oscillator.frequency.value = lfo.rate;
+  depthGain.gain.value = getLfoAmount(lfo);
+  oscillator.connect(depthGain);
+
+  return {
+    // Apply a full LFO config; depth and rate glide, shape switches immediately
+    update(nextLfo, now = context.currentTime) {
+      if (oscillator.type !== nextLfo.shape) {
+        oscillator.type = nextLfo.shape;
+      }
+      smoothParam(oscillator.frequency, nextLfo.rate, now, SMOOTHING_TIME_CONSTANT);
+      smoothParam(depthGain.gain, getLfoAmount(nextLfo), now, SMOOTHING_TIME_CONSTANT);
+    },
+
+    connect(destination) {
+      depthGain.connect(destination);
+    },
+
+    // Detach from every target but keep running
+    disconnect() {
+      depthGain.disconnect();
+    },
+
+    start(when = 0) {
+      oscillator.start(when);
+    },
+
+    stop(when = 0) {
+      oscillator.onended = () => {
+        oscillator.disconnect();
+        depthGain.disconnect();
+      };
+      oscillator.stop(when);
+    }
+  };
+};
@@ -0,0 +1,126 @@
+// Live capture of the master output (Web Audio API)
+// 'compressed' records through a MediaStreamDestination into a MediaRecorder (WebM/Opus where the
+// browser has it); 'wav' gathers raw PCM with a ScriptProcessor and encodes it when recording stops.
+// Both tap the node they are given in parallel, so the audible output is left untouched.
+
+import { createWavBlob } from './wav';
+
+export const RECORDING_FORMATS = ['compressed', 'wav'];
+
+// MediaRecorder types in order of preference; Safari only records MP4/AAC
+const RECORDER_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+const PCM_BUFFER_SIZE = 4096;
+const PCM_CHANNELS = 2;
+
+export const getRecorderMimeType = () => {
+  if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) {
+    return null;
+  }
+  return RECORDER_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+};
+
+// File extension for a recording's MIME type, e.g. 'audio/webm;codecs=opus' -> 'webm'
+export const getRecordingExtension = (mimeType) => {
+  const subtype = (mimeType || '').split(';')[0].split('/')[1];
+  if (subtype === 'mp4') {
+    return 'm4a';
+  }
+  return subtype || 'wav';
+};
+
+export const isRecordingFormatSupported = (context, format) => {
+  if (!context) {
+    return false;
+  }
+  if (format === 'wav') {
+    return typeof context.createScriptProcessor === 'function';
+  }
+  return typeof context.createMediaStreamDestination === 'function' && getRecorderMimeType() !== null;
+};
+
+const createMediaCapture = (context, source) => {
+  const destination = context.createMediaStreamDestination();
+  const mimeType = getRecorderMimeType();
+  const recorder = new MediaRecorder(destination.stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data && event.data.size > 0) {
+      chunks.push(event.data);
+    }
+  };
+  source.connect(destination);
+  recorder.start();
+
+  return () => new Promise((resolve) => {
+    recorder.onstop = () => {
+      source.disconnect(destination);
+      resolve(new Blob(chunks, { type: recorder.mimeType || mimeType }));
+    };
+    recorder.stop();
+  });
+};
+
+const concatChunks = (chunks) => {
+  const samples = new Float32Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    samples.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return samples;
+};
+
+const createPcmCapture = (context, source) => {
+  const processor = context.createScriptProcessor(PCM_BUFFER_SIZE, PCM_CHANNELS, PCM_CHANNELS);
+  const chunks = Array.from({ length: PCM_CHANNELS }, () => []);
+  processor.onaudioprocess = (event) => {
+    chunks.forEach((channelChunks, channel) => {
+      // The input buffer is reused between callbacks, so keep a copy
+      channelChunks.push(new Float32Array(event.inputBuffer.getChannelData(channel)));
+    });
+  };
+  source.connect(processor);
+  // A ScriptProcessor only runs while connected onward; it outputs silence
+  processor.connect(context.destination);
+
+  return async () => {
+    source.disconnect(processor);
+    processor.disconnect();
+    processor.onaudioprocess = null;
+    return createWavBlob(chunks.map(concatChunks), context.sampleRate);
+  };
+};
+
+// Start recording source; stop() resolves to { blob, duration } and getLevel() reads the current peak (0-1)
+export const createLiveRecorder = (context, source, format = 'compressed') => {
+  if (!isRecordingFormatSupported(context, format)) {
+    throw new Error(format === 'wav'
+      ? 'WAV recording is not supported in this browser'
+      : 'This browser cannot record compressed audio; try WAV');
+  }
+
+  const meter = context.createAnalyser();
+  meter.fftSize = 1024;
+  const meterData = new Float32Array(meter.fftSize);
+  source.connect(meter);
+
+  const stopCapture = format === 'wav' ? createPcmCapture(context, source) : createMediaCapture(context, source);
+  const startTime = context.currentTime;
+
+  return {
+    format,
+    startTime,
+
+    getLevel() {
+      meter.getFloatTimeDomainData(meterData);
+      return meterData.reduce((peak, sample) => Math.max(peak, Math.abs(sample)), 0);
+    },
+
+    async stop() {
+      source.disconnect(meter);
+      const blob = await stopCapture();
+      return { blob, duration: context.currentTime - startTime };
+    }
+  };
+};
@@ -0,0 +1,223 @@
+// Looping PCM tones for sample-based playback
+// The HTML5 Audio fallback on mobile Safari and the native expo-audio backend have no oscillators,
+// so they play a short rendered loop of the current wave and render a new one when a parameter
+// changes. Everything here is pure, so rendering runs in Node as well as on a device.
+//
+// Loops click unless their last sample leads smoothly into their first, so a periodic tone's loop
+// holds a whole number of its periods (the pitch is nudged by a fraction of a cent to make one fit)
+// and is read from a band-limited wavetable, so no harmonic above Nyquist aliases back down.
+// Noise and FM/AM ratios with no short period can't repeat exactly; their seam is crossfaded.
+
+import { getMorphSample, getShapeForWaveType } from './waveShapes';
+import { normalizeCycle, sampleCycle } from './customWave';
+import { getSynthesisPhase, getSynthesisGain } from './synthesis';
+import { NOISE_BANDPASS_Q, isNoiseType, createNoiseGenerator } from './noise';
+import { filterSamples } from './filter';
+import { getSourceCompensation, getFrequencyAttenuation } from './compensation';
+import { encodeWav } from './wav';
+
+export const LOOP_SAMPLE_RATE = 22050;
+export const LOOP_DURATION = 2.0; // Longest loop; whole-period loops are between half this and this
+
+// Seam crossfade for loops that can't hold whole periods
+export const LOOP_CROSSFADE_TIME = 0.03;
+
+// Crossfade when an HTML5 Audio element or native player is swapped for a re-rendered loop;
+// volume only moves once per animation frame, so this spans a few frames
+export const ELEMENT_CROSSFADE_TIME = 0.08;
+
+// Longest tone period searched for FM/AM, in carrier cycles (a ratio of p/q repeats every q cycles)
+const MAX_LOOP_PERIOD = 8;
+
+// Harmonics stop short of Nyquist, leaving room for the table's linear interpolation
+const BAND_LIMIT = 0.45;
+const MIN_TABLE_SIZE = 2048;
+const MAX_TABLE_SIZE = 65536;
+
+// Loops play with no limiter after them, so they leave some headroom
+export const LOOP_LEVEL = 0.4;
+
+// Sample function (phase in cycles -> -1..1) for a wave source, with FM/AM applied
+export const createWaveSampler = (source, cycle, synthesis) => {
+  let carrier;
+  if (isNoiseType(source)) {
+    // Noise ignores phase; band-limit it with applyNoiseBand once the samples are rendered
+    carrier = createNoiseGenerator(source);
+  } else if (source === 'custom') {
+    const normalized = normalizeCycle(cycle);
+    carrier = phase => sampleCycle(normalized, phase);
+  } else {
+    const shapeValue = typeof source === 'number' ? source : getShapeForWaveType(source);
+    carrier = phase => getMorphSample(shapeValue, phase);
+  }
+
+  if (synthesis.mode === 'basic') {
+    return carrier;
+  }
+  return phase => carrier(getSynthesisPhase(synthesis, phase)) * getSynthesisGain(synthesis, phase);
+};
+
+// Bandpass rendered noise around the played frequency, like the noise slots in the morph oscillator
+export const applyNoiseBand = (samples, source, freq, sampleRate) => {
+  if (!isNoiseType(source)) {
+    return samples;
+  }
+  return filterSamples(samples, { type: 'bandpass', cutoff: freq, resonance: NOISE_BANDPASS_Q }, sampleRate);
+};
+
+// Carrier cycles after which a tone repeats exactly, or null when it doesn't within MAX_LOOP_PERIOD
+export const getLoopPeriod = (source, synthesis) => {
+  if (isNoiseType(source)) {
+    return null;
+  }
+  if (synthesis.mode === 'basic') {
+    return 1;
+  }
+  for (let period = 1; period <= MAX_LOOP_PERIOD; period++) {
+    const modulatorCycles = synthesis.ratio * period;
+    if (Math.abs(modulatorCycles - Math.round(modulatorCycles)) < 1e-6) {
+      return period;
+    }
+  }
+  return null;
+};
+
+// Loop length in samples holding a whole number of periods, closest in pitch to frequency
+// Returns { length, cycles }; the loop plays at cycles * sampleRate / length
+export const getLoopLength = (frequency, period = 1, sampleRate = LOOP_SAMPLE_RATE, duration = LOOP_DURATION) => {
+  const maxLength = Math.round(sampleRate * duration);
+  let best = null;
+  for (let length = maxLength; length >= Math.round(maxLength / 2); length--) {
+    const cycles = Math.max(1, Math.round((frequency * length) / (sampleRate * period))) * period;
+    const error = Math.abs(Math.log2((cycles * sampleRate) / (length * frequency)));
+    if (!best || error < best.error) {
+      best = { length, cycles, error };
+    }
+  }
+  return { length: best.length, cycles: best.cycles };
+};
+
+// In-place radix-2 FFT (length must be a power of two); inverse also scales by 1/n
+const fft = (re, im, inverse = false) => {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = ((inverse ? 2 : -2) * Math.PI) / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+};
+
+// One period of a sampler (period carrier cycles) with every harmonic above the limit removed
+export const createBandLimitedTable = (sampler, period, harmonics) => {
+  let size = MIN_TABLE_SIZE;
+  while (size < harmonics * 8 && size < MAX_TABLE_SIZE) {
+    size *= 2;
+  }
+  const kept = Math.max(1, Math.min(harmonics, size / 2 - 1));
+
+  const re = Float64Array.from({ length: size }, (_, i) => sampler((i / size) * period));
+  const im = new Float64Array(size);
+  fft(re, im);
+  // Clear the bins above the limit along with their mirror images
+  for (let k = kept + 1; k < size - kept; k++) {
+    re[k] = 0;
+    im[k] = 0;
+  }
+  fft(re, im, true);
+  return re;
+};
+
+// Blend the samples past the end of a loop into its start, so the seam joins up
+// samples holds length + fadeLength samples; returns the first length, with the seam crossfaded
+const crossfadeSeam = (samples, length, fadeLength) => {
+  const looped = samples.slice(0, length);
+  for (let i = 0; i < fadeLength; i++) {
+    const fade = i / fadeLength;
+    looped[i] = samples[i] * fade + samples[length + i] * (1 - fade);
+  }
+  return looped;
+};
+
+// The tone an engine patch plays (see ../AudioEngine getPatch)
+export const getLoopTone = (patch) => ({
+  source: patch.waveSource,
+  cycle: patch.customWave,
+  synthesis: patch.synthesis,
+  frequency: patch.frequency,
+  amplitude: patch.amplitude,
+  attenuation: patch.highFreqAttenuation
+});
+
+// Samples for one loop of a tone, compensated the same way as the Web Audio engine
+// tone: { source, cycle, synthesis, frequency, amplitude, attenuation } (attenuation is the high-frequency setting)
+export const renderLoop = (tone, sampleRate = LOOP_SAMPLE_RATE, duration = LOOP_DURATION) => {
+  const { source, cycle, synthesis, frequency, amplitude, attenuation } = tone;
+  const gain = amplitude * LOOP_LEVEL * getSourceCompensation(source, cycle, frequency) * getFrequencyAttenuation(frequency, attenuation);
+  const sampler = createWaveSampler(source, cycle, synthesis);
+  const period = getLoopPeriod(source, synthesis);
+
+  if (period === null) {
+    // Render past the end for the seam, with a lead-in so the noise band has settled
+    const length = Math.round(sampleRate * duration);
+    const fadeLength = Math.round(sampleRate * LOOP_CROSSFADE_TIME);
+    const leadIn = isNoiseType(source) ? fadeLength : 0;
+    const rendered = applyNoiseBand(
+      Float32Array.from({ length: leadIn + length + fadeLength }, (_, i) => sampler(frequency * ((i - leadIn) / sampleRate))),
+      source,
+      frequency,
+      sampleRate
+    ).slice(leadIn);
+    const looped = crossfadeSeam(rendered, length, fadeLength).map(sample => sample * gain);
+    // Noise peaks are random: the odd loop that reaches past LOOP_LEVEL is scaled back under it
+    const peak = looped.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+    const ceiling = amplitude * LOOP_LEVEL;
+    return peak > ceiling ? looped.map(sample => (sample * ceiling) / peak) : looped;
+  }
+
+  const { length, cycles } = getLoopLength(frequency, period, sampleRate, duration);
+  const periodFrequency = (cycles / period) * (sampleRate / length);
+  const table = createBandLimitedTable(sampler, period, Math.floor((sampleRate * BAND_LIMIT) / periodFrequency));
+  const periods = cycles / period;
+  return Float32Array.from({ length }, (_, i) => sampleCycle(table, (i * periods) / length) * gain);
+};
+
+// A tone loop as a 16-bit mono WAV file
+export const renderLoopWav = (tone, sampleRate = LOOP_SAMPLE_RATE, duration = LOOP_DURATION) => (
+  encodeWav([renderLoop(tone, sampleRate, duration)], sampleRate)
+);
@@ -0,0 +1,85 @@
+// Microphone input for the visualizer (Web Audio API)
+// Graph: getUserMedia stream -> inputGain -> analyser, and nothing further: the analyser is a dead end,
+// so the room is never played back through the speakers and can't feed back.
+// Echo cancellation, noise suppression and auto gain are off so the waveform shows the raw sound.
+
+import { smoothParam } from './smoothing';
+
+export const INPUT_SOURCES = ['synth', 'microphone'];
+
+export const MIN_INPUT_GAIN = 0;
+export const MAX_INPUT_GAIN = 4;
+export const DEFAULT_INPUT_GAIN = 1;
+
+export const clampInputGain = (gain) => Math.max(MIN_INPUT_GAIN, Math.min(MAX_INPUT_GAIN, gain));
+
+// A message the UI can show for a failed getUserMedia call
+export const getMicrophoneErrorMessage = (error) => {
+  switch (error && error.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'Microphone permission was denied. Allow microphone access for this page and try again.';
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return 'No microphone was found. Connect one and try again.';
+    case 'NotReadableError':
+      return 'The microphone is in use by another application.';
+    default:
+      return `Could not open the microphone: ${(error && error.message) || 'unknown error'}`;
+  }
+};
+
+// Open the microphone on a context; throws with a UI-ready message when it can't
+export const createMicrophoneInput = async (context, gain = DEFAULT_INPUT_GAIN) => {
+  if (typeof navigator === 'undefined' || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    throw new Error('This browser can\'t capture the microphone (it needs HTTPS and getUserMedia).');
+  }
+
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+    });
+  } catch (error) {
+    throw new Error(getMicrophoneErrorMessage(error));
+  }
+
+  const source = context.createMediaStreamSource(stream);
+  const inputGain = context.createGain();
+  inputGain.gain.value = clampInputGain(gain);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 2048;
+  source.connect(inputGain);
+  inputGain.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  const bytes = new Uint8Array(analyser.fftSize);
+
+  return {
+    analyser,
+
+    // Latest block of input samples (-1 to 1) for pitch detection; reuses one array
+    getSamples: () => {
+      if (analyser.getFloatTimeDomainData) {
+        analyser.getFloatTimeDomainData(samples);
+      } else {
+        analyser.getByteTimeDomainData(bytes);
+        bytes.forEach((byte, i) => {
+          samples[i] = (byte - 128) / 128;
+        });
+      }
+      return samples;
+    },
+
+    setGain: (value, now = context.currentTime) => {
+      smoothParam(inputGain.gain, clampInputGain(value), now);
+    },
+
+    // Disconnect the nodes and release the device (turns off the browser's recording indicator)
+    stop: () => {
+      source.disconnect();
+      inputGain.disconnect();
+      stream.getTracks().forEach(track => track.stop());
+    }
+  };
+};
@@ -0,0 +1,90 @@
+// Web MIDI input: message parsing, the held-key stack, pitch bend and wiring up MIDIAccess inputs
+// Nothing here reaches for globals unless asked: pass a navigator or a MIDIAccess (real or fake),
+// so the layer runs the same against a stand-in object as against hardware.
+
+export const PITCH_BEND_RANGE = 2; // Semitones up or down at full bend
+
+const PITCH_BEND_CENTER = 8192;
+
+export const isMidiSupported = (nav = typeof navigator !== 'undefined' ? navigator : null) => (
+  !!nav && typeof nav.requestMIDIAccess === 'function'
+);
+
+// Ask for MIDI access; throws with a message for the UI when the browser has no Web MIDI or refuses
+export const requestMidiAccess = async (nav = typeof navigator !== 'undefined' ? navigator : null) => {
+  if (!isMidiSupported(nav)) {
+    throw new Error('This browser has no Web MIDI support. Try Chrome or Edge.');
+  }
+  try {
+    return await nav.requestMIDIAccess();
+  } catch (error) {
+    if (error && (error.name === 'SecurityError' || error.name === 'NotAllowedError')) {
+      throw new Error('MIDI permission was denied. Allow MIDI access for this page and try again.');
+    }
+    throw new Error(`Could not open MIDI: ${(error && error.message) || 'unknown error'}`);
+  }
+};
+
+// Channel voice messages the app understands, or null for anything else (clock, sysex, aftertouch...)
+// Note-on with velocity 0 is a note-off, as running-status keyboards send it
+export const parseMidiMessage = (data) => {
+  if (!data || data.length === 0) {
+    return null;
+  }
+  const [status, data1 = 0, data2 = 0] = data;
+  const channel = status & 0x0f;
+  switch (status & 0xf0) {
+    case 0x90:
+      if (data2 > 0) {
+        return { type: 'noteOn', channel, note: data1, velocity: data2 };
+      }
+      return { type: 'noteOff', channel, note: data1, velocity: 0 };
+    case 0x80:
+      return { type: 'noteOff', channel, note: data1, velocity: data2 };
+    case 0xb0:
+      return { type: 'controlChange', channel, controller: data1, value: data2 };
+    case 0xe0:
+      return { type: 'pitchBend', channel, value: ((data2 << 7) | data1) - PITCH_BEND_CENTER };
+    default:
+      return null;
+  }
+};
+
+// Frequency ratio for a pitch bend value (-8192 to 8191)
+export const getPitchBendRatio = (bend, range = PITCH_BEND_RANGE) => (
+  Math.pow(2, ((bend / PITCH_BEND_CENTER) * range) / 12)
+);
+
+// Held keys, most recent last: the keyboard plays the last key still held (last-note priority)
+export const pressNote = (held, note) => [...held.filter(key => key !== note), note];
+
+export const releaseNote = (held, note) => held.filter(key => key !== note);
+
+// Listen to every input of a MIDIAccess, including devices plugged in later
+// onMessage(message, input) gets parsed messages; onInputsChange(names) hears the current input list
+// Returns a function that stops listening
+export const connectMidiInputs = (access, onMessage, onInputsChange = () => {}) => {
+  const listen = () => {
+    const names = [];
+    access.inputs.forEach((input) => {
+      input.onmidimessage = (event) => {
+        const message = parseMidiMessage(event.data);
+        if (message) {
+          onMessage(message, input);
+        }
+      };
+      names.push(input.name || input.id);
+    });
+    onInputsChange(names);
+  };
+
+  access.onstatechange = listen;
+  listen();
+
+  return () => {
+    access.onstatechange = null;
+    access.inputs.forEach((input) => {
+      input.onmidimessage = null;
+    });
+  };
+};
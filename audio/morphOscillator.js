@@ -0,0 +1,378 @@
+// Oscillator that morphs continuously between the basic wave types
+// One phase-locked OscillatorNode per MORPH_WAVE_TYPES entry, mixed by the shape value,
+// plus a custom slot playing a PeriodicWave that can be crossfaded in over the morph.
+// A sine modulator tracking the frequency adds FM (into every oscillator's frequency) or AM/ring (into the output gain).
+// connectModulationIndex takes an audio-rate offset to the index (e.g. an LFO), scaled for the mode.
+// Optional noise slots loop white/pink/brown buffers through a bandpass that follows the frequency.
+// Exposes the OscillatorNode surface the engine uses (frequency, connect, start, stop, onended)
+// so switching waves never restarts a source or resets phase.
+
+import { MORPH_WAVE_TYPES, clampShape, getMorphWeights } from './waveShapes';
+import { SMOOTHING_TIME_CONSTANT, smoothParam } from './smoothing';
+import { DEFAULT_SYNTHESIS, getSynthesisGains, getSynthesisIndexSlopes } from './synthesis';
+import { NOISE_TYPES, NOISE_BANDPASS_Q } from './noise';
+
+// Methods whose first argument is a value (scaled per param) rather than a time
+const VALUE_METHODS = [
+  'setValueAtTime',
+  'linearRampToValueAtTime',
+  'exponentialRampToValueAtTime',
+  'setTargetAtTime'
+];
+
+const TIME_METHODS = [
+  'cancelScheduledValues',
+  'cancelAndHoldAtTime'
+];
+
+// Fan several AudioParams out behind one AudioParam-like object
+// entries: { param, getScale } - each param follows the group value times its scale
+// Only used when ConstantSourceNode is unavailable (Safari before 14.1)
+const createParamGroup = (entries) => {
+  const group = {
+    get value() {
+      return entries[0].param.value;
+    },
+    set value(newValue) {
+      entries.forEach(({ param, getScale }) => { param.value = newValue * getScale(); });
+    }
+  };
+
+  VALUE_METHODS.forEach((method) => {
+    group[method] = (value, ...args) => {
+      entries.forEach(({ param, getScale }) => param[method](value * getScale(), ...args));
+      return group;
+    };
+  });
+
+  TIME_METHODS.forEach((method) => {
+    // cancelAndHoldAtTime is missing in Firefox; smoothing checks for it before use
+    if (entries[0].param[method]) {
+      group[method] = (...args) => {
+        entries.forEach(({ param }) => param[method](...args));
+        return group;
+      };
+    }
+  });
+
+  return group;
+};
+
+// waveGains: per-wave loudness compensation, aligned with MORPH_WAVE_TYPES
+// periodicWave/customGain: initial custom slot waveform and its loudness compensation
+// customMix: 0 plays the morph, 1 plays the custom slot
+// synthesis: FM/AM mode, modulator ratio and index (see ./synthesis)
+// noiseBuffers/noiseGains: looping buffer and make-up gain per NOISE_TYPES entry (no noise slots without buffers)
+// noiseType: noise type to play instead of the tonal sources, or null
+export const createMorphOscillator = (context, {
+  frequency = 440,
+  shape = 0,
+  waveGains = [1, 1, 1, 1],
+  periodicWave = null,
+  customGain = 1,
+  customMix = 0,
+  synthesis = DEFAULT_SYNTHESIS,
+  noiseBuffers = null,
+  noiseGains = {},
+  noiseType = null
+} = {}) => {
+  // Output gain doubles as the AM/ring carrier gain
+  const output = context.createGain();
+
+  // The last oscillator is the custom slot; it plays a sine until given a PeriodicWave
+  const oscillators = [...MORPH_WAVE_TYPES, 'sine'].map((type) => {
+    const oscillator = context.createOscillator();
+    oscillator.type = type;
+    return oscillator;
+  });
+  const customIndex = MORPH_WAVE_TYPES.length;
+  if (periodicWave) {
+    oscillators[customIndex].setPeriodicWave(periodicWave);
+  }
+
+  const mixGains = oscillators.map((oscillator) => {
+    const mixGain = context.createGain();
+    mixGain.gain.value = 0;
+    oscillator.connect(mixGain);
+    mixGain.connect(output);
+    return mixGain;
+  });
+
+  // Noise slots share one bandpass; their mix gains pick the type
+  const noiseSources = [];
+  const noiseMixGains = [];
+  let noiseBandpass = null;
+  if (noiseBuffers) {
+    noiseBandpass = context.createBiquadFilter();
+    noiseBandpass.type = 'bandpass';
+    noiseBandpass.Q.value = NOISE_BANDPASS_Q;
+    noiseBandpass.connect(output);
+    NOISE_TYPES.forEach((type) => {
+      const source = context.createBufferSource();
+      const mixGain = context.createGain();
+      source.buffer = noiseBuffers[type];
+      source.loop = true;
+      mixGain.gain.value = 0;
+      source.connect(mixGain);
+      mixGain.connect(noiseBandpass);
+      noiseSources.push(source);
+      noiseMixGains.push(mixGain);
+    });
+  }
+
+  // Sine modulator for FM/AM: fmGain feeds every oscillator's frequency, amGain feeds the output gain
+  let currentSynthesis = synthesis;
+  const modulator = context.createOscillator();
+  const fmGain = context.createGain();
+  const amGain = context.createGain();
+  modulator.type = 'sine';
+  fmGain.gain.value = 0;
+  modulator.connect(fmGain);
+  modulator.connect(amGain);
+  oscillators.forEach(oscillator => fmGain.connect(oscillator.frequency));
+  amGain.connect(output.gain);
+
+  // Index modulation input, in index units: it moves the FM deviation, AM/ring depth and carrier gain
+  // the way a change of index would (see getSynthesisIndexSlopes); the FM slope also scales with frequency
+  const indexInput = context.createGain();
+  const fmIndexGain = context.createGain();
+  const amIndexGain = context.createGain();
+  const carrierIndexGain = context.createGain();
+  indexInput.connect(fmIndexGain);
+  indexInput.connect(amIndexGain);
+  indexInput.connect(carrierIndexGain);
+  fmIndexGain.connect(fmGain.gain);
+  amIndexGain.connect(amGain.gain);
+  carrierIndexGain.connect(output.gain);
+
+  // Drive every oscillator from a single frequency param so glides stay in lockstep
+  // The modulator frequency (ratio × f) and FM deviation (index × ratio × f) follow the same signal
+  let frequencySource = null;
+  let frequencyParam;
+  let ratioGain = null;
+  let fmDepthGain = null;
+  let fmIndexSlopeGain = null;
+  if (context.createConstantSource) {
+    frequencySource = context.createConstantSource();
+    frequencySource.offset.value = frequency;
+    oscillators.forEach((oscillator) => {
+      oscillator.frequency.value = 0;
+      frequencySource.connect(oscillator.frequency);
+    });
+    if (noiseBandpass) {
+      noiseBandpass.frequency.value = 0;
+      frequencySource.connect(noiseBandpass.frequency);
+    }
+    frequencyParam = frequencySource.offset;
+
+    ratioGain = context.createGain();
+    fmDepthGain = context.createGain();
+    modulator.frequency.value = 0;
+    frequencySource.connect(ratioGain);
+    ratioGain.connect(modulator.frequency);
+    frequencySource.connect(fmDepthGain);
+    fmDepthGain.connect(fmGain.gain);
+
+    fmIndexSlopeGain = context.createGain();
+    fmIndexGain.gain.value = 0;
+    frequencySource.connect(fmIndexSlopeGain);
+    fmIndexSlopeGain.connect(fmIndexGain.gain);
+  } else {
+    oscillators.forEach((oscillator) => { oscillator.frequency.value = frequency; });
+    const pitchParams = oscillators.map(oscillator => oscillator.frequency);
+    if (noiseBandpass) {
+      noiseBandpass.frequency.value = frequency;
+      pitchParams.push(noiseBandpass.frequency);
+    }
+    frequencyParam = createParamGroup([
+      ...pitchParams.map(param => ({ param, getScale: () => 1 })),
+      { param: modulator.frequency, getScale: () => currentSynthesis.ratio },
+      { param: fmGain.gain, getScale: () => getSynthesisGains(currentSynthesis).fmDepth },
+      { param: fmIndexGain.gain, getScale: () => getSynthesisIndexSlopes(currentSynthesis).fmDepth }
+    ]);
+  }
+
+  const sources = [
+    ...(frequencySource ? [frequencySource] : []),
+    modulator,
+    ...oscillators,
+    ...noiseSources
+  ];
+  const modulationNodes = [
+    fmGain,
+    amGain,
+    ratioGain,
+    fmDepthGain,
+    indexInput,
+    fmIndexGain,
+    amIndexGain,
+    carrierIndexGain,
+    fmIndexSlopeGain,
+    noiseBandpass,
+    ...noiseMixGains
+  ].filter(Boolean);
+  // Detune targets: every oscillator, plus the noise bandpass so vibrato moves the band too
+  const detuneParams = [
+    ...oscillators.map(oscillator => oscillator.detune),
+    ...(noiseBandpass ? [noiseBandpass.detune] : [])
+  ];
+  let currentShape = clampShape(shape);
+  let currentCustomMix = Math.max(0, Math.min(1, customMix));
+  let currentCustomGain = customGain;
+  let currentNoiseType = noiseBandpass && NOISE_TYPES.includes(noiseType) ? noiseType : null;
+  const detuneInputs = []; // Nodes modulating detune (in cents), detached again on disconnect
+  const indexInputs = []; // Nodes modulating the index, likewise
+
+  const applyShape = (now, timeConstant) => {
+    const tonalMix = currentNoiseType ? 0 : 1;
+    const targets = [
+      ...getMorphWeights(currentShape).map((weight, index) => weight * waveGains[index] * (1 - currentCustomMix) * tonalMix),
+      currentCustomMix * currentCustomGain * tonalMix
+    ];
+    const noiseTargets = NOISE_TYPES.map(type => (type === currentNoiseType ? noiseGains[type] || 1 : 0));
+    const gains = [...mixGains, ...noiseMixGains];
+    [...targets, ...noiseTargets.slice(0, noiseMixGains.length)].forEach((target, index) => {
+      if (timeConstant > 0) {
+        smoothParam(gains[index].gain, target, now, timeConstant);
+      } else {
+        gains[index].gain.setValueAtTime(target, now);
+      }
+    });
+  };
+
+  const applySynthesis = (now, timeConstant) => {
+    const { fmDepth, carrierGain, modulatorGain } = getSynthesisGains(currentSynthesis);
+    const slopes = getSynthesisIndexSlopes(currentSynthesis);
+    const setParam = (param, target) => {
+      if (timeConstant > 0) {
+        smoothParam(param, target, now, timeConstant);
+      } else {
+        param.setValueAtTime(target, now);
+      }
+    };
+
+    setParam(output.gain, carrierGain);
+    setParam(amGain.gain, modulatorGain);
+    setParam(carrierIndexGain.gain, slopes.carrierGain);
+    setParam(amIndexGain.gain, slopes.modulatorGain);
+    if (frequencySource) {
+      setParam(ratioGain.gain, currentSynthesis.ratio);
+      setParam(fmDepthGain.gain, fmDepth);
+      setParam(fmIndexSlopeGain.gain, slopes.fmDepth);
+    } else {
+      // Re-apply the current frequency so the scaled modulator params pick up the new ratio/depth
+      frequencyParam.setValueAtTime(frequencyParam.value, now);
+    }
+  };
+
+  applyShape(context.currentTime, 0);
+  applySynthesis(context.currentTime, 0);
+
+  const morphOscillator = {
+    frequency: frequencyParam,
+    onended: null,
+
+    get shape() {
+      return currentShape;
+    },
+
+    get customMix() {
+      return currentCustomMix;
+    },
+
+    get synthesis() {
+      return currentSynthesis;
+    },
+
+    get noiseType() {
+      return currentNoiseType;
+    },
+
+    // Crossfade to a new shape; timeConstant 0 jumps immediately
+    setShape(newShape, now = context.currentTime, timeConstant = SMOOTHING_TIME_CONSTANT) {
+      currentShape = clampShape(newShape);
+      applyShape(now, timeConstant);
+    },
+
+    // Replace the custom slot's waveform (and its loudness compensation)
+    setPeriodicWave(newPeriodicWave, newCustomGain = currentCustomGain, now = context.currentTime) {
+      oscillators[customIndex].setPeriodicWave(newPeriodicWave);
+      currentCustomGain = newCustomGain;
+      applyShape(now, SMOOTHING_TIME_CONSTANT);
+    },
+
+    // Crossfade between the morph (0) and the custom slot (1)
+    setCustomMix(amount, now = context.currentTime, timeConstant = SMOOTHING_TIME_CONSTANT) {
+      currentCustomMix = Math.max(0, Math.min(1, amount));
+      applyShape(now, timeConstant);
+    },
+
+    connect(destination) {
+      output.connect(destination);
+      return destination;
+    },
+
+    // Crossfade to a noise type, or back to the tonal sources with null
+    setNoise(newNoiseType, now = context.currentTime, timeConstant = SMOOTHING_TIME_CONSTANT) {
+      currentNoiseType = noiseBandpass && NOISE_TYPES.includes(newNoiseType) ? newNoiseType : null;
+      applyShape(now, timeConstant);
+    },
+
+    // Change FM/AM mode, ratio or index without restarting
+    setSynthesis(newSynthesis, now = context.currentTime, timeConstant = SMOOTHING_TIME_CONSTANT) {
+      currentSynthesis = newSynthesis;
+      applySynthesis(now, timeConstant);
+    },
+
+    // Route an AudioNode's output into every oscillator's detune (e.g. a vibrato LFO)
+    connectDetune(node) {
+      detuneParams.forEach(param => node.connect(param));
+      detuneInputs.push(node);
+    },
+
+    // Route an AudioNode's output into the modulation index (e.g. an LFO), in index units
+    connectModulationIndex(node) {
+      node.connect(indexInput);
+      indexInputs.push(node);
+    },
+
+    disconnect() {
+      detuneInputs.forEach((node) => {
+        detuneParams.forEach((param) => {
+          try {
+            node.disconnect(param);
+          } catch (error) {
+            // Already detached from this param
+          }
+        });
+      });
+      detuneInputs.length = 0;
+      indexInputs.forEach((node) => {
+        try {
+          node.disconnect(indexInput);
+        } catch (error) {
+          // Already detached
+        }
+      });
+      indexInputs.length = 0;
+      sources.forEach(source => source.disconnect());
+      mixGains.forEach(mixGain => mixGain.disconnect());
+      modulationNodes.forEach(node => node.disconnect());
+      output.disconnect();
+    },
+
+    start(when = 0) {
+      sources.forEach(source => source.start(when));
+    },
+
+    stop(when = 0) {
+      sources.forEach(source => source.stop(when));
+    }
+  };
+
+  oscillators[0].onended = () => {
+    morphOscillator.onended && morphOscillator.onended();
+  };
+
+  return morphOscillator;
+};
@@ -0,0 +1,66 @@
+// Native playback (iOS/Android) through expo-audio
+// expo-audio plays files rather than sample buffers, so each rendered loop is written to the cache
+// as a WAV. A player loops one tone in a file of its own, so a file is never rewritten while it
+// plays; a tone change starts a new player and crossfades to it (see ./backends/nativeBackend).
+
+import { createAudioPlayer, setAudioModeAsync } from 'expo-audio';
+import { File, Paths } from 'expo-file-system';
+import { renderLoopWav } from './loopSynth';
+
+export const setNativeAudioMode = () => setAudioModeAsync({
+  playsInSilentMode: true,
+  shouldPlayInBackground: false,
+  interruptionModeAndroid: 'duckOthers',
+  allowsRecording: false
+});
+
+let nextPlayerId = 0;
+
+// A looping tone player; volume is exposed so envelopes and crossfades can animate it like an HTML5 Audio element
+export const createNativeTonePlayer = () => {
+  const file = new File(Paths.cache, `tone-loop-${nextPlayerId++}.wav`);
+  let player = null;
+
+  return {
+    get playing() {
+      return player !== null;
+    },
+
+    get volume() {
+      return player ? player.volume : 0;
+    },
+
+    set volume(value) {
+      if (player) {
+        player.volume = Math.max(0, Math.min(1, value));
+      }
+    },
+
+    // Render a tone and start looping it; a player plays one tone for its whole life
+    play(tone, volume) {
+      if (player) {
+        return;
+      }
+      if (file.exists) {
+        file.delete();
+      }
+      file.create();
+      file.write(new Uint8Array(renderLoopWav(tone)));
+      player = createAudioPlayer({ uri: file.uri });
+      player.volume = Math.max(0, Math.min(1, volume));
+      player.loop = true;
+      player.play();
+    },
+
+    stop() {
+      if (player) {
+        player.pause();
+        player.remove();
+        player = null;
+      }
+      if (file.exists) {
+        file.delete();
+      }
+    }
+  };
+};
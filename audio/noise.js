@@ -0,0 +1,92 @@
+// White, pink and brown noise sources
+// Noise plays through a bandpass centred on the played frequency, so pitch controls still
+// move something audible. Generators are pure so the HTML5 fallback and visualizer can share them.
+
+export const NOISE_TYPES = ['white', 'pink', 'brown'];
+
+// Bandpass Q for noise: wide enough to sound like noise, narrow enough to follow the pitch
+export const NOISE_BANDPASS_Q = 1;
+
+// Make-up gain for band-passed noise with the band at NOISE_REFERENCE_FREQUENCY, putting its RMS
+// about 10dB under a full-scale sine's. Band-passed noise peaks at around four times its RMS, so this
+// keeps its peaks below the sine's, and noise sounds louder than a tone of equal RMS anyway.
+export const NOISE_LEVELS = {
+  white: 1.6,
+  pink: 3.2,
+  brown: 3
+};
+
+export const NOISE_REFERENCE_FREQUENCY = 440;
+
+// How band RMS grows with the band's centre, as a power of frequency. A constant-Q band is as wide as
+// its centre frequency, so white noise's band RMS rises with √f; brown falls 6dB per octave, faster
+// than the band widens, so its band RMS drops with √f; pink's -3dB per octave cancels the widening.
+export const NOISE_BAND_SLOPES = {
+  white: 0.5,
+  pink: 0,
+  brown: -0.5
+};
+
+// Seconds of noise per looping buffer; long enough that the loop isn't heard as a rhythm
+export const NOISE_BUFFER_DURATION = 2;
+
+export const isNoiseType = (type) => NOISE_TYPES.includes(type);
+
+// Stateful sample generator (-1 to 1, roughly) for a noise type
+export const createNoiseGenerator = (type, random = Math.random) => {
+  if (type === 'pink') {
+    // Paul Kellet's refined pink noise filter (-3dB per octave)
+    let b0 = 0;
+    let b1 = 0;
+    let b2 = 0;
+    let b3 = 0;
+    let b4 = 0;
+    let b5 = 0;
+    let b6 = 0;
+    return () => {
+      const white = random() * 2 - 1;
+      b0 = 0.99886 * b0 + white * 0.0555179;
+      b1 = 0.99332 * b1 + white * 0.0750759;
+      b2 = 0.969 * b2 + white * 0.153852;
+      b3 = 0.8665 * b3 + white * 0.3104856;
+      b4 = 0.55 * b4 + white * 0.5329522;
+      b5 = -0.7616 * b5 - white * 0.016898;
+      const pink = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+      b6 = white * 0.115926;
+      return pink * 0.11;
+    };
+  }
+
+  if (type === 'brown') {
+    // Leaky integration of white noise (-6dB per octave)
+    let last = 0;
+    return () => {
+      const white = random() * 2 - 1;
+      last = (last + 0.02 * white) / 1.02;
+      return last * 3.5;
+    };
+  }
+
+  return () => random() * 2 - 1;
+};
+
+// A block of noise samples
+export const createNoiseSamples = (type, length, random = Math.random) => {
+  const next = createNoiseGenerator(type, random);
+  const samples = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    samples[i] = next();
+  }
+  return samples;
+};
+
+// Looping AudioBuffers for every noise type (Web Audio API)
+export const createNoiseBuffers = (context, duration = NOISE_BUFFER_DURATION) => {
+  const length = Math.round(context.sampleRate * duration);
+  return NOISE_TYPES.reduce((buffers, type) => {
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    buffer.getChannelData(0).set(createNoiseSamples(type, length));
+    buffers[type] = buffer;
+    return buffers;
+  }, {});
+};
@@ -0,0 +1,104 @@
+// Registry of the parameters a 0 to 1 control can set: MIDI CCs bind to any of them, gesture routes to
+// the GESTURE_DESTINATIONS among them. Each entry names the setting it changes (a section of the patch
+// and a key in it; top-level settings are their own section) and the range its slider covers, so a CC
+// sweeps the same travel as the slider.
+// Log entries sweep geometrically, like the cutoff and LFO rate sliders, and a step snaps the value
+// (whole BPM for the tempo). Pitch has no range here: the UI maps it through the pad's pitch map.
+// Everything here is pure so bindings can be saved as JSON.
+
+import { ENVELOPE_LIMITS } from './envelope';
+import { MAX_GLIDE_TIME } from './smoothing';
+import { MAX_SHAPE } from './waveShapes';
+import { LFO_LIMITS, DEFAULT_LFOS } from './lfo';
+import { SYNTHESIS_LIMITS } from './synthesis';
+import { FILTER_LIMITS } from './filter';
+import { EFFECT_TYPES, EFFECT_LIMITS } from './effects';
+import { SPATIAL_LIMITS } from './spatial';
+import { SEQUENCER_LIMITS } from './sequencer';
+
+export const MAX_CONTROLLER = 127;
+
+const ENVELOPE_STAGES = [
+  ['attack', 'Attack'],
+  ['decay', 'Decay'],
+  ['sustain', 'Sustain'],
+  ['release', 'Release']
+];
+
+const EFFECT_PARAMS = {
+  distortion: [['mix', 'Mix'], ['drive', 'Drive']],
+  delay: [['mix', 'Mix'], ['time', 'Time'], ['feedback', 'Feedback']],
+  reverb: [['mix', 'Mix'], ['decay', 'Decay']]
+};
+
+const EFFECT_GROUPS = {
+  distortion: 'Distortion',
+  delay: 'Delay',
+  reverb: 'Reverb'
+};
+
+const envelopeParameters = (section, group) => ENVELOPE_STAGES.map(([key, label]) => ({
+  id: `${section}.${key}`, label, group, section, key, ...ENVELOPE_LIMITS[key], scale: 'linear'
+}));
+
+// The gesture destinations keep their original ids, so saved layouts and bindings still load
+export const PARAMETERS = [
+  { id: 'pitch', label: 'Pitch', group: 'Voice', section: 'frequency', key: 'frequency', scale: 'pitch' },
+  { id: 'amplitude', label: 'Amplitude', group: 'Voice', section: 'amplitude', key: 'amplitude', min: 0, max: 1, scale: 'linear' },
+  { id: 'highFreqAttenuation', label: 'Attenuation', group: 'Voice', section: 'highFreqAttenuation', key: 'highFreqAttenuation', min: 0, max: 1, scale: 'linear' },
+  { id: 'masterVolume', label: 'Volume', group: 'Voice', section: 'masterVolume', key: 'masterVolume', min: 0, max: 1, scale: 'linear' },
+  { id: 'shape', label: 'Shape', group: 'Voice', section: 'shape', key: 'shape', min: 0, max: MAX_SHAPE, scale: 'linear' },
+  { id: 'glide', label: 'Glide', group: 'Voice', section: 'glide', key: 'time', min: 0, max: MAX_GLIDE_TIME, scale: 'linear' },
+  { id: 'modRatio', label: 'Mod Ratio', group: 'Synthesis', section: 'synthesis', key: 'ratio', ...SYNTHESIS_LIMITS.ratio, scale: 'linear' },
+  { id: 'modIndex', label: 'Mod Index', group: 'Synthesis', section: 'synthesis', key: 'index', ...SYNTHESIS_LIMITS.index, scale: 'linear' },
+  ...envelopeParameters('envelope', 'Envelope'),
+  { id: 'cutoff', label: 'Cutoff', group: 'Filter', section: 'filter', key: 'cutoff', ...FILTER_LIMITS.cutoff, scale: 'log' },
+  { id: 'resonance', label: 'Resonance', group: 'Filter', section: 'filter', key: 'resonance', ...FILTER_LIMITS.resonance, scale: 'linear' },
+  { id: 'filterEnvAmount', label: 'Env Amount', group: 'Filter', section: 'filter', key: 'envAmount', ...FILTER_LIMITS.envAmount, scale: 'linear' },
+  ...envelopeParameters('filterEnvelope', 'Filter Envelope'),
+  ...EFFECT_TYPES.flatMap(effect => EFFECT_PARAMS[effect].map(([key, label]) => ({
+    id: `${effect}.${key}`, label, group: EFFECT_GROUPS[effect], section: 'effect', effect, key, ...EFFECT_LIMITS[effect][key], scale: 'linear'
+  }))),
+  { id: 'pan', label: 'Pan', group: 'Spatial', section: 'spatial', key: 'pan', ...SPATIAL_LIMITS.pan, scale: 'linear' },
+  { id: 'depth', label: 'Depth', group: 'Spatial', section: 'spatial', key: 'depth', ...SPATIAL_LIMITS.depth, scale: 'linear' },
+  ...DEFAULT_LFOS.flatMap((lfo, index) => [
+    { id: `lfo${index + 1}.rate`, label: 'Rate', group: `LFO ${index + 1}`, section: 'lfo', index, key: 'rate', ...LFO_LIMITS.rate, scale: 'log' },
+    { id: `lfo${index + 1}.depth`, label: 'Depth', group: `LFO ${index + 1}`, section: 'lfo', index, key: 'depth', ...LFO_LIMITS.depth, scale: 'linear' }
+  ]),
+  { id: 'tempo', label: 'Tempo', group: 'Sequencer', section: 'sequencer', key: 'tempo', ...SEQUENCER_LIMITS.tempo, scale: 'linear', step: 1 },
+  { id: 'swing', label: 'Swing', group: 'Sequencer', section: 'sequencer', key: 'swing', ...SEQUENCER_LIMITS.swing, scale: 'linear' }
+];
+
+// Group names in the order their parameters appear, for laying out the learn buttons
+export const PARAMETER_GROUPS = [...new Set(PARAMETERS.map(parameter => parameter.group))];
+
+export const getParameter = id => PARAMETERS.find(parameter => parameter.id === id) || null;
+
+// A parameter's value in its own units for a 0 to 1 position (pitch has none; the UI maps it)
+export const getParameterValue = ({ min, max, scale, step }, ratio) => {
+  const position = isNaN(ratio) || !isFinite(ratio) ? 0 : Math.max(0, Math.min(1, ratio));
+  let value;
+  switch (scale) {
+    case 'log':
+      value = min * Math.pow(max / min, position);
+      break;
+    case 'linear':
+      value = min + position * (max - min);
+      break;
+    default:
+      return undefined;
+  }
+  return step ? Math.round(value / step) * step : value;
+};
+
+// Keep the bindings (CC number -> parameter id) that name a real CC and a known parameter,
+// e.g. ones saved by an older version
+export const clampParameterBindings = (bindings) => {
+  if (!bindings || typeof bindings !== 'object' || Array.isArray(bindings)) {
+    return {};
+  }
+  return Object.fromEntries(Object.entries(bindings).filter(([controller, id]) => {
+    const number = Number(controller);
+    return Number.isInteger(number) && number >= 0 && number <= MAX_CONTROLLER && getParameter(id) !== null;
+  }));
+};
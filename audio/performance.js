@@ -0,0 +1,117 @@
+// Performance capture: parameter changes as timestamped events, replayed on the audio clock
+// A recording starts with a snapshot of every parameter at time 0, so each pass of a loop
+// begins from the same state. Times are seconds from the start of the recording.
+
+export const PERFORMANCE_FORMAT_VERSION = 1;
+
+// Event value types; 'playing' is the START/STOP state
+export const PERFORMANCE_EVENT_TYPES = {
+  playing: 'boolean',
+  frequency: 'number',
+  amplitude: 'number',
+  shape: 'number',
+  waveType: 'string',
+  masterVolume: 'number',
+  highFreqAttenuation: 'number'
+};
+
+// Event types that are AudioParam changes, so replay can hand them to the audio clock ahead of time;
+// the rest swap nodes or start and stop the note, and apply when they are due
+export const SCHEDULED_EVENT_TYPES = ['frequency', 'amplitude', 'masterVolume', 'highFreqAttenuation'];
+
+// Shortest loop, so a recording with no length can't replay in a tight loop
+export const MIN_LOOP_DURATION = 0.5;
+
+export const createPerformance = (snapshot) => ({
+  version: PERFORMANCE_FORMAT_VERSION,
+  duration: 0,
+  events: Object.keys(snapshot).map(type => ({ time: 0, type, value: snapshot[type] }))
+});
+
+const isValidEvent = (event) => (
+  event !== null &&
+  typeof event === 'object' &&
+  typeof event.time === 'number' &&
+  isFinite(event.time) &&
+  event.time >= 0 &&
+  PERFORMANCE_EVENT_TYPES[event.type] !== undefined &&
+  typeof event.value === PERFORMANCE_EVENT_TYPES[event.type] &&
+  (typeof event.value !== 'number' || isFinite(event.value))
+);
+
+export const serializePerformance = (performance) => JSON.stringify(performance, null, 2);
+
+// Parse and validate a saved recording; unknown or malformed events are dropped
+export const parsePerformance = (json) => {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!data || !Array.isArray(data.events)) {
+    throw new Error('Not a performance recording (no events list)');
+  }
+  if (data.version > PERFORMANCE_FORMAT_VERSION) {
+    throw new Error(`Recording format ${data.version} is newer than this app supports`);
+  }
+
+  const events = data.events
+    .filter(isValidEvent)
+    .map(({ time, type, value }) => ({ time, type, value }))
+    .sort((a, b) => a.time - b.time);
+  if (events.length < data.events.length) {
+    console.warn(`Dropped ${data.events.length - events.length} invalid performance events`);
+  }
+
+  const lastTime = events.length > 0 ? events[events.length - 1].time : 0;
+  const duration = typeof data.duration === 'number' && isFinite(data.duration) ? data.duration : 0;
+  return {
+    version: PERFORMANCE_FORMAT_VERSION,
+    duration: Math.max(duration, lastTime),
+    events
+  };
+};
+
+export const getLoopDuration = (performance) => Math.max(MIN_LOOP_DURATION, performance.duration);
+
+// Events due by `now` from a playback cursor ({ startTime, index }) and the cursor after them
+// Types in SCHEDULED_EVENT_TYPES are due `lookahead` seconds early, so they can be scheduled at their
+// exact time; events still come out in order, so one that isn't due yet holds back those after it.
+// Each event comes back with `at`, its time on the clock.
+// Looping moves startTime on by whole loop lengths, so passes never drift from the clock.
+// A 'playing' event is always returned on its own, so the engine has caught up with the values
+// set before it when playback starts or stops.
+// nextTime is when the next event (or loop restart) is due; finished is set once a one-shot ends.
+export const getDueEvents = (performance, cursor, now, loop, lookahead = 0) => {
+  const { events } = performance;
+  const loopDuration = getLoopDuration(performance);
+  const getDueTime = event => (SCHEDULED_EVENT_TYPES.includes(event.type) ? now + lookahead : now);
+  const due = [];
+  let { startTime, index } = cursor;
+
+  while (true) {
+    if (index >= events.length) {
+      // A loop moves on to its next pass once that pass is inside the lookahead
+      if ((loop ? now + lookahead : now) < startTime + loopDuration) {
+        break;
+      }
+      if (!loop) {
+        return { events: due, cursor: { startTime, index }, nextTime: null, finished: true };
+      }
+      startTime += loopDuration;
+      index = 0;
+      continue;
+    }
+    const event = events[index];
+    if (startTime + event.time > getDueTime(event) || (event.type === 'playing' && due.length > 0)) {
+      break;
+    }
+    due.push({ ...event, at: startTime + event.time });
+    index++;
+    if (event.type === 'playing') {
+      break;
+    }
+  }
+
+  // Wake up when the next event becomes due, which is early for a scheduled one
+  const nextTime = index < events.length
+    ? startTime + events[index].time - (getDueTime(events[index]) - now)
+    : startTime + loopDuration - (loop ? lookahead : 0);
+  return { events: due, cursor: { startTime, index }, nextTime, finished: false };
+};
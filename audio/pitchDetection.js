@@ -0,0 +1,119 @@
+// Pitch detection for live input, and the pitch-follow settings built on it
+// detectPitch is YIN (de Cheveigné & Kawahara, 2002): the cumulative mean normalized difference
+// of the signal against itself, taking the first lag that dips under a threshold, refined by
+// parabolic interpolation. Everything here is pure, working on plain sample arrays.
+
+export const PITCH_RANGE = { minFrequency: 60, maxFrequency: 1600 }; // Bass voice to whistling
+
+export const YIN_THRESHOLD = 0.15; // Difference dip that counts as periodic
+export const MIN_PITCH_CONFIDENCE = 0.85; // Below this a detection is treated as noise
+export const MIN_INPUT_LEVEL = 0.01; // RMS below this is silence, with no pitch to find
+
+// Pitch follow: the oscillator tracks the input, shifted by an interval in semitones to harmonize
+export const DEFAULT_PITCH_FOLLOW = {
+  enabled: false,
+  interval: 0
+};
+
+export const PITCH_FOLLOW_LIMITS = {
+  interval: { min: -24, max: 24 }
+};
+
+export const FOLLOW_TOLERANCE_CENTS = 3; // Smaller moves are left alone so a held note stays put
+
+export const getRms = (samples) => {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return samples.length > 0 ? Math.sqrt(sum / samples.length) : 0;
+};
+
+// Fundamental of a block of samples (-1 to 1): { frequency, confidence } with confidence from 0 to 1,
+// or null for silence and for pitches whose period doesn't fit twice in the block
+export const detectPitch = (samples, sampleRate, {
+  minFrequency = PITCH_RANGE.minFrequency,
+  maxFrequency = PITCH_RANGE.maxFrequency,
+  threshold = YIN_THRESHOLD
+} = {}) => {
+  if (getRms(samples) < MIN_INPUT_LEVEL) {
+    return null;
+  }
+
+  // One lag past the lowest pitch's period, so a dip right at that period still has a far side
+  const maxLag = Math.min(Math.ceil(sampleRate / minFrequency) + 1, Math.floor(samples.length / 2));
+  const minLag = Math.max(2, Math.floor(sampleRate / maxFrequency));
+  if (maxLag <= minLag + 1) {
+    return null;
+  }
+  const windowSize = samples.length - maxLag;
+
+  // Cumulative mean normalized difference for each lag
+  const normalized = new Float32Array(maxLag + 1);
+  normalized[0] = 1;
+  let runningSum = 0;
+  for (let lag = 1; lag <= maxLag; lag++) {
+    let difference = 0;
+    for (let i = 0; i < windowSize; i++) {
+      const delta = samples[i] - samples[i + lag];
+      difference += delta * delta;
+    }
+    runningSum += difference;
+    normalized[lag] = runningSum > 0 ? (difference * lag) / runningSum : 1;
+  }
+
+  // First dip under the threshold, followed down to its bottom; otherwise the deepest dip
+  let bestLag = -1;
+  for (let lag = minLag; lag < maxLag; lag++) {
+    if (normalized[lag] < threshold) {
+      while (lag + 1 < maxLag && normalized[lag + 1] < normalized[lag]) {
+        lag++;
+      }
+      bestLag = lag;
+      break;
+    }
+  }
+  if (bestLag < 0) {
+    bestLag = minLag;
+    for (let lag = minLag + 1; lag < maxLag; lag++) {
+      if (normalized[lag] < normalized[bestLag]) {
+        bestLag = lag;
+      }
+    }
+  }
+
+  // A dip still falling at the end of the search bottoms out past half the block: the period is
+  // too long to see twice, and whatever lag was found is a guess
+  if (bestLag === maxLag - 1 && normalized[maxLag] < normalized[bestLag]) {
+    return null;
+  }
+
+  // Parabola through the dip and its neighbours for a lag between samples
+  const before = normalized[bestLag - 1];
+  const at = normalized[bestLag];
+  const after = normalized[bestLag + 1];
+  const curvature = before - 2 * at + after;
+  const shift = curvature > 0 ? (before - after) / (2 * curvature) : 0;
+
+  return {
+    frequency: sampleRate / (bestLag + shift),
+    confidence: Math.max(0, Math.min(1, 1 - at))
+  };
+};
+
+// Whether a detection is sure enough to act on
+export const isConfidentPitch = (pitch, minConfidence = MIN_PITCH_CONFIDENCE) => (
+  !!pitch && pitch.confidence >= minConfidence
+);
+
+// Clamp pitch follow settings, falling back to defaults for invalid values
+export const clampPitchFollow = (follow) => {
+  const { min, max } = PITCH_FOLLOW_LIMITS.interval;
+  const interval = isNaN(follow.interval) || !isFinite(follow.interval)
+    ? DEFAULT_PITCH_FOLLOW.interval
+    : Math.max(min, Math.min(max, Math.round(follow.interval)));
+  return { enabled: !!follow.enabled, interval };
+};
+
+// Where the oscillator goes for a detected pitch
+export const getFollowFrequency = (frequency, interval) => frequency * Math.pow(2, interval / 12);
@@ -0,0 +1,153 @@
+// Scales and the X-position-to-pitch mapping of the frequency pad
+// A "pitch map" describes the pad: its frequency range, its tuning and, when snapping, the scale
+// to snap to. Everything here is pure so the hook, the visualizer and the overlays agree on pitches.
+
+import {
+  DEFAULT_TUNING,
+  getStepCents,
+  getStepFrequency,
+  getFrequencyStep,
+  getNearestDegree
+} from './tuning';
+
+// Semitone offsets from the root; tunings without 12 notes use their nearest degrees
+export const SCALES = {
+  chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10],
+  majorPentatonic: [0, 2, 4, 7, 9],
+  minorPentatonic: [0, 3, 5, 7, 10],
+  dorian: [0, 2, 3, 5, 7, 9, 10],
+  phrygian: [0, 1, 3, 5, 7, 8, 10],
+  lydian: [0, 2, 4, 6, 7, 9, 11],
+  mixolydian: [0, 2, 4, 5, 7, 9, 10],
+  locrian: [0, 1, 3, 5, 6, 8, 10]
+};
+
+// Unsnapped pad: the full range of human hearing
+export const FREE_PAD_RANGE = { minFreq: 20, maxFreq: 20000 };
+
+// root: semitone above C (the nearest degree in tunings without 12 notes)
+// lowOctave: octave of the pad's lowest root note; octaves: pad span in periods
+export const DEFAULT_QUANTIZE = {
+  enabled: false,
+  root: 0,
+  scale: 'major',
+  lowOctave: 3,
+  octaves: 3
+};
+
+export const QUANTIZE_LIMITS = {
+  lowOctave: { min: 0, max: 8 },
+  octaves: { min: 1, max: 6 }
+};
+
+export const clampQuantize = (quantize) => {
+  const clampInteger = (key) => {
+    const { min, max } = QUANTIZE_LIMITS[key];
+    const value = Math.round(quantize[key]);
+    return isNaN(value) || !isFinite(value) ? DEFAULT_QUANTIZE[key] : Math.max(min, Math.min(max, value));
+  };
+  const root = Math.round(quantize.root);
+
+  return {
+    enabled: !!quantize.enabled,
+    root: isNaN(root) || !isFinite(root) ? DEFAULT_QUANTIZE.root : ((root % 12) + 12) % 12,
+    scale: SCALES[quantize.scale] ? quantize.scale : DEFAULT_QUANTIZE.scale,
+    lowOctave: clampInteger('lowOctave'),
+    octaves: clampInteger('octaves')
+  };
+};
+
+const mod = (value, divisor) => ((value % divisor) + divisor) % divisor;
+
+// Degree of the tuning the root falls on
+export const getRootDegree = (tuning, root) => {
+  return tuning.size === 12 ? root : getNearestDegree(tuning, root * 100);
+};
+
+// Degrees of the tuning that belong to a scale on a root
+export const getScaleDegrees = (tuning, root, scale) => {
+  const rootDegree = getRootDegree(tuning, root);
+  if (tuning.size === 12) {
+    return SCALES[scale].map(offset => mod(rootDegree + offset, 12));
+  }
+  if (scale === 'chromatic') {
+    return tuning.cents.map((_, degree) => degree);
+  }
+  const rootCents = tuning.cents[rootDegree];
+  return SCALES[scale]
+    .map(offset => getNearestDegree(tuning, rootCents + offset * 100))
+    .filter((degree, index, degrees) => degrees.indexOf(degree) === index);
+};
+
+// Nearest scale step to a fractional step, measured in cents
+export const quantizeStep = (tuning, exactStep, degrees) => {
+  const nearest = Math.round(exactStep);
+  const lower = Math.floor(exactStep);
+  const exactCents = getStepCents(tuning, lower) +
+    (exactStep - lower) * (getStepCents(tuning, lower + 1) - getStepCents(tuning, lower));
+  let best = nearest;
+  let bestDistance = Infinity;
+  // Every scale has a note within a period either way
+  for (let candidate = nearest - tuning.size; candidate <= nearest + tuning.size; candidate++) {
+    const distance = Math.abs(getStepCents(tuning, candidate) - exactCents);
+    if (distance < bestDistance && degrees.includes(mod(candidate, tuning.size))) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+};
+
+// Pad range and snapping for a quantize setting in a tuning
+export const getPitchMap = (quantize, tuning = DEFAULT_TUNING) => {
+  if (!quantize || !quantize.enabled) {
+    return { ...FREE_PAD_RANGE, tuning, quantize: null };
+  }
+  const rootDegree = getRootDegree(tuning, quantize.root);
+  const lowStep = (quantize.lowOctave + 1) * tuning.size + rootDegree;
+  // Kept within hearing range, which also bounds what the engine will play
+  return {
+    minFreq: Math.max(FREE_PAD_RANGE.minFreq, getStepFrequency(tuning, lowStep)),
+    maxFreq: Math.min(FREE_PAD_RANGE.maxFreq, getStepFrequency(tuning, lowStep + quantize.octaves * tuning.size)),
+    tuning,
+    quantize,
+    rootDegree,
+    degrees: getScaleDegrees(tuning, quantize.root, quantize.scale)
+  };
+};
+
+// Frequency for a position across the pad (0 = left edge, 1 = right edge)
+export const getPadFrequency = (position, pitchMap) => {
+  const clamped = Math.max(0, Math.min(1, position));
+  const frequency = pitchMap.minFreq * Math.pow(pitchMap.maxFreq / pitchMap.minFreq, clamped);
+  if (!pitchMap.quantize) {
+    return frequency;
+  }
+  const { tuning, degrees } = pitchMap;
+  return getStepFrequency(tuning, quantizeStep(tuning, getFrequencyStep(tuning, frequency), degrees));
+};
+
+// Position across the pad (0-1) where a frequency sits
+export const getPadPosition = (frequency, pitchMap) => {
+  return Math.log(frequency / pitchMap.minFreq) / Math.log(pitchMap.maxFreq / pitchMap.minFreq);
+};
+
+// Scale notes inside the pad range, for gridlines
+export const getScaleNotes = (pitchMap) => {
+  if (!pitchMap.quantize) {
+    return [];
+  }
+  const { tuning, degrees, rootDegree } = pitchMap;
+  const lowStep = Math.ceil(getFrequencyStep(tuning, pitchMap.minFreq) - 1e-6);
+  const highStep = Math.floor(getFrequencyStep(tuning, pitchMap.maxFreq) + 1e-6);
+  const notes = [];
+  for (let step = lowStep; step <= highStep; step++) {
+    const degree = mod(step, tuning.size);
+    if (degrees.includes(degree)) {
+      notes.push({ step, frequency: getStepFrequency(tuning, step), isRoot: degree === rootDegree });
+    }
+  }
+  return notes;
+};
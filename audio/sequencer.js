@@ -0,0 +1,119 @@
+// Step sequencer and arpeggiator settings and timing
+// Steps are sixteenth notes. The engine's lookahead scheduler wakes on a short timer but places
+// every note on the AudioContext clock, so timer jitter never reaches the audio.
+
+import { DEFAULT_TUNING, getStepFrequency } from './tuning';
+import { MORPH_WAVE_TYPES } from './waveShapes';
+import { NOISE_TYPES } from './noise';
+
+export const SEQUENCER_MODES = ['steps', 'arp'];
+
+export const ARP_PATTERNS = ['up', 'down', 'upDown', 'random'];
+
+export const STEPS_PER_BEAT = 4;
+
+// Wave sources a step can play: the basic waves, the drawn cycle and the noise colours
+export const STEP_WAVE_TYPES = [...MORPH_WAVE_TYPES, 'custom', ...NOISE_TYPES];
+
+// Scheduler timing: wake every SCHEDULER_INTERVAL ms and schedule anything due within SCHEDULE_AHEAD_TIME seconds
+export const SCHEDULER_INTERVAL = 25;
+export const SCHEDULE_AHEAD_TIME = 0.1;
+
+// swing: fraction of a step the off-beat steps are pushed late
+// gate: fraction of the step the note is held (0 rests); velocity scales the note's peak gain
+export const SEQUENCER_LIMITS = {
+  length: { min: 8, max: 64 },
+  tempo: { min: 30, max: 300 },
+  swing: { min: 0, max: 0.5 },
+  arpOctaves: { min: 1, max: 4 },
+  gate: { min: 0, max: 1 },
+  velocity: { min: 0, max: 1 }
+};
+
+// A C major arpeggio (C4 E4 G4 C5) to start from
+const DEFAULT_PATTERN = [60, 64, 67, 72];
+
+export const createStep = (index) => ({
+  frequency: getStepFrequency(DEFAULT_TUNING, DEFAULT_PATTERN[index % DEFAULT_PATTERN.length]),
+  gate: 0.5,
+  velocity: index % STEPS_PER_BEAT === 0 ? 1 : 0.7,
+  waveType: 'sine'
+});
+
+export const DEFAULT_SEQUENCER = {
+  mode: 'steps',
+  length: 16,
+  tempo: 120,
+  swing: 0,
+  arpPattern: 'up',
+  arpOctaves: 1,
+  steps: Array.from({ length: SEQUENCER_LIMITS.length.max }, (_, index) => createStep(index))
+};
+
+const clampValue = (key, value, fallback, round = false) => {
+  const { min, max } = SEQUENCER_LIMITS[key];
+  const rounded = round ? Math.round(value) : value;
+  return isNaN(rounded) || !isFinite(rounded) ? fallback : Math.max(min, Math.min(max, rounded));
+};
+
+// One step's pitch, gate, velocity and wave type
+export const clampStep = (step, fallback) => ({
+  frequency: isNaN(step.frequency) || !isFinite(step.frequency)
+    ? fallback.frequency
+    : Math.max(20, Math.min(20000, step.frequency)),
+  gate: clampValue('gate', step.gate, fallback.gate),
+  velocity: clampValue('velocity', step.velocity, fallback.velocity),
+  waveType: STEP_WAVE_TYPES.includes(step.waveType) ? step.waveType : fallback.waveType
+});
+
+// Transport settings; all 64 steps are kept so shortening the pattern never loses steps
+export const clampSequencer = (sequencer, fallback = DEFAULT_SEQUENCER) => ({
+  mode: SEQUENCER_MODES.includes(sequencer.mode) ? sequencer.mode : fallback.mode,
+  length: clampValue('length', sequencer.length, fallback.length, true),
+  tempo: clampValue('tempo', sequencer.tempo, fallback.tempo),
+  swing: clampValue('swing', sequencer.swing, fallback.swing),
+  arpPattern: ARP_PATTERNS.includes(sequencer.arpPattern) ? sequencer.arpPattern : fallback.arpPattern,
+  arpOctaves: clampValue('arpOctaves', sequencer.arpOctaves, fallback.arpOctaves, true),
+  steps: fallback.steps.map((step, index) => (
+    sequencer.steps && sequencer.steps[index] ? clampStep(sequencer.steps[index], step) : step
+  ))
+});
+
+// Seconds per step at a tempo in BPM
+export const getStepDuration = (tempo) => 60 / tempo / STEPS_PER_BEAT;
+
+// Delay of a step behind the grid; swing pushes every second sixteenth late
+export const getSwingOffset = (index, tempo, swing) => (
+  index % 2 === 1 ? swing * getStepDuration(tempo) : 0
+);
+
+// Notes the arpeggiator cycles through, from the held frequencies
+export const getArpNotes = (frequencies, pattern, octaves) => {
+  const sorted = frequencies.slice().sort((a, b) => a - b);
+  const up = [];
+  for (let octave = 0; octave < octaves; octave++) {
+    sorted.forEach(frequency => up.push(frequency * Math.pow(2, octave)));
+  }
+
+  switch (pattern) {
+    case 'down':
+      return up.reverse();
+    case 'upDown':
+      // Turn around without repeating the top and bottom notes
+      return up.length > 2 ? [...up, ...up.slice(1, -1).reverse()] : up;
+    default:
+      return up;
+  }
+};
+
+// The arpeggiator's note for its counter-th step, or null with nothing held
+export const getArpFrequency = (frequencies, pattern, octaves, counter, random = Math.random) => {
+  const notes = getArpNotes(frequencies, pattern, octaves);
+  if (notes.length === 0) {
+    return null;
+  }
+  if (pattern === 'random') {
+    return notes[Math.floor(random() * notes.length)];
+  }
+  return notes[counter % notes.length];
+};
@@ -0,0 +1,56 @@
+// Click-free AudioParam changes
+// Continuous controls (gain, volume) approach their target with setTargetAtTime;
+// frequency glides over a portamento time with an exponential or linear curve
+
+export const SMOOTHING_TIME_CONSTANT = 0.015; // Seconds; ~5x this to settle, short enough to feel immediate
+
+export const GLIDE_CURVES = ['exponential', 'linear'];
+
+export const DEFAULT_GLIDE = {
+  time: 0.05,           // Portamento time in seconds (0 = jump)
+  curve: 'exponential'  // Exponential glides sound even across octaves, linear like a slide
+};
+
+export const MAX_GLIDE_TIME = 2;
+
+// Clamp glide settings, falling back to defaults for invalid values
+export const clampGlide = (glide) => {
+  const time = isNaN(glide.time) || !isFinite(glide.time)
+    ? DEFAULT_GLIDE.time
+    : Math.max(0, Math.min(MAX_GLIDE_TIME, glide.time));
+  const curve = GLIDE_CURVES.includes(glide.curve) ? glide.curve : DEFAULT_GLIDE.curve;
+  return { time, curve };
+};
+
+// Freeze a param at its current value, dropping anything scheduled after now
+export const holdParam = (param, now) => {
+  if (param.cancelAndHoldAtTime) {
+    param.cancelAndHoldAtTime(now);
+  } else {
+    // Firefox has no cancelAndHoldAtTime; value reflects the last computed value
+    const currentValue = param.value;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(currentValue, now);
+  }
+};
+
+// Move a param smoothly toward a value
+export const smoothParam = (param, value, now, timeConstant = SMOOTHING_TIME_CONSTANT) => {
+  holdParam(param, now);
+  param.setTargetAtTime(value, now, timeConstant);
+};
+
+// Glide a param (usually frequency) to a value over the portamento time
+export const glideParam = (param, value, now, glide) => {
+  if (glide.time <= 0) {
+    smoothParam(param, value, now, 0.002); // Near-instant, still without a hard step
+    return;
+  }
+
+  holdParam(param, now);
+  if (glide.curve === 'exponential' && param.value > 0 && value > 0) {
+    param.exponentialRampToValueAtTime(value, now + glide.time);
+  } else {
+    param.linearRampToValueAtTime(value, now + glide.time);
+  }
+};
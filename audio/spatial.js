@@ -0,0 +1,118 @@
+// Stereo and spatial positioning of the synth output
+// Two paths run side by side: a StereoPanner for plain left/right panning, and an HRTF PannerNode
+// that places the sound around the listener's head (best on headphones). Switching mode crossfades
+// between the paths, so it never clicks, and both follow the same pan.
+// panInput adds an audio-rate offset to the pan (e.g. an LFO): straight onto the StereoPanner, and onto
+// the HRTF position across the listener, scaled to its distance. Older Safari's fallback panner ignores it.
+
+import { smoothParam } from './smoothing';
+
+export const SPATIAL_MODES = ['stereo', 'hrtf'];
+
+export const SPATIAL_LIMITS = {
+  pan: { min: -1, max: 1 },  // Hard left to hard right; in HRTF mode, -90° to 90° around the head
+  depth: { min: 0, max: 1 }  // HRTF distance, from beside the head to far away
+};
+
+export const DEFAULT_SPATIAL = {
+  mode: 'stereo',
+  pan: 0,
+  depth: 0.2
+};
+
+const MAX_DISTANCE = 10; // PannerNode distance at full depth (refDistance is 1)
+
+// Clamp spatial settings, keeping the previous value for anything invalid
+export const clampSpatial = (spatial, fallback = DEFAULT_SPATIAL) => {
+  const clampValue = (key) => {
+    const { min, max } = SPATIAL_LIMITS[key];
+    const value = spatial[key];
+    return isNaN(value) || !isFinite(value) ? fallback[key] : Math.max(min, Math.min(max, value));
+  };
+  return {
+    mode: SPATIAL_MODES.includes(spatial.mode) ? spatial.mode : fallback.mode,
+    pan: clampValue('pan'),
+    depth: clampValue('depth')
+  };
+};
+
+// Listener-relative position: pan sweeps the azimuth in front of the listener, depth pushes it away
+export const getSpatialPosition = ({ pan, depth }) => {
+  const azimuth = (pan * Math.PI) / 2;
+  const distance = 1 + depth * (MAX_DISTANCE - 1);
+  return { x: Math.sin(azimuth) * distance, y: 0, z: -Math.cos(azimuth) * distance };
+};
+
+// Older Safari has no positionX/Y/Z params, only setPosition()
+const setPannerPosition = (panner, { x, y, z }, now) => {
+  if (panner.positionX) {
+    smoothParam(panner.positionX, x, now);
+    smoothParam(panner.positionY, y, now);
+    smoothParam(panner.positionZ, z, now);
+  } else {
+    panner.setPosition(x, y, z);
+  }
+};
+
+export const createSpatialStage = (context, spatial = DEFAULT_SPATIAL) => {
+  const input = context.createGain();
+  const output = context.createGain();
+
+  // StereoPannerNode is missing in older Safari; an equal-power PannerNode pans the same way
+  const stereoPanner = context.createStereoPanner ? context.createStereoPanner() : context.createPanner();
+  if (!stereoPanner.pan) {
+    stereoPanner.panningModel = 'equalpower';
+  }
+  const hrtfPanner = context.createPanner();
+  hrtfPanner.panningModel = 'HRTF';
+  hrtfPanner.distanceModel = 'inverse';
+  hrtfPanner.refDistance = 1;
+
+  const panInput = context.createGain();
+  const hrtfPanDepth = context.createGain();
+  if (stereoPanner.pan) {
+    panInput.connect(stereoPanner.pan);
+  }
+  if (hrtfPanner.positionX) {
+    panInput.connect(hrtfPanDepth);
+    hrtfPanDepth.connect(hrtfPanner.positionX);
+  }
+
+  const stereoGain = context.createGain();
+  const hrtfGain = context.createGain();
+  stereoGain.gain.value = spatial.mode === 'stereo' ? 1 : 0;
+  hrtfGain.gain.value = spatial.mode === 'hrtf' ? 1 : 0;
+
+  input.connect(stereoPanner);
+  stereoPanner.connect(stereoGain);
+  stereoGain.connect(output);
+  input.connect(hrtfPanner);
+  hrtfPanner.connect(hrtfGain);
+  hrtfGain.connect(output);
+
+  const stage = {
+    input,
+    output,
+    panInput,
+
+    update(nextSpatial, now = context.currentTime) {
+      smoothParam(stereoGain.gain, nextSpatial.mode === 'stereo' ? 1 : 0, now);
+      smoothParam(hrtfGain.gain, nextSpatial.mode === 'hrtf' ? 1 : 0, now);
+      if (stereoPanner.pan) {
+        smoothParam(stereoPanner.pan, nextSpatial.pan, now);
+      } else {
+        setPannerPosition(stereoPanner, getSpatialPosition({ pan: nextSpatial.pan, depth: 0 }), now);
+      }
+      setPannerPosition(hrtfPanner, getSpatialPosition(nextSpatial), now);
+      // A full pan offset moves the HRTF source a whole distance to the side
+      smoothParam(hrtfPanDepth.gain, getSpatialPosition({ pan: 1, depth: nextSpatial.depth }).x, now);
+    },
+
+    disconnect() {
+      [input, output, panInput, hrtfPanDepth, stereoPanner, hrtfPanner, stereoGain, hrtfGain].forEach(node => node.disconnect());
+    }
+  };
+
+  stage.update(spatial, context.currentTime);
+  return stage;
+};
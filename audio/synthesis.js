@@ -0,0 +1,81 @@
+// FM and AM/ring synthesis settings
+// A sine modulator runs at ratio × the carrier frequency and either bends the carrier's
+// frequency (FM) or scales its gain (AM, ring). getSynthesisPhase/getSynthesisGain mirror
+// the audio graph for the generated visualizer.
+
+export const SYNTHESIS_MODES = ['basic', 'fm', 'am', 'ring'];
+
+// Index is the FM modulation index (peak deviation / modulator frequency);
+// AM and ring use it as a fraction of MAX_MODULATION_INDEX
+export const MAX_MODULATION_INDEX = 10;
+
+export const SYNTHESIS_LIMITS = {
+  ratio: { min: 0.25, max: 8 },
+  index: { min: 0, max: MAX_MODULATION_INDEX }
+};
+
+export const DEFAULT_SYNTHESIS = {
+  mode: 'basic',
+  ratio: 2,
+  index: 2
+};
+
+export const clampSynthesis = (synthesis) => {
+  const clampValue = (key) => {
+    const { min, max } = SYNTHESIS_LIMITS[key];
+    const value = synthesis[key];
+    return isNaN(value) || !isFinite(value) ? DEFAULT_SYNTHESIS[key] : Math.max(min, Math.min(max, value));
+  };
+
+  return {
+    mode: SYNTHESIS_MODES.includes(synthesis.mode) ? synthesis.mode : DEFAULT_SYNTHESIS.mode,
+    ratio: clampValue('ratio'),
+    index: clampValue('index')
+  };
+};
+
+// Audio-rate parameter values for a synthesis setting
+// fmDepth: peak deviation per Hz of carrier frequency (index × ratio)
+// carrierGain/modulatorGain: resting carrier gain and the modulator's swing around it
+export const getSynthesisGains = ({ mode, ratio, index }) => {
+  const depth = index / MAX_MODULATION_INDEX;
+  switch (mode) {
+    case 'fm':
+      return { fmDepth: index * ratio, carrierGain: 1, modulatorGain: 0 };
+    case 'am':
+      // Classic AM: the gain swings between 1 - depth and 1, never inverting
+      return { fmDepth: 0, carrierGain: 1 - depth / 2, modulatorGain: depth / 2 };
+    case 'ring':
+      // Fades from the dry carrier into carrier × modulator at full depth
+      return { fmDepth: 0, carrierGain: 1 - depth, modulatorGain: depth };
+    default:
+      return { fmDepth: 0, carrierGain: 1, modulatorGain: 0 };
+  }
+};
+
+// How getSynthesisGains moves per unit of index (it is linear in the index), for modulating the index
+// at audio rate; fmDepth is still per Hz of carrier frequency
+export const getSynthesisIndexSlopes = (synthesis) => {
+  const low = getSynthesisGains({ ...synthesis, index: 0 });
+  const high = getSynthesisGains({ ...synthesis, index: 1 });
+  return {
+    fmDepth: high.fmDepth - low.fmDepth,
+    carrierGain: high.carrierGain - low.carrierGain,
+    modulatorGain: high.modulatorGain - low.modulatorGain
+  };
+};
+
+// Carrier phase (in carrier cycles) after FM, for a sine modulator starting at phase 0
+// Integrating f + index·fm·sin(2π·fm·t) gives p - index/(2π)·(cos(2π·ratio·p) - 1)
+export const getSynthesisPhase = (synthesis, phase) => {
+  if (synthesis.mode !== 'fm') {
+    return phase;
+  }
+  return phase - (synthesis.index / (2 * Math.PI)) * (Math.cos(2 * Math.PI * synthesis.ratio * phase) - 1);
+};
+
+// Carrier gain at a phase (in carrier cycles) after AM/ring
+export const getSynthesisGain = (synthesis, phase) => {
+  const { carrierGain, modulatorGain } = getSynthesisGains(synthesis);
+  return carrierGain + modulatorGain * Math.sin(2 * Math.PI * synthesis.ratio * phase);
+};
@@ -0,0 +1,303 @@
+// Tuning systems: how scale steps map to frequencies and back again
+// A tuning is a repeating set of degrees (cents within one period, usually the 1200 cent octave)
+// anchored by a reference step and frequency. Steps count degrees up from degree 0 of octave -1,
+// so in 12-note tunings a step is the familiar MIDI note number (C4 = 60, A4 = 69).
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+export const TUNING_SYSTEMS = ['equal', 'just', 'edo', 'scala'];
+
+// 5-limit just intonation, as ratios above the tonic
+export const JUST_RATIOS = [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8];
+
+// referenceFrequency: A4 in 12-note tunings; other tunings put degree 0 of octave 4 where 12-TET puts C4
+// divisions: notes per octave for 'edo'; scale/keyboard: parsed Scala .scl/.kbm files for 'scala'
+export const DEFAULT_TUNING_SETTINGS = {
+  system: 'equal',
+  referenceFrequency: 440,
+  divisions: 19,
+  scale: null,
+  keyboard: null
+};
+
+export const TUNING_LIMITS = {
+  referenceFrequency: { min: 400, max: 480 },
+  divisions: { min: 5, max: 72 }
+};
+
+const A4_STEP = 69;
+const MIDDLE_KEY = 60;
+const MIDDLE_OCTAVE = 4;
+
+const mod = (value, divisor) => ((value % divisor) + divisor) % divisor;
+
+export const ratioToCents = (ratio) => 1200 * Math.log2(ratio);
+
+export const clampTuningSettings = (settings, fallback = DEFAULT_TUNING_SETTINGS) => {
+  const clampValue = (key, round) => {
+    const { min, max } = TUNING_LIMITS[key];
+    const value = round ? Math.round(settings[key]) : settings[key];
+    return isNaN(value) || !isFinite(value) ? fallback[key] : Math.max(min, Math.min(max, value));
+  };
+  const system = TUNING_SYSTEMS.includes(settings.system) ? settings.system : fallback.system;
+
+  return {
+    // Scala needs a loaded scale
+    system: system === 'scala' && !settings.scale ? fallback.system : system,
+    referenceFrequency: clampValue('referenceFrequency', false),
+    divisions: clampValue('divisions', true),
+    scale: settings.scale || null,
+    keyboard: settings.scale ? settings.keyboard || null : null
+  };
+};
+
+// Cents of a step above step 0
+export const getStepCents = (tuning, step) => {
+  const octave = Math.floor(step / tuning.size);
+  return octave * tuning.period + tuning.cents[step - octave * tuning.size];
+};
+
+export const getStepFrequency = (tuning, step) => {
+  const cents = getStepCents(tuning, step) - getStepCents(tuning, tuning.referenceStep);
+  return tuning.referenceFrequency * Math.pow(2, cents / 1200);
+};
+
+// Fractional step for a frequency, interpolating in cents between neighbouring degrees
+export const getFrequencyStep = (tuning, frequency) => {
+  const cents = getStepCents(tuning, tuning.referenceStep) + ratioToCents(frequency / tuning.referenceFrequency);
+  const octave = Math.floor((cents - tuning.cents[0]) / tuning.period);
+  const within = cents - octave * tuning.period;
+  let degree = tuning.size - 1;
+  while (degree > 0 && tuning.cents[degree] > within) {
+    degree--;
+  }
+  const low = tuning.cents[degree];
+  const high = degree + 1 < tuning.size ? tuning.cents[degree + 1] : tuning.cents[0] + tuning.period;
+  return octave * tuning.size + degree + (within - low) / (high - low);
+};
+
+// Nearest step to a frequency and how far off it is in cents
+export const getNearestStep = (tuning, frequency) => {
+  const cents = getStepCents(tuning, tuning.referenceStep) + ratioToCents(frequency / tuning.referenceFrequency);
+  const below = Math.floor(getFrequencyStep(tuning, frequency));
+  const step = cents - getStepCents(tuning, below) <= getStepCents(tuning, below + 1) - cents ? below : below + 1;
+  return { step, cents: cents - getStepCents(tuning, step) };
+};
+
+// Degree whose pitch is nearest to a cents value, comparing within the period
+export const getNearestDegree = (tuning, cents) => {
+  let nearest = 0;
+  let nearestDistance = Infinity;
+  tuning.cents.forEach((degreeCents, degree) => {
+    const offset = mod(cents - degreeCents, tuning.period);
+    const distance = Math.min(offset, tuning.period - offset);
+    if (distance < nearestDistance) {
+      nearest = degree;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+};
+
+// 12-note tunings use note names; others number their degrees, e.g. [7]4
+export const getStepName = (tuning, step) => {
+  const degree = mod(step, tuning.size);
+  const octave = Math.floor(step / tuning.size) - 1;
+  const name = tuning.size === 12 ? NOTE_NAMES[degree] : `[${degree}]`;
+  return { degree, name, octave, label: `${name}${octave}` };
+};
+
+// Nearest note to a frequency and how far off it is, e.g. { label: 'A4', cents: -12 }
+export const getNoteInfo = (frequency, tuning) => {
+  const { step, cents } = getNearestStep(tuning, frequency);
+  return { step, ...getStepName(tuning, step), cents: Math.round(cents) };
+};
+
+// "A4 +12¢" style label; in-tune notes drop the cents
+export const formatNote = (frequency, tuning) => {
+  if (!frequency || isNaN(frequency) || !isFinite(frequency)) {
+    return '';
+  }
+  const { label, cents } = getNoteInfo(frequency, tuning);
+  if (cents === 0) {
+    return label;
+  }
+  return `${label} ${cents > 0 ? '+' : ''}${cents}¢`;
+};
+
+// Step a .kbm maps a key to, whether or not the key is in its playable range; null when unmapped
+const getMappedStep = (tuning, keyboard, key) => {
+  const middleStep = (MIDDLE_OCTAVE + 1) * tuning.size;
+  const offset = key - keyboard.middleNote;
+  if (keyboard.size === 0) {
+    return middleStep + offset;
+  }
+  const degree = keyboard.map[mod(offset, keyboard.size)];
+  if (degree === null) {
+    return null;
+  }
+  return middleStep + Math.floor(offset / keyboard.size) * keyboard.octaveDegree + degree;
+};
+
+// Step a keyboard key (MIDI note number) plays, or null for keys the .kbm leaves unmapped
+export const getKeyStep = (tuning, key) => {
+  const keyboard = tuning.keyboard;
+  if (!keyboard) {
+    return (MIDDLE_OCTAVE + 1) * tuning.size + key - MIDDLE_KEY;
+  }
+  if (key < keyboard.firstNote || key > keyboard.lastNote) {
+    return null;
+  }
+  return getMappedStep(tuning, keyboard, key);
+};
+
+// Build a tuning from degrees in cents (ascending, within one period)
+export const createTuning = ({ name, cents, period = 1200, referenceFrequency, keyboard = null }) => {
+  const tuning = {
+    name,
+    size: cents.length,
+    cents,
+    period,
+    keyboard,
+    referenceFrequency,
+    referenceStep: A4_STEP
+  };
+
+  if (keyboard) {
+    // The .kbm sets its own reference key and frequency; the key may lie outside the playable range,
+    // but it has to be mapped (parseKbm rejects files where it isn't)
+    const referenceStep = getMappedStep(tuning, keyboard, keyboard.referenceNote);
+    if (referenceStep === null) {
+      throw new Error(`The reference key ${keyboard.referenceNote} is unmapped, so it can't carry the reference frequency`);
+    }
+    tuning.referenceStep = referenceStep;
+    tuning.referenceFrequency = keyboard.referenceFrequency;
+  } else if (tuning.size !== 12 || period !== 1200) {
+    // Degree 0 of octave 4 sits where 12-TET puts C4
+    tuning.referenceStep = (MIDDLE_OCTAVE + 1) * tuning.size;
+    tuning.referenceFrequency = referenceFrequency * Math.pow(2, -900 / 1200);
+  }
+  return tuning;
+};
+
+export const createEqualTuning = (divisions, referenceFrequency) => createTuning({
+  name: `${divisions}-EDO`,
+  cents: Array.from({ length: divisions }, (_, degree) => (degree * 1200) / divisions),
+  referenceFrequency
+});
+
+// Just intonation with its 1/1 on the tonic (a semitone above C), so every note name keeps its place
+export const createJustTuning = (tonic, referenceFrequency) => createTuning({
+  name: `Just (${NOTE_NAMES[tonic]})`,
+  cents: NOTE_NAMES.map((_, note) => {
+    const interval = mod(note - tonic, 12);
+    return ratioToCents(JUST_RATIOS[interval]) + (note - interval) * 100;
+  }),
+  referenceFrequency
+});
+
+// The tuning for a settings object; tonic is the semitone just intonation is built on
+export const buildTuning = (settings, tonic = 0) => {
+  switch (settings.system) {
+    case 'just':
+      return createJustTuning(tonic, settings.referenceFrequency);
+    case 'edo':
+      return createEqualTuning(settings.divisions, settings.referenceFrequency);
+    case 'scala':
+      return createTuning({
+        name: settings.scale.description || 'Scala',
+        cents: settings.scale.cents,
+        period: settings.scale.period,
+        referenceFrequency: settings.referenceFrequency,
+        keyboard: settings.keyboard
+      });
+    default:
+      return { ...createEqualTuning(12, settings.referenceFrequency), name: '12-TET' };
+  }
+};
+
+export const DEFAULT_TUNING = buildTuning(DEFAULT_TUNING_SETTINGS);
+
+// Scala files: '!' starts a comment line, and values may be followed by descriptive text
+const getScalaLines = (text) => text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+
+// A missing or blank line is an error too, not 0 (Number('') is 0)
+const parseScalaInteger = (line, field) => {
+  const token = (line || '').trim().split(/\s+/)[0];
+  const value = Number(token);
+  if (token === '' || !Number.isInteger(value)) {
+    throw new Error(`Expected a whole number for ${field}, got "${(line || '').trim()}"`);
+  }
+  return value;
+};
+
+// A pitch is cents if it contains a period, otherwise a ratio like 3/2 or 2
+const parseScalaPitch = (line) => {
+  const token = line.trim().split(/\s+/)[0];
+  if (token.includes('.')) {
+    const cents = Number(token);
+    if (isNaN(cents) || !isFinite(cents)) {
+      throw new Error(`Invalid cents value "${token}"`);
+    }
+    return cents;
+  }
+
+  const [numerator, denominator = '1'] = token.split('/');
+  const ratio = Number(numerator) / Number(denominator);
+  if (!/^\d+(\/\d+)?$/.test(token) || !(ratio > 0) || !isFinite(ratio)) {
+    throw new Error(`Invalid ratio "${token}"`);
+  }
+  return ratioToCents(ratio);
+};
+
+// .scl: description, pitch count, then pitches above 1/1; the last pitch is the period
+export const parseScl = (text) => {
+  const [description = '', countLine, ...rest] = getScalaLines(text);
+  const count = parseScalaInteger(countLine, 'the number of notes');
+  const pitchLines = rest.filter(line => line.trim() !== '');
+  if (count < 1 || pitchLines.length < count) {
+    throw new Error(`Expected ${count} pitches, found ${pitchLines.length}`);
+  }
+
+  const pitches = pitchLines.slice(0, count).map(parseScalaPitch);
+  const period = pitches[count - 1];
+  if (!(period > 0)) {
+    throw new Error('The last pitch (the period) must be above 1/1');
+  }
+
+  // Degrees within one period in ascending order, starting from 1/1
+  const cents = [0, ...pitches.slice(0, -1).map(value => mod(value, period))]
+    .sort((a, b) => a - b)
+    .filter((value, index, sorted) => index === 0 || value !== sorted[index - 1]);
+
+  return { description: description.trim(), cents, period };
+};
+
+// .kbm: map size, key range, middle key (plays 1/1), reference key and frequency,
+// formal octave degree, then one scale degree (or 'x' for unmapped) per key in the map
+export const parseKbm = (text) => {
+  const lines = getScalaLines(text).filter(line => line.trim() !== '');
+  const size = parseScalaInteger(lines[0], 'the map size');
+  const firstNote = parseScalaInteger(lines[1], 'the first key');
+  const lastNote = parseScalaInteger(lines[2], 'the last key');
+  const middleNote = parseScalaInteger(lines[3], 'the middle key');
+  const referenceNote = parseScalaInteger(lines[4], 'the reference key');
+  const referenceFrequency = Number((lines[5] || '').trim().split(/\s+/)[0]);
+  if (!(referenceFrequency > 0) || !isFinite(referenceFrequency)) {
+    throw new Error(`Invalid reference frequency "${(lines[5] || '').trim()}"`);
+  }
+  const octaveDegree = parseScalaInteger(lines[6], 'the formal octave degree');
+
+  const mapLines = lines.slice(7, 7 + size);
+  const map = Array.from({ length: size }, (_, index) => {
+    const token = (mapLines[index] || 'x').trim().split(/\s+/)[0];
+    return token === 'x' ? null : parseScalaInteger(token, `key ${index} of the map`);
+  });
+
+  // The reference frequency belongs to the reference key's scale degree, so that key needs one
+  if (size > 0 && map[mod(referenceNote - middleNote, size)] === null) {
+    throw new Error(`The reference key ${referenceNote} is unmapped ('x'), so it can't carry the reference frequency`);
+  }
+
+  return { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, map };
+};
@@ -0,0 +1,95 @@
+// WAV (RIFF) encoding for rendered audio
+// Channels are arrays of samples in -1 to 1; they are interleaved and clipped on the way in.
+// 16/24-bit are integer PCM, 32-bit is IEEE float (with the fact chunk float WAVs require).
+
+export const WAV_BIT_DEPTHS = [16, 24, 32];
+
+const writeString = (view, offset, string) => {
+  for (let i = 0; i < string.length; i++) {
+    view.setUint8(offset + i, string.charCodeAt(i));
+  }
+};
+
+// Write one clipped sample at offset in the given bit depth
+const writeSample = (view, offset, sample, bitDepth) => {
+  const clipped = Math.max(-1, Math.min(1, isNaN(sample) ? 0 : sample));
+  if (bitDepth === 32) {
+    view.setFloat32(offset, clipped, true);
+  } else if (bitDepth === 24) {
+    const value = Math.round(clipped * 8388607);
+    view.setUint8(offset, value & 0xff);
+    view.setUint8(offset + 1, (value >> 8) & 0xff);
+    view.setUint8(offset + 2, (value >> 16) & 0xff);
+  } else {
+    view.setInt16(offset, Math.round(clipped * 32767), true);
+  }
+};
+
+export const encodeWav = (channels, sampleRate, { bitDepth = 16 } = {}) => {
+  if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+  }
+
+  const isFloat = bitDepth === 32;
+  const channelCount = channels.length;
+  const frames = channelCount > 0 ? channels[0].length : 0;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channelCount * bytesPerSample;
+  const dataSize = frames * blockAlign;
+
+  // Float files carry an extension size field in fmt and a fact chunk with the frame count
+  const fmtSize = isFloat ? 18 : 16;
+  const factSize = isFloat ? 12 : 0;
+  const headerSize = 12 + (8 + fmtSize) + factSize + 8;
+
+  const buffer = new ArrayBuffer(headerSize + dataSize);
+  const view = new DataView(buffer);
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, headerSize - 8 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, fmtSize, true);
+  view.setUint16(20, isFloat ? 3 : 1, true); // 3 = IEEE float, 1 = PCM
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  let offset = 36;
+  if (isFloat) {
+    view.setUint16(offset, 0, true);
+    offset += 2;
+    writeString(view, offset, 'fact');
+    view.setUint32(offset + 4, 4, true);
+    view.setUint32(offset + 8, frames, true);
+    offset += factSize;
+  }
+
+  writeString(view, offset, 'data');
+  view.setUint32(offset + 4, dataSize, true);
+  offset += 8;
+
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channelCount; channel++) {
+      writeSample(view, offset, channels[channel][frame], bitDepth);
+      offset += bytesPerSample;
+    }
+  }
+
+  return buffer;
+};
+
+// Encode every channel of an AudioBuffer
+export const audioBufferToWav = (audioBuffer, options) => {
+  const channels = Array.from(
+    { length: audioBuffer.numberOfChannels },
+    (_, channel) => audioBuffer.getChannelData(channel)
+  );
+  return encodeWav(channels, audioBuffer.sampleRate, options);
+};
+
+export const createWavBlob = (channels, sampleRate, options) => (
+  new Blob([encodeWav(channels, sampleRate, options)], { type: 'audio/wav' })
+);
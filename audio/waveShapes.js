@@ -0,0 +1,56 @@
+// Basic waveform math shared by the synth and the visualizer
+// A continuous "shape" value morphs sine (0) → triangle (1) → sawtooth (2) → square (3)
+
+export const MORPH_WAVE_TYPES = ['sine', 'triangle', 'sawtooth', 'square'];
+
+export const MAX_SHAPE = MORPH_WAVE_TYPES.length - 1;
+
+// One sample of a basic waveform; phase is in cycles (0 to 1 per period)
+export const getWaveSample = (type, phase) => {
+  const cyclePhase = phase - Math.floor(phase);
+  switch (type) {
+    case 'square':
+      return cyclePhase < 0.5 ? 1 : -1;
+    case 'sawtooth':
+      // Rises from 0 like the Web Audio sawtooth, wrapping at half a cycle
+      return cyclePhase < 0.5 ? 2 * cyclePhase : 2 * cyclePhase - 2;
+    case 'triangle':
+      // Rises from 0 to 1, down to -1, back to 0 (phase-aligned with sine)
+      if (cyclePhase < 0.25) return 4 * cyclePhase;
+      if (cyclePhase < 0.75) return 2 - 4 * cyclePhase;
+      return 4 * cyclePhase - 4;
+    default:
+      return Math.sin(2 * Math.PI * cyclePhase);
+  }
+};
+
+export const clampShape = (shape) => Math.max(0, Math.min(MAX_SHAPE, shape));
+
+// Mix weights for each MORPH_WAVE_TYPES entry
+// Neighbouring waves are phase-locked, so a linear crossfade keeps the level steady
+export const getMorphWeights = (shape) => {
+  const clamped = clampShape(shape);
+  const lower = Math.min(Math.floor(clamped), MAX_SHAPE - 1);
+  const fraction = clamped - lower;
+  return MORPH_WAVE_TYPES.map((_, index) => {
+    if (index === lower) return 1 - fraction;
+    if (index === lower + 1) return fraction;
+    return 0;
+  });
+};
+
+// One sample of the morphed waveform
+export const getMorphSample = (shape, phase) => {
+  return getMorphWeights(shape).reduce((sum, weight, index) => (
+    weight > 0 ? sum + weight * getWaveSample(MORPH_WAVE_TYPES[index], phase) : sum
+  ), 0);
+};
+
+// Shape value that plays a basic wave type on its own
+export const getShapeForWaveType = (type) => {
+  const index = MORPH_WAVE_TYPES.indexOf(type);
+  return index === -1 ? 0 : index;
+};
+
+// Basic wave type closest to a shape value (for buttons and labels)
+export const getWaveTypeForShape = (shape) => MORPH_WAVE_TYPES[Math.round(clampShape(shape))];
@@ -0,0 +1,12 @@
+// Save generated data as a file (web only): a temporary object URL clicked from a hidden link
+
+export const downloadFile = (data, filename, type) => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Give the browser a moment to start the download before the URL goes away
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
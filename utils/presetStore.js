@@ -0,0 +1,70 @@
+// Named presets persisted as JSON
+// Uses localStorage on web and falls back to memory (e.g. native, or Safari private mode)
+
+const memoryStores = {};
+
+const getStorage = () => {
+  try {
+    if (typeof window !== 'undefined' && window.localStorage) {
+      return window.localStorage;
+    }
+  } catch (error) {
+    // Accessing localStorage throws when storage is disabled
+    console.warn('localStorage unavailable, presets will not persist:', error.message);
+  }
+  return null;
+};
+
+export const createPresetStore = (namespace) => {
+  const key = `audio-art-expo:${namespace}`;
+
+  const readAll = () => {
+    const storage = getStorage();
+    if (!storage) {
+      return { ...(memoryStores[key] || {}) };
+    }
+
+    try {
+      return JSON.parse(storage.getItem(key)) || {};
+    } catch (error) {
+      console.warn(`Corrupt ${namespace} presets, starting fresh:`, error.message);
+      return {};
+    }
+  };
+
+  const writeAll = (presets) => {
+    const storage = getStorage();
+    if (!storage) {
+      memoryStores[key] = presets;
+      return;
+    }
+
+    try {
+      storage.setItem(key, JSON.stringify(presets));
+    } catch (error) {
+      console.error(`Failed to save ${namespace} presets:`, error.message);
+      memoryStores[key] = presets;
+    }
+  };
+
+  return {
+    list: () => Object.keys(readAll()).sort(),
+
+    load: (name) => {
+      const presets = readAll();
+      return Object.prototype.hasOwnProperty.call(presets, name) ? presets[name] : null;
+    },
+
+    save: (name, data) => {
+      const presets = readAll();
+      presets[name] = data;
+      writeAll(presets);
+    },
+
+    remove: (name) => {
+      const presets = readAll();
+      delete presets[name];
+      writeAll(presets);
+    }
+  };
+};